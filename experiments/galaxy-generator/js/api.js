@@ -2,7 +2,7 @@
  * API communication module for Galaxy Generator
  * Handles all server communication using ES Modules and EventBus
  */
-import { CONFIG_PATH, STATUS_MESSAGES } from './config.js';
+import { CONFIG_PATH, BACKEND_SERVICE_ID, STATUS_MESSAGES } from './config.js';
 import eventBus from './events.js';
 import * as state from './state.js';
 
@@ -11,15 +11,41 @@ let serverConfig = null;
 let apiBaseUrl = '';
 
 /**
- * Load server configuration from config file
+ * Ask the Experiment Browser where the backend is running
+ * Only available when the page is opened inside the Experiment Browser
+ * @returns {Promise<Object|null>} Server configuration or null if discovery is unavailable
+ */
+async function discoverServerConfig() {
+    if (!window.ExperimentDiscovery || !window.ExperimentDiscovery.getExperimentFolder()) {
+        return null;
+    }
+    
+    try {
+        // The backend is proxied under our own origin, so no CORS is needed
+        const proxyUrl = await window.ExperimentDiscovery.waitForService(BACKEND_SERVICE_ID, { proxy: true });
+        const service = await window.ExperimentDiscovery.getService(BACKEND_SERVICE_ID);
+        return {
+            serverPort: service.ports.http,
+            apiBaseUrl: `${proxyUrl}api`
+        };
+    } catch (error) {
+        console.warn('Service discovery failed, falling back to config file:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Load server configuration from the Experiment Browser's discovery API,
+ * or from the config file the server writes when started on its own
  * This allows the frontend to automatically detect which port the server is running on
  * @returns {Promise<Object|null>} Server configuration or null on error
  */
 export async function loadServerConfig() {
     try {
-        const response = await fetch(CONFIG_PATH);
-        if (response.ok) {
-            const config = await response.json();
+        const discovered = await discoverServerConfig();
+        const response = discovered ? null : await fetch(CONFIG_PATH);
+        if (discovered || response.ok) {
+            const config = discovered || await response.json();
             const apiUrl = config.apiBaseUrl || `http://localhost:${config.serverPort}/api`;
             
             // Store in state
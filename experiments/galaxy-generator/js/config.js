@@ -6,6 +6,9 @@
 // File paths and configuration
 export const CONFIG_PATH = './config.json';
 
+// Service ID of the backend in the Experiment Browser's services.json
+export const BACKEND_SERVICE_ID = 'galaxy-generator-service';
+
 // Enhanced default settings with galaxy physics
 export const DEFAULT_SETTINGS = {
     animation: {
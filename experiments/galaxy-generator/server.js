@@ -12,20 +12,25 @@ const CONFIG_FILE = './config.json'; // Config file in the same directory as HTM
 const FAVORITES_FILE = path.join(DATA_DIR, 'favorites.json');
 const RATINGS_FILE = path.join(DATA_DIR, 'ratings.json');
 
-// CORS middleware to allow cross-origin requests
-app.use((req, res, next) => {
-    // Allow requests from any origin during development
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-        res.sendStatus(200);
-    } else {
-        next();
-    }
-});
+// CORS middleware for a backend started by hand: the page (served by the
+// Experiment Browser on another port) then calls it cross-origin using
+// config.json. Under the Experiment Browser it's reached through the
+// same-origin service proxy, so CORS stays off.
+if (!process.env.PORT) {
+    app.use((req, res, next) => {
+        // Allow requests from any origin during development
+        res.header('Access-Control-Allow-Origin', '*');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+        
+        // Handle preflight requests
+        if (req.method === 'OPTIONS') {
+            res.sendStatus(200);
+        } else {
+            next();
+        }
+    });
+}
 
 // Middleware to parse JSON bodies
 app.use(express.json());
@@ -891,18 +896,29 @@ async function startServer() {
         // Initialize data storage first
         await initializeDataStorage();
         
-        // Find an available port starting from our preferred port
-        console.log(`Checking for available port starting from ${PORT}...`);
-        PORT = await findAvailablePort(PORT);
+        if (process.env.PORT) {
+            // Started by the Experiment Browser, which has already picked a free port
+            PORT = Number(process.env.PORT);
+            console.log(`Using port ${PORT} assigned by the Experiment Browser`);
+        } else {
+            // Find an available port starting from our preferred port
+            console.log(`Checking for available port starting from ${PORT}...`);
+            PORT = await findAvailablePort(PORT);
+        }
         
-        // Write the config file with the actual port being used
-        await writeConfigFile(PORT);
+        // Write the config file with the actual port being used; under the
+        // Experiment Browser the page finds the port through its discovery API
+        if (!process.env.PORT) {
+            await writeConfigFile(PORT);
+        }
         
         // Start the server on the found port
         app.listen(PORT, () => {
             console.log(`\n🚀 Galaxy Generator server v2 Enhanced running on http://localhost:${PORT}`);
-            console.log(`📄 Config file written to: ${CONFIG_FILE}`);
-            console.log('✅ CORS enabled for cross-origin requests');
+            if (!process.env.PORT) {
+                console.log(`📄 Config file written to: ${CONFIG_FILE}`);
+                console.log('✅ CORS enabled for cross-origin requests');
+            }
             console.log('\nEnhanced Features:');
             console.log('  ✨ Realistic spiral galaxy structure with density waves');
             console.log('  🌌 Differential rotation (Keplerian → flat rotation curve)');
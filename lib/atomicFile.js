@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Safe updates of JSON files edited through the API (services.json, metadata.json)
+ *
+ * - writeFileAtomic writes to a temporary file next to the target, flushes it
+ *   and renames it over the target, so a crash never leaves a truncated file
+ * - withFileLock runs operations on a file one at a time, so two quick edits
+ *   can't both load the same version and then overwrite each other
+ * - getEtag identifies a version of a file's content; clients send the ETag
+ *   they read as If-Match and a write based on an older version is refused
+ *   (see matchesEtag)
+ */
+
+// Queued operations per file: absolute path -> promise settling when the last one is done
+const locks = new Map();
+
+/**
+ * Write a file atomically, keeping the permissions of the file it replaces
+ */
+async function writeFileAtomic(file, content) {
+    const tempFile = path.join(
+        path.dirname(file),
+        `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    );
+
+    let mode = null;
+    try {
+        mode = (await fs.stat(file)).mode;
+    } catch {
+        // New file
+    }
+
+    let handle = null;
+    try {
+        handle = await fs.open(tempFile, 'w');
+        if (mode !== null) await handle.chmod(mode);
+        await handle.writeFile(content);
+        await handle.sync();
+        await handle.close();
+        handle = null;
+        await fs.rename(tempFile, file);
+    } catch (error) {
+        if (handle) await handle.close().catch(() => {});
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Run an operation once all operations queued earlier on the same file are done
+ * Returns the operation's result (a failed operation doesn't block the next one)
+ */
+function withFileLock(file, operation) {
+    const key = path.resolve(file);
+    const result = (locks.get(key) || Promise.resolve()).then(operation);
+
+    const done = result.catch(() => {});
+    locks.set(key, done);
+    done.then(() => {
+        if (locks.get(key) === done) locks.delete(key);
+    });
+
+    return result;
+}
+
+/**
+ * Get the ETag of a file's content
+ */
+function getEtag(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex').slice(0, 20)}"`;
+}
+
+/**
+ * Check an If-Match header against the current ETag (null if the file doesn't exist)
+ * Without the header any version matches, for clients that don't track versions
+ */
+function matchesEtag(ifMatch, etag) {
+    if (!ifMatch) return true;
+    if (etag === null) return false;
+
+    return ifMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === etag);
+}
+
+module.exports = {
+    writeFileAtomic,
+    withFileLock,
+    getEtag,
+    matchesEtag
+};
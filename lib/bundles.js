@@ -0,0 +1,548 @@
+const fs = require('fs').promises;
+const path = require('path');
+const experimentManager = require('./experimentManager');
+const configSchema = require('./configSchema');
+const environment = require('./environment');
+const tarArchive = require('./tarArchive');
+
+/**
+ * Bundles: experiments with the services, commands and workflows they use,
+ * packed into one .tar.gz archive to share a setup
+ *
+ * An archive holds bundle.json (the services, commands and workflows, and the
+ * list of experiments) and the files of each experiment under
+ * experiments/<folder>/. Exporting an experiment includes everything it
+ * references, transitively: the workflows and services in its metadata, the
+ * services, commands and nested workflows those workflows run, and the
+ * services those services depend on.
+ *
+ * Importing happens in two steps: previewImport lists every item and whether
+ * it clashes with an existing one, then planImport applies a choice per item
+ * (import, rename or skip). Renamed items are renamed in every reference to
+ * them within the bundle; references to a skipped item keep its ID, so they
+ * use the existing item with that ID.
+ *
+ * Values of `env` variables with secret-looking names (see
+ * environment.isSecretName) are emptied on export; the manifest lists them
+ * under `redactedEnv` so the import preview can ask for them to be set again.
+ */
+
+const BUNDLE_FORMAT = 'experiment-browser-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'bundle.json';
+const EXPERIMENTS_PREFIX = 'experiments/';
+
+// Experiments whose files add up to more than this can't be exported
+const MAX_BUNDLE_SIZE = 100 * 1024 * 1024;
+
+// Limit on an uploaded bundle once uncompressed: the files, plus room for
+// the manifest and tar headers
+const MAX_UNPACKED_SIZE = 2 * MAX_BUNDLE_SIZE;
+
+// Directories left out of exported experiments
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+// Item types -> services.json section
+const SECTIONS = {
+    service: 'services',
+    command: 'commands',
+    workflow: 'workflows'
+};
+
+const ACTIONS = ['import', 'rename', 'skip'];
+
+// Experiment folder names (a single path segment)
+const FOLDER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Create the error thrown for a bundle that can't be exported or imported
+ * bundleErrors lists the problems
+ */
+function createBundleError(message, bundleErrors = [message]) {
+    const error = new Error(message);
+    error.bundleErrors = bundleErrors;
+    return error;
+}
+
+/**
+ * Get the path of an experiment folder
+ */
+function getExperimentPath(folder) {
+    return path.join(experimentManager.EXPERIMENTS_DIR, folder);
+}
+
+/**
+ * Check if an experiment folder exists
+ */
+async function experimentExists(folder) {
+    try {
+        await fs.access(getExperimentPath(folder));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Collect the services, commands and workflows that experiments (and any
+ * items asked for explicitly) reference, transitively
+ * roots: { metadata: Array<metadata>, services, commands, workflows } - IDs
+ * Returns { services, commands, workflows } - Sets of IDs that exist in config
+ */
+function collectItems(config, roots) {
+    const found = { services: new Set(), commands: new Set(), workflows: new Set() };
+
+    const addService = (serviceId) => {
+        if (found.services.has(serviceId) || !config.services[serviceId]) return;
+        found.services.add(serviceId);
+        (config.services[serviceId].dependsOn || []).forEach(addService);
+    };
+    const addCommand = (commandId) => {
+        if (config.commands[commandId]) found.commands.add(commandId);
+    };
+    const addWorkflow = (workflowId) => {
+        if (found.workflows.has(workflowId) || !config.workflows[workflowId]) return;
+        found.workflows.add(workflowId);
+
+        const workflow = config.workflows[workflowId];
+        [...(workflow.steps || []), ...(workflow.onFailure || [])].forEach((step) => {
+            if (step.type === 'existing-service') addService(step.serviceId);
+            else if (step.type === 'existing-command') addCommand(step.commandId);
+            else if (step.type === 'workflow') addWorkflow(step.workflowId);
+        });
+    };
+
+    roots.metadata.forEach((metadata) => {
+        // Dependencies can be services or workflows
+        (metadata.dependencies || []).forEach((dependencyId) => {
+            addService(dependencyId);
+            addWorkflow(dependencyId);
+        });
+        [...(metadata.requiredWorkflows || []), ...(metadata.optionalWorkflows || [])].forEach(addWorkflow);
+    });
+    (roots.services || []).forEach(addService);
+    (roots.commands || []).forEach(addCommand);
+    (roots.workflows || []).forEach(addWorkflow);
+
+    return found;
+}
+
+/**
+ * Copy a service, command or workflow with the values of its secret-named
+ * env variables (its own and its steps') emptied
+ * Returns { item, redacted } - redacted lists the emptied variable names
+ */
+function redactSecrets(item) {
+    const redacted = new Set();
+    const redactEnv = (env) => {
+        if (!env || typeof env !== 'object') return env;
+        return Object.fromEntries(Object.entries(env).map(([name, value]) => {
+            if (!environment.isSecretName(name) || value === '' || value === null) return [name, value];
+            redacted.add(name);
+            return [name, ''];
+        }));
+    };
+    const redactStep = step => (step && step.env ? { ...step, env: redactEnv(step.env) } : step);
+
+    const copy = { ...item };
+    if (copy.env) copy.env = redactEnv(copy.env);
+    if (Array.isArray(copy.steps)) copy.steps = copy.steps.map(redactStep);
+    if (Array.isArray(copy.onFailure)) copy.onFailure = copy.onFailure.map(redactStep);
+
+    return { item: copy, redacted: [...redacted] };
+}
+
+/**
+ * Read the files of an experiment folder (relative paths), leaving out
+ * SKIPPED_DIRECTORIES and anything that isn't a regular file
+ * budget: { remaining } bytes, shared by the experiments of a bundle
+ */
+async function readExperimentFiles(folder, budget, relativeDir = '') {
+    const entries = await fs.readdir(path.join(getExperimentPath(folder), relativeDir), { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+                files.push(...await readExperimentFiles(folder, budget, relativePath));
+            }
+        } else if (entry.isFile()) {
+            const filePath = path.join(getExperimentPath(folder), relativePath);
+            const { mode, size } = await fs.stat(filePath);
+            budget.remaining -= size;
+            if (budget.remaining < 0) {
+                throw createBundleError(`The experiments add up to more than ${MAX_BUNDLE_SIZE / 1024 / 1024} MB`);
+            }
+            files.push({ path: relativePath, content: await fs.readFile(filePath), mode });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Create a bundle
+ * selection: { experiments, services, commands, workflows } - IDs; the items
+ * the experiments reference are added automatically
+ * Resolves with { archive: Buffer, manifest }; manifest.redactedEnv lists the
+ * secret env variables left out, by "<type>:<id>"
+ */
+async function createBundle(config, selection) {
+    const { experiments = [], services = [], commands = [], workflows = [] } = selection;
+    const errors = [];
+
+    const metadata = [];
+    for (const folder of experiments) {
+        try {
+            if (!FOLDER_PATTERN.test(folder)) throw new Error('invalid folder name');
+            metadata.push(JSON.parse(await fs.readFile(path.join(getExperimentPath(folder), 'metadata.json'), 'utf8')));
+        } catch {
+            errors.push(`unknown experiment "${folder}"`);
+        }
+    }
+    [['service', services], ['command', commands], ['workflow', workflows]].forEach(([type, ids]) => {
+        ids.filter(id => !config[SECTIONS[type]][id]).forEach(id => errors.push(`unknown ${type} "${id}"`));
+    });
+    if (errors.length > 0) {
+        throw createBundleError(errors.join('; '), errors);
+    }
+
+    const found = collectItems(config, { metadata, services, commands, workflows });
+    const manifest = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        experiments,
+        redactedEnv: {}
+    };
+    Object.entries(SECTIONS).forEach(([type, section]) => {
+        manifest[section] = {};
+        found[section].forEach((id) => {
+            const { item, redacted } = redactSecrets(config[section][id]);
+            manifest[section][id] = item;
+            if (redacted.length > 0) manifest.redactedEnv[`${type}:${id}`] = redacted;
+        });
+    });
+
+    const entries = [{ path: MANIFEST_FILE, content: JSON.stringify(manifest, null, 2) }];
+    const budget = { remaining: MAX_BUNDLE_SIZE };
+    for (const folder of experiments) {
+        entries.push({ path: `${EXPERIMENTS_PREFIX}${folder}/` });
+        (await readExperimentFiles(folder, budget)).forEach((file) => {
+            entries.push({ ...file, path: `${EXPERIMENTS_PREFIX}${folder}/${file.path}` });
+        });
+    }
+
+    return { archive: await tarArchive.createTarGz(entries), manifest };
+}
+
+/**
+ * Check that a path inside an experiment stays inside it
+ */
+function isSafeRelativePath(relativePath) {
+    const segments = relativePath.split('/');
+    return segments.length > 0 && segments.every(segment => segment && segment !== '.' && segment !== '..' && !segment.includes('\\'));
+}
+
+/**
+ * Read a bundle archive
+ * Resolves with { manifest, experiments: Array<{ folder, metadata, files }> };
+ * rejects with `bundleErrors` if it isn't a valid bundle
+ */
+async function readBundle(archive) {
+    let files;
+    try {
+        files = await tarArchive.readTarGz(archive, { maxSize: MAX_UNPACKED_SIZE });
+    } catch (error) {
+        throw createBundleError(error.message);
+    }
+
+    const manifestFile = files.find(file => file.path === MANIFEST_FILE);
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestFile.content.toString('utf8'));
+    } catch {
+        throw createBundleError(`Not a bundle: ${MANIFEST_FILE} is missing or not valid JSON`);
+    }
+    if (manifest.format !== BUNDLE_FORMAT) {
+        throw createBundleError(`Not a bundle: ${MANIFEST_FILE} has format "${manifest.format}"`);
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+        throw createBundleError(`The bundle was made by a newer version of the Experiment Browser (bundle version ${manifest.version})`);
+    }
+
+    const errors = [];
+    Object.values(SECTIONS).forEach((section) => {
+        const items = manifest[section] || {};
+        if (typeof items !== 'object' || Array.isArray(items)) {
+            errors.push(`${section}: must be an object`);
+        }
+    });
+    const folders = Array.isArray(manifest.experiments) ? manifest.experiments : [];
+    folders.filter(folder => typeof folder !== 'string' || !FOLDER_PATTERN.test(folder))
+        .forEach(folder => errors.push(`experiments: invalid folder name ${JSON.stringify(folder)}`));
+
+    const experiments = folders.filter(folder => FOLDER_PATTERN.test(folder)).map(folder => ({ folder, metadata: null, files: [] }));
+    files.filter(file => file !== manifestFile).forEach((file) => {
+        const [, folder, relativePath] = file.path.match(/^experiments\/([^/]+)\/(.+)$/) || [];
+        const experiment = experiments.find(candidate => candidate.folder === folder);
+        if (!experiment || !isSafeRelativePath(relativePath)) {
+            errors.push(`unexpected file in the bundle: ${file.path}`);
+            return;
+        }
+        experiment.files.push({ path: relativePath, content: file.content, mode: file.mode });
+    });
+    experiments.forEach((experiment) => {
+        const metadataFile = experiment.files.find(file => file.path === 'metadata.json');
+        try {
+            experiment.metadata = JSON.parse(metadataFile.content.toString('utf8'));
+        } catch {
+            errors.push(`experiments/${experiment.folder}/metadata.json is missing or not valid JSON`);
+        }
+    });
+
+    if (errors.length > 0) {
+        throw createBundleError(`Invalid bundle: ${errors.join('; ')}`, errors);
+    }
+
+    return {
+        manifest: {
+            ...manifest,
+            services: manifest.services || {},
+            commands: manifest.commands || {},
+            workflows: manifest.workflows || {},
+            redactedEnv: manifest.redactedEnv && typeof manifest.redactedEnv === 'object' ? manifest.redactedEnv : {}
+        },
+        experiments
+    };
+}
+
+/**
+ * List the items of a bundle and whether each clashes with an existing one
+ * Returns Array<{ type, id, name, conflict, errors, redactedEnv }> - type is
+ * service|command|workflow|experiment; errors are schema errors of the item;
+ * redactedEnv names the secret env variables emptied on export, to set again
+ */
+async function previewImport(bundle, config) {
+    const items = [];
+
+    Object.entries(SECTIONS).forEach(([type, section]) => {
+        Object.entries(bundle.manifest[section]).forEach(([id, item]) => {
+            items.push({
+                type,
+                id,
+                name: (item && item.name) || id,
+                conflict: Boolean(config[section][id]),
+                errors: configSchema.validate(item, type, `${section}.${id}`).errors,
+                redactedEnv: [].concat(bundle.manifest.redactedEnv[`${type}:${id}`] || []).map(String)
+            });
+        });
+    });
+    for (const experiment of bundle.experiments) {
+        items.push({
+            type: 'experiment',
+            id: experiment.folder,
+            name: experiment.metadata.name || experiment.folder,
+            conflict: await experimentExists(experiment.folder),
+            errors: [],
+            redactedEnv: [],
+            files: experiment.files.length
+        });
+    }
+
+    return items;
+}
+
+/**
+ * Rename the references of a workflow's steps
+ * renames: { services, commands, workflows } - Maps of old ID -> new ID
+ */
+function renameStepReferences(steps, renames) {
+    return steps.map((step) => {
+        const renamed = { ...step };
+        if (step.type === 'existing-service' && renames.services.has(step.serviceId)) {
+            renamed.serviceId = renames.services.get(step.serviceId);
+        } else if (step.type === 'existing-command' && renames.commands.has(step.commandId)) {
+            renamed.commandId = renames.commands.get(step.commandId);
+        } else if (step.type === 'workflow' && renames.workflows.has(step.workflowId)) {
+            renamed.workflowId = renames.workflows.get(step.workflowId);
+        }
+        return renamed;
+    });
+}
+
+/**
+ * Rename the references of an imported item
+ */
+function renameReferences(type, item, renames) {
+    const rename = section => id => renames[section].get(id) || id;
+
+    if (type === 'service' && item.dependsOn) {
+        return { ...item, dependsOn: item.dependsOn.map(rename('services')) };
+    }
+    if (type === 'workflow') {
+        const renamed = { ...item };
+        if (item.steps) renamed.steps = renameStepReferences(item.steps, renames);
+        if (item.onFailure) renamed.onFailure = renameStepReferences(item.onFailure, renames);
+        return renamed;
+    }
+    if (type === 'experiment') {
+        const renamed = { ...item };
+        if (item.requiredWorkflows) renamed.requiredWorkflows = item.requiredWorkflows.map(rename('workflows'));
+        if (item.optionalWorkflows) renamed.optionalWorkflows = item.optionalWorkflows.map(rename('workflows'));
+        if (item.dependencies) {
+            renamed.dependencies = item.dependencies.map(id => renames.services.get(id) || renames.workflows.get(id) || id);
+        }
+        return renamed;
+    }
+    return item;
+}
+
+/**
+ * Work out what importing a bundle does
+ *
+ * resolutions: { "<type>:<id>": { action: import|rename|skip, id } } - `id` is
+ * the new ID (or folder) for rename; items without one are imported, which
+ * fails if the ID is taken
+ *
+ * Returns { config, experiments: Array<{ folder, files }>, imported, skipped }
+ * - the config with the imported items added, the experiments to write, and
+ * the items imported ({ type, id, from }) and skipped ({ type, id });
+ * throws an error with `bundleErrors` if a choice can't be applied
+ */
+async function planImport(bundle, config, resolutions = {}) {
+    const items = await previewImport(bundle, config);
+    const errors = [];
+    const renames = { services: new Map(), commands: new Map(), workflows: new Map() };
+    const imported = [];
+    const skipped = [];
+    const taken = new Set();
+
+    items.forEach((item) => {
+        const key = `${item.type}:${item.id}`;
+        const { action = 'import', id: newId } = resolutions[key] || {};
+        const section = SECTIONS[item.type];
+
+        if (!ACTIONS.includes(action)) {
+            errors.push(`${key}: action must be one of ${ACTIONS.join(', ')}`);
+            return;
+        }
+        if (action === 'skip') {
+            skipped.push({ type: item.type, id: item.id });
+            return;
+        }
+        if (item.errors.length > 0) {
+            errors.push(...item.errors);
+            return;
+        }
+
+        let targetId = item.id;
+        if (action === 'rename') {
+            const valid = item.type === 'experiment'
+                ? typeof newId === 'string' && FOLDER_PATTERN.test(newId)
+                : typeof newId === 'string' && newId.trim() && !newId.includes('/');
+            if (!valid) {
+                errors.push(`${key}: a valid new ${item.type === 'experiment' ? 'folder name' : 'ID'} is required to rename it`);
+                return;
+            }
+            targetId = newId;
+            if (section && config[section][targetId]) {
+                errors.push(`${key}: ${item.type} "${targetId}" already exists`);
+                return;
+            }
+        } else if (item.conflict) {
+            errors.push(`${key}: ${item.type} "${item.id}" already exists; rename or skip it`);
+            return;
+        }
+
+        if (taken.has(`${item.type}:${targetId}`)) {
+            errors.push(`${key}: two items would be imported as ${item.type} "${targetId}"`);
+            return;
+        }
+        taken.add(`${item.type}:${targetId}`);
+
+        if (section && targetId !== item.id) {
+            renames[section].set(item.id, targetId);
+        }
+        imported.push({ type: item.type, id: targetId, from: item.id });
+    });
+
+    // Experiment folders are never overwritten
+    for (const entry of imported.filter(item => item.type === 'experiment' && item.id !== item.from)) {
+        if (await experimentExists(entry.id)) {
+            errors.push(`experiment:${entry.from}: experiment "${entry.id}" already exists`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw createBundleError(`Invalid import: ${errors.join('; ')}`, errors);
+    }
+
+    const updated = { ...config };
+    Object.values(SECTIONS).forEach((section) => {
+        updated[section] = { ...config[section] };
+    });
+    const experiments = [];
+    imported.forEach(({ type, id, from }) => {
+        if (type === 'experiment') {
+            const experiment = bundle.experiments.find(candidate => candidate.folder === from);
+            const metadata = renameReferences('experiment', experiment.metadata, renames);
+            const changed = JSON.stringify(metadata) !== JSON.stringify(experiment.metadata);
+            experiments.push({
+                folder: id,
+                files: experiment.files.map(file => (file.path === 'metadata.json' && changed
+                    ? { ...file, content: Buffer.from(JSON.stringify(metadata, null, 2)) }
+                    : file))
+            });
+            return;
+        }
+        const section = SECTIONS[type];
+        updated[section][id] = renameReferences(type, bundle.manifest[section][from], renames);
+    });
+
+    return { config: updated, experiments, imported, skipped };
+}
+
+/**
+ * Write imported experiments into the experiments directory
+ * Folders must not exist yet; on failure the folders written are removed
+ */
+async function writeExperiments(experiments) {
+    const written = [];
+    try {
+        for (const { folder, files } of experiments) {
+            const experimentPath = getExperimentPath(folder);
+            await fs.mkdir(experimentPath);
+            written.push(experimentPath);
+
+            for (const file of files) {
+                const filePath = path.join(experimentPath, file.path);
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(filePath, file.content, { mode: file.mode & 0o777 });
+            }
+        }
+    } catch (error) {
+        await removeExperiments(written);
+        throw error;
+    }
+    return written;
+}
+
+/**
+ * Remove experiment folders written by writeExperiments
+ */
+async function removeExperiments(experimentPaths) {
+    await Promise.all(experimentPaths.map(experimentPath =>
+        fs.rm(experimentPath, { recursive: true, force: true }).catch(() => {})));
+}
+
+module.exports = {
+    MAX_BUNDLE_SIZE,
+    createBundle,
+    readBundle,
+    previewImport,
+    planImport,
+    writeExperiments,
+    removeExperiments
+};
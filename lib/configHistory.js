@@ -0,0 +1,311 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { getEtag } = require('./atomicFile');
+
+/**
+ * Revision history of services.json
+ *
+ * Every change saved through the API is recorded as a revision: when it was
+ * made, what it did to which service, command or workflow, the fields it
+ * changed and a snapshot of the whole file afterwards. Snapshots make it
+ * possible to compare any two revisions and to restore an item (or the whole
+ * file) as it was at one of them.
+ *
+ * Changes made to the file by hand show up as `external` revisions, recorded
+ * when the next change is saved, so the snapshot before every revision is
+ * always the one of the revision before it.
+ */
+
+const INDEX_FILE = './data/config-history.json';
+const SNAPSHOTS_DIR = './data/config-revisions';
+
+// Oldest revisions (and their snapshots) are dropped beyond this many
+const MAX_REVISIONS = 200;
+
+// Item types -> services.json section
+const SECTIONS = {
+    service: 'services',
+    command: 'commands',
+    workflow: 'workflows'
+};
+
+const ACTION_LABELS = {
+    create: 'Created',
+    update: 'Updated',
+    delete: 'Deleted',
+    restore: 'Restored'
+};
+
+// Revisions, oldest first (without snapshots)
+let revisions = [];
+let loaded = false;
+
+// Serialize writes so a slow write never overwrites newer history
+let writeChain = Promise.resolve();
+
+/**
+ * Load the revision index from disk (once)
+ */
+async function loadHistory() {
+    if (loaded) return;
+    loaded = true;
+
+    try {
+        const parsed = JSON.parse(await fs.readFile(INDEX_FILE, 'utf8'));
+        revisions = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[ConfigHistory] Failed to read history, starting fresh:', error.message);
+        }
+    }
+}
+
+/**
+ * Queue a write to the history on disk
+ */
+function queueWrite(write) {
+    writeChain = writeChain
+        .then(write)
+        .catch((error) => {
+            console.error('[ConfigHistory] Failed to save history:', error.message);
+        });
+
+    return writeChain;
+}
+
+/**
+ * Get the path of a revision's snapshot
+ */
+function getSnapshotPath(revisionId) {
+    return path.join(SNAPSHOTS_DIR, `${revisionId}.json`);
+}
+
+/**
+ * Append an object key or array index to a field path
+ */
+function joinPath(fieldPath, key) {
+    if (typeof key === 'number') return `${fieldPath}[${key}]`;
+    return fieldPath ? `${fieldPath}.${key}` : key;
+}
+
+/**
+ * Check if a value is a plain object (not an array or null)
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * List the differences between two values as changes
+ * { path, type: added|removed|changed, before, after }, e.g. path `workflows.build.steps[1].retries`
+ */
+function diffValues(before, after, fieldPath = '') {
+    if (before === undefined && after === undefined) return [];
+    if (before === undefined) return [{ path: fieldPath, type: 'added', after }];
+    if (after === undefined) return [{ path: fieldPath, type: 'removed', before }];
+
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => diffValues(before[key], after[key], joinPath(fieldPath, key)));
+    }
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        return Array.from({ length }, (_, index) => diffValues(before[index], after[index], joinPath(fieldPath, index))).flat();
+    }
+
+    return JSON.stringify(before) === JSON.stringify(after)
+        ? []
+        : [{ path: fieldPath, type: 'changed', before, after }];
+}
+
+/**
+ * Get the changes between two configs, optionally only those of one item
+ */
+function diffConfigs(before, after, entityType = null, entityId = null) {
+    if (entityType) {
+        const section = SECTIONS[entityType];
+        return diffValues(
+            ((before || {})[section] || {})[entityId],
+            ((after || {})[section] || {})[entityId],
+            `${section}.${entityId}`
+        );
+    }
+    return diffValues(before || {}, after || {});
+}
+
+/**
+ * Parse the content of services.json, or null if it can't be parsed
+ */
+function parseContent(content) {
+    try {
+        return JSON.parse(content);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Add a revision with a snapshot of the config after it
+ */
+function addRevision(details, content, changes) {
+    const last = revisions[revisions.length - 1];
+    const revision = {
+        id: last ? last.id + 1 : 1,
+        timestamp: new Date().toISOString(),
+        action: details.action,
+        entityType: details.entityType || null,
+        entityId: details.entityId || null,
+        summary: details.summary,
+        client: details.client || null,
+        changes,
+        etag: getEtag(content)
+    };
+
+    revisions.push(revision);
+    const removed = revisions.splice(0, Math.max(0, revisions.length - MAX_REVISIONS));
+
+    queueWrite(async () => {
+        await fs.mkdir(SNAPSHOTS_DIR, { recursive: true });
+        await fs.writeFile(getSnapshotPath(revision.id), content);
+        await Promise.all(removed.map(old => fs.unlink(getSnapshotPath(old.id)).catch(() => {})));
+        await fs.writeFile(INDEX_FILE, JSON.stringify(revisions, null, 2));
+    });
+
+    return revision;
+}
+
+/**
+ * Describe a change for the revision list, e.g. "Deleted workflow build"
+ */
+function summarize({ action, entityType, entityId, summary }) {
+    if (summary) return summary;
+    const label = ACTION_LABELS[action] || action;
+    return entityType ? `${label} ${entityType} ${entityId}` : `${label} services.json`;
+}
+
+/**
+ * Record a change to services.json
+ *
+ * previousContent: the file before the change (null if it didn't exist)
+ * content: the file after the change
+ * change: { action, entityType, entityId, summary, client } - action is
+ * create|update|delete|restore; entityType is service|command|workflow, or
+ * null for changes to the whole file
+ *
+ * Returns the new revision, or null if the content didn't change
+ */
+async function recordChange(previousContent, content, change) {
+    await loadHistory();
+
+    const last = revisions[revisions.length - 1];
+    if (previousContent !== null && (!last || last.etag !== getEtag(previousContent))) {
+        // The file as it was before any recorded change, or after edits by hand
+        const lastConfig = last ? await getSnapshot(last.id) : null;
+        addRevision(
+            {
+                action: last ? 'external' : 'initial',
+                summary: last ? 'Edited outside the Experiment Browser' : 'Configuration before the first recorded change'
+            },
+            previousContent,
+            last ? diffConfigs(lastConfig, parseContent(previousContent)) : []
+        );
+    }
+
+    if (previousContent === content) {
+        return null;
+    }
+
+    const revision = addRevision(
+        { ...change, summary: summarize(change) },
+        content,
+        diffConfigs(parseContent(previousContent), parseContent(content))
+    );
+    await writeChain;
+    return revision;
+}
+
+/**
+ * List revisions, newest first
+ *
+ * filters: { entityType, entityId, limit, offset }
+ */
+async function listRevisions(filters = {}) {
+    await loadHistory();
+
+    const matching = revisions.filter((revision) => {
+        if (filters.entityType && revision.entityType !== filters.entityType) return false;
+        if (filters.entityId && revision.entityId !== filters.entityId) return false;
+        return true;
+    }).reverse();
+
+    const offset = Math.max(0, parseInt(filters.offset) || 0);
+    const limit = Math.max(1, parseInt(filters.limit) || 50);
+
+    return {
+        total: matching.length,
+        revisions: matching.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Get a single revision (without its snapshot)
+ */
+async function getRevision(revisionId) {
+    await loadHistory();
+    return revisions.find(revision => revision.id === Number(revisionId)) || null;
+}
+
+/**
+ * Get the revision recorded before another one, or null if it's the oldest kept
+ */
+async function getPreviousRevision(revisionId) {
+    await loadHistory();
+    const index = revisions.findIndex(revision => revision.id === Number(revisionId));
+    return index > 0 ? revisions[index - 1] : null;
+}
+
+/**
+ * Read the config as it was at a revision, or null if its snapshot is gone
+ * (or, for a file edited by hand, wasn't valid JSON)
+ */
+async function getSnapshot(revisionId) {
+    try {
+        await writeChain;
+        return parseContent(await fs.readFile(getSnapshotPath(revisionId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Apply an item (or the whole file) from a snapshot to a config
+ * An item that doesn't exist in the snapshot is removed
+ * Returns the new config
+ */
+function applySnapshot(config, snapshot, entityType = null, entityId = null) {
+    if (!entityType) {
+        return snapshot;
+    }
+
+    const section = SECTIONS[entityType];
+    const restored = { ...config, [section]: { ...config[section] } };
+    const item = (snapshot[section] || {})[entityId];
+    if (item === undefined) {
+        delete restored[section][entityId];
+    } else {
+        restored[section][entityId] = item;
+    }
+    return restored;
+}
+
+module.exports = {
+    SECTIONS,
+    diffConfigs,
+    recordChange,
+    listRevisions,
+    getRevision,
+    getPreviousRevision,
+    getSnapshot,
+    applySnapshot
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const configHistory = require('./configHistory');
+
+test('diffConfigs lists added, removed and changed fields with their paths', () => {
+    const before = {
+        services: { api: { command: 'npm start', ports: { http: 3000 } } },
+        workflows: { build: { steps: [{ type: 'custom-command', command: 'make' }] } }
+    };
+    const after = {
+        services: { api: { command: 'npm run dev', ports: { http: 3000 }, workingDir: 'api' } },
+        workflows: { build: { steps: [{ type: 'custom-command', command: 'make' }, { type: 'custom-command', command: 'test' }] } },
+        commands: {}
+    };
+
+    assert.deepEqual(configHistory.diffConfigs(before, after), [
+        { path: 'services.api.command', type: 'changed', before: 'npm start', after: 'npm run dev' },
+        { path: 'services.api.workingDir', type: 'added', after: 'api' },
+        { path: 'workflows.build.steps[1]', type: 'added', after: { type: 'custom-command', command: 'test' } },
+        { path: 'commands', type: 'added', after: {} }
+    ]);
+});
+
+test('diffConfigs can be limited to one item', () => {
+    const before = { services: { api: { command: 'a' }, db: { command: 'b' } } };
+    const after = { services: { db: { command: 'c' } } };
+
+    assert.deepEqual(configHistory.diffConfigs(before, after, 'service', 'api'), [
+        { path: 'services.api', type: 'removed', before: { command: 'a' } }
+    ]);
+    assert.deepEqual(configHistory.diffConfigs(null, after, 'service', 'db'), [
+        { path: 'services.db', type: 'added', after: { command: 'c' } }
+    ]);
+});
+
+test('applySnapshot restores one item, or removes it if it did not exist then', () => {
+    const config = { services: { api: { command: 'new' }, db: { command: 'db' } }, commands: {} };
+    const snapshot = { services: { api: { command: 'old' } } };
+
+    assert.deepEqual(configHistory.applySnapshot(config, snapshot, 'service', 'api').services, {
+        api: { command: 'old' },
+        db: { command: 'db' }
+    });
+    assert.deepEqual(configHistory.applySnapshot(config, snapshot, 'service', 'db').services, { api: { command: 'new' } });
+    assert.deepEqual(config.services.api, { command: 'new' });
+    assert.equal(configHistory.applySnapshot(config, snapshot), snapshot);
+});
+
+test('recordChange keeps revisions with snapshots and notices edits made by hand', async (t) => {
+    const previousCwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-history-test-'));
+    process.chdir(dir);
+    t.after(() => {
+        process.chdir(previousCwd);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const v1 = JSON.stringify({ services: { api: { command: 'a' } } });
+    const v2 = JSON.stringify({ services: { api: { command: 'b' } } });
+    const edited = JSON.stringify({ services: { api: { command: 'by hand' } } });
+    const v3 = JSON.stringify({ services: {} });
+
+    const update = await configHistory.recordChange(v1, v2, { action: 'update', entityType: 'service', entityId: 'api' });
+    assert.equal(update.summary, 'Updated service api');
+    assert.deepEqual(update.changes, [{ path: 'services.api.command', type: 'changed', before: 'a', after: 'b' }]);
+
+    assert.equal(await configHistory.recordChange(v2, v2, { action: 'update' }), null);
+
+    const deletion = await configHistory.recordChange(edited, v3, { action: 'delete', entityType: 'service', entityId: 'api' });
+    assert.equal(deletion.summary, 'Deleted service api');
+
+    const { total, revisions } = await configHistory.listRevisions();
+    assert.equal(total, 4);
+    assert.deepEqual(revisions.map(revision => revision.action), ['delete', 'external', 'update', 'initial']);
+    assert.deepEqual(revisions[1].changes, [
+        { path: 'services.api.command', type: 'changed', before: 'b', after: 'by hand' }
+    ]);
+
+    assert.deepEqual(await configHistory.getSnapshot(update.id), JSON.parse(v2));
+    assert.equal((await configHistory.getPreviousRevision(deletion.id)).action, 'external');
+    assert.equal((await configHistory.listRevisions({ entityType: 'service', entityId: 'api', limit: 1 })).revisions[0].id, deletion.id);
+    assert.ok(fs.existsSync(path.join(dir, 'data', 'config-history.json')));
+});
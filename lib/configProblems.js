@@ -0,0 +1,59 @@
+const { validatePorts } = require('./portAllocator');
+const { validateServiceDependencies } = require('./serviceDependencies');
+const { validateWorkflow, findWorkflowCycle } = require('./workflowGraph');
+
+/**
+ * Checks of services.json beyond its schema
+ *
+ * The schema checks each item on its own; these check items against each
+ * other: references to services, commands and workflows that don't exist,
+ * port conflicts, invalid step graphs and cycles.
+ */
+
+// Step fields that refer to another configured item: field -> config section
+const STEP_REFERENCES = {
+    'existing-service': ['serviceId', 'services'],
+    'existing-command': ['commandId', 'commands'],
+    workflow: ['workflowId', 'workflows']
+};
+
+/**
+ * Find the problems the schema can't catch: references to services, commands
+ * and workflows that don't exist, port conflicts, invalid step graphs and cycles
+ */
+function findConfigProblems(config) {
+    const errors = [];
+    const services = config.services || {};
+    const workflows = config.workflows || {};
+    
+    Object.entries(services).forEach(([serviceId, service]) => {
+        validatePorts(service.ports).forEach(error => errors.push(`services.${serviceId}.ports: ${error}`));
+        validateServiceDependencies(services, serviceId).forEach(error => errors.push(`services.${serviceId}.dependsOn: ${error}`));
+    });
+    
+    Object.entries(workflows).forEach(([workflowId, workflow]) => {
+        validateWorkflow(workflow).forEach(error => errors.push(`workflows.${workflowId}: ${error}`));
+        
+        ['steps', 'onFailure'].forEach((field) => {
+            (workflow[field] || []).forEach((step, index) => {
+                const reference = STEP_REFERENCES[step.type];
+                if (!reference) return;
+                const [key, section] = reference;
+                if (step[key] && !(config[section] || {})[step[key]]) {
+                    errors.push(`workflows.${workflowId}.${field}[${index}].${key}: unknown ${section.slice(0, -1)} "${step[key]}"`);
+                }
+            });
+        });
+    });
+    
+    const cycle = findWorkflowCycle(workflows);
+    if (cycle) {
+        errors.push(`workflows: Nested workflows form a cycle: ${cycle.join(' -> ')}`);
+    }
+    
+    return errors;
+}
+
+module.exports = {
+    findConfigProblems
+};
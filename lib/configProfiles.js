@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const path = require('path');
+const atomicFile = require('./atomicFile');
+
+/**
+ * Profiles: named sets of overrides layered over services.json
+ *
+ * services.json can define profiles (e.g. "local", "demo", "perf-test") in its
+ * `profiles` section. A profile overrides fields of existing services,
+ * commands and workflows; objects such as `env` and `ports` are merged field
+ * by field, anything else (including arrays such as `steps`) is replaced.
+ *
+ * The active profile is a choice of this machine rather than of the team, so
+ * it is kept in data/active-profile.json instead of services.json.
+ */
+
+const ACTIVE_PROFILE_FILE = './data/active-profile.json';
+
+// Sections a profile can override -> item type
+const SECTIONS = {
+    services: 'service',
+    commands: 'command',
+    workflows: 'workflow'
+};
+
+// Active profile name, null for none; undefined until read from disk
+let activeProfile;
+
+/**
+ * Check if a value is a plain object (not an array or null)
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge an override into a value: objects field by field, anything else replaced
+ */
+function mergeValues(base, override) {
+    if (!isObject(base) || !isObject(override)) {
+        return override;
+    }
+
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = mergeValues(base[key], value);
+    });
+    return merged;
+}
+
+/**
+ * Get the name of the active profile, or null if none is active
+ */
+async function getActiveProfile() {
+    if (activeProfile === undefined) {
+        try {
+            const saved = JSON.parse(await fs.readFile(ACTIVE_PROFILE_FILE, 'utf8'));
+            activeProfile = typeof saved.profile === 'string' ? saved.profile : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[ConfigProfiles] Failed to read the active profile, using none:', error.message);
+            }
+            activeProfile = null;
+        }
+    }
+    return activeProfile;
+}
+
+/**
+ * Make a profile (or none, with null) the active one
+ */
+async function setActiveProfile(name) {
+    await fs.mkdir(path.dirname(ACTIVE_PROFILE_FILE), { recursive: true });
+    await atomicFile.writeFileAtomic(ACTIVE_PROFILE_FILE, JSON.stringify({ profile: name }, null, 2));
+    activeProfile = name;
+}
+
+/**
+ * Get the effective config with a profile's overrides applied
+ * Overrides of items that don't exist are ignored (see findProfileProblems)
+ */
+function applyProfile(config, name) {
+    const profile = (config.profiles || {})[name];
+    if (!profile) return config;
+
+    const effective = { ...config };
+    Object.keys(SECTIONS).forEach((section) => {
+        const items = { ...config[section] };
+        Object.entries(profile[section] || {}).forEach(([id, override]) => {
+            if (items[id]) {
+                items[id] = mergeValues(items[id], override);
+            }
+        });
+        effective[section] = items;
+    });
+    return effective;
+}
+
+/**
+ * List the profiles defined in a config
+ * Returns Array<{ name, description, overrides: { services: ids, commands: ids, workflows: ids } }>
+ */
+function listProfiles(config) {
+    return Object.entries(config.profiles || {}).map(([name, profile]) => ({
+        name,
+        description: profile.description || '',
+        overrides: Object.fromEntries(Object.keys(SECTIONS).map(section => [section, Object.keys(profile[section] || {})]))
+    }));
+}
+
+/**
+ * Find overrides of services, commands and workflows that don't exist
+ */
+function findProfileProblems(config) {
+    const errors = [];
+    Object.entries(config.profiles || {}).forEach(([name, profile]) => {
+        Object.entries(SECTIONS).forEach(([section, type]) => {
+            Object.keys(profile[section] || {}).forEach((id) => {
+                if (!(config[section] || {})[id]) {
+                    errors.push(`profiles.${name}.${section}.${id}: unknown ${type} "${id}"`);
+                }
+            });
+        });
+    });
+    return errors;
+}
+
+module.exports = {
+    getActiveProfile,
+    setActiveProfile,
+    applyProfile,
+    listProfiles,
+    findProfileProblems
+};
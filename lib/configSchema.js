@@ -0,0 +1,362 @@
+/**
+ * Schema for services.json
+ *
+ * SCHEMA describes services, commands, workflows (and their steps), profiles
+ * and settings as a JSON Schema (draft-07). Configs are checked against it with a
+ * small built-in validator supporting the keywords used here: $ref, type,
+ * enum, const, minimum, maximum, exclusiveMinimum, minLength, items,
+ * properties, required, additionalProperties, allOf and if/then.
+ *
+ * Every problem is reported with the path of the field, e.g.
+ * `workflows.build.steps[1].retries: must be at least 0, got -1`. Unknown
+ * fields are reported as warnings rather than errors: they are usually typos,
+ * but they don't stop anything from running.
+ */
+
+const STEP_TYPES = ['existing-service', 'existing-command', 'custom-command', 'custom-service', 'workflow'];
+
+// Field each condition type needs, besides `type`
+const CONDITION_FIELDS = {
+    'file-exists': 'path',
+    'file-missing': 'path',
+    'step-succeeded': 'step',
+    'step-failed': 'step',
+    'service-running': 'serviceId',
+    'service-not-running': 'serviceId'
+};
+
+// Fields each step type needs, besides `type`
+const STEP_REQUIRED_FIELDS = {
+    'existing-service': ['serviceId'],
+    'existing-command': ['commandId'],
+    'custom-command': ['command'],
+    'custom-service': ['serviceId', 'command'],
+    workflow: ['workflowId']
+};
+
+const nonNegative = { type: 'number', minimum: 0 };
+const positive = { type: 'number', exclusiveMinimum: 0 };
+
+const SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Experiment Browser services.json',
+    type: 'object',
+    properties: {
+        services: { type: 'object', additionalProperties: { $ref: '#/definitions/service' } },
+        commands: { type: 'object', additionalProperties: { $ref: '#/definitions/command' } },
+        workflows: { type: 'object', additionalProperties: { $ref: '#/definitions/workflow' } },
+        profiles: { type: 'object', additionalProperties: { $ref: '#/definitions/profile' } },
+        settings: { $ref: '#/definitions/settings' }
+    },
+    additionalProperties: false,
+    definitions: {
+        env: {
+            type: 'object',
+            additionalProperties: { type: ['string', 'number', 'boolean', 'null'] }
+        },
+        service: {
+            type: 'object',
+            required: ['command'],
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                type: { enum: ['service'] }, // Written by older versions
+                workingDir: { type: 'string' },
+                command: { type: 'string', minLength: 1 },
+                env: { $ref: '#/definitions/env' },
+                envFile: { type: 'string' },
+                pty: { type: 'boolean' },
+                dependsOn: { type: 'array', items: { type: 'string', minLength: 1 } },
+                ports: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: ['integer', 'null', 'object'],
+                        minimum: 1,
+                        maximum: 65535,
+                        properties: {
+                            port: { type: ['integer', 'null'], minimum: 1, maximum: 65535 },
+                            fixed: { type: 'boolean' },
+                            env: { type: 'string', minLength: 1 }
+                        },
+                        additionalProperties: false
+                    }
+                },
+                proxyPort: { type: ['integer', 'string'] },
+                readinessProbe: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: {
+                        type: { enum: ['http', 'tcp', 'log'] },
+                        url: { type: 'string', minLength: 1 },
+                        host: { type: 'string' },
+                        port: { type: 'integer', minimum: 1, maximum: 65535 },
+                        pattern: { type: 'string', minLength: 1 },
+                        timeout: positive,
+                        interval: positive
+                    },
+                    additionalProperties: false,
+                    allOf: [
+                        { if: { required: ['type'], properties: { type: { const: 'http' } } }, then: { required: ['url'] } },
+                        { if: { required: ['type'], properties: { type: { const: 'tcp' } } }, then: { required: ['port'] } },
+                        { if: { required: ['type'], properties: { type: { const: 'log' } } }, then: { required: ['pattern'] } }
+                    ]
+                },
+                restartPolicy: {
+                    type: 'object',
+                    properties: {
+                        policy: { enum: ['never', 'on-failure', 'always'] },
+                        maxRetries: { type: 'integer', minimum: 0 },
+                        backoff: positive,
+                        maxBackoff: positive,
+                        stablePeriod: positive
+                    },
+                    additionalProperties: false
+                },
+                stopGracePeriod: nonNegative
+            },
+            additionalProperties: false
+        },
+        command: {
+            type: 'object',
+            required: ['command'],
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                type: { enum: ['command'] }, // Written by older versions
+                workingDir: { type: 'string' },
+                command: { type: 'string', minLength: 1 },
+                env: { $ref: '#/definitions/env' },
+                envFile: { type: 'string' },
+                pty: { type: 'boolean' }
+            },
+            additionalProperties: false
+        },
+        condition: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { enum: Object.keys(CONDITION_FIELDS) },
+                path: { type: 'string', minLength: 1 },
+                step: { type: 'string', minLength: 1 },
+                serviceId: { type: 'string', minLength: 1 }
+            },
+            additionalProperties: false,
+            allOf: Object.entries(CONDITION_FIELDS).map(([type, field]) => ({
+                if: { required: ['type'], properties: { type: { const: type } } },
+                then: { required: [field] }
+            }))
+        },
+        step: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                name: { type: 'string' },
+                type: { enum: STEP_TYPES },
+                serviceId: { type: 'string', minLength: 1 },
+                commandId: { type: 'string', minLength: 1 },
+                workflowId: { type: 'string', minLength: 1 },
+                command: { type: 'string', minLength: 1 },
+                params: { type: 'object' },
+                workingDir: { type: 'string' },
+                env: { $ref: '#/definitions/env' },
+                envFile: { type: 'string' },
+                pty: { type: 'boolean' },
+                dependsOn: { type: 'array', items: { type: 'string', minLength: 1 } },
+                when: {
+                    type: ['object', 'array'],
+                    items: { $ref: '#/definitions/condition' },
+                    allOf: [{ if: { type: 'object' }, then: { $ref: '#/definitions/condition' } }]
+                },
+                delay: nonNegative,
+                retries: { type: 'integer', minimum: 0 },
+                retryDelay: nonNegative,
+                timeout: nonNegative,
+                continueOnError: { type: 'boolean' }
+            },
+            additionalProperties: false,
+            allOf: Object.entries(STEP_REQUIRED_FIELDS).map(([type, fields]) => ({
+                if: { required: ['type'], properties: { type: { const: type } } },
+                then: { required: fields }
+            }))
+        },
+        workflow: {
+            type: 'object',
+            required: ['steps'],
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                workingDir: { type: 'string' },
+                env: { $ref: '#/definitions/env' },
+                envFile: { type: 'string' },
+                params: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            type: { enum: ['string', 'number', 'boolean'] },
+                            default: { type: ['string', 'number', 'boolean'] },
+                            description: { type: 'string' }
+                        },
+                        additionalProperties: false
+                    }
+                },
+                steps: { type: 'array', items: { $ref: '#/definitions/step' } },
+                onFailure: { type: 'array', items: { $ref: '#/definitions/step' } }
+            },
+            additionalProperties: false
+        },
+        // Overrides only: the config they are applied to is checked as a whole (see configProfiles)
+        profile: {
+            type: 'object',
+            properties: {
+                description: { type: 'string' },
+                services: { type: 'object', additionalProperties: { type: 'object' } },
+                commands: { type: 'object', additionalProperties: { type: 'object' } },
+                workflows: { type: 'object', additionalProperties: { type: 'object' } }
+            },
+            additionalProperties: false
+        },
+        settings: {
+            type: 'object',
+            properties: {
+                console: {
+                    type: 'object',
+                    properties: {
+                        bufferSize: { type: 'integer', minimum: 1 },
+                        maxFileSize: { type: 'integer', minimum: 1 },
+                        maxFiles: { type: 'integer', minimum: 1 },
+                        maxAgeDays: positive
+                    },
+                    additionalProperties: false
+                },
+                orphanPolicy: { enum: ['reattach', 'kill', 'forget'] }
+            },
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * Get the JSON type of a value ("integer" counts as "number" here)
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check if a value has one of a schema's types
+ */
+function matchesType(value, types) {
+    return [].concat(types).some((type) => {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return Number.isFinite(value);
+        return typeOf(value) === type;
+    });
+}
+
+/**
+ * Append an object key or array index to a field path
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a `$ref` to one of the schema's definitions
+ */
+function resolveRef(schema) {
+    return schema.$ref ? SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema;
+}
+
+/**
+ * Check a value against a schema, adding problems to result { errors, warnings }
+ */
+function check(value, rawSchema, path, result) {
+    const schema = resolveRef(rawSchema);
+    const label = path || '(root)';
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        const types = [].concat(schema.type);
+        const expected = types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types[types.length - 1]}` : types[0];
+        result.errors.push(`${label}: must be ${expected}, got ${typeOf(value)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        result.errors.push(`${label}: must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        result.errors.push(`${label}: must be ${JSON.stringify(schema.const)}`);
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            result.errors.push(`${label}: must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            result.errors.push(`${label}: must be at most ${schema.maximum}, got ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            result.errors.push(`${label}: must be greater than ${schema.exclusiveMinimum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        result.errors.push(`${label}: must not be empty`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => check(item, schema.items, joinPath(path, index), result));
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                result.errors.push(`${joinPath(path, key)}: is required`);
+            }
+        });
+        Object.entries(value).forEach(([key, fieldValue]) => {
+            if (fieldValue === undefined) return;
+            if (schema.properties && schema.properties[key]) {
+                check(fieldValue, schema.properties[key], joinPath(path, key), result);
+            } else if (schema.additionalProperties === false) {
+                result.warnings.push(`${joinPath(path, key)}: unknown field (ignored)`);
+            } else if (schema.additionalProperties) {
+                check(fieldValue, schema.additionalProperties, joinPath(path, key), result);
+            }
+        });
+    }
+
+    (schema.allOf || []).forEach((subschema) => {
+        if (subschema.if) {
+            const test = { errors: [], warnings: [] };
+            check(value, subschema.if, path, test);
+            if (test.errors.length === 0) {
+                check(value, subschema.then, path, result);
+            }
+        } else {
+            check(value, subschema, path, result);
+        }
+    });
+}
+
+/**
+ * Validate a value against the schema (or one of its definitions, e.g. 'service')
+ * path prefixes the reported field paths, e.g. "services.api"
+ * Returns { errors, warnings }
+ */
+function validate(value, definition = null, path = '') {
+    const result = { errors: [], warnings: [] };
+    check(value, definition ? SCHEMA.definitions[definition] : SCHEMA, path, result);
+    return result;
+}
+
+module.exports = {
+    SCHEMA,
+    validate
+};
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const configSchema = require('./configSchema');
+
+test('a valid config has no errors or warnings', () => {
+    const result = configSchema.validate({
+        services: {
+            api: {
+                command: 'npm run dev',
+                env: { PORT: 3000, DEBUG: true, EMPTY: null },
+                restartPolicy: { policy: 'on-failure', maxRetries: 3, stablePeriod: 60000 }
+            }
+        },
+        commands: { build: { command: 'npm run build' } },
+        workflows: {
+            release: {
+                steps: [
+                    { id: 'build', type: 'existing-command', commandId: 'build' },
+                    { type: 'existing-service', serviceId: 'api', when: [{ type: 'step-succeeded', step: 'build' }] }
+                ]
+            }
+        }
+    });
+
+    assert.deepEqual(result, { errors: [], warnings: [] });
+});
+
+test('errors carry the path of the field', () => {
+    const result = configSchema.validate({
+        services: { api: { restartPolicy: { policy: 'sometimes', maxRetries: -1 } } }
+    });
+
+    assert.deepEqual(result.errors, [
+        'services.api.command: is required',
+        'services.api.restartPolicy.policy: must be one of never, on-failure, always, got "sometimes"',
+        'services.api.restartPolicy.maxRetries: must be at least 0, got -1'
+    ]);
+});
+
+test('unknown fields are warnings, not errors', () => {
+    const result = configSchema.validate({ services: { api: { command: 'x', comand: 'typo' } } });
+
+    assert.deepEqual(result, { errors: [], warnings: ['services.api.comand: unknown field (ignored)'] });
+});
+
+test('steps require the fields of their type and conditions those of theirs', () => {
+    const result = configSchema.validate({
+        workflows: {
+            build: {
+                steps: [
+                    { type: 'existing-service' },
+                    { type: 'custom-command', command: 'make', retries: -1, when: { type: 'file-exists' } },
+                    { type: 'teleport' }
+                ]
+            }
+        }
+    });
+
+    assert.deepEqual(result.errors, [
+        'workflows.build.steps[0].serviceId: is required',
+        'workflows.build.steps[1].retries: must be at least 0, got -1',
+        'workflows.build.steps[1].when.path: is required',
+        'workflows.build.steps[2].type: must be one of existing-service, existing-command, custom-command, custom-service, workflow, got "teleport"'
+    ]);
+});
+
+test('a single definition can be validated with a path prefix', () => {
+    const result = configSchema.validate({ command: '', env: { A: {} } }, 'command', 'commands.c');
+
+    assert.deepEqual(result.errors, [
+        'commands.c.command: must not be empty',
+        'commands.c.env.A: must be string, number, boolean or null, got object'
+    ]);
+});
+
+test('the root must be an object', () => {
+    assert.deepEqual(configSchema.validate([]).errors, ['(root): must be object, got array']);
+});
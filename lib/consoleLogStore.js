@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent console logs
+ *
+ * Every console message is appended to data/console-logs/<processId>.log as
+ * one JSON line ({ seq, type, data, timestamp }), so output that has dropped
+ * out of the in-memory buffer (or was written before a restart) can still be
+ * paged in. When a log grows past maxFileSize it is rotated to .log.1, .log.2,
+ * ... keeping maxFiles rotated files; logs not written to for maxAgeDays are
+ * removed on startup and whenever a log rotates.
+ *
+ * Log file names are process IDs with characters unsafe in file names replaced
+ * by "_" (e.g. nested workflow consoles); lines of such logs also carry the
+ * real `processId`, so it can be recovered from the log.
+ */
+
+const LOGS_DIR = './data/console-logs';
+
+const DEFAULT_OPTIONS = {
+    maxFileSize: 5 * 1024 * 1024,
+    maxFiles: 5,
+    maxAgeDays: 7
+};
+
+// How much of the end of a log to read when looking for its last message
+const TAIL_READ_SIZE = 64 * 1024;
+
+// Logs are closed after this long without output, so finished commands don't hold descriptors
+const IDLE_CLOSE_DELAY = 60 * 1000;
+
+let options = { ...DEFAULT_OPTIONS };
+
+// Open logs: processId -> { stream, size, idleTimer }
+const writers = new Map();
+
+/**
+ * Apply log size and age limits (unknown or invalid values keep their defaults)
+ */
+function configure(settings = {}) {
+    options = { ...DEFAULT_OPTIONS };
+    Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+        const value = settings[key];
+        if (Number.isFinite(value) && value > 0) {
+            options[key] = key === 'maxFiles' ? Math.floor(value) : value;
+        } else if (value !== undefined) {
+            console.warn(`[ConsoleLogStore] Invalid console setting ${key}: ${value}, using ${DEFAULT_OPTIONS[key]}`);
+        }
+    });
+    return { ...options };
+}
+
+/**
+ * Get the name of a process's log: its ID made safe for a file name
+ */
+function getLogName(processId) {
+    return String(processId).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * Get the path of a process's log (index 0) or one of its rotated logs
+ */
+function getLogPath(processId, index = 0) {
+    const name = `${getLogName(processId)}.log`;
+    return path.join(LOGS_DIR, index === 0 ? name : `${name}.${index}`);
+}
+
+/**
+ * Check if a process has anything logged on disk
+ */
+function hasLog(processId) {
+    return fs.existsSync(getLogPath(processId)) || fs.existsSync(getLogPath(processId, 1));
+}
+
+/**
+ * Get the open log of a process, opening it if needed
+ */
+function getWriter(processId) {
+    let writer = writers.get(processId);
+    if (writer) return writer;
+
+    fs.mkdirSync(LOGS_DIR, { recursive: true });
+
+    const file = getLogPath(processId);
+    let size = 0;
+    try {
+        size = fs.statSync(file).size;
+    } catch {
+        // New log
+    }
+
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', (error) => {
+        console.error(`[ConsoleLogStore] Failed to write log for ${processId}:`, error.message);
+        if (writers.get(processId) === writer) closeLog(processId);
+    });
+    const idleTimer = setTimeout(() => closeLog(processId), IDLE_CLOSE_DELAY);
+    idleTimer.unref();
+
+    writer = { stream, size, idleTimer };
+    writers.set(processId, writer);
+    return writer;
+}
+
+/**
+ * Rotate a process's log: .log -> .log.1 -> .log.2 ..., dropping the oldest
+ * Pending writes still land in the renamed file, since the stream keeps its descriptor
+ */
+function rotate(processId) {
+    closeLog(processId);
+
+    try {
+        fs.rmSync(getLogPath(processId, options.maxFiles), { force: true });
+        for (let index = options.maxFiles - 1; index >= 0; index--) {
+            const from = getLogPath(processId, index);
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, getLogPath(processId, index + 1));
+            }
+        }
+    } catch (error) {
+        console.error(`[ConsoleLogStore] Failed to rotate log for ${processId}:`, error.message);
+    }
+    pruneLogs();
+}
+
+/**
+ * Stop writing a process's log (it is reopened on the next message)
+ */
+function closeLog(processId) {
+    const writer = writers.get(processId);
+    if (writer) {
+        clearTimeout(writer.idleTimer);
+        writer.stream.end();
+        writers.delete(processId);
+    }
+}
+
+/**
+ * Remove a process's log and its rotated logs
+ */
+function removeLog(processId) {
+    closeLog(processId);
+    for (let index = 0; index <= options.maxFiles; index++) {
+        try {
+            fs.rmSync(getLogPath(processId, index), { force: true });
+        } catch (error) {
+            console.error(`[ConsoleLogStore] Failed to remove log for ${processId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Append a message to a process's log
+ */
+function appendMessage(processId, message) {
+    try {
+        const logged = getLogName(processId) === processId ? message : { ...message, processId };
+        const line = `${JSON.stringify(logged)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        let writer = getWriter(processId);
+        if (writer.size > 0 && writer.size + bytes > options.maxFileSize) {
+            rotate(processId);
+            writer = getWriter(processId);
+        }
+
+        writer.stream.write(line);
+        writer.size += bytes;
+        writer.idleTimer.refresh();
+    } catch (error) {
+        console.error(`[ConsoleLogStore] Failed to log output for ${processId}:`, error.message);
+    }
+}
+
+/**
+ * Parse the messages in a log, skipping partial or corrupt lines
+ * keepProcessId: keep the `processId` of each line (left out of messages otherwise)
+ */
+function parseLines(content, { keepProcessId = false } = {}) {
+    const messages = [];
+    content.split('\n').forEach((line) => {
+        if (!line) return;
+        try {
+            const { processId, ...message } = JSON.parse(line);
+            if (Number.isInteger(message.seq)) messages.push(keepProcessId ? { ...message, processId } : message);
+        } catch {
+            // Torn write (e.g. the Experiment Browser was killed mid-line)
+        }
+    });
+    return messages;
+}
+
+/**
+ * Get the sequence number of the last message logged for a process, or -1
+ * Used to continue numbering after a restart
+ */
+function getLastSeq(processId) {
+    for (let index = 0; index <= options.maxFiles; index++) {
+        const file = getLogPath(processId, index);
+        let fd;
+        try {
+            fd = fs.openSync(file, 'r');
+            const { size } = fs.fstatSync(fd);
+            const length = Math.min(size, TAIL_READ_SIZE);
+            const buffer = Buffer.alloc(length);
+            fs.readSync(fd, buffer, 0, length, size - length);
+            const messages = parseLines(buffer.toString('utf8'));
+            if (messages.length > 0) {
+                return messages[messages.length - 1].seq;
+            }
+        } catch {
+            // No such log
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+    return -1;
+}
+
+/**
+ * Read up to `limit` logged messages with seq below `before` and at least `after`,
+ * oldest first, newest log files first so older rotations are only read when needed
+ * maxBytes: stop reading older log files once this much has been read
+ * Returns { messages, hasMore }
+ */
+async function readMessages(processId, { before = Infinity, after = 0, limit, maxBytes = Infinity }) {
+    let found = [];
+    let hasMore = false;
+    let bytesRead = 0;
+
+    for (let index = 0; index <= options.maxFiles; index++) {
+        if (bytesRead >= maxBytes) {
+            hasMore = true;
+            break;
+        }
+
+        let content;
+        try {
+            content = await fs.promises.readFile(getLogPath(processId, index), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+        bytesRead += content.length;
+
+        const messages = parseLines(content).filter(message => message.seq < before && message.seq >= after);
+        found = messages.concat(found);
+        if (found.length > limit) {
+            hasMore = true;
+            break;
+        }
+    }
+
+    return { messages: limit > 0 ? found.slice(-limit) : [], hasMore };
+}
+
+/**
+ * Get the ID of the process a log belongs to, from the last line of the log
+ * name: a process ID or log name; returns it unchanged for logs of
+ * processes whose ID is its own log name (or that have no log)
+ */
+async function getLoggedProcessId(name) {
+    let handle;
+    try {
+        handle = await fs.promises.open(getLogPath(name), 'r');
+        const { size } = await handle.stat();
+        const length = Math.min(size, TAIL_READ_SIZE);
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, size - length);
+        const messages = parseLines(buffer.toString('utf8'), { keepProcessId: true });
+        const last = messages[messages.length - 1];
+        return (last && last.processId) || name;
+    } catch {
+        return name;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+/**
+ * List the IDs of the processes with a log on disk
+ */
+async function listLoggedProcesses() {
+    let files;
+    try {
+        files = await fs.promises.readdir(LOGS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const processIds = [];
+    for (const file of files.filter(name => name.endsWith('.log'))) {
+        processIds.push(await getLoggedProcessId(file.slice(0, -'.log'.length)));
+    }
+    return processIds;
+}
+
+/**
+ * Remove logs that have not been written to for maxAgeDays
+ */
+async function pruneLogs() {
+    const cutoff = Date.now() - options.maxAgeDays * 24 * 60 * 60 * 1000;
+    const open = new Set(Array.from(writers.keys()).map(processId => path.basename(getLogPath(processId))));
+
+    let files;
+    try {
+        files = await fs.promises.readdir(LOGS_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[ConsoleLogStore] Failed to read log directory:', error.message);
+        }
+        return 0;
+    }
+
+    let removed = 0;
+    for (const file of files) {
+        if (open.has(file)) continue;
+        try {
+            const { mtimeMs } = await fs.promises.stat(path.join(LOGS_DIR, file));
+            if (mtimeMs < cutoff) {
+                await fs.promises.unlink(path.join(LOGS_DIR, file));
+                removed++;
+            }
+        } catch {
+            // Removed concurrently
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    LOGS_DIR,
+    configure,
+    getLogName,
+    hasLog,
+    appendMessage,
+    removeLog,
+    getLastSeq,
+    readMessages,
+    getLoggedProcessId,
+    listLoggedProcesses,
+    pruneLogs
+};
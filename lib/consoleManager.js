@@ -1,17 +1,83 @@
+const consoleLogStore = require('./consoleLogStore');
+const consoleSearch = require('./consoleSearch');
+
 // Store process outputs and SSE connections
 const processOutputs = new Map(); // Store console output for each process
 const processTypes = new Map(); // Track if process is a service, command, or workflow
 const sseConnections = new Set(); // Store active SSE connections
+const processSecrets = new Map(); // Secret values to mask in each process's output
+const outputListeners = new Map(); // processId -> Set of listeners called for each new message
+
+const SECRET_MASK = '********';
+
+// Messages kept in memory per process; older output is paged in from the logs on disk
+const DEFAULT_BUFFER_SIZE = 1000;
+
+// Messages returned by one console output request
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 5000;
+
+let bufferSize = DEFAULT_BUFFER_SIZE;
+
+/**
+ * Apply settings.console from services.json: the in-memory buffer size and
+ * the size and age limits of the logs on disk
+ */
+function configure(settings = {}) {
+    const { bufferSize: size } = settings;
+    if (Number.isInteger(size) && size > 0) {
+        bufferSize = size;
+    } else {
+        if (size !== undefined) {
+            console.warn(`[ConsoleManager] Invalid console setting bufferSize: ${size}, using ${DEFAULT_BUFFER_SIZE}`);
+        }
+        bufferSize = DEFAULT_BUFFER_SIZE;
+    }
+    consoleLogStore.configure(settings);
+    consoleLogStore.pruneLogs();
+}
+
+/**
+ * Create a fixed-size buffer that overwrites its oldest message when full
+ */
+function createRingBuffer(capacity) {
+    return { items: new Array(capacity), start: 0, length: 0 };
+}
+
+/**
+ * Add a message to a ring buffer
+ */
+function pushToBuffer(buffer, message) {
+    const capacity = buffer.items.length;
+    buffer.items[(buffer.start + buffer.length) % capacity] = message;
+    if (buffer.length < capacity) {
+        buffer.length++;
+    } else {
+        buffer.start = (buffer.start + 1) % capacity;
+    }
+}
+
+/**
+ * Get the messages in a ring buffer, oldest first
+ */
+function bufferToArray(buffer) {
+    const messages = [];
+    for (let i = 0; i < buffer.length; i++) {
+        messages.push(buffer.items[(buffer.start + i) % buffer.items.length]);
+    }
+    return messages;
+}
 
 /**
  * Initialize console output tracking for a process
+ * Message numbering continues after the output logged on disk (e.g. before a restart)
  */
 function initializeConsoleOutput(processId) {
     if (!processOutputs.has(processId)) {
         processOutputs.set(processId, {
-            stdout: [],
-            stderr: [],
-            timestamps: [],
+            buffer: createRingBuffer(bufferSize),
+            nextSeq: consoleLogStore.getLastSeq(processId) + 1,
+            clearedBefore: 0, // Messages before this seq were cleared and are not paged in again
             status: 'running'
         });
         console.log(`Initialized console output tracking for process: ${processId}`);
@@ -26,6 +92,17 @@ function setProcessType(processId, type) {
     console.log(`Set process type for ${processId}: ${type}`);
 }
 
+/**
+ * Record the working directory of a process, so the console can resolve
+ * relative file paths in its output
+ */
+function setWorkingDirectory(processId, cwd) {
+    const output = processOutputs.get(processId);
+    if (output) {
+        output.cwd = cwd;
+    }
+}
+
 /**
  * Get process output for a specific process
  */
@@ -40,6 +117,34 @@ function getProcessType(processId) {
     return processTypes.get(processId) || 'unknown';
 }
 
+/**
+ * Register secret values that must be masked in a process's console output
+ */
+function addSecrets(processId, secrets) {
+    if (!secrets || secrets.length === 0) return;
+    
+    const existing = processSecrets.get(processId) || new Set();
+    secrets.forEach(secret => existing.add(secret));
+    processSecrets.set(processId, existing);
+}
+
+/**
+ * Replace any registered secret values in a chunk of output
+ */
+function maskSecrets(processId, text) {
+    const secrets = processSecrets.get(processId);
+    if (!secrets) return text;
+    
+    // Replace longer secrets first so overlapping values are fully masked
+    let masked = text;
+    Array.from(secrets)
+        .sort((a, b) => b.length - a.length)
+        .forEach(secret => {
+            masked = masked.split(secret).join(SECRET_MASK);
+        });
+    return masked;
+}
+
 /**
  * Add output to process console log
  */
@@ -50,23 +155,25 @@ function addConsoleOutput(processId, type, data) {
         return;
     }
     
+    const text = maskSecrets(processId, data.toString());
     const timestamp = new Date().toISOString();
     const message = {
+        seq: output.nextSeq++,
         type,
-        data: data.toString(),
+        data: text,
         timestamp
     };
     
-    if (type === 'stdout') {
-        output.stdout.push(message);
-    } else if (type === 'stderr') {
-        output.stderr.push(message);
-    }
-    
-    output.timestamps.push(message);
+    pushToBuffer(output.buffer, message);
+    consoleLogStore.appendMessage(processId, message);
     
     // Log to console for debugging
-    console.log(`[${processId}] ${type}: ${data.toString().trim()}`);
+    console.log(`[${processId}] ${type}: ${text.trim()}`);
+    
+    const listeners = outputListeners.get(processId);
+    if (listeners) {
+        listeners.forEach(listener => listener(message));
+    }
     
     // Broadcast to active console viewers
     broadcastConsoleUpdate(processId, message);
@@ -104,6 +211,44 @@ function broadcastConsoleUpdate(processId, message) {
     }
 }
 
+/**
+ * Listen for new output of a process (e.g. to capture it in the run history)
+ * Returns a function that removes the listener
+ */
+function addOutputListener(processId, listener) {
+    if (!outputListeners.has(processId)) {
+        outputListeners.set(processId, new Set());
+    }
+    outputListeners.get(processId).add(listener);
+    
+    return () => {
+        const listeners = outputListeners.get(processId);
+        if (listeners) {
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                outputListeners.delete(processId);
+            }
+        }
+    };
+}
+
+/**
+ * Broadcast a structured (non-output) event, such as workflow step progress,
+ * to all active SSE connections
+ */
+function broadcastEvent(event) {
+    const eventData = JSON.stringify(event);
+    
+    sseConnections.forEach((connection) => {
+        try {
+            connection.write(`data: ${eventData}\n\n`);
+        } catch (error) {
+            console.error(`Failed to send event to connection:`, error);
+            sseConnections.delete(connection);
+        }
+    });
+}
+
 /**
  * Clear console output for a specific process
  */
@@ -111,10 +256,9 @@ function clearConsoleOutput(processId) {
     const output = processOutputs.get(processId);
     
     if (output) {
-        // Clear all output arrays but keep the process entry
-        output.stdout = [];
-        output.stderr = [];
-        output.timestamps = [];
+        // Clear the buffer but keep the process entry; the log on disk is kept
+        output.buffer = createRingBuffer(bufferSize);
+        output.clearedBefore = output.nextSeq;
         
         // Broadcast clear event to active connections
         const eventData = JSON.stringify({
@@ -137,6 +281,18 @@ function clearConsoleOutput(processId) {
     return false;
 }
 
+/**
+ * Forget a process's console entirely: its output in memory and its logs on disk
+ */
+function removeConsoleOutput(processId) {
+    const existed = processOutputs.delete(processId);
+    processTypes.delete(processId);
+    processSecrets.delete(processId);
+    outputListeners.delete(processId);
+    consoleLogStore.removeLog(processId);
+    return existed;
+}
+
 /**
  * Get all processes with their output status
  */
@@ -144,12 +300,13 @@ function getAllProcesses() {
     const processes = [];
     
     processOutputs.forEach((output, processId) => {
+        const messages = bufferToArray(output.buffer);
         processes.push({
             processId,
             type: processTypes.get(processId) || 'unknown',
             status: output.status,
-            lastActivity: output.timestamps.length > 0 
-                ? output.timestamps[output.timestamps.length - 1].timestamp 
+            lastActivity: messages.length > 0 
+                ? messages[messages.length - 1].timestamp 
                 : null
         });
     });
@@ -157,6 +314,121 @@ function getAllProcesses() {
     return processes;
 }
 
+/**
+ * Get a page of a process's console output: the `limit` newest messages with
+ * a seq below `before` (all of them when `before` is omitted), oldest first.
+ * Messages no longer in memory are read from the logs on disk, so output of
+ * processes from before an Experiment Browser restart can be read as well.
+ * Returns { status, cwd, messages, hasMore }, or null if the process has no output
+ */
+async function getConsolePage(processId, { before = Infinity, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const output = processOutputs.get(processId);
+    if (!output && !consoleLogStore.hasLog(processId)) {
+        return null;
+    }
+    
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    const floor = output ? output.clearedBefore : 0;
+    const inMemory = output ? bufferToArray(output.buffer).filter(message => message.seq < before) : [];
+    
+    let messages = inMemory.slice(-pageSize);
+    let hasMore = inMemory.length > pageSize;
+    
+    // Anything older than the buffer can only be on disk
+    const oldest = inMemory.length > 0 ? inMemory[0].seq : before;
+    if (!hasMore && Math.min(before, oldest) > floor) {
+        const logged = await consoleLogStore.readMessages(processId, {
+            before: Math.min(before, oldest),
+            after: floor,
+            limit: pageSize - messages.length
+        });
+        messages = logged.messages.concat(messages);
+        hasMore = logged.hasMore;
+    }
+    
+    return {
+        status: output ? output.status : 'stopped',
+        cwd: (output && output.cwd) || null,
+        messages,
+        hasMore
+    };
+}
+
+/**
+ * Get all output of a process that is still available (in memory or on disk), oldest first
+ * maxBytes: stop reading older logs from disk once this much has been read
+ * Returns { messages, hasMore } - hasMore is true if older logs were left
+ * unread - or null if the process has no output
+ */
+async function getConsoleMessages(processId, { maxBytes = Infinity } = {}) {
+    const output = processOutputs.get(processId);
+    if (!output && !consoleLogStore.hasLog(processId)) {
+        return null;
+    }
+    
+    const floor = output ? output.clearedBefore : 0;
+    const inMemory = output ? bufferToArray(output.buffer) : [];
+    const oldest = inMemory.length > 0 ? inMemory[0].seq : Infinity;
+    if (oldest <= floor) {
+        return { messages: inMemory, hasMore: false };
+    }
+    
+    const logged = await consoleLogStore.readMessages(processId, { before: oldest, after: floor, limit: Infinity, maxBytes });
+    return { messages: logged.messages.concat(inMemory), hasMore: logged.hasMore };
+}
+
+/**
+ * Search the output of one process, or of every process with output when
+ * processId is null (see consoleSearch for the search options)
+ * Returns { results, total, truncated, incomplete } with the newest `search.limit`
+ * matching messages, oldest first, or null if the process has no output;
+ * incomplete is true if older output was left unsearched (see consoleSearch.MAX_SCAN_BYTES)
+ */
+async function searchConsoleOutput(search, processId = null) {
+    let processIds = [processId];
+    if (processId && !processOutputs.has(processId)) {
+        // A process only logged on disk may be asked for by its log name
+        processIds = [await consoleLogStore.getLoggedProcessId(processId)];
+    } else if (!processId) {
+        const known = Array.from(processOutputs.keys());
+        const logged = await consoleLogStore.listLoggedProcesses();
+        // Compare by log name: logs written before they recorded the real ID only have that
+        const knownNames = new Set(known.map(consoleLogStore.getLogName));
+        processIds = [...known, ...logged.filter(id => !knownNames.has(consoleLogStore.getLogName(id)))];
+    }
+    
+    let results = [];
+    const budget = consoleSearch.createScanBudget();
+    for (const id of processIds) {
+        if (budget.exhausted) break;
+        
+        const found = await getConsoleMessages(id, { maxBytes: budget.remaining });
+        if (!found) {
+            if (processId) return null;
+            continue;
+        }
+        const matches = consoleSearch.searchMessages(found.messages, search, budget);
+        if (found.hasMore) {
+            budget.exhausted = true;
+        }
+        results = results.concat(matches.map(message => ({ processId: id, ...message })));
+        
+        // Let other requests (and the console stream) through between processes
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    
+    if (!processId) {
+        results.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+    
+    return {
+        results: results.slice(-search.limit),
+        total: results.length,
+        truncated: results.length > search.limit,
+        incomplete: budget.exhausted
+    };
+}
+
 /**
  * Add an SSE connection to the active connections set
  */
@@ -198,13 +470,25 @@ function addSSEConnection(connection) {
 }
 
 module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    configure,
     initializeConsoleOutput,
     setProcessType,
+    setWorkingDirectory,
     getProcessOutput,
     getProcessType,
+    addSecrets,
+    maskSecrets,
     addConsoleOutput,
     broadcastConsoleUpdate,
+    broadcastEvent,
+    addOutputListener,
     clearConsoleOutput,
+    removeConsoleOutput,
     getAllProcesses,
+    getConsolePage,
+    getConsoleMessages,
+    searchConsoleOutput,
     addSSEConnection
 };
\ No newline at end of file
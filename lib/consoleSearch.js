@@ -0,0 +1,210 @@
+/**
+ * Console output search
+ *
+ * A search has a query (plain text, or a regular expression with `regex`),
+ * optional case sensitivity, a stream filter (stdout, stderr, or stdin for input typed in the console) and a
+ * time range. Each matching message is reported with the [start, end) ranges
+ * of its matches, so callers can highlight them. Text is matched without its
+ * ANSI escape sequences (colors etc.), and ranges refer to that text.
+ *
+ * Regular expressions run synchronously, so a search is kept from stalling
+ * the server: patterns repeating a group that contains a repetition or an
+ * alternation, such as (a+)+ or (a|a)*, which can take exponentially long, are
+ * rejected, and one search scans (and reads from disk) at most MAX_SCAN_BYTES
+ * of output, newest first.
+ */
+
+const STREAMS = ['stdout', 'stderr', 'stdin'];
+
+// Matching messages returned by one search
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+const MAX_QUERY_LENGTH = 500;
+
+// Output one search scans at most (all processes together)
+const MAX_SCAN_BYTES = 50 * 1024 * 1024;
+
+// CSI sequences (colors, cursor movement), OSC sequences (titles, hyperlinks) and two-character escapes
+const ANSI_PATTERN = /\x1b(?:\[[0-9;?]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)?|[()][0-9A-Za-z]|[@-Z\\-_])/g;
+
+/**
+ * Check if a query string flag is set ("true" or "1")
+ */
+function isSet(value) {
+    return value === 'true' || value === '1';
+}
+
+/**
+ * Escape a plain-text query for use in a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a regular expression has a quantified group that itself contains a
+ * quantifier or an alternation, e.g. (a+)+, (\w*\s?)* or (\w|\d)+: the usual
+ * causes of catastrophic backtracking
+ */
+function hasRiskyRepetition(source) {
+    // For each open group: whether it contains a quantifier or an alternation
+    const groups = [false];
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+        if (char === '\\') {
+            index++;
+        } else if (char === '[') {
+            // Quantifier characters in a class are literal
+            for (index++; index < source.length && source[index] !== ']'; index++) {
+                if (source[index] === '\\') index++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')' && groups.length > 1) {
+            const ambiguous = groups.pop();
+            if (ambiguous && ['*', '+', '{'].includes(source[index + 1])) {
+                return true;
+            }
+            groups[groups.length - 1] = groups[groups.length - 1] || ambiguous;
+        } else if (char === '*' || char === '+' || char === '{' || char === '|') {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Remove ANSI escape sequences from text
+ */
+function stripAnsi(text) {
+    return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Parse search parameters from a request's query string
+ * Query: q, regex, caseSensitive, stream, since, until, limit
+ * Returns { search, errors }
+ */
+function parseSearchQuery(query) {
+    const errors = [];
+    const q = typeof query.q === 'string' ? query.q : '';
+    const search = {
+        q,
+        regex: isSet(query.regex),
+        caseSensitive: isSet(query.caseSensitive),
+        stream: query.stream || null,
+        since: null,
+        until: null,
+        limit: DEFAULT_LIMIT,
+        pattern: null
+    };
+
+    if (q.length > MAX_QUERY_LENGTH) {
+        errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+    } else if (search.regex && hasRiskyRepetition(q)) {
+        errors.push('q must not repeat a group that contains a repetition or alternatives (e.g. (a+)+ or (a|b)*), which can take too long to match');
+    } else if (q) {
+        try {
+            search.pattern = new RegExp(search.regex ? q : escapeRegExp(q), search.caseSensitive ? 'g' : 'gi');
+        } catch (error) {
+            errors.push(`q is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    if (search.stream && !STREAMS.includes(search.stream)) {
+        errors.push(`stream must be one of ${STREAMS.join(', ')}, got "${search.stream}"`);
+    }
+
+    ['since', 'until'].forEach((key) => {
+        if (query[key] === undefined) return;
+        const time = new Date(query[key]).getTime();
+        if (Number.isNaN(time)) {
+            errors.push(`${key} must be a date, got "${query[key]}"`);
+        } else {
+            search[key] = time;
+        }
+    });
+    if (search.since !== null && search.until !== null && search.since > search.until) {
+        errors.push('since must not be after until');
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push(`limit must be between 1 and ${MAX_LIMIT}, got "${query.limit}"`);
+        }
+        search.limit = limit;
+    }
+
+    return { search, errors };
+}
+
+/**
+ * Find the [start, end) ranges of a pattern's matches in a text
+ */
+function findMatches(text, pattern) {
+    const ranges = [];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            // Empty matches (e.g. /x*/) would never advance
+            pattern.lastIndex++;
+            continue;
+        }
+        ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+}
+
+/**
+ * Create the budget of output a search may scan (see searchMessages)
+ */
+function createScanBudget() {
+    return { remaining: MAX_SCAN_BYTES, exhausted: false };
+}
+
+/**
+ * Get the messages matching a search, each with its match ranges
+ * budget: optional scan budget shared by the searches of one request; messages
+ * are scanned newest first and the rest are left out once it runs out
+ * Returns [{ ...message, matches }] in the order given
+ */
+function searchMessages(messages, search, budget = createScanBudget()) {
+    const results = [];
+
+    for (let index = messages.length - 1; index >= 0; index--) {
+        const message = messages[index];
+        if (search.stream && message.type !== search.stream) continue;
+
+        const time = new Date(message.timestamp).getTime();
+        if (search.since !== null && time < search.since) continue;
+        if (search.until !== null && time > search.until) continue;
+
+        budget.remaining -= message.data.length;
+        if (budget.remaining < 0) {
+            budget.exhausted = true;
+            break;
+        }
+
+        const matches = search.pattern ? findMatches(stripAnsi(message.data), search.pattern) : [];
+        if (search.pattern && matches.length === 0) continue;
+
+        results.push({ ...message, matches });
+    }
+    return results.reverse();
+}
+
+module.exports = {
+    STREAMS,
+    MAX_LIMIT,
+    MAX_SCAN_BYTES,
+    stripAnsi,
+    hasRiskyRepetition,
+    createScanBudget,
+    parseSearchQuery,
+    searchMessages
+};
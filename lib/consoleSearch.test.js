@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const consoleSearch = require('./consoleSearch');
+
+/**
+ * Build a console message
+ */
+function message(seq, data, { type = 'stdout', timestamp = '2026-01-01T00:00:00.000Z' } = {}) {
+    return { seq, type, data, timestamp };
+}
+
+test('stripAnsi removes colors, OSC sequences and two-character escapes', () => {
+    assert.equal(consoleSearch.stripAnsi('\x1b[31mred\x1b[0m plain'), 'red plain');
+    assert.equal(consoleSearch.stripAnsi('\x1b]8;;https://example.com\x07link\x1b]8;;\x07'), 'link');
+    assert.equal(consoleSearch.stripAnsi('\x1b(Bdone\x1bM'), 'done');
+});
+
+test('hasRiskyRepetition flags repeated groups with repetitions or alternatives', () => {
+    ['(a+)+', '(\\w*\\s?)*', '(a|a)*b', '(\\w|\\d)+$', '((ab)*)+', '(x{2,})*', '(?:a|b){3}']
+        .forEach(source => assert.equal(consoleSearch.hasRiskyRepetition(source), true, source));
+    ['a+b*', '(ab)+', '(a|b)', '[(a+)]+', '\\(a+\\)+', 'error|warning', '(foo)?']
+        .forEach(source => assert.equal(consoleSearch.hasRiskyRepetition(source), false, source));
+});
+
+test('parseSearchQuery builds a case-insensitive plain-text pattern by default', () => {
+    const { search, errors } = consoleSearch.parseSearchQuery({ q: 'a.b' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(search.regex, false);
+    assert.equal(search.limit, 200);
+    assert.equal(search.pattern.flags, 'gi');
+    assert.equal(search.pattern.test('A.B'), true);
+    search.pattern.lastIndex = 0;
+    assert.equal(search.pattern.test('axb'), false);
+});
+
+test('parseSearchQuery reports invalid parameters', () => {
+    const { errors } = consoleSearch.parseSearchQuery({
+        q: '(unclosed',
+        regex: 'true',
+        stream: 'stdweird',
+        since: 'tomorrow',
+        limit: '5000'
+    });
+
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^q is not a valid regular expression/);
+    assert.equal(errors[1], 'stream must be one of stdout, stderr, stdin, got "stdweird"');
+    assert.equal(errors[2], 'since must be a date, got "tomorrow"');
+    assert.equal(errors[3], 'limit must be between 1 and 1000, got "5000"');
+});
+
+test('parseSearchQuery refuses risky and overlong patterns and reversed ranges', () => {
+    assert.match(consoleSearch.parseSearchQuery({ q: '(a|b)*', regex: '1' }).errors[0], /must not repeat a group/);
+    assert.deepEqual(consoleSearch.parseSearchQuery({ q: 'x'.repeat(501) }).errors, ['q must be at most 500 characters']);
+    assert.deepEqual(consoleSearch.parseSearchQuery({ since: '2026-02-01', until: '2026-01-01' }).errors, [
+        'since must not be after until'
+    ]);
+});
+
+test('searchMessages returns matching messages with match ranges in the ANSI-free text', () => {
+    const { search } = consoleSearch.parseSearchQuery({ q: 'error' });
+    const results = consoleSearch.searchMessages([
+        message(1, 'all good'),
+        message(2, '\x1b[31mERROR\x1b[0m: disk error'),
+        message(3, 'error again', { type: 'stderr' })
+    ], search);
+
+    assert.deepEqual(results.map(result => [result.seq, result.matches]), [
+        [2, [[0, 5], [12, 17]]],
+        [3, [[0, 5]]]
+    ]);
+});
+
+test('searchMessages filters by stream and time, and lists everything without a query', () => {
+    const { search } = consoleSearch.parseSearchQuery({
+        stream: 'stderr',
+        since: '2026-01-02T00:00:00Z',
+        until: '2026-01-03T00:00:00Z'
+    });
+    const results = consoleSearch.searchMessages([
+        message(1, 'too early', { type: 'stderr', timestamp: '2026-01-01T12:00:00Z' }),
+        message(2, 'in range', { type: 'stderr', timestamp: '2026-01-02T12:00:00Z' }),
+        message(3, 'wrong stream', { timestamp: '2026-01-02T12:00:00Z' }),
+        message(4, 'too late', { type: 'stderr', timestamp: '2026-01-04T00:00:00Z' })
+    ], search);
+
+    assert.deepEqual(results.map(result => [result.seq, result.matches]), [[2, []]]);
+});
+
+test('searchMessages scans newest first and stops when the budget runs out', () => {
+    const { search } = consoleSearch.parseSearchQuery({ q: 'hit' });
+    const budget = { remaining: 12, exhausted: false };
+    const results = consoleSearch.searchMessages([
+        message(1, 'hit oldest'),
+        message(2, 'hit middle'),
+        message(3, 'hit new')
+    ], search, budget);
+
+    assert.deepEqual(results.map(result => result.seq), [3]);
+    assert.equal(budget.exhausted, true);
+    assert.deepEqual(consoleSearch.createScanBudget(), { remaining: consoleSearch.MAX_SCAN_BYTES, exhausted: false });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+// Variables whose names look like credentials are masked in console output
+// Only whole name segments count (API_KEY, DB_PASS, GITHUB_TOKEN), not parts of
+// words (AUTHOR, KEYBOARD_LAYOUT, PASSTHROUGH_MODE, MONKEY_PATCH)
+const SECRET_NAME_PATTERN = /(^|[_.-])(API_?KEYS?|KEYS?|SECRETS?|TOKENS?|PASSWORD|PASSWD|PASS|PASSPHRASE|CREDENTIALS?|AUTH)([_.-]|$)/i;
+
+// Very short values would mask ordinary output, so they are never treated as secrets
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Parse the contents of a .env file into a plain object
+ * Supports comments, blank lines, `export` prefixes and quoted values
+ */
+function parseEnvContent(content) {
+    const env = {};
+
+    content.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+        if (!match) return;
+
+        const [, key, rawValue] = match;
+        let value = rawValue;
+
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"');
+        } else if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+            value = value.slice(1, -1);
+        } else {
+            // Strip trailing inline comments from unquoted values
+            value = value.replace(/\s+#.*$/, '').trim();
+        }
+
+        env[key] = value;
+    });
+
+    return env;
+}
+
+/**
+ * Load a .env file (path relative to the experiment browser directory)
+ */
+function loadEnvFile(envFile) {
+    const filePath = path.resolve(envFile);
+
+    try {
+        return parseEnvContent(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Env file not found: ${envFile}`);
+        }
+        throw new Error(`Failed to read env file ${envFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Check if a variable name looks like it holds a secret
+ */
+function isSecretName(name) {
+    return SECRET_NAME_PATTERN.test(name);
+}
+
+/**
+ * Resolve the environment for a process from a list of config layers
+ *
+ * Each layer is an object that may have an `envFile` and an `env` map
+ * (a workflow, a workflow step, a service or a command). Layers are applied
+ * in order on top of the Experiment Browser's own process.env; within a
+ * layer, `env` overrides values loaded from `envFile`.
+ *
+ * Returns { env, secrets } where secrets are the values to mask in console output.
+ */
+function resolveEnvironment(layers = []) {
+    const overrides = {};
+
+    layers.filter(Boolean).forEach((layer) => {
+        if (layer.envFile) {
+            Object.assign(overrides, loadEnvFile(layer.envFile));
+        }
+        if (layer.env && typeof layer.env === 'object') {
+            Object.entries(layer.env).forEach(([key, value]) => {
+                overrides[key] = value === null || value === undefined ? '' : String(value);
+            });
+        }
+    });
+
+    const secrets = Object.entries(overrides)
+        .filter(([key, value]) => isSecretName(key) && value.length >= MIN_SECRET_LENGTH)
+        .map(([, value]) => value);
+
+    return {
+        env: { ...process.env, ...overrides },
+        overrides,
+        secrets
+    };
+}
+
+module.exports = {
+    parseEnvContent,
+    loadEnvFile,
+    isSecretName,
+    resolveEnvironment
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const environment = require('./environment');
+const consoleManager = require('./consoleManager');
+
+test('parseEnvContent reads comments, export prefixes and quoted values', () => {
+    const env = environment.parseEnvContent([
+        '# database',
+        '',
+        'export DB_HOST=localhost',
+        'DB_NAME = app # inline comment',
+        'GREETING="hello\\nworld"',
+        "RAW='a # not a comment'",
+        'not a variable'
+    ].join('\n'));
+
+    assert.deepEqual(env, {
+        DB_HOST: 'localhost',
+        DB_NAME: 'app',
+        GREETING: 'hello\nworld',
+        RAW: 'a # not a comment'
+    });
+});
+
+test('isSecretName matches whole name segments only', () => {
+    ['API_KEY', 'APIKEY', 'DB_PASS', 'DB_PASSWORD', 'GITHUB_TOKEN', 'SECRET', 'aws.secret', 'AUTH', 'SECRET_KEY_BASE', 'GCP_CREDENTIALS']
+        .forEach(name => assert.equal(environment.isSecretName(name), true, name));
+    ['AUTHOR', 'KEYBOARD_LAYOUT', 'PASSTHROUGH_MODE', 'MONKEY_PATCH', 'TOKENIZER', 'PATH']
+        .forEach(name => assert.equal(environment.isSecretName(name), false, name));
+});
+
+test('resolveEnvironment applies layers in order, env over envFile', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const envFile = path.join(dir, '.env');
+    fs.writeFileSync(envFile, 'PORT=3000\nMODE=file\n');
+
+    const { env, overrides } = environment.resolveEnvironment([
+        { env: { MODE: 'workflow', DEBUG: 1 } },
+        { envFile, env: { MODE: 'service', EMPTY: null } }
+    ]);
+
+    assert.deepEqual(overrides, { MODE: 'service', DEBUG: '1', PORT: '3000', EMPTY: '' });
+    assert.equal(env.MODE, 'service');
+    assert.equal(env.PATH, process.env.PATH);
+});
+
+test('loadEnvFile reports a missing file', () => {
+    assert.throws(() => environment.loadEnvFile('does-not-exist.env'), /Env file not found: does-not-exist\.env/);
+});
+
+test('resolveEnvironment lists the values of secret-named variables long enough to mask', () => {
+    const { secrets } = environment.resolveEnvironment([
+        { env: { API_KEY: 'abcd1234', DB_PASS: 'abc', AUTHOR: 'someone', PORT: '8080' } }
+    ]);
+
+    assert.deepEqual(secrets, ['abcd1234']);
+});
+
+test('secrets are masked in console output, longest first', () => {
+    const processId = 'environment-test';
+    consoleManager.addSecrets(processId, ['token-123', 'token-123-extended']);
+
+    assert.equal(
+        consoleManager.maskSecrets(processId, 'using token-123-extended and token-123'),
+        'using ******** and ********'
+    );
+    assert.equal(consoleManager.maskSecrets('other-process', 'token-123'), 'token-123');
+});
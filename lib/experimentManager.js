@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const atomicFile = require('./atomicFile');
 
 const EXPERIMENTS_DIR = './experiments';
 
@@ -70,7 +71,8 @@ async function scanExperiments() {
                     // Create default metadata if file doesn't exist
                     console.log(`Creating metadata for ${entry.name}`);
                     metadata = createDefaultMetadata(entry.name);
-                    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+                    await atomicFile.withFileLock(metadataPath, () =>
+                        atomicFile.writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2)));
                 }
                 
                 // Find the HTML file
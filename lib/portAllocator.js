@@ -0,0 +1,256 @@
+const net = require('net');
+
+/**
+ * Port allocation for services
+ *
+ * A service declares the ports it needs by name:
+ *   "ports": { "http": 3000, "debug": null, "admin": { "port": 8081, "fixed": true, "env": "ADMIN_PORT" } }
+ * A number is the preferred port; null (or no port) takes any free port.
+ * Before the service is spawned each port is checked: if the preferred port is
+ * taken (by another service or any other process) the next free port is used,
+ * unless the port is `fixed`, in which case the start fails.
+ *
+ * Assigned ports are injected as PORT_<NAME> (or the port's `env` name), and
+ * the first declared port also as PORT.
+ */
+
+// How far past a taken preferred port to look for a free one
+const MAX_PORT_SEARCH = 100;
+
+const PORT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+// Ports held by services: serviceId -> { name: port }
+const assignments = new Map();
+
+// Allocations run one at a time so two services never get the same port
+let allocationChain = Promise.resolve();
+
+/**
+ * Check if a port number is valid
+ */
+function isValidPort(port) {
+    return Number.isInteger(port) && port > 0 && port <= 65535;
+}
+
+/**
+ * Get the default environment variable for a named port: http -> PORT_HTTP
+ */
+function getPortEnvName(name) {
+    return `PORT_${name.toUpperCase().replace(/[^A-Z0-9_]/g, '_')}`;
+}
+
+/**
+ * Normalize a service's `ports` to a list of { name, port, fixed, env }
+ */
+function normalizePorts(ports) {
+    if (!ports || typeof ports !== 'object') return [];
+
+    return Object.entries(ports).map(([name, definition]) => {
+        const options = definition && typeof definition === 'object' ? definition : { port: definition };
+        return {
+            name,
+            port: options.port ?? null,
+            fixed: Boolean(options.fixed),
+            env: options.env || getPortEnvName(name)
+        };
+    });
+}
+
+/**
+ * Validate a service's `ports`, returning a list of error messages
+ */
+function validatePorts(ports) {
+    if (ports === undefined || ports === null) return [];
+    if (typeof ports !== 'object' || Array.isArray(ports)) {
+        return ['ports must be an object mapping port names to port numbers'];
+    }
+
+    const errors = [];
+    const preferred = new Map();
+    normalizePorts(ports).forEach(({ name, port, fixed, env }) => {
+        if (!PORT_NAME_PATTERN.test(name)) {
+            errors.push(`Port "${name}": names may only contain letters, digits, "-" and "_"`);
+        }
+        if (port !== null && !isValidPort(port)) {
+            errors.push(`Port "${name}": ${port} is not a valid port number (1-65535)`);
+        } else if (port !== null) {
+            if (preferred.has(port)) {
+                errors.push(`Port "${name}": ${port} is also used by port "${preferred.get(port)}"`);
+            }
+            preferred.set(port, name);
+        }
+        if (fixed && port === null) {
+            errors.push(`Port "${name}": a fixed port needs a port number`);
+        }
+        if (typeof env !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(env)) {
+            errors.push(`Port "${name}": invalid environment variable name "${env}"`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Check if a port can be listened on
+ */
+function isPortAvailable(port) {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.once('error', () => resolve(false));
+        server.listen(port, () => {
+            server.close(() => resolve(true));
+        });
+    });
+}
+
+/**
+ * Ask the operating system for a free port
+ */
+function getEphemeralPort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Find which service holds a port, if any
+ */
+function findPortHolder(port, exceptServiceId = null) {
+    for (const [serviceId, ports] of assignments) {
+        if (serviceId === exceptServiceId) continue;
+        const name = Object.keys(ports).find(key => ports[key] === port);
+        if (name) return { serviceId, name };
+    }
+    return null;
+}
+
+/**
+ * Describe why a port is taken, for console messages
+ */
+function describeHolder(port, serviceId) {
+    const holder = findPortHolder(port, serviceId);
+    return holder ? `service ${holder.serviceId} (${holder.name})` : 'another process';
+}
+
+/**
+ * Assign ports to a service
+ * log: optional callback for messages about ports that had to be moved
+ * Returns { name: port }; throws if a fixed port is taken or no free port is found
+ */
+function allocatePorts(serviceId, ports, log = () => {}) {
+    const allocation = allocationChain.then(async () => {
+        const taken = new Set();
+        for (const [id, assigned] of assignments) {
+            if (id !== serviceId) Object.values(assigned).forEach(port => taken.add(port));
+        }
+
+        const isFree = async port => !taken.has(port) && await isPortAvailable(port);
+        const assigned = {};
+
+        for (const { name, port, fixed } of normalizePorts(ports)) {
+            let chosen = null;
+
+            if (port === null) {
+                do {
+                    chosen = await getEphemeralPort();
+                } while (taken.has(chosen));
+            } else if (await isFree(port)) {
+                chosen = port;
+            } else if (fixed) {
+                throw new Error(`Port ${port} (${name}) is already in use by ${describeHolder(port, serviceId)}`);
+            } else {
+                for (let candidate = port + 1; candidate <= Math.min(port + MAX_PORT_SEARCH, 65535); candidate++) {
+                    if (await isFree(candidate)) {
+                        chosen = candidate;
+                        break;
+                    }
+                }
+                if (chosen === null) {
+                    throw new Error(`Port ${port} (${name}) is already in use by ${describeHolder(port, serviceId)} and no free port was found up to ${port + MAX_PORT_SEARCH}`);
+                }
+                log(`Port ${port} (${name}) is in use by ${describeHolder(port, serviceId)}; using ${chosen} instead`);
+            }
+
+            assigned[name] = chosen;
+            taken.add(chosen);
+        }
+
+        assignments.set(serviceId, assigned);
+        return assigned;
+    });
+
+    // A failed allocation must not block the ones queued after it
+    allocationChain = allocation.catch(() => {});
+    return allocation;
+}
+
+/**
+ * Record ports held by a service without checking them
+ * (e.g. a service re-attached after an Experiment Browser restart)
+ */
+function reservePorts(serviceId, assigned) {
+    if (assigned && Object.keys(assigned).length > 0) {
+        assignments.set(serviceId, { ...assigned });
+    }
+}
+
+/**
+ * Release the ports held by a service
+ */
+function releasePorts(serviceId) {
+    assignments.delete(serviceId);
+}
+
+/**
+ * Get the ports assigned to a service, or null if it holds none
+ */
+function getAssignedPorts(serviceId) {
+    const assigned = assignments.get(serviceId);
+    return assigned ? { ...assigned } : null;
+}
+
+/**
+ * Build the environment variables for a service's assigned ports
+ */
+function getPortEnv(ports, assigned) {
+    const env = {};
+    normalizePorts(ports).forEach(({ name, env: envName }, index) => {
+        if (assigned[name] === undefined) return;
+        if (index === 0) {
+            env.PORT = String(assigned[name]);
+        }
+        env[envName] = String(assigned[name]);
+    });
+    return env;
+}
+
+/**
+ * Replace ${ports.<name>} references in a string with assigned ports
+ * A value that is only a reference becomes a number (e.g. a readiness probe's `port`)
+ */
+function interpolatePorts(value, assigned) {
+    if (typeof value !== 'string') return value;
+
+    const whole = value.match(/^\$\{\s*ports\.([^}\s]+)\s*\}$/);
+    if (whole && assigned[whole[1]] !== undefined) {
+        return assigned[whole[1]];
+    }
+    return value.replace(/\$\{\s*ports\.([^}\s]+)\s*\}/g, (match, name) =>
+        assigned[name] !== undefined ? String(assigned[name]) : match);
+}
+
+module.exports = {
+    normalizePorts,
+    validatePorts,
+    isPortAvailable,
+    allocatePorts,
+    reservePorts,
+    releasePorts,
+    getAssignedPorts,
+    getPortEnv,
+    interpolatePorts
+};
@@ -1,16 +1,159 @@
 const { spawn, exec } = require('child_process');
 const path = require('path');
+const crypto = require('crypto');
 const { loadServicesConfig } = require('./servicesConfig');
 const consoleManager = require('./consoleManager');
+const readinessProbe = require('./readinessProbe');
+const environment = require('./environment');
+const processRegistry = require('./processRegistry');
+const workflowGraph = require('./workflowGraph');
+const stepConditions = require('./stepConditions');
+const workflowParams = require('./workflowParams');
+const workflowRuns = require('./workflowRuns');
+const runHistory = require('./runHistory');
+const serviceDependencies = require('./serviceDependencies');
+const portAllocator = require('./portAllocator');
+const terminal = require('./terminal');
 
-// Store running processes
+// Store running processes: serviceId -> { proc, service, consoleId, startedAt }
 const runningProcesses = new Map();
+const lastExits = new Map(); // serviceId -> { code, signal, time }
+
+// Restart bookkeeping for services with a restart policy
+const restartStates = new Map(); // serviceId -> { count, timer, stableTimer }
+const stoppingServices = new Set(); // Services stopped on purpose (never auto-restarted)
+const allocatingServices = new Map(); // serviceId -> start promise while its ports are being allocated
+
+// Store running commands for resource metrics and console input: proc -> { commandId, workflowId, startedAt, pty }
+const runningCommands = new Map();
+
+// Abort controllers for workflow runs in progress: runId -> AbortController
+const runControllers = new Map();
+
+// Consoles of finished nested workflow runs, oldest first; the oldest are
+// removed beyond MAX_NESTED_CONSOLES (the parent's console keeps a copy)
+const nestedConsoles = [];
+const MAX_NESTED_CONSOLES = 50;
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RESTART_BACKOFF = 1000;
+const DEFAULT_MAX_RESTART_BACKOFF = 30000;
+// A restarted service that stays up this long counts as recovered: its restart count starts over
+const DEFAULT_RESTART_STABLE_PERIOD = 60000;
+const DEFAULT_STOP_GRACE_PERIOD = 5000;
+
+// Workflow step retries: the delay doubles after each failed attempt
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// What to do on boot with services left running by a previous instance
+const ORPHAN_POLICIES = ['reattach', 'kill', 'forget'];
+const DEFAULT_ORPHAN_POLICY = 'reattach';
+
+const isWindows = process.platform === 'win32';
+
+/**
+ * Send a signal to a service's whole process tree
+ * Services are spawned as process group leaders, so on Unix-like systems
+ * signalling the negative PID reaches grandchildren like `npm start` -> `node server.js`
+ */
+function signalProcessTree(proc, signal) {
+    if (isWindows) {
+        // taskkill /T walks the tree; /F is the only way to force it
+        exec(`taskkill /pid ${proc.pid} /T${signal === 'SIGKILL' ? ' /F' : ''}`);
+        return;
+    }
+    
+    try {
+        process.kill(-proc.pid, signal);
+    } catch (error) {
+        // ESRCH: the group is already gone
+        if (error.code !== 'ESRCH') {
+            console.error(`[ProcessManager] Failed to send ${signal} to process group ${proc.pid}:`, error);
+        }
+    }
+}
+
+/**
+ * Terminate a service's process tree: SIGTERM first, SIGKILL once the grace period expires
+ * Resolves with the exit code and signal once the process has actually closed
+ */
+function terminateService(serviceId, entry) {
+    const { proc, service, consoleId } = entry;
+    const gracePeriod = service.stopGracePeriod ?? DEFAULT_STOP_GRACE_PERIOD;
+    
+    return new Promise((resolve) => {
+        let killTimer = null;
+        
+        proc.once('close', (code, signal) => {
+            clearTimeout(killTimer);
+            resolve({ code, signal });
+        });
+        
+        stoppingServices.add(serviceId);
+        signalProcessTree(proc, 'SIGTERM');
+        
+        killTimer = setTimeout(() => {
+            consoleManager.addConsoleOutput(consoleId, 'stderr', 
+                `[STOP] Service ${serviceId} did not exit within ${gracePeriod}ms, sending SIGKILL`);
+            signalProcessTree(proc, 'SIGKILL');
+        }, gracePeriod);
+    });
+}
+
+/**
+ * Persist PIDs, start times and commands of running services
+ * so a restarted Experiment Browser can find them again
+ */
+function persistRunningProcesses() {
+    const records = {};
+    runningProcesses.forEach((entry, serviceId) => {
+        if (!entry.proc.pid) return;
+        records[serviceId] = {
+            pid: entry.proc.pid,
+            command: entry.command,
+            workingDir: entry.cwd,
+            startedAt: entry.startedAt,
+            procStartTime: entry.procStartTime || null,
+            historyId: entry.historyId || null,
+            ports: portAllocator.getAssignedPorts(serviceId)
+        };
+    });
+    return processRegistry.saveRegistry(records);
+}
+
+/**
+ * Resolve a process environment from config layers and register its secrets
+ * with the console so they are masked in output
+ */
+function prepareEnvironment(consoleId, envLayers) {
+    const resolved = environment.resolveEnvironment(envLayers);
+    consoleManager.addSecrets(consoleId, resolved.secrets);
+    return resolved;
+}
+
+/**
+ * Log which environment variables a process overrides (names only, never values)
+ */
+function logEnvironmentOverrides(consoleId, resolved) {
+    const names = Object.keys(resolved.overrides);
+    if (names.length > 0) {
+        consoleManager.addConsoleOutput(consoleId, 'stdout', `Environment overrides: ${names.join(', ')}`);
+    }
+}
 
 /**
  * Execute a single command (quick action)
- * Uses exec() for commands that run and complete
+ * Runs in its own process group (like services) so the whole tree can be killed on cancel
+ * envLayers: config objects with env/envFile, applied in order (e.g. workflow, step, command)
+ * signal: optional AbortSignal; aborting it kills the command
+ * onOutput: optional callback receiving the command's own (masked) output, e.g. for per-step logs
+ * history: { targetId, name } of the configured command, for the run history entry
+ * pty: run the command in a pseudo-terminal (see terminal)
+ * Standalone commands (not part of a workflow) are recorded in the run history
  */
-function executeCommand(commandId, command, workingDir, workflowId = null) {
+function executeCommand(commandId, command, workingDir, workflowId = null, { envLayers = [], signal = null, onOutput = null, history = null, pty = false } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`[ProcessManager] Executing command: ${commandId}`);
         console.log(`[ProcessManager] Command: ${command}`);
@@ -25,8 +168,37 @@ function executeCommand(commandId, command, workingDir, workflowId = null) {
             consoleManager.setProcessType(commandId, 'command');
         }
         
+        const historyEntry = workflowId ? null : runHistory.startEntry({
+            kind: 'command',
+            targetId: (history && history.targetId) || commandId,
+            name: history && history.name,
+            runId: commandId
+        });
+        const captureOutput = (text) => {
+            const masked = consoleManager.maskSecrets(consoleId, text);
+            if (historyEntry) runHistory.appendLog(historyEntry.id, masked);
+            if (onOutput) onOutput(masked);
+        };
+        const finishHistory = (result) => {
+            if (historyEntry) runHistory.finishEntry(historyEntry.id, result);
+        };
+        
         const cwd = workingDir ? path.resolve(workingDir) : process.cwd();
         
+        // Resolve environment first so secrets are masked from the very first line
+        let resolvedEnv;
+        try {
+            resolvedEnv = prepareEnvironment(consoleId, envLayers);
+        } catch (error) {
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[ENVIRONMENT ERROR] ${error.message}`);
+            if (!workflowId) {
+                consoleManager.getProcessOutput(commandId).status = 'error';
+            }
+            finishHistory({ status: 'error', error: error.message });
+            reject(error);
+            return;
+        }
+        
         // Add initial messages to console
         if (workflowId) {
             consoleManager.addConsoleOutput(workflowId, 'stdout', `\n=== Executing Command: ${commandId} ===`);
@@ -35,7 +207,9 @@ function executeCommand(commandId, command, workingDir, workflowId = null) {
         } else {
             consoleManager.addConsoleOutput(commandId, 'stdout', `Starting command: ${command}`);
             consoleManager.addConsoleOutput(commandId, 'stdout', `Working directory: ${cwd}`);
+            consoleManager.setWorkingDirectory(commandId, cwd);
         }
+        logEnvironmentOverrides(consoleId, resolvedEnv);
         
         // Clean up the command - remove extra quotes if present
         let cleanCommand = command;
@@ -45,12 +219,40 @@ function executeCommand(commandId, command, workingDir, workflowId = null) {
         
         console.log(`[ProcessManager] Cleaned command: ${cleanCommand}`);
         
-        // Use exec() for commands with shell option for better compatibility
-        const proc = exec(cleanCommand, { 
-            cwd,
-            shell: true,
-            encoding: 'utf8'
-        });
+        if (signal && signal.aborted) {
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[CANCELLED] Command ${commandId} was not started`);
+            finishHistory({ status: 'cancelled' });
+            reject(new Error(`Command ${commandId} cancelled`));
+            return;
+        }
+        
+        const ptyArgs = pty ? getPtyArgs(consoleId, cleanCommand) : null;
+        const proc = ptyArgs
+            ? spawn(ptyArgs.file, ptyArgs.args, {
+                cwd,
+                env: { ...terminal.getPtyEnv(), ...resolvedEnv.env },
+                detached: true
+            })
+            : spawn(cleanCommand, { 
+                cwd,
+                env: resolvedEnv.env,
+                shell: true,
+                detached: !isWindows
+            });
+        terminal.attachInput(proc, error => console.warn(`[ProcessManager] Input to command ${commandId} failed: ${error.message}`));
+        
+        // Cancelling kills the command's process tree, escalating to SIGKILL like a service stop
+        let cancelled = false;
+        let killTimer = null;
+        const onAbort = () => {
+            cancelled = true;
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[CANCELLED] Stopping command ${commandId}`);
+            signalProcessTree(proc, 'SIGTERM');
+            killTimer = setTimeout(() => signalProcessTree(proc, 'SIGKILL'), DEFAULT_STOP_GRACE_PERIOD);
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
         
         let stdout = '';
         let stderr = '';
@@ -60,21 +262,25 @@ function executeCommand(commandId, command, workingDir, workflowId = null) {
             const dataStr = data.toString();
             stdout += dataStr;
             consoleManager.addConsoleOutput(consoleId, 'stdout', dataStr);
+            captureOutput(dataStr);
         });
         
         proc.stderr.on('data', (data) => {
             const dataStr = data.toString();
             stderr += dataStr;
             consoleManager.addConsoleOutput(consoleId, 'stderr', dataStr);
+            captureOutput(dataStr);
         });
         
         // Handle process events
         proc.on('spawn', () => {
             consoleManager.addConsoleOutput(consoleId, 'stdout', `Process spawned with PID: ${proc.pid}`);
+            runningCommands.set(proc, { commandId, workflowId, startedAt: new Date().toISOString(), pty: Boolean(ptyArgs) });
         });
         
         proc.on('error', (error) => {
             console.error(`[ProcessManager] Command error:`, error);
+            runningCommands.delete(proc);
             if (!workflowId) {
                 const output = consoleManager.getProcessOutput(commandId);
                 if (output) {
@@ -82,44 +288,194 @@ function executeCommand(commandId, command, workingDir, workflowId = null) {
                 }
             }
             consoleManager.addConsoleOutput(consoleId, 'stderr', `[EXECUTION ERROR] ${error.message}`);
+            finishHistory({ status: 'error', error: error.message });
             reject(error);
         });
         
-        proc.on('close', (code, signal) => {
-            console.log(`[ProcessManager] Command finished with code: ${code}, signal: ${signal}`);
+        proc.on('close', (code, exitSignal) => {
+            console.log(`[ProcessManager] Command finished with code: ${code}, signal: ${exitSignal}`);
+            
+            runningCommands.delete(proc);
+            clearTimeout(killTimer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
             
             if (workflowId) {
                 consoleManager.addConsoleOutput(workflowId, 'stdout', `=== Command ${commandId} completed with exit code: ${code} ===\n`);
             } else {
                 const output = consoleManager.getProcessOutput(commandId);
                 if (output) {
-                    output.status = code === 0 ? 'completed' : 'error';
+                    output.status = cancelled ? 'cancelled' : (code === 0 ? 'completed' : 'error');
                 }
             }
             
-            if (code === 0) {
+            if (cancelled) {
+                finishHistory({ status: 'cancelled', exitCode: code, signal: exitSignal });
+                reject(new Error(`Command ${commandId} cancelled`));
+            } else if (code === 0) {
                 if (!workflowId) {
                     consoleManager.addConsoleOutput(commandId, 'stdout', `Command completed successfully (exit code: ${code})`);
                 }
+                finishHistory({ status: 'completed', exitCode: code });
                 resolve(stdout);
             } else {
                 const errorMsg = `Command failed with exit code: ${code}`;
                 consoleManager.addConsoleOutput(consoleId, 'stderr', errorMsg);
-                reject(new Error(errorMsg));
+                finishHistory({ status: 'error', exitCode: code, signal: exitSignal, error: errorMsg });
+                const error = new Error(errorMsg);
+                error.exitCode = code;
+                reject(error);
             }
         });
     });
 }
 
+/**
+ * Decide whether a service should be restarted after it exits,
+ * and schedule the restart with exponential backoff if so
+ */
+function scheduleRestart(serviceId, service, workflowId, code, envLayers) {
+    const restartPolicy = service.restartPolicy || {};
+    const policy = restartPolicy.policy || 'never';
+    const consoleId = workflowId || serviceId;
+    
+    if (!RESTART_POLICIES.includes(policy)) {
+        consoleManager.addConsoleOutput(consoleId, 'stderr', `[RESTART] Unknown restart policy "${policy}", not restarting`);
+        return;
+    }
+    
+    if (policy === 'never' || (policy === 'on-failure' && code === 0)) {
+        return;
+    }
+    
+    const state = restartStates.get(serviceId) || { count: 0, timer: null };
+    const maxRetries = restartPolicy.maxRetries ?? DEFAULT_MAX_RETRIES;
+    
+    if (state.count >= maxRetries) {
+        consoleManager.addConsoleOutput(consoleId, 'stderr', 
+            `[RESTART] Giving up on ${serviceId} after ${state.count} restart attempts`);
+        return;
+    }
+    
+    const backoff = restartPolicy.backoff || DEFAULT_RESTART_BACKOFF;
+    const maxBackoff = restartPolicy.maxBackoff || DEFAULT_MAX_RESTART_BACKOFF;
+    const delay = Math.min(backoff * Math.pow(2, state.count), maxBackoff);
+    
+    state.count++;
+    consoleManager.addConsoleOutput(consoleId, 'stdout', 
+        `[RESTART] Service ${serviceId} exited with code ${code}; restarting in ${delay}ms (attempt ${state.count}/${maxRetries}, policy: ${policy})`);
+    
+    if (!workflowId) {
+        const output = consoleManager.getProcessOutput(serviceId);
+        if (output) {
+            output.status = 'restarting';
+        }
+    }
+    
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        consoleManager.addConsoleOutput(consoleId, 'stdout', `[RESTART] Restarting service ${serviceId} (attempt ${state.count}/${maxRetries})`);
+        startService(serviceId, service, workflowId, { isRestart: true, envLayers }).catch((error) => {
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[RESTART] Restart attempt ${state.count} failed: ${error.message}`);
+        });
+    }, delay);
+    restartStates.set(serviceId, state);
+}
+
+/**
+ * Start a service's restart count over once the restarted process has stayed up
+ * for the policy's stable period, so crashes days apart don't add up to maxRetries
+ */
+function resetRestartsWhenStable(serviceId, service, entry) {
+    const state = restartStates.get(serviceId);
+    if (!state) return;
+    
+    const stablePeriod = (service.restartPolicy || {}).stablePeriod ?? DEFAULT_RESTART_STABLE_PERIOD;
+    clearTimeout(state.stableTimer);
+    state.stableTimer = setTimeout(() => {
+        state.stableTimer = null;
+        if (restartStates.get(serviceId) === state && runningProcesses.get(serviceId) === entry) {
+            restartStates.delete(serviceId);
+        }
+    }, stablePeriod);
+    state.stableTimer.unref();
+}
+
+/**
+ * Cancel a pending automatic restart for a service
+ */
+function cancelPendingRestart(serviceId) {
+    const state = restartStates.get(serviceId);
+    if (state && state.timer) {
+        clearTimeout(state.timer);
+        state.timer = null;
+        return true;
+    }
+    return false;
+}
+
 /**
  * Start a service (long-running process)
  * Uses spawn() for services that run continuously
+ * envLayers: outer config layers (e.g. workflow, step); the service's own env/envFile is applied last
+ * onOutput: optional callback receiving the service's (masked) output until it has started
+ * Every service process is recorded in the run history from start to exit
+ * A service with `ports` first gets free ports assigned (see portAllocator)
+ */
+function startService(serviceId, service, workflowId = null, options = {}) {
+    if (!service.ports || runningProcesses.has(serviceId)) {
+        return spawnService(serviceId, service, workflowId, options);
+    }
+    if (allocatingServices.has(serviceId)) {
+        return allocatingServices.get(serviceId);
+    }
+    
+    const consoleId = workflowId || serviceId;
+    const portMessages = [];
+    
+    const start = portAllocator.allocatePorts(serviceId, service.ports, message => portMessages.push(message))
+        .then((assignedPorts) => {
+            allocatingServices.delete(serviceId);
+            return spawnService(serviceId, service, workflowId, { ...options, assignedPorts, portMessages });
+        }, (error) => {
+            allocatingServices.delete(serviceId);
+            if (!workflowId) {
+                consoleManager.initializeConsoleOutput(serviceId);
+                consoleManager.setProcessType(serviceId, 'service');
+                consoleManager.getProcessOutput(serviceId).status = 'error';
+            }
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[PORT CONFLICT] Service ${serviceId}: ${error.message}`);
+            throw new Error(`Cannot start service ${serviceId}: ${error.message}`);
+        })
+        .catch((error) => {
+            // Keep the ports only while the service is actually running
+            if (!runningProcesses.has(serviceId)) {
+                portAllocator.releasePorts(serviceId);
+            }
+            throw error;
+        });
+    
+    allocatingServices.set(serviceId, start);
+    return start;
+}
+
+/**
+ * Spawn a service's process once its ports (if any) are assigned
+ * assignedPorts: { name: port } injected into the environment and readiness probe
+ * portMessages: notes from port allocation to show in the console
  */
-function startService(serviceId, service, workflowId = null) {
+function spawnService(serviceId, service, workflowId = null, { isRestart = false, envLayers = [], onOutput = null, assignedPorts = null, portMessages = [] } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`Starting service: ${serviceId}`);
         
-        // Check if service is already running
+        // A manual start supersedes any pending automatic restart and resets the counter
+        if (!isRestart) {
+            cancelPendingRestart(serviceId);
+            restartStates.delete(serviceId);
+        }
+        
+        // Check if service is already running (or still shutting down)
         if (runningProcesses.has(serviceId)) {
             const message = `Service ${serviceId} is already running`;
             console.log(message);
@@ -137,6 +493,7 @@ function startService(serviceId, service, workflowId = null) {
         if (!workflowId) {
             consoleManager.initializeConsoleOutput(serviceId);
             consoleManager.setProcessType(serviceId, 'service');
+            consoleManager.getProcessOutput(serviceId).status = 'running';
         }
         
         const { workingDir, command, commands } = service;
@@ -149,6 +506,21 @@ function startService(serviceId, service, workflowId = null) {
             return;
         }
         
+        // Assigned ports override any PORT variables from the config
+        const portLayer = assignedPorts && { env: portAllocator.getPortEnv(service.ports, assignedPorts) };
+        
+        let resolvedEnv;
+        try {
+            resolvedEnv = prepareEnvironment(consoleId, [...envLayers, service, portLayer]);
+        } catch (error) {
+            consoleManager.addConsoleOutput(consoleId, 'stderr', `[ENVIRONMENT ERROR] ${error.message}`);
+            if (!workflowId) {
+                consoleManager.getProcessOutput(serviceId).status = 'error';
+            }
+            reject(error);
+            return;
+        }
+        
         if (workflowId) {
             consoleManager.addConsoleOutput(workflowId, 'stdout', `\n=== Starting Service: ${serviceId} ===`);
             consoleManager.addConsoleOutput(workflowId, 'stdout', `Command: ${finalCommand}`);
@@ -157,54 +529,135 @@ function startService(serviceId, service, workflowId = null) {
             consoleManager.addConsoleOutput(serviceId, 'stdout', `Starting service: ${serviceId}`);
             consoleManager.addConsoleOutput(serviceId, 'stdout', `Command: ${finalCommand}`);
             consoleManager.addConsoleOutput(serviceId, 'stdout', `Working directory: ${cwd}`);
+            consoleManager.setWorkingDirectory(serviceId, cwd);
+        }
+        logEnvironmentOverrides(consoleId, resolvedEnv);
+        portMessages.forEach(message => consoleManager.addConsoleOutput(consoleId, 'stdout', `[PORTS] ${message}`));
+        if (assignedPorts) {
+            consoleManager.addConsoleOutput(consoleId, 'stdout', `Ports: ${Object.entries(assignedPorts)
+                .map(([name, port]) => `${name}=${port}`).join(', ')}`);
         }
         
         // For Windows compatibility, we need to handle shell built-ins like 'echo'
         // Also helps with commands that have complex arguments or pipes
-        const isWindows = process.platform === 'win32';
+        // stdin is a pipe so console input can be written to the service
         let proc;
+        const ptyArgs = service.pty ? getPtyArgs(consoleId, finalCommand) : null;
         
-        if (isWindows) {
+        if (ptyArgs) {
+            proc = spawn(ptyArgs.file, ptyArgs.args, {
+                cwd,
+                env: { ...terminal.getPtyEnv(), ...resolvedEnv.env },
+                detached: true
+            });
+        } else if (isWindows) {
             // On Windows, use cmd.exe to run the command
             proc = spawn('cmd', ['/c', finalCommand], {
                 cwd,
-                stdio: ['inherit', 'pipe', 'pipe']
+                env: resolvedEnv.env,
+                stdio: ['pipe', 'pipe', 'pipe']
             });
         } else {
-            // On Unix-like systems, use sh
+            // On Unix-like systems, use sh in its own process group so the
+            // whole tree can be signalled on stop
             proc = spawn('sh', ['-c', finalCommand], {
                 cwd,
-                stdio: ['inherit', 'pipe', 'pipe']
+                env: resolvedEnv.env,
+                stdio: ['pipe', 'pipe', 'pipe'],
+                detached: true
             });
         }
         
+        terminal.attachInput(proc, error => console.warn(`[ProcessManager] Input to service ${serviceId} failed: ${error.message}`));
+        
+        const historyEntry = runHistory.startEntry({
+            kind: 'service',
+            targetId: serviceId,
+            name: service.name,
+            restart: isRestart
+        });
+        
         // Store the process
-        runningProcesses.set(serviceId, proc);
+        const entry = {
+            proc,
+            service,
+            consoleId,
+            envLayers,
+            command: finalCommand,
+            cwd,
+            pty: Boolean(ptyArgs),
+            startedAt: new Date().toISOString(),
+            historyId: historyEntry.id
+        };
+        runningProcesses.set(serviceId, entry);
+        
+        // Startup output is also passed to onOutput until the start settles
+        let starting = true;
+        const captureOutput = (data) => {
+            const masked = consoleManager.maskSecrets(consoleId, data.toString());
+            runHistory.appendLog(historyEntry.id, masked);
+            if (starting && onOutput) onOutput(masked);
+        };
         
         // Set up output handling - send to appropriate console
         proc.stdout.on('data', (data) => {
             consoleManager.addConsoleOutput(consoleId, 'stdout', data);
+            captureOutput(data);
         });
         
         proc.stderr.on('data', (data) => {
             consoleManager.addConsoleOutput(consoleId, 'stderr', data);
+            captureOutput(data);
         });
         
         proc.on('spawn', () => {
             consoleManager.addConsoleOutput(consoleId, 'stdout', `Service process spawned with PID: ${proc.pid}`);
+            entry.procStartTime = processRegistry.readProcessStartTime(proc.pid);
+            persistRunningProcesses();
+            if (isRestart) {
+                resetRestartsWhenStable(serviceId, service, entry);
+            }
         });
         
-        proc.on('close', (code) => {
+        proc.on('close', (code, signal) => {
+            const wasStopped = stoppingServices.delete(serviceId);
+            lastExits.set(serviceId, { code, signal, time: new Date().toISOString() });
+            
+            const status = wasStopped ? 'stopped' : code === 0 ? 'completed' : 'error';
             if (!workflowId) {
                 const output = consoleManager.getProcessOutput(serviceId);
                 if (output) {
-                    output.status = code === 0 ? 'completed' : 'error';
+                    output.status = status;
                 }
             }
+            runHistory.finishEntry(historyEntry.id, {
+                status: entry.startupError ? 'error' : status,
+                exitCode: code,
+                signal,
+                error: entry.startupError || null
+            });
             
-            const message = `Service exited with code ${code}`;
+            const message = signal 
+                ? `Service exited with signal ${signal}` 
+                : `Service exited with code ${code}`;
             consoleManager.addConsoleOutput(consoleId, 'stdout', workflowId ? `=== ${message} ===\n` : message);
-            runningProcesses.delete(serviceId);
+            
+            // Only clear the entry if it still belongs to this process
+            if (runningProcesses.get(serviceId) === entry) {
+                runningProcesses.delete(serviceId);
+                portAllocator.releasePorts(serviceId);
+                persistRunningProcesses();
+            }
+            
+            // Crashed (or exited) on its own - apply the service's restart policy
+            const restartState = restartStates.get(serviceId);
+            if (restartState) {
+                clearTimeout(restartState.stableTimer);
+                restartState.stableTimer = null;
+            }
+            if (!wasStopped) {
+                scheduleRestart(serviceId, service, workflowId, code, envLayers);
+            }
         });
         
         proc.on('error', (error) => {
@@ -216,158 +669,623 @@ function startService(serviceId, service, workflowId = null) {
             }
             
             consoleManager.addConsoleOutput(consoleId, 'stderr', `[ERROR] ${error.message}`);
-            runningProcesses.delete(serviceId);
+            if (runningProcesses.get(serviceId) === entry) {
+                runningProcesses.delete(serviceId);
+                portAllocator.releasePorts(serviceId);
+            }
+            runHistory.finishEntry(historyEntry.id, { status: 'error', error: error.message });
+            starting = false;
             reject(error);
         });
         
-        // Give the process a moment to start
-        setTimeout(() => {
-            resolve(`Service ${serviceId} started successfully`);
-        }, 1000);
+        // Without a readiness probe, give the process a moment to start
+        if (!service.readinessProbe) {
+            setTimeout(() => {
+                starting = false;
+                resolve(`Service ${serviceId} started successfully`);
+            }, 1000);
+            return;
+        }
+        
+        // Probes may refer to assigned ports, e.g. "url": "http://localhost:${ports.http}/health"
+        const probe = assignedPorts
+            ? Object.fromEntries(Object.entries(service.readinessProbe)
+                .map(([key, value]) => [key, portAllocator.interpolatePorts(value, assignedPorts)]))
+            : service.readinessProbe;
+        const probeDescription = readinessProbe.describeProbe(probe);
+        consoleManager.addConsoleOutput(consoleId, 'stdout', `Waiting for readiness probe: ${probeDescription}`);
+        
+        readinessProbe.waitForReady(proc, probe)
+            .then(() => {
+                consoleManager.addConsoleOutput(consoleId, 'stdout', `Service ${serviceId} is ready (${probeDescription})`);
+                starting = false;
+                resolve(`Service ${serviceId} started successfully`);
+            })
+            .catch((error) => {
+                const errorMsg = `[READINESS FAILED] Service ${serviceId}: ${error.message}`;
+                consoleManager.addConsoleOutput(consoleId, 'stderr', errorMsg);
+                starting = false;
+                entry.startupError = errorMsg;
+                
+                // Don't leave a half-started service holding its port; wait until it
+                // is gone so a retry can start it again
+                let stopped = Promise.resolve();
+                if (runningProcesses.get(serviceId) === entry) {
+                    consoleManager.addConsoleOutput(consoleId, 'stderr', `Stopping service ${serviceId} because it never became ready`);
+                    stopped = terminateService(serviceId, entry);
+                }
+                stopped.then(() => reject(new Error(errorMsg)));
+            });
+    });
+}
+
+/**
+ * Start a service as a workflow step
+ * Aborting the signal while the service is still starting (e.g. waiting for
+ * its readiness probe) stops it again
+ */
+function startServiceStep(serviceId, service, workflowId, options, signal) {
+    if (!signal) {
+        return startService(serviceId, service, workflowId, options);
+    }
+    
+    const onAbort = () => {
+        consoleManager.addConsoleOutput(workflowId, 'stderr', `[CANCELLED] Stopping service ${serviceId}`);
+        stopService(serviceId);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    
+    return startService(serviceId, service, workflowId, options)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Create a function that fills in ${params.*}, ${env.*} and ${steps.*}
+ * references in the command and workingDir of a step (or of the service or
+ * command it runs)
+ * runContext: { params, getStepOutput(stepId), workflowStack }
+ */
+function createInterpolator(workflow, step, runContext) {
+    if (!runContext) {
+        return (object) => object;
+    }
+    
+    // Only resolve the step's environment if something references it
+    let env = null;
+    const context = {
+        ...runContext,
+        get env() {
+            env = env || environment.resolveEnvironment([workflow, step]).env;
+            return env;
+        }
+    };
+    return (object) => workflowParams.interpolateFields(object, context);
+}
+
+/**
+ * Run a single workflow step and return its result message
+ * signal: optional AbortSignal cancelling the step
+ * onOutput: optional callback receiving the step's own output (for its history log)
+ * runContext: parameter values and step outputs for interpolation (see createInterpolator),
+ * and the workflows this one is nested in
+ */
+async function runWorkflowStep(workflowId, workflow, rawStep, index, config, { signal = null, onOutput = null, runContext = null } = {}) {
+    const stepId = `${workflowId}-step-${index}`;
+    const interpolate = createInterpolator(workflow, rawStep, runContext);
+    const step = interpolate(rawStep);
+    
+    switch (step.type) {
+        case 'existing-service': {
+            // Check if service is already running
+            if (runningProcesses.has(step.serviceId)) {
+                consoleManager.addConsoleOutput(workflowId, 'stdout', 
+                    `⏸️  SKIP: Service ${step.serviceId} is already running`);
+                return `Service ${step.serviceId} already running (skipped)`;
+            }
+            
+            // Start existing service - pass workflowId to aggregate output
+            const service = config.services[step.serviceId];
+            if (!service) {
+                throw new Error(`Service ${step.serviceId} not found`);
+            }
+            
+            // Create a modified service object with workflow workingDir as fallback
+            const serviceWithWorkingDir = interpolate({
+                ...service,
+                workingDir: step.workingDir || service.workingDir || workflow.workingDir
+            });
+            
+            return startServiceStep(step.serviceId, serviceWithWorkingDir, workflowId, {
+                envLayers: [workflow, step],
+                onOutput
+            }, signal);
+        }
+            
+        case 'existing-command': {
+            // Execute existing command - pass workflowId to aggregate output
+            if (!config.commands[step.commandId]) {
+                throw new Error(`Command ${step.commandId} not found`);
+            }
+            const command = interpolate(config.commands[step.commandId]);
+            return executeCommand(
+                `${stepId}-${step.commandId}`, 
+                command.command, 
+                step.workingDir || command.workingDir || workflow.workingDir,
+                workflowId,  // Pass workflow ID to aggregate output
+                { envLayers: [workflow, step, command], signal, onOutput, pty: command.pty }
+            );
+        }
+            
+        case 'custom-command':
+            // Execute custom command - pass workflowId to aggregate output
+            return executeCommand(
+                stepId, 
+                step.command, 
+                step.workingDir || workflow.workingDir,
+                workflowId,  // Pass workflow ID to aggregate output
+                { envLayers: [workflow, step], signal, onOutput, pty: step.pty }
+            );
+            
+        case 'custom-service': {
+            // Check if custom service is already running
+            if (runningProcesses.has(step.serviceId)) {
+                consoleManager.addConsoleOutput(workflowId, 'stdout', 
+                    `⏸️  SKIP: Custom service ${step.serviceId} is already running`);
+                return `Custom service ${step.serviceId} already running (skipped)`;
+            }
+            
+            // Start custom service - pass workflowId to aggregate output
+            const customService = {
+                command: step.command,
+                workingDir: step.workingDir || workflow.workingDir,  // Properly inherit workflow workingDir
+                pty: step.pty
+            };
+            return startServiceStep(step.serviceId, customService, workflowId, {
+                envLayers: [workflow, step],
+                onOutput
+            }, signal);
+        }
+            
+        case 'workflow': {
+            const nestedWorkflow = config.workflows[step.workflowId];
+            if (!nestedWorkflow) {
+                throw new Error(`Workflow ${step.workflowId} not found`);
+            }
+            
+            const workflowStack = runContext ? runContext.workflowStack : [workflowId];
+            if (workflowStack.includes(step.workflowId)) {
+                throw new Error(`Workflow recursion detected: ${[...workflowStack, step.workflowId].join(' -> ')}`);
+            }
+            
+            return runNestedWorkflow(workflowId, step.workflowId, nestedWorkflow, {
+                params: step.params || {},
+                signal,
+                onOutput,
+                workflowStack
+            });
+        }
+            
+        default:
+            throw new Error(`Unknown step type: ${step.type}`);
+    }
+}
+
+/**
+ * Run another workflow as a step of this one
+ * The sub-run gets a console of its own (e.g. "release:build:1792430707425-3f9a"),
+ * so it doesn't mix with a standalone run of the same workflow, another sub-run
+ * of it or a sub-run from an earlier session; its output is copied, indented,
+ * into the parent workflow's console
+ */
+async function runNestedWorkflow(parentId, workflowId, workflow, { params, signal, onOutput, workflowStack }) {
+    const consoleId = `${parentId}:${workflowId}:${Date.now()}-${crypto.randomBytes(2).toString('hex')}`;
+    consoleManager.addConsoleOutput(parentId, 'stdout', `\n=== Running workflow: ${workflowId} ===`);
+    
+    const stopForwarding = consoleManager.addOutputListener(consoleId, (message) => {
+        const lines = message.data.replace(/\n$/, '').split('\n');
+        consoleManager.addConsoleOutput(parentId, message.type, lines.map(line => `  │ ${line}`).join('\n'));
+        if (onOutput) {
+            onOutput(message.data.endsWith('\n') ? message.data : `${message.data}\n`);
+        }
     });
+    
+    try {
+        const results = await executeWorkflow(workflowId, workflow, { signal, params, workflowStack, consoleId });
+        consoleManager.addConsoleOutput(parentId, 'stdout', `=== Workflow ${workflowId} completed ===\n`);
+        return `Workflow ${workflowId} completed (${results.length} steps)`;
+    } catch (error) {
+        throw new Error(`Workflow ${workflowId} failed: ${error.message}`);
+    } finally {
+        stopForwarding();
+        releaseNestedConsole(consoleId);
+    }
+}
+
+/**
+ * Keep the console of a finished nested run until MAX_NESTED_CONSOLES newer ones have finished
+ */
+function releaseNestedConsole(consoleId) {
+    nestedConsoles.push(consoleId);
+    while (nestedConsoles.length > MAX_NESTED_CONSOLES) {
+        consoleManager.removeConsoleOutput(nestedConsoles.shift());
+    }
+}
+
+/**
+ * Record a workflow step status change on its run (if any) and broadcast it
+ * so progress views can follow along
+ */
+function broadcastStepStatus(workflowId, run, node, status, { result = null, error = null, exitCode = null, logFile = null, message = error } = {}) {
+    if (run) {
+        workflowRuns.updateRunStep(run.runId, node.index, status, { result, error, exitCode, logFile });
+    }
+    
+    consoleManager.broadcastEvent({
+        type: 'workflow-step',
+        workflowId,
+        runId: run ? run.runId : null,
+        stepId: node.id,
+        index: node.index,
+        status,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Wait for a delay, returning early if the signal is aborted
+ */
+function abortableDelay(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(finish, ms);
+        function finish() {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', finish);
+            resolve();
+        }
+        if (signal) signal.addEventListener('abort', finish, { once: true });
+    });
+}
+
+/**
+ * Run one attempt of a workflow step, killing it if it exceeds step.timeout (ms)
+ */
+async function runStepAttempt(workflowId, workflow, step, index, config, { signal = null, onOutput = null, runContext = null, label } = {}) {
+    if (!step.timeout) {
+        return runWorkflowStep(workflowId, workflow, step, index, config, { signal, onOutput, runContext });
+    }
+    
+    // The attempt is aborted on timeout, or when the whole workflow is cancelled
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        consoleManager.addConsoleOutput(workflowId, 'stderr', 
+            `[TIMEOUT] ${label} did not finish within ${step.timeout}ms, stopping it`);
+        controller.abort();
+    }, step.timeout);
+    
+    try {
+        return await runWorkflowStep(workflowId, workflow, step, index, config, { signal: controller.signal, onOutput, runContext });
+    } catch (error) {
+        if (timedOut) {
+            throw new Error(`Timed out after ${step.timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
 }
 
 /**
- * Execute a workflow (series of commands/services)
- * Enhanced to skip already-running services and show skip messages
+ * Run a workflow step, retrying failed attempts with exponential backoff
+ * step.retries: attempts after the first; step.retryDelay: wait before the first retry (ms)
  */
-async function executeWorkflow(workflowId, workflow) {
+async function runStepWithRetries(workflowId, workflow, step, index, config, { signal = null, onOutput = null, runContext = null, label = `Step ${index + 1}` } = {}) {
+    const retries = step.retries || 0;
+    
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await runStepAttempt(workflowId, workflow, step, index, config, { signal, onOutput, runContext, label });
+        } catch (error) {
+            if (attempt > retries || (signal && signal.aborted)) {
+                throw error;
+            }
+            
+            const delay = Math.min((step.retryDelay ?? DEFAULT_RETRY_DELAY) * Math.pow(2, attempt - 1), MAX_RETRY_DELAY);
+            consoleManager.addConsoleOutput(workflowId, 'stderr', 
+                `[RETRY] ${label} failed (${error.message}); retrying in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+            await abortableDelay(delay, signal);
+            
+            if (signal && signal.aborted) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Run a workflow's onFailure cleanup steps, in order, after the workflow aborted
+ * Cleanup failures are logged but never change the workflow's outcome
+ */
+async function runCleanupSteps(workflowId, workflow, config, conditionContext, runContext) {
+    const cleanupSteps = workflow.onFailure || [];
+    if (cleanupSteps.length === 0) {
+        return;
+    }
+    
+    consoleManager.addConsoleOutput(workflowId, 'stdout', 
+        `\n=== Running ${cleanupSteps.length} cleanup step(s) (onFailure) ===`);
+    
+    for (let i = 0; i < cleanupSteps.length; i++) {
+        const step = cleanupSteps[i];
+        const label = `Cleanup step ${i + 1}`;
+        
+        const { met, unmet } = stepConditions.evaluateConditions(step.when, {
+            ...conditionContext,
+            cwd: path.resolve(step.workingDir || workflow.workingDir || '.')
+        });
+        if (!met) {
+            consoleManager.addConsoleOutput(workflowId, 'stdout', 
+                `⏭️  SKIP: ${label} (condition not met: ${stepConditions.describeCondition(unmet)})`);
+            continue;
+        }
+        
+        consoleManager.addConsoleOutput(workflowId, 'stdout', 
+            `\n>>> [${label}/${cleanupSteps.length}] ${step.name || step.type} <<<`);
+        
+        try {
+            // Cleanup is not cancellable; a timeout still bounds each step
+            await runStepWithRetries(workflowId, workflow, step, `cleanup-${i}`, config, { runContext, label });
+            consoleManager.addConsoleOutput(workflowId, 'stdout', `${label} completed`);
+        } catch (error) {
+            consoleManager.addConsoleOutput(workflowId, 'stderr', `${label} failed: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Execute a workflow (graph of commands/services)
+ * Steps run as soon as the steps they depend on have finished, so independent
+ * steps run concurrently. Enhanced to skip already-running services and show skip messages
+ * run: optional run record (see workflowRuns) to keep step state on
+ * signal: optional AbortSignal; aborting it cancels the workflow and kills running steps
+ * params: values for the workflow's parameters (defaults fill in the rest)
+ * workflowStack: IDs of the workflows running this one through `workflow` steps
+ * consoleId: console the output goes to (the workflow's ID unless run as a step of another)
+ */
+async function executeWorkflow(workflowId, workflow, { run = null, signal = null, params = {}, workflowStack = [], consoleId = workflowId } = {}) {
     console.log(`Starting workflow: ${workflowId}`);
     
     // Initialize console output tracking for the workflow
-    consoleManager.initializeConsoleOutput(workflowId);
-    consoleManager.setProcessType(workflowId, 'workflow');
+    consoleManager.initializeConsoleOutput(consoleId);
+    consoleManager.setProcessType(consoleId, 'workflow');
+    consoleManager.getProcessOutput(consoleId).status = 'running';
     
-    consoleManager.addConsoleOutput(workflowId, 'stdout', `Starting workflow: ${workflowId}`);
-    consoleManager.addConsoleOutput(workflowId, 'stdout', `Workflow: ${workflow.name || workflowId}`);
+    consoleManager.addConsoleOutput(consoleId, 'stdout', `Starting workflow: ${workflowId}`);
+    consoleManager.addConsoleOutput(consoleId, 'stdout', `Workflow: ${workflow.name || workflowId}`);
     if (workflow.description) {
-        consoleManager.addConsoleOutput(workflowId, 'stdout', `Description: ${workflow.description}`);
+        consoleManager.addConsoleOutput(consoleId, 'stdout', `Description: ${workflow.description}`);
     }
-    consoleManager.addConsoleOutput(workflowId, 'stdout', `Total steps: ${workflow.steps ? workflow.steps.length : 0}\n`);
+    consoleManager.addConsoleOutput(consoleId, 'stdout', `Total steps: ${workflow.steps ? workflow.steps.length : 0}\n`);
     
     const steps = workflow.steps || [];
-    const results = [];
+    const results = new Array(steps.length);
+    
+    const { nodes } = workflowGraph.buildStepGraph(steps);
+    const errors = workflowGraph.validateWorkflow(workflow);
+    const resolved = workflowParams.resolveParams(workflow.params, params);
+    if (errors.length > 0 || resolved.errors.length > 0) {
+        const errorMsg = errors.length > 0
+            ? `Invalid workflow: ${errors.join('; ')}`
+            : `Invalid parameters: ${resolved.errors.join('; ')}`;
+        consoleManager.addConsoleOutput(consoleId, 'stderr', errorMsg);
+        consoleManager.getProcessOutput(consoleId).status = 'error';
+        throw new Error(errorMsg);
+    }
+    
+    const paramNames = Object.keys(resolved.params);
+    if (paramNames.length > 0) {
+        consoleManager.addConsoleOutput(consoleId, 'stdout', 
+            `Parameters: ${paramNames.map(name => `${name}=${resolved.params[name]}`).join(', ')}\n`);
+    }
+    
+    // Output of completed command steps, for ${steps.<id>.stdout}
+    const stepOutputs = new Map();
+    const runContext = {
+        params: resolved.params,
+        getStepOutput: (stepId) => stepOutputs.get(stepId),
+        workflowStack: [...workflowStack, workflowId]
+    };
+    
     const config = await loadServicesConfig(); // Load current services and commands
     
-    for (let i = 0; i < steps.length; i++) {
-        const step = steps[i];
-        const stepId = `${workflowId}-step-${i}`;
+    // Step states: pending -> running -> completed | failed, or pending -> skipped
+    const states = new Map(nodes.map(node => [node.id, 'pending']));
+    const running = new Set();
+    let abortError = null;
+    
+    const onAbort = () => {
+        if (!abortError) {
+            abortError = new Error('Workflow cancelled');
+        }
+        consoleManager.addConsoleOutput(consoleId, 'stderr', 
+            `\n[CANCELLED] Workflow cancelled${running.size > 0 ? `; stopping ${running.size} running step(s)` : ''}`);
+    };
+    if (signal) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    }
+    
+    // A dependency is satisfied once it completed or was skipped, or failed with continueOnError
+    const isSatisfied = (stepId) => {
+        const state = states.get(stepId);
+        const node = nodes.find(n => n.id === stepId);
+        return state === 'completed' || state === 'skipped' || (state === 'failed' && node.step.continueOnError);
+    };
+    
+    // Steps referenced by `when` conditions only need to have finished
+    const isFinishedState = (stepId) => ['completed', 'failed', 'skipped'].includes(states.get(stepId));
+    
+    const conditionContext = {
+        getStepState: (stepId) => states.get(stepId),
+        isServiceRunning: (serviceId) => runningProcesses.has(serviceId)
+    };
+    
+    const runNode = async (node) => {
+        const { step, index } = node;
         
-        consoleManager.addConsoleOutput(workflowId, 'stdout', 
-            `\n>>> [Step ${i + 1}/${steps.length}] ${step.name || step.type} <<<`);
+        // Skip the step if its `when` conditions don't hold
+        const { met, unmet } = stepConditions.evaluateConditions(step.when, {
+            ...conditionContext,
+            cwd: path.resolve(step.workingDir || workflow.workingDir || '.')
+        });
+        if (!met) {
+            const reason = `condition not met: ${stepConditions.describeCondition(unmet)}`;
+            consoleManager.addConsoleOutput(consoleId, 'stdout', 
+                `\n⏭️  SKIP: [Step ${index + 1}/${steps.length}] ${step.name || step.type} (${reason})`);
+            states.set(node.id, 'skipped');
+            broadcastStepStatus(consoleId, run, node, 'skipped', { message: `Skipped (${reason})` });
+            return;
+        }
+        
+        // Capture the step's own output into a per-step history log
+        let stepLog = '';
+        const onOutput = (text) => {
+            stepLog += text;
+        };
+        const saveStepLog = () => (run && run.historyId && stepLog)
+            ? runHistory.writeStepLog(run.historyId, node.id, stepLog)
+            : null;
+        
+        const alongside = Array.from(running).filter(id => id !== node.id);
+        consoleManager.addConsoleOutput(consoleId, 'stdout', 
+            `\n>>> [Step ${index + 1}/${steps.length}] ${step.name || step.type} <<<` +
+            (alongside.length > 0 ? ` (running alongside: ${alongside.join(', ')})` : ''));
+        broadcastStepStatus(consoleId, run, node, 'running');
         
         try {
-            let result;
-            
-            switch (step.type) {
-                case 'existing-service':
-                    // Check if service is already running
-                    if (runningProcesses.has(step.serviceId)) {
-                        consoleManager.addConsoleOutput(workflowId, 'stdout', 
-                            `⏸️  SKIP: Service ${step.serviceId} is already running`);
-                        result = `Service ${step.serviceId} already running (skipped)`;
-                    } else {
-                        // Start existing service - pass workflowId to aggregate output
-                        const service = config.services[step.serviceId];
-                        if (!service) {
-                            throw new Error(`Service ${step.serviceId} not found`);
-                        }
-                        
-                        // Create a modified service object with workflow workingDir as fallback
-                        const serviceWithWorkingDir = {
-                            ...service,
-                            workingDir: step.workingDir || service.workingDir || workflow.workingDir
-                        };
-                        
-                        result = await startService(step.serviceId, serviceWithWorkingDir, workflowId);
-                    }
-                    break;
-                    
-                case 'existing-command':
-                    // Execute existing command - pass workflowId to aggregate output
-                    const command = config.commands[step.commandId];
-                    if (!command) {
-                        throw new Error(`Command ${step.commandId} not found`);
-                    }
-                    result = await executeCommand(
-                        `${stepId}-${step.commandId}`, 
-                        command.command, 
-                        step.workingDir || command.workingDir || workflow.workingDir,
-                        workflowId  // Pass workflow ID to aggregate output
-                    );
-                    break;
-                    
-                case 'custom-command':
-                    // Execute custom command - pass workflowId to aggregate output
-                    result = await executeCommand(
-                        stepId, 
-                        step.command, 
-                        step.workingDir || workflow.workingDir,
-                        workflowId  // Pass workflow ID to aggregate output
-                    );
-                    break;
-                    
-                case 'custom-service':
-                    // Check if custom service is already running
-                    if (runningProcesses.has(step.serviceId)) {
-                        consoleManager.addConsoleOutput(workflowId, 'stdout', 
-                            `⏸️  SKIP: Custom service ${step.serviceId} is already running`);
-                        result = `Custom service ${step.serviceId} already running (skipped)`;
-                    } else {
-                        // Start custom service - pass workflowId to aggregate output
-                        const customService = {
-                            command: step.command,
-                            workingDir: step.workingDir || workflow.workingDir  // Properly inherit workflow workingDir
-                        };
-                        result = await startService(step.serviceId, customService, workflowId);
-                    }
-                    break;
-                    
-                default:
-                    throw new Error(`Unknown step type: ${step.type}`);
+            const result = await runStepWithRetries(consoleId, workflow, step, index, config, { signal, onOutput, runContext });
+            results[index] = result;
+            if (step.type === 'existing-command' || step.type === 'custom-command') {
+                stepOutputs.set(node.id, result);
             }
             
-            results.push(result);
-            
             // Show different completion messages based on whether step was skipped
             if (result.includes('already running') || result.includes('skipped')) {
-                consoleManager.addConsoleOutput(workflowId, 'stdout', 
-                    `Step ${i + 1} skipped (service already running)`);
+                consoleManager.addConsoleOutput(consoleId, 'stdout', 
+                    `Step ${index + 1} skipped (service already running)`);
             } else {
-                consoleManager.addConsoleOutput(workflowId, 'stdout', 
-                    `Step ${i + 1} completed successfully`);
+                consoleManager.addConsoleOutput(consoleId, 'stdout', 
+                    `Step ${index + 1} completed successfully`);
             }
             
-            // Optional delay between steps
+            // Optional delay before dependent steps may start
             if (step.delay) {
-                consoleManager.addConsoleOutput(workflowId, 'stdout', 
+                consoleManager.addConsoleOutput(consoleId, 'stdout', 
                     `Waiting ${step.delay}ms before next step...`);
-                await new Promise(resolve => setTimeout(resolve, step.delay));
+                await abortableDelay(step.delay, signal);
             }
             
+            states.set(node.id, 'completed');
+            broadcastStepStatus(consoleId, run, node, 'completed', { result, logFile: saveStepLog() });
+            
         } catch (error) {
-            const errorMsg = `Step ${i + 1} failed: ${error.message}`;
-            consoleManager.addConsoleOutput(workflowId, 'stderr', errorMsg);
+            states.set(node.id, 'failed');
+            const logFile = saveStepLog();
+            const exitCode = error.exitCode ?? null;
+            
+            if (signal && signal.aborted) {
+                consoleManager.addConsoleOutput(consoleId, 'stderr', `Step ${index + 1} cancelled`);
+                broadcastStepStatus(consoleId, run, node, 'cancelled', { error: error.message, exitCode, logFile });
+                return;
+            }
+            
+            const errorMsg = `Step ${index + 1} failed: ${error.message}`;
+            consoleManager.addConsoleOutput(consoleId, 'stderr', errorMsg);
+            broadcastStepStatus(consoleId, run, node, 'error', { error: error.message, exitCode, logFile });
             
             // Stop workflow on error unless configured to continue
             if (!step.continueOnError) {
-                // Mark workflow as failed
-                const output = consoleManager.getProcessOutput(workflowId);
-                if (output) {
-                    output.status = 'error';
+                if (!abortError) {
+                    abortError = new Error(errorMsg);
+                    abortError.failedStep = {
+                        id: node.id,
+                        index,
+                        name: step.name || step.type,
+                        error: error.message,
+                        exitCode
+                    };
+                    if (running.size > 1) {
+                        consoleManager.addConsoleOutput(consoleId, 'stderr', 
+                            `Workflow aborting; waiting for ${running.size - 1} running step(s) to finish`);
+                    }
                 }
-                throw new Error(errorMsg);
             } else {
-                consoleManager.addConsoleOutput(workflowId, 'stdout', 
+                consoleManager.addConsoleOutput(consoleId, 'stdout', 
                     `Continuing workflow despite error (continueOnError=true)`);
             }
         }
+    };
+    
+    // Launch every step whose dependencies are satisfied until nothing is left to run
+    await new Promise((resolve) => {
+        const schedule = () => {
+            if (!abortError) {
+                nodes.forEach((node) => {
+                    if (states.get(node.id) !== 'pending') return;
+                    if (!node.dependsOn.every(isSatisfied) || !node.waitFor.every(isFinishedState)) return;
+                    
+                    states.set(node.id, 'running');
+                    running.add(node.id);
+                    runNode(node).then(() => {
+                        running.delete(node.id);
+                        schedule();
+                    });
+                });
+            }
+            
+            if (running.size === 0) {
+                resolve();
+            }
+        };
+        schedule();
+    });
+    
+    if (signal) {
+        signal.removeEventListener('abort', onAbort);
     }
     
-    consoleManager.addConsoleOutput(workflowId, 'stdout', 
-        `\n✓ Workflow completed successfully! All ${steps.length} steps finished.`);
+    const output = consoleManager.getProcessOutput(consoleId);
+    
+    if (abortError) {
+        // Mark workflow as failed (or cancelled)
+        if (output) {
+            output.status = signal && signal.aborted ? 'cancelled' : 'error';
+        }
+        nodes.filter(node => states.get(node.id) === 'pending')
+            .forEach(node => broadcastStepStatus(consoleId, run, node, 'cancelled'));
+        
+        await runCleanupSteps(consoleId, workflow, config, conditionContext, runContext);
+        throw abortError;
+    }
+    
+    const skipped = nodes.filter(node => states.get(node.id) === 'skipped').length;
+    consoleManager.addConsoleOutput(consoleId, 'stdout', 
+        `\n✓ Workflow completed successfully! All ${steps.length} steps finished` +
+        (skipped > 0 ? ` (${skipped} skipped by condition).` : '.'));
     
-    const output = consoleManager.getProcessOutput(workflowId);
     if (output) {
         output.status = 'completed';
     }
@@ -375,27 +1293,301 @@ async function executeWorkflow(workflowId, workflow) {
     return results;
 }
 
+/**
+ * Start a workflow run in the background and return its run record immediately
+ * Progress is kept on the run record (see workflowRuns) as steps start and finish
+ */
+function startWorkflowRun(workflowId, workflow, { params = {} } = {}) {
+    const run = workflowRuns.createRun(workflowId, workflow, params);
+    const controller = new AbortController();
+    runControllers.set(run.runId, controller);
+    
+    // Record the run in the history, capturing the whole workflow console
+    const historyEntry = runHistory.startEntry({
+        kind: 'workflow',
+        targetId: workflowId,
+        name: run.workflowName,
+        runId: run.runId
+    });
+    run.historyId = historyEntry.id;
+    const stopCapture = consoleManager.addOutputListener(workflowId, (message) => {
+        runHistory.appendLog(historyEntry.id, message.data.endsWith('\n') ? message.data : `${message.data}\n`);
+    });
+    
+    console.log(`Workflow ${workflowId} started as run ${run.runId}`);
+    
+    const finish = (status, error = null) => {
+        stopCapture();
+        workflowRuns.finishRun(run.runId, status, error ? error.message : null);
+        runHistory.finishEntry(historyEntry.id, {
+            status,
+            error: error ? error.message : null,
+            failedStep: (error && error.failedStep) || null,
+            steps: run.steps.map(({ id, index, name, type, status, startedAt, finishedAt, duration, exitCode, error, logFile }) => 
+                ({ id, index, name, type, status, startedAt, finishedAt, duration, exitCode, error, logFile }))
+        });
+    };
+    
+    executeWorkflow(workflowId, workflow, { run, signal: controller.signal, params })
+        .then(() => {
+            finish('completed');
+        })
+        .catch((error) => {
+            const status = controller.signal.aborted ? 'cancelled' : 'error';
+            console.error(`Workflow run ${run.runId} ${status}:`, error.message);
+            finish(status, error);
+        })
+        .finally(() => {
+            runControllers.delete(run.runId);
+        });
+    
+    return run;
+}
+
+/**
+ * Cancel a workflow run in progress
+ * Returns false if the run is not in progress
+ */
+function cancelWorkflowRun(runId) {
+    const controller = runControllers.get(runId);
+    if (!controller) {
+        return false;
+    }
+    
+    console.log(`Cancelling workflow run ${runId}`);
+    controller.abort();
+    return true;
+}
+
 /**
  * Stop a service or kill a running process
+ * Sends SIGTERM to the service's process group and escalates to SIGKILL after
+ * the service's stopGracePeriod. Resolves once the process has actually exited.
  */
-function stopService(serviceId) {
-    const process = runningProcesses.get(serviceId);
+async function stopService(serviceId) {
+    const entry = runningProcesses.get(serviceId);
+    
+    if (entry) {
+        const { consoleId } = entry;
+        
+        if (stoppingServices.has(serviceId)) {
+            consoleManager.addConsoleOutput(consoleId, 'stdout', 
+                `Service ${serviceId} is already stopping, waiting for it to exit...`);
+        } else {
+            consoleManager.addConsoleOutput(consoleId, 'stdout', 
+                `Stopping service: ${serviceId}`);
+        }
+        
+        cancelPendingRestart(serviceId);
+        
+        const output = consoleManager.getProcessOutput(serviceId);
+        if (output && consoleId === serviceId) {
+            output.status = 'stopping';
+        }
+        
+        const { code, signal } = await terminateService(serviceId, entry);
+        const exitDescription = signal ? `signal ${signal}` 
+            : code !== null ? `exit code ${code}` 
+            : 'exit status unknown';
+        
+        return {
+            message: `Service ${serviceId} stopped (${exitDescription})`,
+            exitCode: code,
+            signal
+        };
+    }
     
-    if (process) {
+    // Stopping a crashed service cancels its pending restart
+    if (cancelPendingRestart(serviceId)) {
         consoleManager.addConsoleOutput(serviceId, 'stdout', 
-            `Stopping service: ${serviceId}`);
+            `Cancelled pending restart of service: ${serviceId}`);
+        const output = consoleManager.getProcessOutput(serviceId);
+        if (output) {
+            output.status = 'stopped';
+        }
+        return { message: `Service ${serviceId} restart cancelled` };
+    }
+    return { message: `Service ${serviceId} was not running` };
+}
+
+/**
+ * Start a service after the services it depends on, in dependency order
+ * Each service waits for the one before it to be started (and ready, if it has a readiness probe)
+ * Returns { message, started } - started lists the services actually started, in order
+ */
+async function startServiceWithDependencies(serviceId, services) {
+    const order = serviceDependencies.getStartOrder(services, serviceId);
+    const started = [];
+    
+    for (const id of order) {
+        if (runningProcesses.has(id)) {
+            continue;
+        }
         
-        process.kill('SIGTERM');
-        runningProcesses.delete(serviceId);
+        try {
+            await startService(id, services[id]);
+            started.push(id);
+        } catch (error) {
+            if (id === serviceId) {
+                throw error;
+            }
+            throw new Error(`Dependency ${id} of ${serviceId} failed to start: ${error.message}`);
+        }
+    }
+    
+    const dependencies = started.filter(id => id !== serviceId);
+    return {
+        message: dependencies.length > 0
+            ? `Service ${serviceId} started after its dependencies: ${dependencies.join(', ')}`
+            : `Service ${serviceId} started successfully`,
+        started
+    };
+}
+
+/**
+ * Stop a service and the running services that depend on it, dependents first
+ * Returns the stopService() result of the service, plus stoppedDependents
+ */
+async function stopServiceWithDependents(serviceId, services) {
+    const dependents = getRunningDependents(serviceId, services);
+    
+    for (const id of dependents) {
+        await stopService(id);
+    }
+    
+    const result = await stopService(serviceId);
+    return { ...result, stoppedDependents: dependents };
+}
+
+/**
+ * Get the running services that depend on a service, in stop order
+ */
+function getRunningDependents(serviceId, services) {
+    return serviceDependencies.getDependents(services, serviceId)
+        .filter(id => runningProcesses.has(id));
+}
+
+/**
+ * Re-attach to a service process left running by a previous instance
+ * Its earlier output is gone; only liveness and stopping are supported
+ */
+async function reattachService(serviceId, record, service) {
+    const proc = new processRegistry.AttachedProcess(record);
+    const entry = {
+        proc,
+        service: service || { command: record.command, workingDir: record.workingDir },
+        consoleId: serviceId,
+        envLayers: [],
+        command: record.command,
+        cwd: record.workingDir,
+        startedAt: record.startedAt,
+        procStartTime: record.procStartTime,
+        historyId: record.historyId || null,
+        reattached: true
+    };
+    portAllocator.reservePorts(serviceId, record.ports);
+    
+    consoleManager.initializeConsoleOutput(serviceId);
+    consoleManager.setProcessType(serviceId, 'service');
+    consoleManager.getProcessOutput(serviceId).status = 'running';
+    consoleManager.setWorkingDirectory(serviceId, record.workingDir ? path.resolve(record.workingDir) : process.cwd());
+    consoleManager.addConsoleOutput(serviceId, 'stdout', 
+        `[REATTACHED] Service ${serviceId} (PID ${record.pid}) was still running from a previous session, started at ${record.startedAt}`);
+    consoleManager.addConsoleOutput(serviceId, 'stdout', 
+        `[REATTACHED] Output from this process can no longer be captured; stop and start it again to see its console`);
+    
+    proc.on('close', () => {
+        const wasStopped = stoppingServices.delete(serviceId);
+        lastExits.set(serviceId, { code: null, signal: null, time: new Date().toISOString() });
         
         const output = consoleManager.getProcessOutput(serviceId);
         if (output) {
             output.status = 'stopped';
         }
+        consoleManager.addConsoleOutput(serviceId, 'stdout', 
+            wasStopped ? 'Service exited' : `Re-attached service ${serviceId} exited (exit code unknown)`);
+        
+        if (entry.historyId) {
+            runHistory.finishEntry(entry.historyId, wasStopped
+                ? { status: 'stopped' }
+                : { status: 'unknown', error: 'Re-attached process exited; exit code unknown' });
+        }
+        
+        if (runningProcesses.get(serviceId) === entry) {
+            runningProcesses.delete(serviceId);
+            portAllocator.releasePorts(serviceId);
+            persistRunningProcesses();
+        }
+    });
+    
+    runningProcesses.set(serviceId, entry);
+    
+    if (entry.historyId) {
+        // Before markInterrupted runs, so the entry isn't taken for one that died with the previous instance
+        await runHistory.resumeEntry(entry.historyId);
+    }
+    return entry;
+}
+
+/**
+ * Restore the running-process registry after an Experiment Browser restart
+ * Live processes are re-attached, killed or forgotten according to
+ * settings.orphanPolicy in services.json ('reattach' by default).
+ */
+async function restoreRunningProcesses() {
+    const records = await processRegistry.loadRegistry();
+    const serviceIds = Object.keys(records);
+    if (serviceIds.length === 0) {
+        await runHistory.markInterrupted();
+        return;
+    }
+    
+    let config = { services: {} };
+    try {
+        config = await loadServicesConfig();
+    } catch (error) {
+        // Re-attaching doesn't need the config; fall back to the default policy
+        if (!error.configErrors) throw error;
+        console.error(`[ProcessManager] Could not load services config to restore processes: ${error.message}`);
+    }
+    let policy = (config.settings && config.settings.orphanPolicy) || DEFAULT_ORPHAN_POLICY;
+    if (!ORPHAN_POLICIES.includes(policy)) {
+        console.warn(`[ProcessManager] Unknown orphanPolicy "${policy}", using "${DEFAULT_ORPHAN_POLICY}"`);
+        policy = DEFAULT_ORPHAN_POLICY;
+    }
+    
+    const terminations = [];
+    
+    for (const serviceId of serviceIds) {
+        const record = records[serviceId];
+        
+        if (!processRegistry.isRecordAlive(record)) {
+            console.log(`[ProcessManager] Service ${serviceId} (PID ${record.pid}) is no longer running`);
+            continue;
+        }
+        
+        if (policy === 'forget') {
+            console.log(`[ProcessManager] Forgetting orphaned service ${serviceId} (PID ${record.pid}), leaving it running`);
+            continue;
+        }
         
-        return `Service ${serviceId} stopped`;
+        const entry = await reattachService(serviceId, record, (config.services || {})[serviceId]);
+        
+        if (policy === 'kill') {
+            console.log(`[ProcessManager] Killing orphaned service ${serviceId} (PID ${record.pid})`);
+            consoleManager.addConsoleOutput(serviceId, 'stdout', 
+                `Stopping orphaned service ${serviceId} (orphanPolicy: kill)`);
+            terminations.push(terminateService(serviceId, entry));
+        } else {
+            console.log(`[ProcessManager] Re-attached to service ${serviceId} (PID ${record.pid})`);
+        }
     }
-    return `Service ${serviceId} was not running`;
+    
+    await Promise.all(terminations);
+    await persistRunningProcesses();
+    
+    // Anything else still marked running in the history died with the previous instance
+    await runHistory.markInterrupted();
 }
 
 /**
@@ -405,6 +1597,122 @@ function isServiceRunning(serviceId) {
     return runningProcesses.has(serviceId);
 }
 
+/**
+ * Check if a service has been asked to stop but has not exited yet
+ */
+function isServiceStopping(serviceId) {
+    return runningProcesses.has(serviceId) && stoppingServices.has(serviceId);
+}
+
+/**
+ * Get the exit code and signal from a service's most recent exit
+ */
+function getLastExit(serviceId) {
+    return lastExits.get(serviceId) || null;
+}
+
+/**
+ * Get how many times in a row a service has been automatically restarted
+ * (since it was last started manually or stayed up for the stable period)
+ */
+function getRestartCount(serviceId) {
+    const state = restartStates.get(serviceId);
+    return state ? state.count : 0;
+}
+
+/**
+ * Check if a service is waiting for an automatic restart
+ */
+function isRestartPending(serviceId) {
+    const state = restartStates.get(serviceId);
+    return Boolean(state && state.timer);
+}
+
+/**
+ * Get the config a running service was started with, or null
+ */
+function getRunningServiceConfig(serviceId) {
+    const entry = runningProcesses.get(serviceId);
+    return entry ? entry.service : null;
+}
+
+/**
+ * Get the ports assigned to a running service, or null
+ */
+function getAssignedPorts(serviceId) {
+    return portAllocator.getAssignedPorts(serviceId);
+}
+
+/**
+ * Get how to spawn a command in a pseudo-terminal, noting in the console
+ * when that isn't possible (the command then runs without one)
+ */
+function getPtyArgs(consoleId, command) {
+    const ptyArgs = terminal.getPtySpawnArgs(command);
+    if (ptyArgs) {
+        consoleManager.addConsoleOutput(consoleId, 'stdout', '[PTY] Running in a pseudo-terminal');
+    } else {
+        consoleManager.addConsoleOutput(consoleId, 'stderr', 
+            '[PTY] Pseudo-terminals are not supported on this system (the `script` utility is needed); running without one');
+    }
+    return ptyArgs;
+}
+
+/**
+ * Find the running process that input typed in a console goes to
+ * A workflow's console takes input while exactly one of its processes is running
+ * Returns { proc, pty, name } or { status, error }
+ */
+function getInputTarget(consoleId) {
+    const targets = [];
+    runningProcesses.forEach((entry, serviceId) => {
+        if (entry.consoleId === consoleId) {
+            targets.push({ proc: entry.proc, pty: Boolean(entry.pty), name: `service ${serviceId}` });
+        }
+    });
+    runningCommands.forEach(({ commandId, workflowId, pty }, proc) => {
+        if ((workflowId || commandId) === consoleId) {
+            targets.push({ proc, pty, name: `command ${commandId}` });
+        }
+    });
+    
+    if (targets.length === 0) {
+        return { status: 409, error: `No process is running in console ${consoleId}` };
+    }
+    if (targets.length > 1) {
+        return { 
+            status: 409, 
+            error: `Several processes are running in console ${consoleId} (${targets.map(target => target.name).join(', ')}); input would be ambiguous` 
+        };
+    }
+    
+    const [target] = targets;
+    if (!terminal.canWriteInput(target.proc)) {
+        return { 
+            status: 409, 
+            error: target.proc.stdin 
+                ? `Input to ${target.name} has been closed` 
+                : `The ${target.name} was re-attached after a restart and does not accept input` 
+        };
+    }
+    return target;
+}
+
+/**
+ * List the running services and commands to sample resource metrics for
+ * Returns [{ kind, id, pid, startedAt, workflowId? }]
+ */
+function getMetricTargets() {
+    const targets = [];
+    runningProcesses.forEach((entry, serviceId) => {
+        targets.push({ kind: 'service', id: serviceId, pid: entry.proc.pid, startedAt: entry.startedAt });
+    });
+    runningCommands.forEach(({ commandId, workflowId, startedAt }, proc) => {
+        targets.push({ kind: 'command', id: commandId, workflowId, pid: proc.pid, startedAt });
+    });
+    return targets;
+}
+
 /**
  * Get all running processes
  */
@@ -416,7 +1724,21 @@ module.exports = {
     executeCommand,
     startService,
     executeWorkflow,
+    startWorkflowRun,
+    cancelWorkflowRun,
     stopService,
+    startServiceWithDependencies,
+    stopServiceWithDependents,
+    getRunningDependents,
     isServiceRunning,
-    getRunningProcesses
+    isServiceStopping,
+    getLastExit,
+    getRestartCount,
+    isRestartPending,
+    getAssignedPorts,
+    getRunningServiceConfig,
+    getMetricTargets,
+    getInputTarget,
+    getRunningProcesses,
+    restoreRunningProcesses
 };
\ No newline at end of file
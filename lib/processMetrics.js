@@ -0,0 +1,291 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const consoleManager = require('./consoleManager');
+
+/**
+ * Resource metrics for running services and commands (Linux only)
+ *
+ * Every few seconds the process tree of each running service and command is
+ * sampled from /proc: the process itself, its descendants and the rest of its
+ * process group (services and commands run in their own group). A sample has
+ * CPU % (of one core, summed over the tree), RSS memory in bytes, open file
+ * descriptors, uptime in seconds and the number of processes.
+ * Samples are broadcast over the console SSE stream as `metrics` events.
+ *
+ * Only the sampled trees are read: a tree is found by following
+ * /proc/<pid>/task/<tid>/children from its root, plus the processes of its
+ * group seen in earlier samples (e.g. orphans adopted by init). Kernels
+ * without the children files fall back to reading every /proc/<pid>/stat.
+ */
+
+const SAMPLE_INTERVAL = 2000;
+
+// Samples kept per process for sparklines (2 minutes at the default interval)
+const HISTORY_LENGTH = 60;
+
+// Kernel clock ticks per second (USER_HZ), used by the CPU times in /proc/<pid>/stat;
+// read with getconf when sampling starts, 100 (the usual value) until then or if that fails
+const DEFAULT_CLOCK_TICKS = 100;
+let clockTicks = DEFAULT_CLOCK_TICKS;
+
+// key ("service:<id>" or "command:<id>") -> { pid, pids, samples, lastTicks, lastTime }
+const histories = new Map();
+
+let sampleTimer = null;
+
+// Whether /proc/<pid>/task/<tid>/children exists (needs CONFIG_PROC_CHILDREN); checked when sampling starts
+let hasChildrenFiles = false;
+
+/**
+ * Check if metrics can be collected on this platform
+ */
+function isSupported() {
+    return process.platform === 'linux' && fs.existsSync('/proc/self/stat');
+}
+
+/**
+ * Read the kernel's clock ticks per second
+ */
+function readClockTicks() {
+    try {
+        const ticks = Number(execFileSync('getconf', ['CLK_TCK'], { encoding: 'utf8', timeout: 2000 }).trim());
+        return Number.isInteger(ticks) && ticks > 0 ? ticks : DEFAULT_CLOCK_TICKS;
+    } catch {
+        return DEFAULT_CLOCK_TICKS;
+    }
+}
+
+/**
+ * Read pid, parent, process group and CPU ticks of a process
+ * Returns { pid, ppid, pgrp, ticks }, or null if it has exited
+ */
+function readStat(pid) {
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        // The command name (field 2) may contain spaces, so split after its closing paren
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        return {
+            pid,
+            ppid: Number(fields[1]),
+            pgrp: Number(fields[2]),
+            ticks: Number(fields[11]) + Number(fields[12]) // utime + stime
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read the child pids of a process (of all its threads)
+ */
+function readChildren(pid) {
+    try {
+        return fs.readdirSync(`/proc/${pid}/task`).flatMap((tid) => {
+            try {
+                return fs.readFileSync(`/proc/${pid}/task/${tid}/children`, 'utf8').split(' ').filter(Boolean).map(Number);
+            } catch {
+                return []; // The thread exited while we were reading
+            }
+        });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Read a process, its descendants and the members of its process group
+ * seen before (previousPids), following the children files
+ * Returns a Map of pid -> { pid, ppid, pgrp, ticks }
+ */
+function readProcessTree(rootPid, previousPids = []) {
+    const tree = new Map();
+
+    const visit = (pid, mustBeInGroup) => {
+        if (tree.has(pid)) return;
+        const info = readStat(pid);
+        // A pid seen before may have been reused by an unrelated process
+        if (!info || (mustBeInGroup && info.pgrp !== rootPid)) return;
+        tree.set(pid, info);
+        readChildren(pid).forEach(child => visit(child, false));
+    };
+
+    visit(rootPid, false);
+    if (tree.size > 0) {
+        previousPids.forEach(pid => visit(pid, true));
+    }
+    return tree;
+}
+
+/**
+ * Read pid, parent, process group and CPU ticks of every process in /proc
+ * (only used when the kernel has no children files)
+ * Returns a Map of pid -> { pid, ppid, pgrp, ticks }
+ */
+function readProcessTable() {
+    const table = new Map();
+
+    fs.readdirSync('/proc').forEach((name) => {
+        if (!/^\d+$/.test(name)) return;
+        const info = readStat(Number(name));
+        if (info) table.set(info.pid, info);
+    });
+
+    return table;
+}
+
+/**
+ * Get a process, its descendants and the members of its process group from the full process table
+ * Returns a Map of pid -> { pid, ppid, pgrp, ticks }, empty if the process is gone
+ */
+function getProcessTree(rootPid, table) {
+    if (!table.has(rootPid)) return new Map();
+
+    const pids = new Set();
+    table.forEach((info) => {
+        if (info.pid === rootPid || info.pgrp === rootPid) pids.add(info.pid);
+    });
+
+    // Descendants that moved to a process group of their own
+    let added = true;
+    while (added) {
+        added = false;
+        table.forEach((info) => {
+            if (!pids.has(info.pid) && pids.has(info.ppid)) {
+                pids.add(info.pid);
+                added = true;
+            }
+        });
+    }
+
+    return new Map(Array.from(pids, pid => [pid, table.get(pid)]));
+}
+
+/**
+ * Read a process's resident memory in bytes
+ */
+function readRss(pid) {
+    try {
+        const match = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/^VmRSS:\s+(\d+)\s+kB/m);
+        return match ? Number(match[1]) * 1024 : 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Count a process's open file descriptors
+ */
+function countFds(pid) {
+    try {
+        return fs.readdirSync(`/proc/${pid}/fd`).length;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Sample one target's process tree and add the sample to its history
+ * target: { kind, id, pid, startedAt, workflowId? }
+ * tree: Map of pid -> { ticks } for the target's processes
+ */
+function sampleTarget(target, tree, now) {
+    const key = `${target.kind}:${target.id}`;
+    let history = histories.get(key);
+    if (!history || history.pid !== target.pid) {
+        history = { pid: target.pid, pids: [], samples: [], lastTicks: null, lastTime: null };
+        histories.set(key, history);
+    }
+
+    const pids = Array.from(tree.keys());
+    const ticks = Array.from(tree.values()).reduce((sum, info) => sum + info.ticks, 0);
+
+    // CPU time of children that exited since the last sample is lost, so never go below 0
+    const cpu = history.lastTicks === null ? null
+        : Math.max(0, ((ticks - history.lastTicks) / clockTicks) / ((now - history.lastTime) / 1000) * 100);
+    history.pids = pids;
+    history.lastTicks = ticks;
+    history.lastTime = now;
+
+    const sample = {
+        timestamp: new Date(now).toISOString(),
+        pid: target.pid,
+        cpu: cpu === null ? null : Math.round(cpu * 10) / 10,
+        memory: pids.reduce((sum, pid) => sum + readRss(pid), 0),
+        fds: pids.reduce((sum, pid) => sum + countFds(pid), 0),
+        uptime: target.startedAt ? Math.round((now - new Date(target.startedAt)) / 1000) : null,
+        processes: pids.length
+    };
+
+    history.samples.push(sample);
+    if (history.samples.length > HISTORY_LENGTH) {
+        history.samples.shift();
+    }
+    return { kind: target.kind, id: target.id, workflowId: target.workflowId || null, ...sample };
+}
+
+/**
+ * Sample all targets once, dropping the history of targets that are gone
+ */
+function sampleAll(targets) {
+    const withPid = targets.filter(target => target.pid);
+    if (withPid.length === 0) {
+        histories.clear();
+        return [];
+    }
+
+    const table = hasChildrenFiles ? null : readProcessTable();
+    const now = Date.now();
+    const live = withPid.map((target) => {
+        const history = histories.get(`${target.kind}:${target.id}`);
+        const tree = table
+            ? getProcessTree(target.pid, table)
+            : readProcessTree(target.pid, history && history.pid === target.pid ? history.pids : []);
+        return { target, tree };
+    }).filter(({ tree }) => tree.size > 0);
+
+    const keys = new Set(live.map(({ target }) => `${target.kind}:${target.id}`));
+    Array.from(histories.keys()).forEach((key) => {
+        if (!keys.has(key)) histories.delete(key);
+    });
+
+    return live.map(({ target, tree }) => sampleTarget(target, tree, now));
+}
+
+/**
+ * Start sampling periodically and broadcasting the samples
+ * getTargets: returns the running processes as [{ kind, id, pid, startedAt }]
+ */
+function startSampling(getTargets, interval = SAMPLE_INTERVAL) {
+    if (sampleTimer || !isSupported()) return false;
+
+    clockTicks = readClockTicks();
+    hasChildrenFiles = fs.existsSync(`/proc/self/task/${process.pid}/children`);
+
+    sampleTimer = setInterval(() => {
+        try {
+            const samples = sampleAll(getTargets());
+            if (samples.length > 0) {
+                consoleManager.broadcastEvent({ type: 'metrics', samples });
+            }
+        } catch (error) {
+            console.error('[ProcessMetrics] Sampling failed:', error);
+        }
+    }, interval);
+    sampleTimer.unref();
+    return true;
+}
+
+/**
+ * Get the recent samples of a service or command, oldest first
+ */
+function getHistory(kind, id) {
+    const history = histories.get(`${kind}:${id}`);
+    return history ? [...history.samples] : [];
+}
+
+module.exports = {
+    SAMPLE_INTERVAL,
+    isSupported,
+    startSampling,
+    getHistory
+};
@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const REGISTRY_FILE = './data/running-processes.json';
+const LIVENESS_POLL_INTERVAL = 2000;
+
+// Serialize writes so a slow write never overwrites a newer registry
+let writeChain = Promise.resolve();
+
+/**
+ * Read a process's start time from /proc (Linux only)
+ * Used to tell a re-used PID apart from the process we originally spawned
+ */
+function readProcessStartTime(pid) {
+    try {
+        const stat = fsSync.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        // The command name (field 2) may contain spaces, so split after its closing paren
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        return fields[19] || null; // Field 22 overall: starttime
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check if a process group (or single process) still has live members
+ */
+function isProcessAlive(pid, { group = false } = {}) {
+    try {
+        process.kill(group ? -pid : pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM means it exists but belongs to someone else
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Check if a registry record still refers to the process we spawned
+ */
+function isRecordAlive(record) {
+    const groupAlive = process.platform === 'win32'
+        ? isProcessAlive(record.pid)
+        : isProcessAlive(record.pid, { group: true });
+
+    if (!groupAlive) return false;
+
+    // If the group leader is still around, make sure its PID wasn't recycled
+    if (record.procStartTime && isProcessAlive(record.pid)) {
+        const startTime = readProcessStartTime(record.pid);
+        if (startTime && startTime !== record.procStartTime) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Load the persisted registry of running service processes
+ */
+async function loadRegistry() {
+    try {
+        const content = await fs.readFile(REGISTRY_FILE, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[ProcessRegistry] Failed to read registry, ignoring it:', error.message);
+        }
+        return {};
+    }
+}
+
+/**
+ * Persist the registry of running service processes
+ */
+function saveRegistry(records) {
+    const content = JSON.stringify(records, null, 2);
+
+    writeChain = writeChain
+        .then(async () => {
+            await fs.mkdir(path.dirname(REGISTRY_FILE), { recursive: true });
+            await fs.writeFile(REGISTRY_FILE, content);
+        })
+        .catch((error) => {
+            console.error('[ProcessRegistry] Failed to save registry:', error.message);
+        });
+
+    return writeChain;
+}
+
+/**
+ * Handle for a process that was spawned by a previous Experiment Browser instance
+ * Mimics the parts of ChildProcess the process manager relies on (pid, 'close')
+ * by polling for liveness, since its stdio can no longer be read.
+ */
+class AttachedProcess extends EventEmitter {
+    constructor(record) {
+        super();
+        this.pid = record.pid;
+        this.record = record;
+        this.exitCode = null;
+        this.signalCode = null;
+
+        this.pollTimer = setInterval(() => {
+            if (!isRecordAlive(this.record)) {
+                clearInterval(this.pollTimer);
+                // The real exit status is unknowable for a process we didn't spawn
+                this.emit('exit', null, null);
+                this.emit('close', null, null);
+            }
+        }, LIVENESS_POLL_INTERVAL);
+        this.pollTimer.unref();
+    }
+
+    kill(signal = 'SIGTERM') {
+        try {
+            process.kill(this.pid, signal);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = {
+    REGISTRY_FILE,
+    readProcessStartTime,
+    isProcessAlive,
+    isRecordAlive,
+    loadRegistry,
+    saveRegistry,
+    AttachedProcess
+};
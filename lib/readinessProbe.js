@@ -0,0 +1,151 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_INTERVAL = 500;
+
+/**
+ * Describe a readiness probe for console messages
+ */
+function describeProbe(probe) {
+    switch (probe.type) {
+        case 'http':
+            return `HTTP GET ${probe.url}`;
+        case 'tcp':
+            return `TCP port ${probe.host || 'localhost'}:${probe.port}`;
+        case 'log':
+            return `stdout matching /${probe.pattern}/`;
+        default:
+            return `unknown probe type "${probe.type}"`;
+    }
+}
+
+/**
+ * Perform a single HTTP GET check
+ * Any 2xx or 3xx response counts as ready
+ */
+function checkHttp(url, requestTimeout) {
+    return new Promise((resolve) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.get(url, (res) => {
+            res.resume();
+            resolve(res.statusCode >= 200 && res.statusCode < 400);
+        });
+        req.setTimeout(requestTimeout, () => req.destroy());
+        req.on('error', () => resolve(false));
+    });
+}
+
+/**
+ * Perform a single TCP connect check
+ */
+function checkTcp(host, port, requestTimeout) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host, port });
+        const finish = (ready) => {
+            socket.destroy();
+            resolve(ready);
+        };
+        socket.setTimeout(requestTimeout, () => finish(false));
+        socket.once('connect', () => finish(true));
+        socket.once('error', () => finish(false));
+    });
+}
+
+/**
+ * Wait until a spawned service passes its readiness probe
+ *
+ * probe: { type: 'http'|'tcp'|'log', url, host, port, pattern, timeout, interval }
+ * Resolves once the probe passes; rejects if it times out or the process exits first.
+ */
+function waitForReady(proc, probe) {
+    return new Promise((resolve, reject) => {
+        const timeout = probe.timeout || DEFAULT_TIMEOUT;
+        const interval = probe.interval || DEFAULT_INTERVAL;
+        let settled = false;
+        let pollTimer = null;
+        let onData = null;
+
+        if (!['http', 'tcp', 'log'].includes(probe.type)) {
+            reject(new Error(`Unknown readiness probe type: ${probe.type}`));
+            return;
+        }
+
+        let regex = null;
+        if (probe.type === 'log') {
+            try {
+                regex = new RegExp(probe.pattern);
+            } catch (error) {
+                reject(new Error(`Invalid readiness probe pattern: ${error.message}`));
+                return;
+            }
+        }
+
+        const cleanup = () => {
+            settled = true;
+            clearTimeout(timeoutTimer);
+            clearTimeout(pollTimer);
+            if (onData) {
+                proc.stdout.removeListener('data', onData);
+            }
+            proc.removeListener('close', onClose);
+        };
+
+        const succeed = () => {
+            if (settled) return;
+            cleanup();
+            resolve();
+        };
+
+        const fail = (error) => {
+            if (settled) return;
+            cleanup();
+            reject(error);
+        };
+
+        const onClose = (code) => {
+            fail(new Error(`Process exited with code ${code} before becoming ready`));
+        };
+
+        const timeoutTimer = setTimeout(() => {
+            fail(new Error(`Readiness probe (${describeProbe(probe)}) timed out after ${timeout}ms`));
+        }, timeout);
+
+        proc.once('close', onClose);
+
+        if (probe.type === 'log') {
+            // Watch stdout for the configured pattern
+            let buffer = '';
+            onData = (data) => {
+                buffer = (buffer + data.toString()).slice(-4096);
+                if (regex.test(buffer)) {
+                    succeed();
+                }
+            };
+            proc.stdout.on('data', onData);
+            return;
+        }
+
+        // Poll HTTP/TCP probes until they pass
+        const poll = async () => {
+            if (settled) return;
+            const requestTimeout = Math.max(interval, 1000);
+            const ready = probe.type === 'http'
+                ? await checkHttp(probe.url, requestTimeout)
+                : await checkTcp(probe.host || 'localhost', probe.port, requestTimeout);
+
+            if (ready) {
+                succeed();
+            } else if (!settled) {
+                pollTimer = setTimeout(poll, interval);
+            }
+        };
+        poll();
+    });
+}
+
+module.exports = {
+    describeProbe,
+    waitForReady
+};
@@ -0,0 +1,294 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_FILE = './data/run-history.json';
+const LOGS_DIR = './data/history-logs';
+
+// Oldest entries (and their logs) are dropped beyond this many
+const MAX_ENTRIES = 500;
+
+// Captured output is trimmed to its last characters
+const MAX_LOG_LENGTH = 1024 * 1024;
+
+const KINDS = ['workflow', 'command', 'service'];
+
+// History entries, newest last
+let entries = [];
+let loaded = false;
+
+// Output captured for entries in progress: entryId -> string
+const pendingLogs = new Map();
+
+// Serialize writes so a slow write never overwrites newer history
+let writeChain = Promise.resolve();
+
+/**
+ * Load history from disk (once)
+ */
+async function loadHistory() {
+    if (loaded) return;
+    loaded = true;
+
+    try {
+        const content = await fs.readFile(HISTORY_FILE, 'utf8');
+        const parsed = JSON.parse(content);
+        // Entries recorded before the history finished loading stay at the end
+        entries = [...(Array.isArray(parsed) ? parsed : []), ...entries];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('[RunHistory] Failed to read history, starting fresh:', error.message);
+        }
+    }
+}
+
+/**
+ * Persist history to disk
+ */
+function saveHistory() {
+    writeChain = writeChain
+        .then(async () => {
+            // Never overwrite history on disk before it has been read
+            await loadHistory();
+            await fs.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+            await fs.writeFile(HISTORY_FILE, JSON.stringify(entries, null, 2));
+        })
+        .catch((error) => {
+            console.error('[RunHistory] Failed to save history:', error.message);
+        });
+
+    return writeChain;
+}
+
+/**
+ * Write captured output to a log file, returning its path
+ */
+function writeLog(fileName, content) {
+    const logFile = path.join(LOGS_DIR, fileName);
+
+    writeChain = writeChain
+        .then(async () => {
+            await fs.mkdir(LOGS_DIR, { recursive: true });
+            await fs.writeFile(logFile, content);
+        })
+        .catch((error) => {
+            console.error(`[RunHistory] Failed to write log ${logFile}:`, error.message);
+        });
+
+    return logFile;
+}
+
+/**
+ * Trim captured output to the most recent MAX_LOG_LENGTH characters
+ */
+function trimLog(text) {
+    return text.length > MAX_LOG_LENGTH ? text.slice(-MAX_LOG_LENGTH) : text;
+}
+
+/**
+ * Drop the oldest entries (and their log files) beyond MAX_ENTRIES
+ */
+function pruneEntries() {
+    const removed = entries.splice(0, Math.max(0, entries.length - MAX_ENTRIES));
+
+    removed.forEach((entry) => {
+        const logFiles = [entry.logFile, ...(entry.steps || []).map(step => step.logFile)].filter(Boolean);
+        logFiles.forEach((logFile) => {
+            fs.unlink(logFile).catch(() => {});
+        });
+    });
+}
+
+/**
+ * Record the start of a workflow run, command execution or service process
+ *
+ * details: { kind, targetId, name, runId, restart } - kind is workflow|command|service
+ * Returns the new entry
+ */
+function startEntry({ kind, targetId, name = null, runId = null, restart = false }) {
+    const entry = {
+        id: `${kind}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        kind,
+        targetId,
+        name: name || targetId,
+        runId,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        duration: null,
+        exitCode: null,
+        signal: null,
+        error: null,
+        logFile: null
+    };
+
+    if (kind === 'service') {
+        entry.restart = restart;
+    }
+
+    entries.push(entry);
+    pendingLogs.set(entry.id, '');
+    pruneEntries();
+    saveHistory();
+    return entry;
+}
+
+/**
+ * Append output to an entry's captured log
+ */
+function appendLog(entryId, text) {
+    if (!pendingLogs.has(entryId)) return;
+    pendingLogs.set(entryId, trimLog(pendingLogs.get(entryId) + text));
+}
+
+/**
+ * Save the log of a single workflow step, returning its path
+ */
+function writeStepLog(entryId, stepId, text) {
+    const safeStepId = String(stepId).replace(/[^A-Za-z0-9_.-]/g, '_');
+    return writeLog(`${entryId}.${safeStepId}.log`, trimLog(text));
+}
+
+/**
+ * Record the end of an entry
+ *
+ * result: { status, exitCode, signal, error, failedStep, steps }
+ */
+function finishEntry(entryId, result = {}) {
+    const entry = entries.find(e => e.id === entryId);
+    if (!entry) return null;
+
+    const now = new Date();
+    Object.assign(entry, {
+        status: result.status || 'completed',
+        finishedAt: now.toISOString(),
+        duration: now - new Date(entry.startedAt),
+        exitCode: result.exitCode ?? null,
+        signal: result.signal || null,
+        error: result.error || null
+    });
+
+    if (result.failedStep !== undefined) {
+        entry.failedStep = result.failedStep;
+    }
+    if (result.steps !== undefined) {
+        entry.steps = result.steps;
+    }
+
+    const log = pendingLogs.get(entryId);
+    pendingLogs.delete(entryId);
+    if (log) {
+        entry.logFile = writeLog(`${entryId}.log`, log);
+    }
+
+    saveHistory();
+    return entry;
+}
+
+/**
+ * Mark entries left running by a previous Experiment Browser instance as interrupted
+ * keepIds: entries that are still being tracked (e.g. reattached services)
+ */
+async function markInterrupted(keepIds = []) {
+    await loadHistory();
+
+    let changed = false;
+    entries.forEach((entry) => {
+        if (entry.status === 'running' && !pendingLogs.has(entry.id) && !keepIds.includes(entry.id)) {
+            entry.status = 'interrupted';
+            entry.error = 'Experiment Browser stopped before this finished';
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        await saveHistory();
+    }
+}
+
+/**
+ * Keep tracking an entry from a previous instance (its output can no longer be captured)
+ */
+async function resumeEntry(entryId) {
+    await loadHistory();
+
+    if (entries.some(e => e.id === entryId && e.status === 'running') && !pendingLogs.has(entryId)) {
+        pendingLogs.set(entryId, '');
+    }
+}
+
+/**
+ * List history entries, newest first
+ *
+ * filters: { kind, targetId, status, since, until, limit, offset }
+ */
+async function listEntries(filters = {}) {
+    await loadHistory();
+
+    const since = filters.since ? new Date(filters.since) : null;
+    const until = filters.until ? new Date(filters.until) : null;
+
+    const matching = entries.filter((entry) => {
+        if (filters.kind && entry.kind !== filters.kind) return false;
+        if (filters.targetId && entry.targetId !== filters.targetId) return false;
+        if (filters.status && entry.status !== filters.status) return false;
+        if (since && new Date(entry.startedAt) < since) return false;
+        if (until && new Date(entry.startedAt) > until) return false;
+        return true;
+    }).reverse();
+
+    const offset = Math.max(0, parseInt(filters.offset) || 0);
+    const limit = Math.max(1, parseInt(filters.limit) || 50);
+
+    return {
+        total: matching.length,
+        entries: matching.slice(offset, offset + limit)
+    };
+}
+
+/**
+ * Get a single history entry
+ */
+async function getEntry(entryId) {
+    await loadHistory();
+    return entries.find(e => e.id === entryId) || null;
+}
+
+/**
+ * Read the captured log of an entry (or of one of its workflow steps)
+ * Returns null if there is no log
+ */
+async function readLog(entryId, stepId = null) {
+    const entry = await getEntry(entryId);
+    if (!entry) return null;
+
+    if (entry.status === 'running' && !stepId) {
+        return pendingLogs.get(entryId) || '';
+    }
+
+    const logFile = stepId
+        ? ((entry.steps || []).find(step => step.id === stepId) || {}).logFile
+        : entry.logFile;
+    if (!logFile) return null;
+
+    try {
+        await writeChain;
+        return await fs.readFile(logFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+module.exports = {
+    KINDS,
+    startEntry,
+    appendLog,
+    writeStepLog,
+    finishEntry,
+    markInterrupted,
+    resumeEntry,
+    listEntries,
+    getEntry,
+    readLog
+};
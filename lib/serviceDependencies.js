@@ -0,0 +1,114 @@
+/**
+ * Service-to-service dependencies
+ *
+ * A service may list the services it needs in `dependsOn`:
+ *   "api": { "command": "npm start", "dependsOn": ["db", "cache"] }
+ * Dependencies are started first (each waits for its readiness probe, if any)
+ * and stopped after the services that need them.
+ */
+
+const { findCycle } = require('./workflowGraph');
+
+/**
+ * Get the IDs of the services a service depends on
+ */
+function getDependencies(service) {
+    return (service && Array.isArray(service.dependsOn)) ? service.dependsOn : [];
+}
+
+/**
+ * Validate the dependencies of a service against all services
+ * Returns a list of error messages
+ */
+function validateServiceDependencies(services, serviceId) {
+    const service = services[serviceId];
+    if (!service || service.dependsOn === undefined) return [];
+
+    if (!Array.isArray(service.dependsOn) || service.dependsOn.some(id => typeof id !== 'string')) {
+        return ['dependsOn must be an array of service IDs'];
+    }
+
+    const errors = [];
+    service.dependsOn.forEach((dependency) => {
+        if (dependency === serviceId) {
+            errors.push(`Service ${serviceId} cannot depend on itself`);
+        } else if (!services[dependency]) {
+            errors.push(`Service ${serviceId} depends on unknown service "${dependency}"`);
+        }
+    });
+
+    if (errors.length === 0) {
+        const cycle = findServiceCycle(services, serviceId);
+        if (cycle) {
+            errors.push(`Service dependencies contain a cycle: ${cycle.join(' -> ')}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Find a dependency cycle reachable from a service
+ */
+function findServiceCycle(services, serviceId) {
+    const nodes = Object.entries(services).map(([id, service]) => ({
+        id,
+        dependsOn: getDependencies(service),
+        waitFor: []
+    }));
+    return findCycle(nodes, [serviceId]);
+}
+
+/**
+ * Get the order to start a service in: its (transitive) dependencies first,
+ * the service itself last
+ * Throws if a dependency is unknown or the dependencies contain a cycle
+ */
+function getStartOrder(services, serviceId) {
+    const cycle = findServiceCycle(services, serviceId);
+    if (cycle) {
+        throw new Error(`Service dependencies contain a cycle: ${cycle.join(' -> ')}`);
+    }
+
+    const order = [];
+    const visit = (id, neededBy) => {
+        if (order.includes(id)) return;
+        if (!services[id]) {
+            throw new Error(`Service ${neededBy} depends on unknown service "${id}"`);
+        }
+        getDependencies(services[id]).forEach(dependency => visit(dependency, id));
+        order.push(id);
+    };
+    visit(serviceId, null);
+
+    return order;
+}
+
+/**
+ * Get the services that (transitively) depend on a service, in the order to
+ * stop them: services nothing else depends on first
+ */
+function getDependents(services, serviceId) {
+    const order = [];
+    const visited = new Set();
+    const visit = (id) => {
+        if (visited.has(id)) return;
+        visited.add(id);
+        Object.entries(services)
+            .filter(([, service]) => getDependencies(service).includes(id))
+            .forEach(([dependentId]) => visit(dependentId));
+        if (id !== serviceId) {
+            order.push(id);
+        }
+    };
+    visit(serviceId);
+
+    return order;
+}
+
+module.exports = {
+    getDependencies,
+    validateServiceDependencies,
+    getStartOrder,
+    getDependents
+};
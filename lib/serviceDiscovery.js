@@ -0,0 +1,99 @@
+/**
+ * Service discovery for experiments
+ *
+ * An experiment is linked to the services in its metadata `dependencies` and
+ * to the services started by its required and optional workflows (including
+ * nested workflows). Discovery reports where each of them can be reached, so
+ * an experiment's page can find its backend without the backend writing a
+ * config file into the experiment folder.
+ */
+
+/**
+ * Collect the services a workflow starts, following nested workflows
+ * Adds { serviceId, service } entries to `found`
+ */
+function collectWorkflowServices(workflowId, config, found, visited) {
+    if (visited.has(workflowId)) return;
+    visited.add(workflowId);
+
+    const workflow = config.workflows[workflowId];
+    if (!workflow) return;
+
+    [...(workflow.steps || []), ...(workflow.onFailure || [])].forEach((step) => {
+        if (!step) return;
+        if (step.type === 'existing-service' && config.services[step.serviceId]) {
+            found.set(step.serviceId, config.services[step.serviceId]);
+        } else if (step.type === 'custom-service' && step.serviceId && !found.has(step.serviceId)) {
+            found.set(step.serviceId, { name: step.name, command: step.command });
+        } else if (step.type === 'workflow' && step.workflowId) {
+            collectWorkflowServices(step.workflowId, config, found, visited);
+        }
+    });
+}
+
+/**
+ * Get the services linked to an experiment
+ * Returns a Map of serviceId -> service config
+ */
+function getLinkedServices(metadata, config) {
+    const found = new Map();
+    const visited = new Set();
+    const { services = {}, workflows = {} } = config;
+
+    (metadata.dependencies || []).forEach((dependencyId) => {
+        if (services[dependencyId]) {
+            found.set(dependencyId, services[dependencyId]);
+        } else if (workflows[dependencyId]) {
+            collectWorkflowServices(dependencyId, { services, workflows }, found, visited);
+        }
+    });
+    [...(metadata.requiredWorkflows || []), ...(metadata.optionalWorkflows || [])].forEach((workflowId) => {
+        collectWorkflowServices(workflowId, { services, workflows }, found, visited);
+    });
+
+    return found;
+}
+
+/**
+ * Get the base URL of a service that has no assigned ports from its HTTP readiness probe
+ */
+function getProbeUrl(service) {
+    const probe = service.readinessProbe;
+    if (!probe || probe.type !== 'http' || typeof probe.url !== 'string' || probe.url.includes('${')) {
+        return null;
+    }
+    try {
+        return new URL(probe.url).origin;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Describe where a linked service can be reached
+ *
+ * status: { running, assignedPorts, proxyUrl }
+ * host: the host name the experiment used to reach the Experiment Browser
+ * Returns { name, running, ports, urls, url, proxyUrl } - url is the first port's URL,
+ * proxyUrl the same-origin path the service's HTTP port is proxied under (if any)
+ */
+function describeService(serviceId, service, status, host = 'localhost') {
+    const ports = status.assignedPorts || {};
+    const urls = Object.fromEntries(Object.entries(ports)
+        .map(([name, port]) => [name, `http://${host}:${port}`]));
+    const [firstUrl] = Object.values(urls);
+
+    return {
+        name: service.name || serviceId,
+        running: status.running,
+        ports,
+        urls,
+        url: firstUrl || (status.running ? getProbeUrl(service) : null),
+        proxyUrl: status.proxyUrl || null
+    };
+}
+
+module.exports = {
+    getLinkedServices,
+    describeService
+};
@@ -0,0 +1,215 @@
+const http = require('http');
+const net = require('net');
+const processManager = require('./processManager');
+
+/**
+ * Reverse proxy for service HTTP endpoints
+ *
+ * A running service's HTTP port is served under the Experiment Browser's own
+ * origin at /proxy/<serviceId>/..., so experiment pages can use same-origin
+ * URLs instead of calling their backend cross-origin. The proxied port is the
+ * service's port named `http` (see portAllocator), or `proxyPort`: another
+ * port name, or a port number for services without `ports`.
+ *
+ * Plain requests, streamed responses (SSE) and WebSocket upgrades are passed through.
+ */
+
+const PROXY_PREFIX = '/proxy';
+
+// Headers that only apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'te', 'trailer', 'upgrade'];
+
+/**
+ * Get the port to proxy for a service, or null if it has none
+ */
+function getProxyPort(service, assignedPorts) {
+    const ports = assignedPorts || {};
+    const { proxyPort } = service || {};
+
+    if (typeof proxyPort === 'number') return proxyPort;
+    if (typeof proxyPort === 'string') return ports[proxyPort] ?? null;
+    return ports.http ?? null;
+}
+
+/**
+ * Get the proxy URL of a service
+ */
+function getProxyUrl(serviceId) {
+    return `${PROXY_PREFIX}/${encodeURIComponent(serviceId)}/`;
+}
+
+/**
+ * Split a request URL into the service ID and the path to forward
+ * The path is empty or starts with "?" when the URL has no trailing slash
+ * Returns null for URLs outside /proxy/<serviceId> (or with a malformed service ID)
+ */
+function parseProxyUrl(url) {
+    const match = url.match(/^\/proxy\/([^/?#]+)(.*)$/);
+    if (!match) return null;
+
+    try {
+        return {
+            serviceId: decodeURIComponent(match[1]),
+            path: match[2]
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the port a proxied request for a service should go to
+ * Returns { port } or { status, error }
+ */
+function resolveTarget(serviceId) {
+    if (!processManager.isServiceRunning(serviceId)) {
+        return { status: 502, error: `Service ${serviceId} is not running` };
+    }
+
+    const service = processManager.getRunningServiceConfig(serviceId);
+    const port = getProxyPort(service, processManager.getAssignedPorts(serviceId));
+    if (!port) {
+        return {
+            status: 502,
+            error: `Service ${serviceId} has no HTTP port to proxy (declare a port named "http" or set proxyPort)`
+        };
+    }
+    return { port };
+}
+
+/**
+ * Build the headers to forward to a service
+ */
+function buildForwardHeaders(req, serviceId, port) {
+    const headers = { ...req.headers };
+    HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+
+    headers.host = `localhost:${port}`;
+    headers['x-forwarded-host'] = req.headers.host || '';
+    headers['x-forwarded-proto'] = req.socket.encrypted ? 'https' : 'http';
+    headers['x-forwarded-prefix'] = `${PROXY_PREFIX}/${serviceId}`;
+    headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+    return headers;
+}
+
+/**
+ * Rewrite a redirect from a service so it stays under the proxy
+ */
+function rewriteLocation(location, serviceId, port) {
+    const prefix = `${PROXY_PREFIX}/${encodeURIComponent(serviceId)}`;
+    const origins = [`http://localhost:${port}`, `http://127.0.0.1:${port}`];
+
+    const origin = origins.find(candidate => location.startsWith(candidate));
+    if (origin) {
+        return prefix + (location.slice(origin.length) || '/');
+    }
+    if (location.startsWith('/') && !location.startsWith('//')) {
+        return prefix + location;
+    }
+    return location;
+}
+
+/**
+ * Express middleware handling /proxy/<serviceId>/... requests
+ * Must be mounted before body parsers so request bodies are forwarded untouched
+ */
+function proxyRequest(req, res, next) {
+    const parsed = parseProxyUrl(req.originalUrl);
+    if (!parsed) return next();
+
+    const { serviceId, path } = parsed;
+
+    // Relative URLs in the service's pages only resolve under a trailing slash
+    if (!path.startsWith('/')) {
+        return res.redirect(307, `${getProxyUrl(serviceId)}${path}`);
+    }
+
+    const target = resolveTarget(serviceId);
+    if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+    }
+
+    const proxyReq = http.request({
+        host: 'localhost',
+        port: target.port,
+        method: req.method,
+        path,
+        headers: buildForwardHeaders(req, serviceId, target.port)
+    });
+
+    proxyReq.on('response', (proxyRes) => {
+        const headers = { ...proxyRes.headers };
+        HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+        if (headers.location) {
+            headers.location = rewriteLocation(headers.location, serviceId, target.port);
+        }
+
+        res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+        // Event streams must reach the browser as soon as each event arrives
+        res.flushHeaders();
+        proxyRes.pipe(res);
+    });
+
+    proxyReq.on('error', (error) => {
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.status(502).json({ error: `Proxy request to service ${serviceId} failed: ${error.message}` });
+    });
+
+    // Stop the upstream request (e.g. an event stream) when the browser goes away
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            proxyReq.destroy();
+        }
+    });
+
+    req.pipe(proxyReq);
+}
+
+/**
+ * Handle an HTTP upgrade (WebSocket) request on the Experiment Browser's server
+ * Requests outside /proxy are refused
+ */
+function proxyUpgrade(req, socket, head) {
+    const parsed = parseProxyUrl(req.url);
+    const target = parsed && resolveTarget(parsed.serviceId);
+
+    if (!target || target.error) {
+        const status = target ? '502 Bad Gateway' : '404 Not Found';
+        socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+        return;
+    }
+
+    const upstream = net.connect({ host: 'localhost', port: target.port }, () => {
+        // Forward the handshake as-is (including Connection/Upgrade) apart from the path and Host
+        const lines = [`${req.method} ${parsed.path.startsWith('/') ? parsed.path : `/${parsed.path}`} HTTP/${req.httpVersion}`];
+        for (let i = 0; i < req.rawHeaders.length; i += 2) {
+            const name = req.rawHeaders[i];
+            const value = name.toLowerCase() === 'host' ? `localhost:${target.port}` : req.rawHeaders[i + 1];
+            lines.push(`${name}: ${value}`);
+        }
+        upstream.write(`${lines.join('\r\n')}\r\n\r\n`);
+        if (head && head.length > 0) {
+            upstream.write(head);
+        }
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+    });
+
+    upstream.on('error', () => socket.destroy());
+    socket.on('error', () => upstream.destroy());
+    socket.on('close', () => upstream.destroy());
+    upstream.on('close', () => socket.destroy());
+}
+
+module.exports = {
+    PROXY_PREFIX,
+    getProxyPort,
+    getProxyUrl,
+    parseProxyUrl,
+    rewriteLocation,
+    proxyRequest,
+    proxyUpgrade
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const serviceProxy = require('./serviceProxy');
+
+test('parseProxyUrl splits the service ID from the forwarded path', () => {
+    assert.deepEqual(serviceProxy.parseProxyUrl('/proxy/api/users?page=2'), { serviceId: 'api', path: '/users?page=2' });
+    assert.deepEqual(serviceProxy.parseProxyUrl('/proxy/api/'), { serviceId: 'api', path: '/' });
+    assert.deepEqual(serviceProxy.parseProxyUrl('/proxy/api'), { serviceId: 'api', path: '' });
+    assert.deepEqual(serviceProxy.parseProxyUrl('/proxy/api?x=1'), { serviceId: 'api', path: '?x=1' });
+    assert.deepEqual(serviceProxy.parseProxyUrl('/proxy/my%20api/'), { serviceId: 'my api', path: '/' });
+});
+
+test('parseProxyUrl ignores URLs outside the proxy and malformed service IDs', () => {
+    assert.equal(serviceProxy.parseProxyUrl('/api/services'), null);
+    assert.equal(serviceProxy.parseProxyUrl('/proxy/'), null);
+    assert.equal(serviceProxy.parseProxyUrl('/proxyfoo/api'), null);
+    assert.equal(serviceProxy.parseProxyUrl('/proxy/%E0%A4%A/'), null);
+});
+
+test('rewriteLocation keeps redirects to the service under the proxy', () => {
+    assert.equal(serviceProxy.rewriteLocation('http://localhost:3000/login', 'api', 3000), '/proxy/api/login');
+    assert.equal(serviceProxy.rewriteLocation('http://127.0.0.1:3000', 'api', 3000), '/proxy/api/');
+    assert.equal(serviceProxy.rewriteLocation('/dashboard?tab=1', 'api', 3000), '/proxy/api/dashboard?tab=1');
+    assert.equal(serviceProxy.rewriteLocation('/next', 'my api', 3000), '/proxy/my%20api/next');
+});
+
+test('rewriteLocation leaves other origins and protocol-relative URLs alone', () => {
+    assert.equal(serviceProxy.rewriteLocation('https://example.com/', 'api', 3000), 'https://example.com/');
+    assert.equal(serviceProxy.rewriteLocation('//cdn.example.com/app.js', 'api', 3000), '//cdn.example.com/app.js');
+    assert.equal(serviceProxy.rewriteLocation('http://localhost:4000/', 'api', 3000), 'http://localhost:4000/');
+    assert.equal(serviceProxy.rewriteLocation('relative/path', 'api', 3000), 'relative/path');
+});
+
+test('getProxyPort prefers proxyPort, then the port named http', () => {
+    assert.equal(serviceProxy.getProxyPort({ proxyPort: 8080 }, { http: 3000 }), 8080);
+    assert.equal(serviceProxy.getProxyPort({ proxyPort: 'web' }, { http: 3000, web: 5173 }), 5173);
+    assert.equal(serviceProxy.getProxyPort({ proxyPort: 'web' }, { http: 3000 }), null);
+    assert.equal(serviceProxy.getProxyPort({}, { http: 3000 }), 3000);
+    assert.equal(serviceProxy.getProxyPort({}, null), null);
+    assert.equal(serviceProxy.getProxyUrl('my api'), '/proxy/my%20api/');
+});
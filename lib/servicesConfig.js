@@ -1,37 +1,268 @@
 const fs = require('fs').promises;
+const configSchema = require('./configSchema');
+const atomicFile = require('./atomicFile');
+const configHistory = require('./configHistory');
+const configProfiles = require('./configProfiles');
 
 const SERVICES_CONFIG = './services.json';
 
+// Sections every loaded config has (missing ones are filled in as empty)
+const SECTIONS = ['services', 'commands', 'workflows'];
+
+// The last unreadable services.json backed up, so each broken version is only backed up once
+let lastBackup = null;
+
+// The last content whose warnings were logged, so they are logged once per change
+let lastWarnedContent = null;
+
+// The active profile last reported missing from services.json, so it is reported once
+let lastMissingProfile = null;
+
+/**
+ * Create the error thrown when services.json can't be used
+ * configErrors lists the problems; backupPath is set when the file was backed up
+ */
+function createConfigError(message, configErrors, backupPath = null) {
+    const error = new Error(message);
+    error.configErrors = configErrors;
+    error.backupPath = backupPath;
+    return error;
+}
+
+/**
+ * Parse and validate the contents of services.json
+ * Returns { config, errors, warnings } - config is null if the JSON can't be parsed
+ */
+function parseServicesConfig(content) {
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch (error) {
+        return { config: null, errors: [`services.json is not valid JSON: ${error.message}`], warnings: [] };
+    }
+
+    const { errors, warnings } = configSchema.validate(config);
+    return { config, errors, warnings };
+}
+
+/**
+ * Save a copy of an unreadable services.json next to it
+ * Returns the path of the copy
+ */
+async function backupCorruptConfig(content) {
+    if (lastBackup && lastBackup.content === content) {
+        return lastBackup.path;
+    }
+
+    const backupPath = `${SERVICES_CONFIG}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    await fs.writeFile(backupPath, content);
+    lastBackup = { content, path: backupPath };
+    console.error(`[ServicesConfig] services.json could not be parsed; a copy was saved to ${backupPath}`);
+    return backupPath;
+}
+
 /**
- * Load services configuration
+ * Check services.json against the schema without loading it
+ * Returns { exists, config, errors, warnings } - config is null if the file can't be parsed
+ */
+async function validateServicesConfig() {
+    let content;
+    try {
+        content = await fs.readFile(SERVICES_CONFIG, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { exists: false, config: null, errors: [], warnings: [] };
+        }
+        throw error;
+    }
+
+    return { exists: true, ...parseServicesConfig(content) };
+}
+
+/**
+ * Load services.json as it is on disk (without the active profile applied)
+ * along with the ETag of the version loaded; changes are made to this config
  * Enhanced to support workflows, commands, and service types
+ * A missing file is created with empty sections. A file that can't be parsed
+ * or doesn't match the schema is never overwritten: loading throws an error
+ * with `configErrors` (and `backupPath`, where an unparseable file was copied)
+ * Returns { config, etag }
  */
-async function loadServicesConfig() {
+async function loadBaseConfigWithEtag() {
+    let content;
     try {
-        const content = await fs.readFile(SERVICES_CONFIG, 'utf8');
-        return JSON.parse(content);
+        content = await fs.readFile(SERVICES_CONFIG, 'utf8');
     } catch (error) {
-        // Return default empty services config if file doesn't exist
+        if (error.code !== 'ENOENT') throw error;
+
         console.log('No services config found, creating default');
-        const defaultConfig = { 
+        const defaultConfig = {
             services: {},
             commands: {}, // Support for one-time commands
             workflows: {} // Support for multi-step workflows
         };
-        await fs.writeFile(SERVICES_CONFIG, JSON.stringify(defaultConfig, null, 2));
-        return defaultConfig;
+        const defaultContent = JSON.stringify(defaultConfig, null, 2);
+        await atomicFile.writeFileAtomic(SERVICES_CONFIG, defaultContent);
+        return { config: defaultConfig, etag: atomicFile.getEtag(defaultContent) };
+    }
+
+    const { config, errors, warnings } = parseServicesConfig(content);
+
+    if (!config) {
+        const backupPath = await backupCorruptConfig(content);
+        throw createConfigError(
+            `${errors[0]}. The file was left unchanged (a copy was saved to ${backupPath}); fix it and try again`,
+            errors,
+            backupPath
+        );
+    }
+    if (errors.length > 0) {
+        throw createConfigError(`services.json is invalid: ${errors.join('; ')}`, errors);
+    }
+
+    if (warnings.length > 0 && content !== lastWarnedContent) {
+        lastWarnedContent = content;
+        warnings.forEach(warning => console.warn(`[ServicesConfig] ${warning}`));
+    }
+
+    SECTIONS.forEach((section) => {
+        config[section] = config[section] || {};
+    });
+    return { config, etag: atomicFile.getEtag(content) };
+}
+
+/**
+ * Load the effective services configuration: services.json with the active
+ * profile's overrides applied (see configProfiles), along with the ETag of services.json
+ * Throws an error with `configErrors` if the overrides make the config invalid
+ * Returns { config, etag, profile } - profile is null if none is active
+ */
+async function loadServicesConfigWithEtag() {
+    const { config: baseConfig, etag } = await loadBaseConfigWithEtag();
+
+    const profile = await configProfiles.getActiveProfile();
+    if (!profile) {
+        return { config: baseConfig, etag, profile: null };
+    }
+    if (!(baseConfig.profiles || {})[profile]) {
+        if (lastMissingProfile !== profile) {
+            lastMissingProfile = profile;
+            console.warn(`[ServicesConfig] The active profile "${profile}" is not defined in services.json; using the base configuration`);
+        }
+        return { config: baseConfig, etag, profile: null };
+    }
+
+    const config = configProfiles.applyProfile(baseConfig, profile);
+    const { errors } = configSchema.validate(config);
+    if (errors.length > 0) {
+        throw createConfigError(`The profile "${profile}" makes services.json invalid: ${errors.join('; ')}`, errors);
+    }
+    return { config, etag, profile };
+}
+
+/**
+ * Load services configuration (with the active profile applied)
+ */
+async function loadServicesConfig() {
+    return (await loadServicesConfigWithEtag()).config;
+}
+
+/**
+ * Save services configuration, atomically (see atomicFile)
+ * Refuses (throwing an error with `configErrors`) to write a config that doesn't match the schema
+ * Load-modify-save sequences must run in withConfigLock
+ * change: { action, entityType, entityId, client } recorded as a revision (see configHistory)
+ * Returns { etag, revision } - the ETag of the saved version and the revision
+ * recorded (null if nothing changed)
+ */
+async function saveServicesConfig(config, change = {}) {
+    const { errors } = configSchema.validate(config);
+    if (errors.length > 0) {
+        throw createConfigError(`Refusing to save an invalid services.json: ${errors.join('; ')}`, errors);
+    }
+
+    let previousContent = null;
+    try {
+        previousContent = await fs.readFile(SERVICES_CONFIG, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const content = JSON.stringify(config, null, 2);
+    await atomicFile.writeFileAtomic(SERVICES_CONFIG, content);
+
+    let revision = null;
+    try {
+        revision = await configHistory.recordChange(previousContent, content, { action: 'update', ...change });
+    } catch (error) {
+        console.error('[ServicesConfig] Failed to record the change in the config history:', error.message);
     }
+    return { etag: atomicFile.getEtag(content), revision };
 }
 
 /**
- * Save services configuration
+ * Run an operation that loads, modifies and saves services.json once
+ * the operations started before it are done
  */
-async function saveServicesConfig(config) {
-    await fs.writeFile(SERVICES_CONFIG, JSON.stringify(config, null, 2));
+function withConfigLock(operation) {
+    return atomicFile.withFileLock(SERVICES_CONFIG, operation);
+}
+
+/**
+ * Wrap a route handler that modifies services.json so it runs in withConfigLock
+ */
+function lockConfigRoute(handler) {
+    return (req, res) => withConfigLock(() => handler(req, res));
+}
+
+/**
+ * Check a write request's If-Match header against the version of services.json
+ * it would modify, answering 409 if the client's copy is out of date
+ * Returns true if the write may go ahead
+ */
+function checkConfigVersion(req, res, etag) {
+    if (atomicFile.matchesEtag(req.get('If-Match'), etag)) {
+        return true;
+    }
+
+    res.status(409).set('ETag', etag).json({
+        error: 'The configuration was changed since you loaded it (e.g. in another tab); reload it and try again',
+        etag
+    });
+    return false;
+}
+
+/**
+ * Express middleware answering 500 with the problems when services.json
+ * can't be loaded, so routes that need it report why instead of a generic failure
+ * (other errors, e.g. an unreadable file, get a plain 500)
+ */
+async function requireValidConfig(req, res, next) {
+    try {
+        await loadServicesConfig();
+    } catch (error) {
+        if (error.configErrors) {
+            return res.status(500).json({
+                error: error.message,
+                details: error.configErrors,
+                backupPath: error.backupPath
+            });
+        }
+        console.error('Error loading services configuration:', error);
+        return res.status(500).json({ error: 'Failed to load services configuration' });
+    }
+    next();
 }
 
 module.exports = {
     SERVICES_CONFIG,
     loadServicesConfig,
-    saveServicesConfig
-};
\ No newline at end of file
+    loadServicesConfigWithEtag,
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    withConfigLock,
+    lockConfigRoute,
+    checkConfigVersion,
+    validateServicesConfig,
+    requireValidConfig
+};
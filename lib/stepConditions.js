@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Workflow step `when` conditions
+ *
+ * A step's `when` is a condition object, or an array of them that must all hold:
+ *   { type: 'file-exists', path }          { type: 'file-missing', path }
+ *   { type: 'step-succeeded', step }       { type: 'step-failed', step }
+ *   { type: 'service-running', serviceId } { type: 'service-not-running', serviceId }
+ * Relative paths are resolved against the step's working directory.
+ */
+
+const CONDITION_TYPES = {
+    'file-exists': 'path',
+    'file-missing': 'path',
+    'step-succeeded': 'step',
+    'step-failed': 'step',
+    'service-running': 'serviceId',
+    'service-not-running': 'serviceId'
+};
+
+/**
+ * Normalize a step's `when` to a list of conditions
+ */
+function toConditionList(when) {
+    if (when === undefined || when === null) return [];
+    return Array.isArray(when) ? when : [when];
+}
+
+/**
+ * Describe a condition for console messages
+ */
+function describeCondition(condition) {
+    switch (condition.type) {
+        case 'file-exists':
+            return `file ${condition.path} exists`;
+        case 'file-missing':
+            return `file ${condition.path} is missing`;
+        case 'step-succeeded':
+            return `step ${condition.step} succeeded`;
+        case 'step-failed':
+            return `step ${condition.step} failed`;
+        case 'service-running':
+            return `service ${condition.serviceId} is running`;
+        case 'service-not-running':
+            return `service ${condition.serviceId} is not running`;
+        default:
+            return `unknown condition "${condition.type}"`;
+    }
+}
+
+/**
+ * Get the IDs of steps a step's conditions refer to
+ */
+function getConditionStepRefs(when) {
+    return toConditionList(when)
+        .filter(condition => condition && (condition.type === 'step-succeeded' || condition.type === 'step-failed'))
+        .map(condition => condition.step)
+        .filter(Boolean);
+}
+
+/**
+ * Validate a step's `when`, returning a list of error messages
+ */
+function validateConditions(when) {
+    if (when !== undefined && when !== null && typeof when !== 'object') {
+        return ['when must be a condition object or an array of them'];
+    }
+
+    const errors = [];
+    toConditionList(when).forEach((condition) => {
+        if (!condition || typeof condition !== 'object') {
+            errors.push('each condition must be an object');
+            return;
+        }
+        const field = CONDITION_TYPES[condition.type];
+        if (!field) {
+            errors.push(`unknown condition type "${condition.type}" (expected ${Object.keys(CONDITION_TYPES).join(', ')})`);
+        } else if (!condition[field]) {
+            errors.push(`condition "${condition.type}" requires "${field}"`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Evaluate a single condition
+ *
+ * context: { cwd, getStepState(stepId), isServiceRunning(serviceId) }
+ * getStepState returns 'completed', 'failed', 'skipped' or undefined
+ */
+function evaluateCondition(condition, context) {
+    switch (condition.type) {
+        case 'file-exists':
+            return fs.existsSync(path.resolve(context.cwd, condition.path));
+        case 'file-missing':
+            return !fs.existsSync(path.resolve(context.cwd, condition.path));
+        case 'step-succeeded':
+            return context.getStepState(condition.step) === 'completed';
+        case 'step-failed':
+            return context.getStepState(condition.step) === 'failed';
+        case 'service-running':
+            return context.isServiceRunning(condition.serviceId);
+        case 'service-not-running':
+            return !context.isServiceRunning(condition.serviceId);
+        default:
+            throw new Error(`Unknown condition type: ${condition.type}`);
+    }
+}
+
+/**
+ * Evaluate a step's `when`
+ * Returns { met, unmet } - unmet is the first condition that did not hold
+ */
+function evaluateConditions(when, context) {
+    for (const condition of toConditionList(when)) {
+        if (!evaluateCondition(condition, context)) {
+            return { met: false, unmet: condition };
+        }
+    }
+    return { met: true, unmet: null };
+}
+
+module.exports = {
+    CONDITION_TYPES,
+    toConditionList,
+    describeCondition,
+    getConditionStepRefs,
+    validateConditions,
+    evaluateConditions
+};
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stepConditions = require('./stepConditions');
+
+/**
+ * Build a condition context with the given step states and running services
+ */
+function createContext({ cwd = process.cwd(), states = {}, running = [] } = {}) {
+    return {
+        cwd,
+        getStepState: stepId => states[stepId],
+        isServiceRunning: serviceId => running.includes(serviceId)
+    };
+}
+
+test('toConditionList accepts a single condition, an array or nothing', () => {
+    const condition = { type: 'file-exists', path: 'x' };
+
+    assert.deepEqual(stepConditions.toConditionList(condition), [condition]);
+    assert.deepEqual(stepConditions.toConditionList([condition]), [condition]);
+    assert.deepEqual(stepConditions.toConditionList(undefined), []);
+    assert.deepEqual(stepConditions.toConditionList(null), []);
+});
+
+test('getConditionStepRefs lists the steps named by step conditions', () => {
+    const refs = stepConditions.getConditionStepRefs([
+        { type: 'step-succeeded', step: 'build' },
+        { type: 'step-failed', step: 'test' },
+        { type: 'file-exists', path: 'dist' },
+        { type: 'step-failed' }
+    ]);
+
+    assert.deepEqual(refs, ['build', 'test']);
+});
+
+test('validateConditions reports unknown types and missing fields', () => {
+    assert.deepEqual(stepConditions.validateConditions(undefined), []);
+    assert.deepEqual(stepConditions.validateConditions('always'), ['when must be a condition object or an array of them']);
+    assert.deepEqual(stepConditions.validateConditions([
+        { type: 'service-running', serviceId: 'db' },
+        { type: 'file-exists' },
+        { type: 'sometimes' },
+        null
+    ]), [
+        'condition "file-exists" requires "path"',
+        'unknown condition type "sometimes" (expected file-exists, file-missing, step-succeeded, step-failed, service-running, service-not-running)',
+        'each condition must be an object'
+    ]);
+});
+
+test('file conditions resolve paths against the working directory', (t) => {
+    const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'conditions-test-'));
+    t.after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(cwd, 'present.txt'), '');
+    const context = createContext({ cwd });
+
+    assert.equal(stepConditions.evaluateConditions({ type: 'file-exists', path: 'present.txt' }, context).met, true);
+    assert.equal(stepConditions.evaluateConditions({ type: 'file-missing', path: 'present.txt' }, context).met, false);
+    assert.equal(stepConditions.evaluateConditions({ type: 'file-missing', path: 'absent.txt' }, context).met, true);
+});
+
+test('step and service conditions use the context', () => {
+    const context = createContext({ states: { build: 'completed', test: 'failed', lint: 'skipped' }, running: ['db'] });
+    const holds = condition => stepConditions.evaluateConditions(condition, context).met;
+
+    assert.equal(holds({ type: 'step-succeeded', step: 'build' }), true);
+    assert.equal(holds({ type: 'step-succeeded', step: 'lint' }), false);
+    assert.equal(holds({ type: 'step-failed', step: 'test' }), true);
+    assert.equal(holds({ type: 'step-failed', step: 'build' }), false);
+    assert.equal(holds({ type: 'service-running', serviceId: 'db' }), true);
+    assert.equal(holds({ type: 'service-not-running', serviceId: 'api' }), true);
+});
+
+test('evaluateConditions requires every condition and returns the first unmet one', () => {
+    const context = createContext({ states: { build: 'completed' }, running: [] });
+    const unmet = { type: 'service-running', serviceId: 'db' };
+
+    assert.deepEqual(stepConditions.evaluateConditions(undefined, context), { met: true, unmet: null });
+    assert.deepEqual(stepConditions.evaluateConditions([
+        { type: 'step-succeeded', step: 'build' },
+        unmet,
+        { type: 'step-failed', step: 'build' }
+    ], context), { met: false, unmet });
+    assert.equal(stepConditions.describeCondition(unmet), 'service db is running');
+});
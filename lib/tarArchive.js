@@ -0,0 +1,170 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Minimal .tar.gz archives (POSIX ustar) for bundles
+ *
+ * Only what bundles need: regular files and directories, paths of up to 255
+ * characters. Archives written here can be listed with `tar -tzf`.
+ */
+
+const BLOCK_SIZE = 512;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Write a string into a header field, truncated to its size
+ */
+function writeField(header, offset, size, value) {
+    header.write(value, offset, Math.min(size, Buffer.byteLength(value)), 'utf8');
+}
+
+/**
+ * Write a number into a header field as zero-padded octal followed by a NUL
+ */
+function writeOctal(header, offset, size, value) {
+    writeField(header, offset, size, `${value.toString(8).padStart(size - 1, '0')}\0`);
+}
+
+/**
+ * Read a NUL-terminated string from a header field
+ */
+function readField(header, offset, size) {
+    const field = header.subarray(offset, offset + size);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? size : end).toString('utf8');
+}
+
+/**
+ * Split a path into the ustar name (100 bytes) and prefix (155 bytes) fields
+ */
+function splitPath(entryPath) {
+    if (Buffer.byteLength(entryPath) <= 100) {
+        return { name: entryPath, prefix: '' };
+    }
+
+    for (let index = entryPath.indexOf('/'); index !== -1; index = entryPath.indexOf('/', index + 1)) {
+        const prefix = entryPath.slice(0, index);
+        const name = entryPath.slice(index + 1);
+        if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(name) <= 100) {
+            return { name, prefix };
+        }
+    }
+    throw new Error(`Path is too long for the archive: ${entryPath}`);
+}
+
+/**
+ * Create the header block of an entry
+ */
+function createHeader({ path: entryPath, size, mode, type, mtime }) {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const { name, prefix } = splitPath(entryPath);
+
+    writeField(header, 0, 100, name);
+    writeOctal(header, 100, 8, mode & 0o7777);
+    writeOctal(header, 108, 8, 0);
+    writeOctal(header, 116, 8, 0);
+    writeOctal(header, 124, 12, size);
+    writeOctal(header, 136, 12, Math.floor(mtime / 1000));
+    header.fill(' ', 148, 156);
+    writeField(header, 156, 1, type);
+    writeField(header, 257, 6, 'ustar\0');
+    writeField(header, 263, 2, '00');
+    writeField(header, 345, 155, prefix);
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    writeField(header, 148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+    return header;
+}
+
+/**
+ * Create a .tar.gz archive
+ * entries: Array<{ path, content: Buffer|string, mode }> - paths ending in / are directories
+ * Resolves with the compressed archive
+ */
+async function createTarGz(entries) {
+    const blocks = [];
+    const mtime = Date.now();
+
+    entries.forEach((entry) => {
+        const isDirectory = entry.path.endsWith('/');
+        const content = isDirectory ? Buffer.alloc(0) : Buffer.from(entry.content);
+        blocks.push(createHeader({
+            path: entry.path,
+            size: content.length,
+            mode: entry.mode || (isDirectory ? 0o755 : 0o644),
+            type: isDirectory ? '5' : '0',
+            mtime
+        }));
+        if (content.length > 0) {
+            blocks.push(content, Buffer.alloc((BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE));
+        }
+    });
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+    return gzip(Buffer.concat(blocks));
+}
+
+/**
+ * Read the files of a .tar.gz archive
+ * maxSize: limit on the uncompressed size, so a small archive can't expand to fill the memory
+ * Resolves with Array<{ path, content: Buffer, mode }> (directories and other
+ * entry types are left out); rejects if the data isn't a valid archive or is
+ * larger than maxSize uncompressed
+ */
+async function readTarGz(archive, { maxSize } = {}) {
+    let data;
+    try {
+        data = await gunzip(archive, maxSize ? { maxOutputLength: maxSize } : {});
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`The archive is larger than ${maxSize / 1024 / 1024} MB uncompressed`);
+        }
+        throw new Error(`Not a .tar.gz archive: ${error.message}`);
+    }
+
+    const files = [];
+    let offset = 0;
+    while (offset + BLOCK_SIZE <= data.length) {
+        const header = data.subarray(offset, offset + BLOCK_SIZE);
+        if (header.every(byte => byte === 0)) break;
+
+        // POSIX ("ustar\0") or GNU ("ustar  ") format
+        const magic = readField(header, 257, 6);
+        if (!magic.startsWith('ustar')) {
+            throw new Error('Not a .tar.gz archive: unsupported tar format');
+        }
+        const checksum = parseInt(readField(header, 148, 8).trim(), 8);
+        const actual = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 32 : byte), 0);
+        if (checksum !== actual) {
+            throw new Error('Not a .tar.gz archive: damaged entry header');
+        }
+
+        const size = parseInt(readField(header, 124, 12).trim() || '0', 8);
+        const type = readField(header, 156, 1);
+        // The GNU format uses the prefix field for other things
+        const prefix = magic === 'ustar' ? readField(header, 345, 155) : '';
+        const name = readField(header, 0, 100);
+        const start = offset + BLOCK_SIZE;
+        if (start + size > data.length) {
+            throw new Error('Not a .tar.gz archive: the archive is truncated');
+        }
+
+        if (type === '0' || type === '') {
+            files.push({
+                path: prefix ? `${prefix}/${name}` : name,
+                content: data.subarray(start, start + size),
+                mode: parseInt(readField(header, 100, 8).trim() || '644', 8)
+            });
+        }
+        offset = start + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+
+    return files;
+}
+
+module.exports = {
+    createTarGz,
+    readTarGz
+};
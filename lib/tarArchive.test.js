@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const tarArchive = require('./tarArchive');
+
+/**
+ * Check if the system tar is available
+ */
+function hasSystemTar() {
+    try {
+        execFileSync('tar', ['--version'], { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+test('files survive a round trip; directories are left out when reading', async () => {
+    const binary = Buffer.from([0, 1, 2, 255]);
+    const archive = await tarArchive.createTarGz([
+        { path: 'bundle.json', content: '{"ok":true}' },
+        { path: 'experiments/demo/' },
+        { path: 'experiments/demo/run.sh', content: '#!/bin/sh\necho hi\n', mode: 0o755 },
+        { path: 'experiments/demo/data.bin', content: binary },
+        { path: 'experiments/demo/empty.txt', content: '' }
+    ]);
+
+    const files = await tarArchive.readTarGz(archive);
+
+    assert.deepEqual(files.map(file => [file.path, file.mode]), [
+        ['bundle.json', 0o644],
+        ['experiments/demo/run.sh', 0o755],
+        ['experiments/demo/data.bin', 0o644],
+        ['experiments/demo/empty.txt', 0o644]
+    ]);
+    assert.equal(files[0].content.toString(), '{"ok":true}');
+    assert.deepEqual(files[2].content, binary);
+    assert.equal(files[3].content.length, 0);
+});
+
+test('paths longer than 100 bytes use the prefix field', async () => {
+    const longPath = `experiments/${'nested-folder/'.repeat(8)}file.txt`;
+    const files = await tarArchive.readTarGz(await tarArchive.createTarGz([{ path: longPath, content: 'x' }]));
+
+    assert.equal(files[0].path, longPath);
+    await assert.rejects(
+        tarArchive.createTarGz([{ path: 'x'.repeat(300), content: '' }]),
+        /Path is too long for the archive/
+    );
+});
+
+test('readTarGz rejects data that is not a .tar.gz archive', async () => {
+    await assert.rejects(tarArchive.readTarGz(Buffer.from('plain text')), /^Error: Not a \.tar\.gz archive/);
+
+    const notTar = zlib.gzipSync(Buffer.alloc(1024, 'a'));
+    await assert.rejects(tarArchive.readTarGz(notTar), /unsupported tar format/);
+});
+
+test('readTarGz detects damaged headers and truncated archives', async () => {
+    const data = zlib.gunzipSync(await tarArchive.createTarGz([{ path: 'a.txt', content: 'x'.repeat(2000) }]));
+
+    const damaged = Buffer.from(data);
+    damaged[0] = 'b'.charCodeAt(0);
+    await assert.rejects(tarArchive.readTarGz(zlib.gzipSync(damaged)), /damaged entry header/);
+
+    await assert.rejects(tarArchive.readTarGz(zlib.gzipSync(data.subarray(0, 1024))), /the archive is truncated/);
+});
+
+test('readTarGz refuses archives larger than maxSize uncompressed', async () => {
+    const archive = await tarArchive.createTarGz([{ path: 'big.txt', content: Buffer.alloc(2 * 1024 * 1024) }]);
+
+    await assert.rejects(tarArchive.readTarGz(archive, { maxSize: 1024 * 1024 }), /larger than 1 MB uncompressed/);
+    assert.equal((await tarArchive.readTarGz(archive, { maxSize: 4 * 1024 * 1024 })).length, 1);
+});
+
+test('archives are compatible with the system tar', { skip: !hasSystemTar() && 'tar is not installed' }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tar-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const ours = path.join(dir, 'ours.tar.gz');
+    fs.writeFileSync(ours, await tarArchive.createTarGz([{ path: 'demo/' }, { path: 'demo/readme.md', content: '# Demo' }]));
+    assert.deepEqual(execFileSync('tar', ['-tzf', ours], { encoding: 'utf8' }).trim().split('\n'), ['demo/', 'demo/readme.md']);
+
+    fs.mkdirSync(path.join(dir, 'src', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'src', 'sub', 'notes.txt'), 'from tar');
+    const theirs = execFileSync('tar', ['-czf', '-', '-C', path.join(dir, 'src'), 'sub']);
+    const files = await tarArchive.readTarGz(theirs);
+    assert.deepEqual(files.map(file => [file.path, file.content.toString()]), [['sub/notes.txt', 'from tar']]);
+});
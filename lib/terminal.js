@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+/**
+ * Console input and pseudo-terminals for spawned processes
+ *
+ * Services and commands get a stdin pipe, so input typed in their console can
+ * be written to them. With `pty: true` a process runs in a pseudo-terminal
+ * instead, for programs that only prompt (or use colors and progress bars)
+ * when attached to a TTY. The terminal is provided by the system's `script`
+ * utility, so no native module is needed; stdout and stderr are merged into
+ * the terminal's output, which arrives as stdout.
+ */
+
+const PTY_COLUMNS = 120;
+const PTY_ROWS = 40;
+
+const SCRIPT_PATHS = ['/usr/bin/script', '/bin/script'];
+
+// Input written in one request is limited to this many characters
+const MAX_INPUT_LENGTH = 64 * 1024;
+
+let scriptPath;
+
+/**
+ * Find the `script` utility, or null if it isn't installed
+ */
+function findScript() {
+    if (scriptPath === undefined) {
+        scriptPath = SCRIPT_PATHS.find(candidate => fs.existsSync(candidate)) || null;
+    }
+    return scriptPath;
+}
+
+/**
+ * Check if processes can be run in a pseudo-terminal on this system
+ */
+function isPtySupported() {
+    return ['linux', 'darwin'].includes(process.platform) && Boolean(findScript());
+}
+
+/**
+ * Get the program and arguments that run a shell command in a pseudo-terminal,
+ * or null if pseudo-terminals are not supported
+ */
+function getPtySpawnArgs(command) {
+    if (!isPtySupported()) return null;
+
+    const sized = `stty cols ${PTY_COLUMNS} rows ${PTY_ROWS} 2>/dev/null; ${command}`;
+    return process.platform === 'darwin'
+        ? { file: findScript(), args: ['-q', '/dev/null', 'sh', '-c', sized] }
+        : { file: findScript(), args: ['-qfec', sized, '/dev/null'] };
+}
+
+/**
+ * Get the environment a process in a pseudo-terminal starts with
+ * (the process's own environment is applied on top)
+ */
+function getPtyEnv() {
+    return {
+        TERM: 'xterm-256color',
+        COLUMNS: String(PTY_COLUMNS),
+        LINES: String(PTY_ROWS)
+    };
+}
+
+/**
+ * Make a process's stdin safe to write to: writing after the process has
+ * exited fails with EPIPE, which must not crash the Experiment Browser
+ */
+function attachInput(proc, onError) {
+    if (proc.stdin) {
+        proc.stdin.on('error', onError);
+    }
+}
+
+/**
+ * Check if a process's stdin can still be written to
+ */
+function canWriteInput(proc) {
+    return Boolean(proc.stdin && proc.stdin.writable);
+}
+
+/**
+ * Write console input to a process
+ * newline: end the input with Enter; eof: signal end of input after it
+ * (in a pseudo-terminal Enter is a carriage return and end of input is Ctrl-D,
+ * otherwise a newline and closing stdin)
+ */
+function writeInput(proc, text, { newline = true, eof = false, pty = false } = {}) {
+    return new Promise((resolve, reject) => {
+        let data = text;
+        if (newline) data += pty ? '\r' : '\n';
+        if (eof && pty) data += '\x04';
+
+        proc.stdin.write(data, (error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            if (eof && !pty) {
+                proc.stdin.end();
+            }
+            resolve();
+        });
+    });
+}
+
+module.exports = {
+    MAX_INPUT_LENGTH,
+    isPtySupported,
+    getPtySpawnArgs,
+    getPtyEnv,
+    attachInput,
+    canWriteInput,
+    writeInput
+};
@@ -0,0 +1,238 @@
+/**
+ * Workflow step dependency graph
+ *
+ * Steps may declare an `id` and a `dependsOn` list of step IDs. A step
+ * without `dependsOn` depends on the step before it, so workflows written
+ * before dependencies existed still run sequentially; `dependsOn: []`
+ * lets a step start as soon as the workflow does.
+ *
+ * A step also waits for any step its `when` conditions refer to
+ * (e.g. step-failed) or whose output it uses (${steps.<id>.stdout}),
+ * whether that step succeeds or not.
+ *
+ * A failed step stops the workflow unless it has `continueOnError`, so a
+ * step-failed condition on a step without it could never let a step run;
+ * that combination is rejected (cleanup belongs in `onFailure`).
+ */
+
+const stepConditions = require('./stepConditions');
+const workflowParams = require('./workflowParams');
+
+/**
+ * Get the ID of a step, falling back to its position
+ */
+function getStepId(step, index) {
+    return (step && step.id) || `step-${index + 1}`;
+}
+
+/**
+ * Validate a step's `when`, `retries`, `retryDelay` and `timeout`
+ */
+function validateStepOptions(step) {
+    const errors = stepConditions.validateConditions(step.when);
+
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries >= 0)) {
+        errors.push('retries must be a non-negative integer');
+    }
+    ['retryDelay', 'timeout'].forEach((field) => {
+        if (step[field] !== undefined && !(typeof step[field] === 'number' && step[field] >= 0)) {
+            errors.push(`${field} must be a non-negative number of milliseconds`);
+        }
+    });
+
+    if (step.type === 'workflow') {
+        if (!step.workflowId) {
+            errors.push('workflow steps require "workflowId"');
+        }
+        if (step.params !== undefined && (!step.params || typeof step.params !== 'object' || Array.isArray(step.params))) {
+            errors.push('params must be an object of parameter values');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build graph nodes for a list of steps
+ * Each node has `dependsOn` (must finish successfully) and `waitFor` (must
+ * finish at all, from `when` conditions and output references)
+ * Returns { nodes, errors } - nodes are only usable when errors is empty
+ */
+function buildStepGraph(steps = []) {
+    const errors = [];
+    const nodes = [];
+    const seen = new Map();
+
+    steps.forEach((step, index) => {
+        const id = getStepId(step, index);
+
+        if (seen.has(id)) {
+            errors.push(`Step ${index + 1}: duplicate step ID "${id}" (also used by step ${seen.get(id) + 1})`);
+        }
+        seen.set(id, index);
+
+        let dependsOn;
+        if (step.dependsOn === undefined || step.dependsOn === null) {
+            dependsOn = index > 0 ? [getStepId(steps[index - 1], index - 1)] : [];
+        } else if (Array.isArray(step.dependsOn)) {
+            dependsOn = step.dependsOn;
+        } else {
+            errors.push(`Step ${index + 1} ("${id}"): dependsOn must be an array of step IDs`);
+            dependsOn = [];
+        }
+
+        validateStepOptions(step).forEach((error) => {
+            errors.push(`Step ${index + 1} ("${id}"): ${error}`);
+        });
+        const waitFor = [...stepConditions.getConditionStepRefs(step.when), ...workflowParams.getStepOutputRefs(step)]
+            .filter((ref, i, refs) => !dependsOn.includes(ref) && refs.indexOf(ref) === i);
+
+        nodes.push({ id, index, step, dependsOn, waitFor });
+    });
+
+    nodes.forEach((node) => {
+        node.dependsOn.forEach((dependency) => {
+            if (dependency === node.id) {
+                errors.push(`Step ${node.index + 1} ("${node.id}") cannot depend on itself`);
+            } else if (!seen.has(dependency)) {
+                errors.push(`Step ${node.index + 1} ("${node.id}") depends on unknown step "${dependency}"`);
+            }
+        });
+        node.waitFor.forEach((ref) => {
+            if (ref === node.id) {
+                errors.push(`Step ${node.index + 1} ("${node.id}") refers to itself in a condition or output reference`);
+            } else if (!seen.has(ref)) {
+                errors.push(`Step ${node.index + 1} ("${node.id}") refers to unknown step "${ref}"`);
+            }
+        });
+        stepConditions.toConditionList(node.step.when)
+            .filter(condition => condition && condition.type === 'step-failed' && seen.has(condition.step))
+            .filter(condition => !steps[seen.get(condition.step)].continueOnError)
+            .forEach((condition) => {
+                errors.push(`Step ${node.index + 1} ("${node.id}") runs when step "${condition.step}" fails, ` +
+                    `but a failure of "${condition.step}" stops the workflow first; give "${condition.step}" ` +
+                    'continueOnError, or make this an onFailure step');
+            });
+    });
+
+    if (errors.length === 0) {
+        const cycle = findCycle(nodes);
+        if (cycle) {
+            errors.push(`Step dependencies contain a cycle: ${cycle.join(' -> ')}`);
+        }
+    }
+
+    return { nodes, errors };
+}
+
+/**
+ * Find a dependency cycle using a depth-first search
+ * startIds: only look for cycles reachable from these nodes (default: all)
+ * Returns the cycle as a list of step IDs, or null if the graph is acyclic
+ */
+function findCycle(nodes, startIds = null) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (id) => {
+        state.set(id, 'visiting');
+        stack.push(id);
+
+        const node = byId.get(id);
+        for (const dependency of [...node.dependsOn, ...node.waitFor]) {
+            if (state.get(dependency) === 'visiting') {
+                return [...stack.slice(stack.indexOf(dependency)), dependency];
+            }
+            if (!state.has(dependency) && byId.has(dependency)) {
+                const cycle = visit(dependency);
+                if (cycle) return cycle;
+            }
+        }
+
+        stack.pop();
+        state.set(id, 'done');
+        return null;
+    };
+
+    for (const id of startIds || nodes.map(node => node.id)) {
+        if (!state.has(id) && byId.has(id)) {
+            const cycle = visit(id);
+            if (cycle) return cycle;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the IDs of the workflows a workflow runs through `workflow` steps
+ */
+function getNestedWorkflowIds(workflow) {
+    return [...(workflow.steps || []), ...(workflow.onFailure || [])]
+        .filter(step => step && step.type === 'workflow' && step.workflowId)
+        .map(step => step.workflowId);
+}
+
+/**
+ * Find workflows that (indirectly) run themselves through `workflow` steps
+ * startId: only report cycles reachable from this workflow
+ * Returns the cycle as a list of workflow IDs, or null
+ */
+function findWorkflowCycle(workflows = {}, startId = null) {
+    const nodes = Object.entries(workflows).map(([id, workflow]) => ({
+        id,
+        dependsOn: getNestedWorkflowIds(workflow || {}),
+        waitFor: []
+    }));
+    return findCycle(nodes, startId ? [startId] : null);
+}
+
+/**
+ * Validate a workflow's steps, returning a list of error messages
+ */
+function validateWorkflowSteps(steps) {
+    if (steps === undefined) return [];
+    if (!Array.isArray(steps)) return ['steps must be an array'];
+    return buildStepGraph(steps).errors;
+}
+
+/**
+ * Validate a workflow's parameters, steps and onFailure cleanup steps
+ */
+function validateWorkflow(workflow) {
+    const errors = [
+        ...workflowParams.validateParamDefinitions(workflow.params),
+        ...validateWorkflowSteps(workflow.steps)
+    ];
+
+    if (Array.isArray(workflow.steps)) {
+        workflow.steps.forEach((step, index) => {
+            workflowParams.validateStepReferences(step, workflow.params).forEach((error) => {
+                errors.push(`Step ${index + 1} ("${getStepId(step, index)}"): ${error}`);
+            });
+        });
+    }
+
+    if (workflow.onFailure !== undefined) {
+        if (!Array.isArray(workflow.onFailure)) {
+            errors.push('onFailure must be an array of steps');
+        } else {
+            workflow.onFailure.forEach((step, index) => {
+                [...validateStepOptions(step), ...workflowParams.validateStepReferences(step, workflow.params)].forEach((error) => {
+                    errors.push(`Cleanup step ${index + 1}: ${error}`);
+                });
+            });
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    getStepId,
+    buildStepGraph,
+    findCycle,
+    findWorkflowCycle,
+    validateWorkflowSteps,
+    validateWorkflow
+};
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const workflowGraph = require('./workflowGraph');
+
+const command = (fields = {}) => ({ type: 'custom-command', command: 'true', ...fields });
+
+test('steps without dependsOn depend on the step before them', () => {
+    const { nodes, errors } = workflowGraph.buildStepGraph([command(), command({ id: 'b' }), command()]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(nodes.map(node => [node.id, node.dependsOn]), [
+        ['step-1', []],
+        ['b', ['step-1']],
+        ['step-3', ['b']]
+    ]);
+});
+
+test('dependsOn: [] lets a step start with the workflow', () => {
+    const { nodes } = workflowGraph.buildStepGraph([command({ id: 'a' }), command({ id: 'b', dependsOn: [] })]);
+
+    assert.deepEqual(nodes[1].dependsOn, []);
+});
+
+test('conditions and output references become waitFor, not dependsOn', () => {
+    const { nodes, errors } = workflowGraph.buildStepGraph([
+        command({ id: 'build', continueOnError: true }),
+        command({ id: 'lint', dependsOn: [] }),
+        command({
+            id: 'report',
+            dependsOn: ['lint'],
+            command: 'echo ${steps.build.stdout}',
+            when: { type: 'step-failed', step: 'build' }
+        })
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(nodes[2].dependsOn, ['lint']);
+    assert.deepEqual(nodes[2].waitFor, ['build']);
+});
+
+test('duplicate IDs, unknown and self references are reported', () => {
+    const { errors } = workflowGraph.buildStepGraph([
+        command({ id: 'a' }),
+        command({ id: 'a', dependsOn: ['missing'] }),
+        command({ id: 'c', dependsOn: ['c'], when: { type: 'step-succeeded', step: 'nope' } })
+    ]);
+
+    assert.deepEqual(errors, [
+        'Step 2: duplicate step ID "a" (also used by step 1)',
+        'Step 2 ("a") depends on unknown step "missing"',
+        'Step 3 ("c") cannot depend on itself',
+        'Step 3 ("c") refers to unknown step "nope"'
+    ]);
+});
+
+test('cycles are reported with their path', () => {
+    const { errors } = workflowGraph.buildStepGraph([
+        command({ id: 'a', dependsOn: ['c'] }),
+        command({ id: 'b', dependsOn: ['a'] }),
+        command({ id: 'c', dependsOn: ['b'] })
+    ]);
+
+    assert.deepEqual(errors, ['Step dependencies contain a cycle: a -> c -> b -> a']);
+});
+
+test('findCycle returns null for an acyclic graph', () => {
+    const nodes = [
+        { id: 'a', dependsOn: [], waitFor: [] },
+        { id: 'b', dependsOn: ['a'], waitFor: [] },
+        { id: 'c', dependsOn: ['a'], waitFor: ['b'] }
+    ];
+
+    assert.equal(workflowGraph.findCycle(nodes), null);
+});
+
+test('findWorkflowCycle follows nested workflow steps, including onFailure', () => {
+    const workflows = {
+        release: { steps: [{ type: 'workflow', workflowId: 'build' }] },
+        build: { steps: [command()], onFailure: [{ type: 'workflow', workflowId: 'release' }] },
+        other: { steps: [command()] }
+    };
+
+    assert.deepEqual(workflowGraph.findWorkflowCycle(workflows, 'release'), ['release', 'build', 'release']);
+    assert.equal(workflowGraph.findWorkflowCycle(workflows, 'other'), null);
+});
+
+test('step-failed conditions need the failing step to have continueOnError', () => {
+    const steps = [
+        command({ id: 'migrate' }),
+        command({ id: 'restore', when: { type: 'step-failed', step: 'migrate' } })
+    ];
+
+    assert.equal(workflowGraph.validateWorkflow({ steps }).length, 1);
+    assert.match(workflowGraph.validateWorkflow({ steps })[0], /Step 2 \("restore"\) runs when step "migrate" fails/);
+
+    steps[0].continueOnError = true;
+    assert.deepEqual(workflowGraph.validateWorkflow({ steps }), []);
+});
+
+test('onFailure steps may react to any failed step', () => {
+    const errors = workflowGraph.validateWorkflow({
+        steps: [command({ id: 'migrate' })],
+        onFailure: [command({ when: { type: 'step-failed', step: 'migrate' } })]
+    });
+
+    assert.deepEqual(errors, []);
+});
+
+test('validateWorkflow checks step options, parameters and cleanup steps', () => {
+    const errors = workflowGraph.validateWorkflow({
+        params: { port: { type: 'number' } },
+        steps: [
+            command({ id: 'run', command: 'serve ${params.host}', retries: -1 }),
+            { id: 'nested', type: 'workflow' }
+        ],
+        onFailure: [command({ timeout: 'soon' })]
+    });
+
+    assert.deepEqual(errors, [
+        'Step 1 ("run"): retries must be a non-negative integer',
+        'Step 2 ("nested"): workflow steps require "workflowId"',
+        'Step 1 ("run"): command references unknown parameter "host"',
+        'Cleanup step 1: timeout must be a non-negative number of milliseconds'
+    ]);
+    assert.deepEqual(workflowGraph.validateWorkflow({ onFailure: {} }), ['onFailure must be an array of steps']);
+    assert.deepEqual(workflowGraph.validateWorkflowSteps('nope'), ['steps must be an array']);
+});
@@ -0,0 +1,252 @@
+/**
+ * Workflow input parameters and variable interpolation
+ *
+ * A workflow declares its parameters as a map of name -> definition:
+ *   "params": { "port": { "type": "number", "default": 3000, "description": "API port" } }
+ * Types are string (default), number and boolean. A parameter without a
+ * default must be given a value when the workflow is executed.
+ *
+ * A step's `command` and `workingDir` (and those of the service or command it
+ * runs), and the `params` values a `workflow` step passes on, may reference:
+ *   ${params.port}          a parameter value
+ *   ${env.HOME}             a variable from the step's environment
+ *   ${steps.build.stdout}   the output of an earlier command step (trimmed)
+ * Other `${...}` expressions (e.g. shell variables like ${HOME}) are left alone.
+ *
+ * Commands run through a shell, so values inserted into a `command` are quoted
+ * as one shell word each (a value like `x; rm -rf ~` stays an argument);
+ * workingDir and params values get them as they are.
+ */
+
+const PARAM_TYPES = ['string', 'number', 'boolean'];
+
+const PARAM_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const REFERENCE_PATTERN = /\$\{\s*(params|env|steps)\.([^}\s]+)\s*\}/g;
+
+// Step fields that are interpolated (plus the values of a workflow step's `params`)
+const INTERPOLATED_FIELDS = ['command', 'workingDir'];
+
+// Fields run by a shell, whose inserted values are quoted (see quoteShellWord)
+const SHELL_FIELDS = ['command'];
+
+/**
+ * Convert a parameter value (e.g. from a form field) to the parameter's type
+ * Throws if the value cannot be converted
+ */
+function coerceParam(value, type = 'string') {
+    switch (type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number(String(value).trim());
+            if (String(value).trim() === '' || !Number.isFinite(number)) {
+                throw new Error(`"${value}" is not a number`);
+            }
+            return number;
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw new Error(`"${value}" is not true or false`);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Validate a workflow's parameter definitions, returning a list of error messages
+ */
+function validateParamDefinitions(params) {
+    if (params === undefined) return [];
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        return ['params must be an object mapping parameter names to definitions'];
+    }
+
+    const errors = [];
+    Object.entries(params).forEach(([name, definition]) => {
+        if (!PARAM_NAME_PATTERN.test(name)) {
+            errors.push(`Parameter "${name}": names may only contain letters, digits and underscores`);
+        }
+        if (!definition || typeof definition !== 'object') {
+            errors.push(`Parameter "${name}": definition must be an object`);
+            return;
+        }
+        const type = definition.type || 'string';
+        if (!PARAM_TYPES.includes(type)) {
+            errors.push(`Parameter "${name}": unknown type "${type}" (expected ${PARAM_TYPES.join(', ')})`);
+            return;
+        }
+        if (definition.default !== undefined) {
+            try {
+                coerceParam(definition.default, type);
+            } catch (error) {
+                errors.push(`Parameter "${name}": default ${error.message}`);
+            }
+        }
+    });
+    return errors;
+}
+
+/**
+ * Resolve the parameter values for a run from the given values and defaults
+ * Returns { params, errors }
+ */
+function resolveParams(definitions = {}, values = {}) {
+    const params = {};
+    const errors = [];
+
+    Object.keys(values || {}).forEach((name) => {
+        if (!definitions || !definitions[name]) {
+            errors.push(`Unknown parameter "${name}"`);
+        }
+    });
+
+    Object.entries(definitions || {}).forEach(([name, definition]) => {
+        const value = values && values[name] !== undefined && values[name] !== null
+            ? values[name]
+            : definition.default;
+
+        if (value === undefined) {
+            errors.push(`Parameter "${name}" is required`);
+            return;
+        }
+
+        try {
+            params[name] = coerceParam(value, definition.type);
+        } catch (error) {
+            errors.push(`Parameter "${name}": ${error.message}`);
+        }
+    });
+
+    return { params, errors };
+}
+
+/**
+ * Find the references in a string
+ * Returns a list of { scope, name } (for steps, name is the step ID)
+ */
+function findReferences(text) {
+    if (typeof text !== 'string') return [];
+
+    return Array.from(text.matchAll(REFERENCE_PATTERN)).map(([, scope, name]) => {
+        if (scope === 'steps') {
+            // ${steps.<id>.stdout} - step IDs may themselves contain dots
+            const field = name.slice(name.lastIndexOf('.') + 1);
+            return { scope, name: name.slice(0, name.lastIndexOf('.')), field };
+        }
+        return { scope, name };
+    });
+}
+
+/**
+ * List the interpolated strings of a step as [label, text] pairs
+ */
+function getInterpolatedTexts(step) {
+    const texts = INTERPOLATED_FIELDS.map(field => [field, step[field]]);
+    if (step.params && typeof step.params === 'object') {
+        Object.entries(step.params).forEach(([name, value]) => texts.push([`params.${name}`, value]));
+    }
+    return texts.filter(([, text]) => typeof text === 'string');
+}
+
+/**
+ * Get the IDs of steps whose output a step references
+ */
+function getStepOutputRefs(step) {
+    return getInterpolatedTexts(step)
+        .flatMap(([, text]) => findReferences(text))
+        .filter(ref => ref.scope === 'steps' && ref.name && ref.field === 'stdout')
+        .map(ref => ref.name);
+}
+
+/**
+ * Validate a step's references against the workflow's parameters
+ */
+function validateStepReferences(step, definitions = {}) {
+    const errors = [];
+    getInterpolatedTexts(step).forEach(([field, text]) => {
+        findReferences(text).forEach((ref) => {
+            if (ref.scope === 'params' && !(definitions && definitions[ref.name])) {
+                errors.push(`${field} references unknown parameter "${ref.name}"`);
+            } else if (ref.scope === 'steps' && (!ref.name || ref.field !== 'stdout')) {
+                errors.push(`${field} has an invalid step reference (expected \${steps.<id>.stdout})`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Quote a value as a single word for the shell commands run with
+ * (sh on Unix-like systems, cmd.exe on Windows)
+ */
+function quoteShellWord(value, platform = process.platform) {
+    const text = String(value);
+    if (platform === 'win32') {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Replace the references in a string
+ *
+ * context: { params, env, getStepOutput(stepId) }
+ * getStepOutput returns undefined if the step has no output (yet)
+ * options.shell: quote each inserted value as a shell word
+ */
+function interpolate(text, context, { shell = false } = {}) {
+    if (typeof text !== 'string') return text;
+
+    const insert = value => (shell ? quoteShellWord(value) : value);
+    return text.replace(REFERENCE_PATTERN, (match, scope, name) => {
+        switch (scope) {
+            case 'params':
+                if (!(name in context.params)) {
+                    throw new Error(`Unknown parameter "${name}" in ${match}`);
+                }
+                return insert(String(context.params[name]));
+            case 'env':
+                return insert(context.env[name] ?? '');
+            case 'steps': {
+                const [ref] = findReferences(match);
+                const output = ref.field === 'stdout' ? context.getStepOutput(ref.name) : undefined;
+                if (output === undefined) {
+                    throw new Error(`${match} is not available (step "${ref.name}" has not completed a command)`);
+                }
+                return insert(output.trim());
+            }
+            default:
+                return match;
+        }
+    });
+}
+
+/**
+ * Return a copy of an object with its command, workingDir and params values interpolated
+ * (values inserted into the command are shell-quoted)
+ */
+function interpolateFields(object, context) {
+    const result = { ...object };
+    INTERPOLATED_FIELDS.forEach((field) => {
+        if (typeof result[field] === 'string') {
+            result[field] = interpolate(result[field], context, { shell: SHELL_FIELDS.includes(field) });
+        }
+    });
+    if (result.params && typeof result.params === 'object') {
+        result.params = Object.fromEntries(Object.entries(result.params)
+            .map(([name, value]) => [name, interpolate(value, context)]));
+    }
+    return result;
+}
+
+module.exports = {
+    PARAM_TYPES,
+    coerceParam,
+    validateParamDefinitions,
+    resolveParams,
+    getStepOutputRefs,
+    validateStepReferences,
+    quoteShellWord,
+    interpolate,
+    interpolateFields
+};
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const workflowParams = require('./workflowParams');
+
+test('coerceParam converts form values to the parameter type', () => {
+    assert.equal(workflowParams.coerceParam(' 3000 ', 'number'), 3000);
+    assert.equal(workflowParams.coerceParam(8080, 'number'), 8080);
+    assert.equal(workflowParams.coerceParam('true', 'boolean'), true);
+    assert.equal(workflowParams.coerceParam(false, 'boolean'), false);
+    assert.equal(workflowParams.coerceParam(42), '42');
+
+    assert.throws(() => workflowParams.coerceParam('', 'number'), /"" is not a number/);
+    assert.throws(() => workflowParams.coerceParam('abc', 'number'), /"abc" is not a number/);
+    assert.throws(() => workflowParams.coerceParam('yes', 'boolean'), /"yes" is not true or false/);
+});
+
+test('validateParamDefinitions checks names, types and defaults', () => {
+    assert.deepEqual(workflowParams.validateParamDefinitions(undefined), []);
+    assert.deepEqual(workflowParams.validateParamDefinitions([]), ['params must be an object mapping parameter names to definitions']);
+    assert.deepEqual(workflowParams.validateParamDefinitions({
+        port: { type: 'number', default: 3000 },
+        'bad-name': {},
+        mode: { type: 'enum' },
+        verbose: { type: 'boolean', default: 'maybe' },
+        broken: null
+    }), [
+        'Parameter "bad-name": names may only contain letters, digits and underscores',
+        'Parameter "mode": unknown type "enum" (expected string, number, boolean)',
+        'Parameter "verbose": default "maybe" is not true or false',
+        'Parameter "broken": definition must be an object'
+    ]);
+});
+
+test('resolveParams fills in defaults and reports missing, unknown and invalid values', () => {
+    const definitions = {
+        branch: {},
+        port: { type: 'number', default: 3000 },
+        debug: { type: 'boolean', default: false }
+    };
+
+    assert.deepEqual(workflowParams.resolveParams(definitions, { branch: 'main', port: '8080' }), {
+        params: { branch: 'main', port: 8080, debug: false },
+        errors: []
+    });
+    assert.deepEqual(workflowParams.resolveParams(definitions, { port: 'x', extra: 1 }).errors, [
+        'Unknown parameter "extra"',
+        'Parameter "branch" is required',
+        'Parameter "port": "x" is not a number'
+    ]);
+});
+
+test('getStepOutputRefs and validateStepReferences look at command, workingDir and params', () => {
+    const step = {
+        command: 'deploy --tag ${steps.build.stdout} --port ${params.port}',
+        workingDir: '${env.HOME}/${params.dir}',
+        params: { version: '${steps.release.v1.stdout}', bad: '${steps.build}' }
+    };
+
+    assert.deepEqual(workflowParams.getStepOutputRefs(step), ['build', 'release.v1']);
+    assert.deepEqual(workflowParams.validateStepReferences(step, { port: {} }), [
+        'workingDir references unknown parameter "dir"',
+        'params.bad has an invalid step reference (expected ${steps.<id>.stdout})'
+    ]);
+});
+
+test('interpolate replaces params, env and step output and leaves shell variables alone', () => {
+    const context = {
+        params: { port: 3000 },
+        env: { HOME: '/home/dev' },
+        getStepOutput: stepId => (stepId === 'build' ? '  v1.2.3\n' : undefined)
+    };
+
+    assert.equal(
+        workflowParams.interpolate('${env.HOME}/app:${params.port} ${steps.build.stdout} ${HOME} ${env.UNSET}', context),
+        '/home/dev/app:3000 v1.2.3 ${HOME} '
+    );
+    assert.throws(() => workflowParams.interpolate('${params.missing}', context), /Unknown parameter "missing"/);
+    assert.throws(() => workflowParams.interpolate('${steps.test.stdout}', context), /step "test" has not completed a command/);
+    assert.equal(workflowParams.interpolate(42, context), 42);
+});
+
+test('quoteShellWord quotes for sh and cmd.exe', () => {
+    assert.equal(workflowParams.quoteShellWord("it's; rm -rf ~", 'linux'), "'it'\\''s; rm -rf ~'");
+    assert.equal(workflowParams.quoteShellWord('', 'linux'), "''");
+    assert.equal(workflowParams.quoteShellWord('say "hi" & exit', 'win32'), '"say ""hi"" & exit"');
+});
+
+test('interpolateFields quotes values in the command only', () => {
+    const context = {
+        params: { branch: 'x; echo pwned', target: 'a b' },
+        env: {},
+        getStepOutput: () => undefined
+    };
+    const step = {
+        type: 'workflow',
+        command: 'git checkout ${params.branch}',
+        workingDir: '/srv/${params.target}',
+        params: { name: '${params.target}' }
+    };
+
+    const result = workflowParams.interpolateFields(step, context);
+
+    assert.equal(result.command, `git checkout ${workflowParams.quoteShellWord('x; echo pwned')}`);
+    assert.equal(result.workingDir, '/srv/a b');
+    assert.deepEqual(result.params, { name: 'a b' });
+    assert.equal(step.command, 'git checkout ${params.branch}');
+});
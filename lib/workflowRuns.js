@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { getStepId } = require('./workflowGraph');
+
+// Finished runs kept in memory for the status API
+const MAX_FINISHED_RUNS = 50;
+
+// Step results (e.g. command stdout) are trimmed to their last characters
+const MAX_RESULT_LENGTH = 10000;
+
+// Store workflow runs: runId -> run
+const runs = new Map();
+
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled', 'skipped'];
+
+/**
+ * Generate a unique run ID
+ */
+function generateRunId() {
+    return `run-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Check if a run or step status is final
+ */
+function isFinished(status) {
+    return FINISHED_STATUSES.includes(status);
+}
+
+/**
+ * Create a run record for a workflow, with one pending entry per step
+ */
+function createRun(workflowId, workflow, params = {}) {
+    const run = {
+        runId: generateRunId(),
+        workflowId,
+        workflowName: workflow.name || workflowId,
+        params,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        duration: null,
+        error: null,
+        historyId: null,
+        steps: (workflow.steps || []).map((step, index) => ({
+            id: getStepId(step, index),
+            index,
+            name: step.name || step.type,
+            type: step.type,
+            status: 'pending',
+            startedAt: null,
+            finishedAt: null,
+            duration: null,
+            result: null,
+            error: null,
+            exitCode: null,
+            logFile: null
+        }))
+    };
+
+    runs.set(run.runId, run);
+    pruneFinishedRuns();
+    return run;
+}
+
+/**
+ * Update a step of a run; start/finish times are filled in from the status
+ */
+function updateRunStep(runId, index, status, { result = null, error = null, exitCode = null, logFile = null } = {}) {
+    const run = runs.get(runId);
+    const step = run && run.steps[index];
+    if (!step) return;
+
+    const now = new Date();
+    step.status = status;
+
+    if (status === 'running') {
+        step.startedAt = now.toISOString();
+    } else if (isFinished(status)) {
+        step.finishedAt = now.toISOString();
+        if (step.startedAt) {
+            step.duration = now - new Date(step.startedAt);
+        }
+        step.result = typeof result === 'string' && result.length > MAX_RESULT_LENGTH
+            ? result.slice(-MAX_RESULT_LENGTH)
+            : result;
+        step.error = error;
+        step.exitCode = exitCode;
+        step.logFile = logFile;
+    }
+}
+
+/**
+ * Mark a run as finished
+ */
+function finishRun(runId, status, error = null) {
+    const run = runs.get(runId);
+    if (!run) return;
+
+    const now = new Date();
+    run.status = status;
+    run.error = error;
+    run.finishedAt = now.toISOString();
+    run.duration = now - new Date(run.startedAt);
+}
+
+/**
+ * Get a run by ID
+ */
+function getRun(runId) {
+    return runs.get(runId) || null;
+}
+
+/**
+ * Find the run currently in progress for a workflow, if any
+ */
+function getActiveRun(workflowId) {
+    for (const run of runs.values()) {
+        if (run.workflowId === workflowId && !isFinished(run.status)) {
+            return run;
+        }
+    }
+    return null;
+}
+
+/**
+ * Drop the oldest finished runs once there are too many
+ */
+function pruneFinishedRuns() {
+    const finished = Array.from(runs.values()).filter(run => isFinished(run.status));
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_RUNS))
+        .forEach(run => runs.delete(run.runId));
+}
+
+module.exports = {
+    isFinished,
+    createRun,
+    updateRunStep,
+    finishRun,
+    getRun,
+    getActiveRun
+};
@@ -0,0 +1,391 @@
+/**
+ * ANSI Terminal Output Module
+ * Renders process output the way a terminal shows it: SGR colors and text
+ * styles, carriage returns and erase-in-line overwriting the current line
+ * (progress bars), and links for URLs and source locations (file:line)
+ */
+
+const AnsiUtils = {
+    // SGR 30-37 / 40-47 and their bright variants 90-97 / 100-107 (also the first 16 of the 256 colors)
+    COLORS: [
+        '#000000', '#cd3131', '#0dbc79', '#e5e510', '#2472c8', '#bc3fbc', '#11a8cd', '#e5e5e5',
+        '#666666', '#f14c4c', '#23d18b', '#f5f543', '#3b8eea', '#d670d6', '#29b8db', '#ffffff'
+    ],
+
+    // Console background, used for inverse text without an explicit background
+    BACKGROUND: '#1e1e1e',
+
+    // Opened for file:line links; {path}, {line} and {column} are replaced
+    editorUrl: 'vscode://file/{path}:{line}:{column}',
+
+    URL_PATTERN: /\bhttps?:\/\/[^\s<>"'`]+/g,
+
+    // Source locations like src/app.js:12, ./lib/x.ts:3:7 or /abs/path/file.py:10
+    FILE_PATTERN: /((?:[A-Za-z]:)?(?:\.{1,2}\/|\/)?[\w.@+-]+(?:\/[\w.@+-]+)*\.(?:js|mjs|cjs|jsx|ts|mts|cts|tsx|json|vue|svelte|css|scss|less|html|md|py|rb|go|rs|java|kt|c|h|cc|cpp|hpp|cs|php|swift|sh|ya?ml)):(\d+)(?::(\d+))?/g,
+
+    /**
+     * Create the rendering state of a block of output
+     * Completed lines are kept as runs of equally styled text; the current
+     * line as cells, so carriage returns can overwrite it
+     */
+    createState() {
+        return { lines: [], cells: [], cursor: 0, style: {} };
+    },
+
+    /**
+     * Process a chunk of output, updating the state
+     */
+    write(state, text) {
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+
+            if (ch === '\x1b') {
+                i += this.handleEscape(state, text, i);
+            } else if (ch === '\n') {
+                state.lines.push(this.toRuns(state.cells));
+                state.cells = [];
+                state.cursor = 0;
+                i++;
+            } else if (ch === '\r') {
+                state.cursor = 0;
+                i++;
+            } else if (ch === '\b') {
+                state.cursor = Math.max(0, state.cursor - 1);
+                i++;
+            } else if (ch < ' ' && ch !== '\t') {
+                // Other control characters (bell, etc.) are not shown
+                i++;
+            } else {
+                this.putChar(state, ch);
+                i++;
+            }
+        }
+        return state;
+    },
+
+    /**
+     * Write a character at the cursor, overwriting what is there
+     */
+    putChar(state, ch) {
+        while (state.cells.length < state.cursor) {
+            state.cells.push({ ch: ' ', style: {} });
+        }
+        state.cells[state.cursor] = { ch, style: state.style };
+        state.cursor++;
+    },
+
+    /**
+     * Handle an escape sequence starting at text[start]
+     * Returns its length; sequences other than SGR and line/cursor movement are dropped
+     */
+    handleEscape(state, text, start) {
+        const rest = text.slice(start, start + 64);
+
+        const csi = rest.match(/^\x1b\[([0-9;?]*)([@-~])/);
+        if (csi) {
+            const params = csi[1].replace('?', '').split(';').map(param => (param === '' ? null : Number(param)));
+            const count = params[0] || 1;
+
+            switch (csi[2]) {
+            case 'm':
+                state.style = this.applySgr(state.style, params);
+                break;
+            case 'K': // Erase in line
+                if (!params[0]) {
+                    state.cells.length = Math.min(state.cells.length, state.cursor);
+                } else if (params[0] === 1) {
+                    for (let i = 0; i <= state.cursor && i < state.cells.length; i++) {
+                        state.cells[i] = { ch: ' ', style: {} };
+                    }
+                } else {
+                    state.cells = [];
+                }
+                break;
+            case 'G': // Cursor to column
+                state.cursor = count - 1;
+                break;
+            case 'C': // Cursor forward
+                state.cursor += count;
+                break;
+            case 'D': // Cursor back
+                state.cursor = Math.max(0, state.cursor - count);
+                break;
+            default:
+                // Cursor up/down, screen clearing etc. have no meaning in a log
+                break;
+            }
+            return csi[0].length;
+        }
+
+        // Operating system commands (window titles, hyperlinks), ended by BEL or ESC \
+        const osc = rest.match(/^\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?/);
+        if (osc) return osc[0].length;
+
+        // Two-character sequences (charset selection etc.)
+        const short = rest.match(/^\x1b[()][0-9A-Za-z]|^\x1b[@-Z\\-_]/);
+        return short ? short[0].length : 1;
+    },
+
+    /**
+     * Apply SGR parameters to a style, returning a new style object
+     */
+    applySgr(style, params) {
+        const next = { ...style };
+
+        for (let i = 0; i < params.length; i++) {
+            const code = params[i] || 0;
+
+            if (code === 0) {
+                Object.keys(next).forEach(key => delete next[key]);
+            } else if (code === 1) {
+                next.bold = true;
+            } else if (code === 2) {
+                next.dim = true;
+            } else if (code === 3) {
+                next.italic = true;
+            } else if (code === 4) {
+                next.underline = true;
+            } else if (code === 7) {
+                next.inverse = true;
+            } else if (code === 9) {
+                next.strike = true;
+            } else if (code === 22) {
+                delete next.bold;
+                delete next.dim;
+            } else if (code === 23) {
+                delete next.italic;
+            } else if (code === 24) {
+                delete next.underline;
+            } else if (code === 27) {
+                delete next.inverse;
+            } else if (code === 29) {
+                delete next.strike;
+            } else if (code >= 30 && code <= 37) {
+                next.fg = this.COLORS[code - 30];
+            } else if (code >= 90 && code <= 97) {
+                next.fg = this.COLORS[code - 90 + 8];
+            } else if (code >= 40 && code <= 47) {
+                next.bg = this.COLORS[code - 40];
+            } else if (code >= 100 && code <= 107) {
+                next.bg = this.COLORS[code - 100 + 8];
+            } else if (code === 39) {
+                delete next.fg;
+            } else if (code === 49) {
+                delete next.bg;
+            } else if (code === 38 || code === 48) {
+                // Extended colors: 38;5;n (256 colors) or 38;2;r;g;b
+                const key = code === 38 ? 'fg' : 'bg';
+                if (params[i + 1] === 5) {
+                    next[key] = this.get256Color(params[i + 2] || 0);
+                    i += 2;
+                } else if (params[i + 1] === 2) {
+                    const [r, g, b] = params.slice(i + 2, i + 5).map(value => value || 0);
+                    next[key] = `rgb(${r}, ${g}, ${b})`;
+                    i += 4;
+                }
+            }
+        }
+        return next;
+    },
+
+    /**
+     * Get the CSS color of an xterm 256-color palette entry
+     */
+    get256Color(index) {
+        if (index < 16) return this.COLORS[index];
+        if (index >= 232) {
+            const gray = 8 + (index - 232) * 10;
+            return `rgb(${gray}, ${gray}, ${gray})`;
+        }
+        const levels = [0, 95, 135, 175, 215, 255];
+        const cube = index - 16;
+        return `rgb(${levels[Math.floor(cube / 36)]}, ${levels[Math.floor(cube / 6) % 6]}, ${levels[cube % 6]})`;
+    },
+
+    /**
+     * Merge cells into runs of text with the same style
+     */
+    toRuns(cells) {
+        const runs = [];
+        cells.forEach(({ ch, style }) => {
+            const last = runs[runs.length - 1];
+            if (last && last.style === style) {
+                last.text += ch;
+            } else {
+                runs.push({ text: ch, style });
+            }
+        });
+        return runs;
+    },
+
+    /**
+     * Get the lines of a state as runs, the current line last (omitted if empty)
+     */
+    getLines(state) {
+        return state.cells.length > 0 || state.lines.length === 0
+            ? [...state.lines, this.toRuns(state.cells)]
+            : state.lines;
+    },
+
+    /**
+     * Get the plain text of a state as it is displayed
+     */
+    getText(state) {
+        return this.getLines(state).map(runs => runs.map(run => run.text).join('')).join('\n');
+    },
+
+    /**
+     * Build the inline CSS of a style
+     */
+    styleToCss(style) {
+        const css = [];
+        let fg = style.fg;
+        let bg = style.bg;
+        if (style.inverse) {
+            [fg, bg] = [bg || this.BACKGROUND, fg || 'currentColor'];
+        }
+        if (fg) css.push(`color: ${fg}`);
+        if (bg) css.push(`background-color: ${bg}`);
+        if (style.bold) css.push('font-weight: bold');
+        if (style.dim) css.push('opacity: 0.7');
+        if (style.italic) css.push('font-style: italic');
+
+        const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+        if (decorations.length > 0) css.push(`text-decoration: ${decorations.join(' ')}`);
+        return css.join('; ');
+    },
+
+    /**
+     * Find the URLs and source locations in a line of text
+     * cwd: the process's working directory, used to resolve relative paths (they aren't linked without it)
+     * Returns [{ start, end, href }]
+     */
+    findLinks(text, cwd) {
+        const links = [];
+
+        for (const match of text.matchAll(this.URL_PATTERN)) {
+            const url = match[0].replace(/[.,;:!?'")\]}>]+$/, '');
+            links.push({ start: match.index, end: match.index + url.length, href: url });
+        }
+
+        for (const match of text.matchAll(this.FILE_PATTERN)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (links.some(link => start < link.end && end > link.start)) continue;
+
+            const [, filePath, line, column = '1'] = match;
+            const absolute = this.resolvePath(filePath, cwd);
+            if (!absolute) continue;
+
+            links.push({
+                start,
+                end,
+                href: this.editorUrl
+                    .replace('{path}', encodeURI(absolute))
+                    .replace('{line}', line)
+                    .replace('{column}', column)
+            });
+        }
+
+        return links.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Resolve a path against a working directory, or null if it can't be
+     */
+    resolvePath(filePath, cwd) {
+        if (/^(?:[A-Za-z]:)?\//.test(filePath)) return filePath;
+        if (!cwd) return null;
+
+        const parts = [];
+        `${cwd}/${filePath}`.split('/').forEach((part, index) => {
+            if (part === '..') {
+                if (parts.length > 1) parts.pop();
+            } else if (part !== '.' && (part !== '' || index === 0)) {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    },
+
+    /**
+     * Render one line of runs as HTML
+     * options: { pattern (search matches to wrap in <mark>), cwd }
+     */
+    renderLine(runs, { pattern = null, cwd = null } = {}) {
+        const text = runs.map(run => run.text).join('');
+
+        const matches = [];
+        if (pattern) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+        const links = this.findLinks(text, cwd);
+
+        // Split the line wherever a run, match or link starts or ends
+        const boundaries = new Set([0, text.length]);
+        let offset = 0;
+        runs.forEach((run) => {
+            boundaries.add(offset);
+            offset += run.text.length;
+        });
+        [...matches, ...links].forEach(({ start, end }) => {
+            boundaries.add(start);
+            boundaries.add(end);
+        });
+        const points = Array.from(boundaries).sort((a, b) => a - b);
+
+        let html = '';
+        let openLink = null;
+        let runIndex = 0;
+        let runEnd = runs.length > 0 ? runs[0].text.length : 0;
+        for (let p = 0; p < points.length - 1; p++) {
+            const start = points[p];
+            const end = points[p + 1];
+            while (runIndex < runs.length - 1 && start >= runEnd) {
+                runIndex++;
+                runEnd += runs[runIndex].text.length;
+            }
+
+            if (!openLink) {
+                openLink = links.find(candidate => candidate.start === start) || null;
+                if (openLink) {
+                    html += `<a class="console-link" href="${UIUtils.escapeHtml(openLink.href)}" target="_blank" rel="noopener">`;
+                }
+            }
+
+            let piece = UIUtils.escapeHtml(text.slice(start, end));
+            const css = runs[runIndex] ? this.styleToCss(runs[runIndex].style) : '';
+            if (css) {
+                piece = `<span style="${css}">${piece}</span>`;
+            }
+            if (matches.some(match => start >= match.start && end <= match.end)) {
+                piece = `<mark class="console-match">${piece}</mark>`;
+            }
+            html += piece;
+
+            if (openLink && openLink.end === end) {
+                html += '</a>';
+                openLink = null;
+            }
+        }
+        return html;
+    },
+
+    /**
+     * Render a state as HTML, one line per output line
+     */
+    render(state, options = {}) {
+        return this.getLines(state).map(runs => this.renderLine(runs, options)).join('\n');
+    }
+};
+
+window.AnsiUtils = AnsiUtils;
@@ -10,11 +10,11 @@ const ApiUtils = {
     async fetchWithErrorHandling(url, options = {}) {
         try {
             const response = await fetch(url, {
+                ...options,
                 headers: {
                     'Content-Type': 'application/json',
                     ...options.headers
-                },
-                ...options
+                }
             });
             
             return response;
@@ -24,13 +24,104 @@ const ApiUtils = {
         }
     },
 
+    /**
+     * Headers making a write conditional on the version (ETag) the data was loaded at
+     * The server answers 409 if it has changed since
+     */
+    versionHeaders(etag) {
+        return etag ? { 'If-Match': etag } : {};
+    },
+
+    // Config API calls
+    /**
+     * Get services.json as saved (without the active profile applied); the ETag header is its version
+     */
+    async getConfig() {
+        return this.fetchWithErrorHandling('/api/config');
+    },
+
+    /**
+     * Undo a recorded change to services.json (e.g. a deletion)
+     * etag: version of services.json the page was loaded at
+     */
+    async undoConfigRevision(revisionId, etag = null) {
+        return this.fetchWithErrorHandling(`/api/config/revisions/${revisionId}/undo`, {
+            method: 'POST',
+            headers: this.versionHeaders(etag)
+        });
+    },
+
+    // Profile API calls
+    /**
+     * List the profiles and the active one
+     */
+    async getProfiles() {
+        return this.fetchWithErrorHandling('/api/profiles');
+    },
+
+    /**
+     * Switch the active profile (null for the base configuration)
+     */
+    async setActiveProfile(profile) {
+        return this.fetchWithErrorHandling('/api/profiles/active', {
+            method: 'PUT',
+            body: JSON.stringify({ profile })
+        });
+    },
+
+    // Bundle API calls
+    /**
+     * Get the download URL of a bundle
+     * selection: { experiments, services, commands, workflows } - arrays of IDs
+     */
+    getBundleExportUrl(selection) {
+        const params = new URLSearchParams();
+        Object.entries(selection).forEach(([key, ids]) => {
+            if (ids && ids.length > 0) params.set(key, ids.join(','));
+        });
+        return `/api/bundles/export?${params}`;
+    },
+
+    /**
+     * Upload a bundle (.tar.gz file) and preview importing it
+     */
+    async previewBundleImport(file) {
+        return this.fetchWithErrorHandling('/api/bundles/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/gzip' },
+            body: file
+        });
+    },
+
+    /**
+     * Import an uploaded bundle
+     * resolutions: { "<type>:<id>": { action: import|rename|skip, id } }
+     * etag: version of services.json the page was loaded at
+     */
+    async applyBundleImport(importId, resolutions, etag = null) {
+        return this.fetchWithErrorHandling(`/api/bundles/import/${importId}`, {
+            method: 'POST',
+            headers: this.versionHeaders(etag),
+            body: JSON.stringify({ resolutions })
+        });
+    },
+
     // Experiment API calls
+    /**
+     * Get experiment metadata (the ETag header identifies its version)
+     */
+    async getExperimentMetadata(folder) {
+        return this.fetchWithErrorHandling(`/api/experiments/${folder}/metadata`);
+    },
+
     /**
      * Update experiment metadata
+     * etag: version the metadata was loaded at, to detect changes made elsewhere
      */
-    async updateExperimentMetadata(folder, metadata) {
+    async updateExperimentMetadata(folder, metadata, etag = null) {
         return this.fetchWithErrorHandling(`/api/experiments/${folder}/metadata`, {
             method: 'PUT',
+            headers: this.versionHeaders(etag),
             body: JSON.stringify(metadata)
         });
     },
@@ -48,10 +139,12 @@ const ApiUtils = {
 
     /**
      * Update an existing service
+     * etag: version of services.json the service was loaded at (AppState.configEtag)
      */
-    async updateService(serviceId, serviceData) {
+    async updateService(serviceId, serviceData, etag = null) {
         return this.fetchWithErrorHandling(`/api/services/${serviceId}`, {
             method: 'PUT',
+            headers: this.versionHeaders(etag),
             body: JSON.stringify(serviceData)
         });
     },
@@ -66,19 +159,35 @@ const ApiUtils = {
     },
 
     /**
-     * Start or stop a service
+     * Get the recent resource metrics of a service
+     */
+    async getServiceMetrics(serviceId) {
+        return this.fetchWithErrorHandling(`/api/services/${serviceId}/metrics`);
+    },
+
+    /**
+     * Start or stop a single service
      */
     async toggleService(serviceId, action) {
-        return this.fetchWithErrorHandling(`/api/services/${serviceId}/${action}`, {
+        return action === 'start' ? this.startService(serviceId) : this.stopService(serviceId);
+    },
+
+    /**
+     * Start a service
+     * withDependencies: start the services it depends on first, in order
+     */
+    async startService(serviceId, { withDependencies = false } = {}) {
+        return this.fetchWithErrorHandling(`/api/services/${serviceId}/start?dependencies=${withDependencies}`, {
             method: 'POST'
         });
     },
 
     /**
      * Stop a service
+     * withDependents: first stop the running services that depend on it
      */
-    async stopService(serviceId) {
-        return this.fetchWithErrorHandling(`/api/services/${serviceId}/stop`, {
+    async stopService(serviceId, { withDependents = false } = {}) {
+        return this.fetchWithErrorHandling(`/api/services/${serviceId}/stop?dependents=${withDependents}`, {
             method: 'POST'
         });
     },
@@ -96,10 +205,12 @@ const ApiUtils = {
 
     /**
      * Update an existing command
+     * etag: version of services.json the command was loaded at (AppState.configEtag)
      */
-    async updateCommand(commandId, commandData) {
+    async updateCommand(commandId, commandData, etag = null) {
         return this.fetchWithErrorHandling(`/api/commands/${commandId}`, {
             method: 'PUT',
+            headers: this.versionHeaders(etag),
             body: JSON.stringify(commandData)
         });
     },
@@ -116,8 +227,9 @@ const ApiUtils = {
     /**
      * Execute a command
      */
-    async executeCommand(commandId) {
-        return this.fetchWithErrorHandling(`/api/commands/${commandId}/execute`, {
+    async executeCommand(commandId, { wait = true } = {}) {
+        const query = wait ? '' : '?wait=false';
+        return this.fetchWithErrorHandling(`/api/commands/${commandId}/execute${query}`, {
             method: 'POST'
         });
     },
@@ -135,10 +247,12 @@ const ApiUtils = {
 
     /**
      * Update an existing workflow
+     * etag: version of services.json the workflow was loaded at (AppState.configEtag)
      */
-    async updateWorkflow(workflowId, workflowData) {
+    async updateWorkflow(workflowId, workflowData, etag = null) {
         return this.fetchWithErrorHandling(`/api/workflows/${workflowId}`, {
             method: 'PUT',
+            headers: this.versionHeaders(etag),
             body: JSON.stringify(workflowData)
         });
     },
@@ -153,20 +267,127 @@ const ApiUtils = {
     },
 
     /**
-     * Execute a workflow
+     * Execute a workflow with the given parameter values
+     * Responds immediately with a run ID; see runWorkflow() to wait for the result
      */
-    async executeWorkflow(workflowId) {
+    async executeWorkflow(workflowId, params = {}) {
         return this.fetchWithErrorHandling(`/api/workflows/${workflowId}/execute`, {
+            method: 'POST',
+            body: JSON.stringify({ params })
+        });
+    },
+
+    /**
+     * Get the state of a workflow run
+     */
+    async getWorkflowRun(runId) {
+        return this.fetchWithErrorHandling(`/api/workflows/runs/${runId}`);
+    },
+
+    /**
+     * Cancel a workflow run in progress
+     */
+    async cancelWorkflowRun(runId) {
+        return this.fetchWithErrorHandling(`/api/workflows/runs/${runId}/cancel`, {
             method: 'POST'
         });
     },
 
+    /**
+     * Execute a workflow and poll its run until it finishes
+     * params: values for the workflow's parameters
+     * onStart(run) is called once the run has been created (e.g. to offer cancelling it)
+     * Resolves with the finished run; throws if it failed or was cancelled
+     */
+    async runWorkflow(workflowId, { params = {}, onStart = null, pollInterval = 1000 } = {}) {
+        const response = await this.executeWorkflow(workflowId, params);
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to start workflow');
+        }
+        
+        if (onStart) {
+            onStart(result.run);
+        }
+        
+        let run = result.run;
+        while (run.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, pollInterval));
+            const runResponse = await this.getWorkflowRun(result.runId);
+            if (!runResponse.ok) {
+                throw new Error('Lost track of workflow run');
+            }
+            run = await runResponse.json();
+        }
+        
+        if (run.status !== 'completed') {
+            throw new Error(run.status === 'cancelled' ? 'Workflow cancelled' : (run.error || 'Workflow failed'));
+        }
+        
+        return run;
+    },
+
+    // History API calls
+    /**
+     * List run history entries
+     * filters: { kind, targetId, status, since, until, limit, offset }
+     */
+    async getHistory(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.set(key, value);
+            }
+        });
+        return this.fetchWithErrorHandling(`/api/history?${params}`);
+    },
+
+    /**
+     * Get the captured console output of a history entry (or one of its workflow steps)
+     */
+    async getHistoryLog(entryId, stepId = null) {
+        const query = stepId ? `?step=${encodeURIComponent(stepId)}` : '';
+        return this.fetchWithErrorHandling(`/api/history/${entryId}/log${query}`);
+    },
+
     // Console API calls
     /**
      * Get console output for a process
+     * Pass `before` (a message seq) and `limit` to page through earlier output
      */
-    async getConsoleOutput(processId) {
-        return this.fetchWithErrorHandling(`/api/console/${processId}`);
+    async getConsoleOutput(processId, { before, limit } = {}) {
+        const params = new URLSearchParams();
+        if (before !== undefined) params.set('before', before);
+        if (limit !== undefined) params.set('limit', limit);
+        const query = params.toString();
+        return this.fetchWithErrorHandling(`/api/console/${processId}${query ? `?${query}` : ''}`);
+    },
+
+    /**
+     * Search a process's console output (all processes when processId is null)
+     * options: { q, regex, caseSensitive, stream, since, until, limit }
+     */
+    async searchConsole(processId, options = {}) {
+        const params = new URLSearchParams();
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '' && value !== false) {
+                params.set(key, value);
+            }
+        });
+        const base = processId ? `/api/console/${processId}/search` : '/api/console/search';
+        return this.fetchWithErrorHandling(`${base}?${params}`);
+    },
+
+    /**
+     * Send input to a running process's stdin
+     * options: { newline, eof, echo }
+     */
+    async sendConsoleInput(processId, input, options = {}) {
+        return this.fetchWithErrorHandling(`/api/console/${processId}/stdin`, {
+            method: 'POST',
+            body: JSON.stringify({ input, ...options })
+        });
     },
 
     /**
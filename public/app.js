@@ -9,6 +9,8 @@ const AppState = {
     services: {},
     commands: {},
     workflows: {},
+    configEtag: null, // Version of services.json the services, commands and workflows were loaded at
+    activeProfile: null, // Profile applied over services.json (null for none)
     selectedExperiment: null,
     sidebarCollapsed: false,
     currentPage: 'experiments'
@@ -30,18 +32,21 @@ const AppElements = {
     servicesPage: null,
     commandsPage: null,
     workflowsPage: null,
+    historyPage: null,
     
     // Sidebar sections
     experimentsSidebar: null,
     servicesSidebar: null,
     commandsSidebar: null,
     workflowsSidebar: null,
+    historySidebar: null,
     
     // Search inputs
     searchInput: null,
     servicesSearch: null,
     commandsSearch: null,
     workflowsSearch: null,
+    historySearch: null,
     
     // Layout
     sidebarColumn: null,
@@ -72,6 +77,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load initial data
     await ExperimentManager.loadExperiments();
     await ServiceManager.loadServicesAndWorkflows();
+    await ProfileManager.loadProfiles();
     
     // Setup event handlers and UI components
     setupSearchFilters();
@@ -106,18 +112,21 @@ function initializeElements() {
     AppElements.servicesPage = document.getElementById('servicesPage');
     AppElements.commandsPage = document.getElementById('commandsPage');
     AppElements.workflowsPage = document.getElementById('workflowsPage');
+    AppElements.historyPage = document.getElementById('historyPage');
     
     // Sidebar sections
     AppElements.experimentsSidebar = document.getElementById('experimentsSidebar');
     AppElements.servicesSidebar = document.getElementById('servicesSidebar');
     AppElements.commandsSidebar = document.getElementById('commandsSidebar');
     AppElements.workflowsSidebar = document.getElementById('workflowsSidebar');
+    AppElements.historySidebar = document.getElementById('historySidebar');
     
     // Search inputs
     AppElements.searchInput = document.getElementById('searchInput');
     AppElements.servicesSearch = document.getElementById('servicesSearch');
     AppElements.commandsSearch = document.getElementById('commandsSearch');
     AppElements.workflowsSearch = document.getElementById('workflowsSearch');
+    AppElements.historySearch = document.getElementById('historySearch');
     
     // Layout
     AppElements.sidebarColumn = document.getElementById('sidebarColumn');
@@ -147,18 +156,21 @@ async function switchToPage(page) {
     document.getElementById('navServices').classList.toggle('is-active', page === 'services');
     document.getElementById('navCommands').classList.toggle('is-active', page === 'commands');
     document.getElementById('navWorkflows').classList.toggle('is-active', page === 'workflows');
+    document.getElementById('navHistory').classList.toggle('is-active', page === 'history');
     
     // Show/hide appropriate pages
     AppElements.experimentsPage.style.display = page === 'experiments' ? 'flex' : 'none';
     AppElements.servicesPage.style.display = page === 'services' ? 'flex' : 'none';
     AppElements.commandsPage.style.display = page === 'commands' ? 'flex' : 'none';
     AppElements.workflowsPage.style.display = page === 'workflows' ? 'flex' : 'none';
+    AppElements.historyPage.style.display = page === 'history' ? 'flex' : 'none';
     
     // Show/hide appropriate sidebar sections
     AppElements.experimentsSidebar.style.display = page === 'experiments' ? 'flex' : 'none';
     AppElements.servicesSidebar.style.display = page === 'services' ? 'flex' : 'none';
     AppElements.commandsSidebar.style.display = page === 'commands' ? 'flex' : 'none';
     AppElements.workflowsSidebar.style.display = page === 'workflows' ? 'flex' : 'none';
+    AppElements.historySidebar.style.display = page === 'history' ? 'flex' : 'none';
     
     // Hide experiment frame when switching pages
     AppElements.experimentFrame.style.display = 'none';
@@ -187,6 +199,9 @@ async function renderCurrentPage() {
             await ServiceManager.renderWorkflowsPage();
             WorkflowManager.renderWorkflowsList();
             break;
+        case 'history':
+            await HistoryManager.renderHistoryPage();
+            break;
     }
 }
 
@@ -264,6 +279,11 @@ function setupSearchFilters() {
     AppElements.workflowsSearch.addEventListener('input', (e) => {
         WorkflowManager.renderWorkflowsList();
     });
+    
+    // History search
+    AppElements.historySearch.addEventListener('input', (e) => {
+        HistoryManager.renderEntries();
+    });
 }
 
 /**
@@ -274,6 +294,7 @@ async function refreshAll() {
         UIUtils.showNotification('Refreshing all data...', 'info');
         await ExperimentManager.loadExperiments();
         await ServiceManager.loadServicesAndWorkflows();
+        await ProfileManager.loadProfiles();
         await renderCurrentPage();
         
         // Update running services indicator
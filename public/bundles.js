@@ -0,0 +1,151 @@
+/**
+ * Bundles Module
+ * Export an experiment with the services, commands and workflows it uses, and
+ * import bundles with a preview to rename or skip items that clash with existing ones
+ */
+
+const BundleManager = {
+    // Uploaded bundle waiting for the user's choices: { importId, items }
+    pendingImport: null,
+
+    /**
+     * Download the selected experiment as a bundle
+     */
+    exportExperiment() {
+        if (!AppState.selectedExperiment) return;
+
+        const link = document.createElement('a');
+        link.href = ApiUtils.getBundleExportUrl({ experiments: [AppState.selectedExperiment.folder] });
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    },
+
+    /**
+     * Ask for a bundle file to import
+     */
+    chooseImportFile() {
+        const input = document.getElementById('bundleFileInput');
+        input.value = '';
+        input.click();
+    },
+
+    /**
+     * Upload the chosen bundle and show the import preview
+     */
+    async previewImport(file) {
+        if (!file) return;
+
+        try {
+            const response = await ApiUtils.previewBundleImport(file);
+            const data = await response.json();
+
+            if (!response.ok) {
+                UIUtils.showError(data.error || 'Failed to read bundle');
+                return;
+            }
+
+            this.pendingImport = { importId: data.importId, items: data.items };
+            this.renderPreview(file.name, data);
+            document.getElementById('bundleImportModal').classList.add('is-active');
+        } catch (error) {
+            console.error('Error reading bundle:', error);
+            UIUtils.showError('Failed to read bundle');
+        }
+    },
+
+    /**
+     * Render the items of the uploaded bundle with a choice per item
+     * Items that clash with existing ones are skipped unless the user picks otherwise
+     */
+    renderPreview(fileName, { items, conflicts }) {
+        document.getElementById('bundleImportTitle').textContent = `Import ${fileName}`;
+        document.getElementById('bundleImportSummary').textContent = conflicts > 0
+            ? `${items.length} item(s), ${conflicts} already exist here: rename them to import a copy, or skip them to keep (and use) the existing ones.`
+            : `${items.length} item(s), none of which exist here yet.`;
+
+        document.getElementById('bundleImportItems').innerHTML = items.map((item, index) => `
+            <tr data-index="${index}">
+                <td>${UIUtils.escapeHtml(item.type)}</td>
+                <td>
+                    <strong>${UIUtils.escapeHtml(item.id)}</strong>
+                    ${item.name !== item.id ? `<br><small>${UIUtils.escapeHtml(item.name)}</small>` : ''}
+                    ${item.errors.map(error => `<p class="help is-danger">${UIUtils.escapeHtml(error)}</p>`).join('')}
+                    ${item.redactedEnv && item.redactedEnv.length > 0
+                        ? `<p class="help is-warning">Left out of the bundle, set after importing: ${UIUtils.escapeHtml(item.redactedEnv.join(', '))}</p>`
+                        : ''}
+                </td>
+                <td>
+                    ${item.conflict
+                        ? '<span class="tag is-warning">Exists</span>'
+                        : '<span class="tag is-success">New</span>'}
+                </td>
+                <td>
+                    <div class="select is-small">
+                        <select data-role="action" onchange="BundleManager.updateRow(${index})">
+                            <option value="import" ${item.conflict ? '' : 'selected'}>Import</option>
+                            <option value="rename">Rename</option>
+                            <option value="skip" ${item.conflict ? 'selected' : ''}>Skip</option>
+                        </select>
+                    </div>
+                    <input class="input is-small bundle-rename-input" data-role="rename" type="text"
+                           value="${UIUtils.escapeHtml(`${item.id}-imported`)}" style="display: none;">
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Show the new ID field of a row when "Rename" is chosen
+     */
+    updateRow(index) {
+        const row = document.querySelector(`#bundleImportItems tr[data-index="${index}"]`);
+        const action = row.querySelector('[data-role="action"]').value;
+        row.querySelector('[data-role="rename"]').style.display = action === 'rename' ? '' : 'none';
+    },
+
+    /**
+     * Import the bundle with the choices made in the preview
+     */
+    async applyImport() {
+        if (!this.pendingImport) return;
+
+        const resolutions = {};
+        this.pendingImport.items.forEach((item, index) => {
+            const row = document.querySelector(`#bundleImportItems tr[data-index="${index}"]`);
+            const action = row.querySelector('[data-role="action"]').value;
+            resolutions[`${item.type}:${item.id}`] = action === 'rename'
+                ? { action, id: row.querySelector('[data-role="rename"]').value.trim() }
+                : { action };
+        });
+
+        try {
+            const response = await ApiUtils.applyBundleImport(this.pendingImport.importId, resolutions, AppState.configEtag);
+            const data = await response.json();
+
+            if (!response.ok) {
+                UIUtils.showError(data.error || 'Failed to import bundle');
+                if (response.status === 404) this.closeImportModal();
+                return;
+            }
+
+            this.closeImportModal();
+            await ExperimentManager.loadExperiments();
+            await ServiceManager.loadServicesAndWorkflows();
+            await renderCurrentPage();
+            UIUtils.showNotification(data.message, 'success');
+        } catch (error) {
+            console.error('Error importing bundle:', error);
+            UIUtils.showError('Failed to import bundle');
+        }
+    },
+
+    /**
+     * Close the import preview (the uploaded bundle expires on the server)
+     */
+    closeImportModal() {
+        document.getElementById('bundleImportModal').classList.remove('is-active');
+        this.pendingImport = null;
+    }
+};
@@ -6,6 +6,7 @@
 const CommandManager = {
     // State for editing commands
     editingCommand: null,
+    editingEtag: null, // Version of services.json the edited command was loaded at
 
     /**
      * Create a command card for the page
@@ -152,9 +153,13 @@ const CommandManager = {
     /**
      * Edit an existing command
      */
-    editCommand(commandId) {
+    async editCommand(commandId) {
+        const loaded = await ServiceManager.loadItemForEditing('commands', commandId);
+        if (!loaded) return;
+        
         this.editingCommand = commandId;
-        const command = AppState.commands[commandId];
+        this.editingEtag = loaded.etag;
+        const command = loaded.item;
         
         document.getElementById('serviceModalTitle').textContent = 'Edit Command';
         document.getElementById('serviceId').value = commandId;
@@ -163,6 +168,8 @@ const CommandManager = {
         document.getElementById('serviceDescription').value = command.description || '';
         document.getElementById('serviceWorkingDir').value = command.workingDir || '';
         document.getElementById('serviceCommand').value = command.command || '';
+        document.getElementById('serviceEnv').value = UIUtils.formatEnvText(command.env);
+        document.getElementById('serviceEnvFile').value = command.envFile || '';
         
         // Update form for command editing
         const form = document.getElementById('serviceForm');
@@ -183,10 +190,14 @@ const CommandManager = {
             const response = await ApiUtils.deleteCommand(commandId);
             
             if (response.ok) {
-                UIUtils.showNotification(`Command "${commandId}" deleted successfully`, 'success');
-                await ServiceManager.loadServicesAndWorkflows();
-                await ServiceManager.renderCommandsPage();
-                this.renderCommandsList();
+                const { revision } = await response.json();
+                const refresh = async () => {
+                    await ServiceManager.loadServicesAndWorkflows();
+                    await ServiceManager.renderCommandsPage();
+                    this.renderCommandsList();
+                };
+                await refresh();
+                UIUtils.showUndoNotification(`Command "${commandId}" deleted`, revision, refresh);
             } else {
                 const error = await response.json();
                 UIUtils.showError(error.error || 'Failed to delete command');
@@ -205,7 +216,9 @@ const CommandManager = {
             name: document.getElementById('serviceName').value.trim(),
             description: document.getElementById('serviceDescription').value.trim(),
             workingDir: document.getElementById('serviceWorkingDir').value.trim() || undefined,
-            command: document.getElementById('serviceCommand').value.trim()
+            command: document.getElementById('serviceCommand').value.trim(),
+            env: UIUtils.parseEnvText(document.getElementById('serviceEnv').value),
+            envFile: document.getElementById('serviceEnvFile').value.trim()
         };
         
         const commandId = document.getElementById('serviceId').value.trim();
@@ -231,7 +244,7 @@ const CommandManager = {
             
             if (this.editingCommand) {
                 // Update existing command
-                response = await ApiUtils.updateCommand(commandId, commandData);
+                response = await ApiUtils.updateCommand(commandId, commandData, this.editingEtag);
             } else {
                 // Create new command
                 response = await ApiUtils.createCommand(commandId, commandData);
@@ -265,19 +278,24 @@ const CommandManager = {
             
             console.log(`Executing command: ${commandId}`);
             
-            // Execute the command first
-            const response = await ApiUtils.executeCommand(commandId);
+            // Start the command without waiting for it, so its console opens right away
+            // and can be used to answer prompts
+            const response = await ApiUtils.executeCommand(commandId, { wait: false });
             const result = await response.json();
             
             console.log('Command execution response:', result);
             
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
             // Open console dialog using the execution ID returned from the server
             if (result.executionId) {
                 ConsoleManager.openDialog(result.executionId, 'command');
-                UIUtils.showNotification(`Command ${command.name || commandId} executed successfully`, 'success');
+                UIUtils.showNotification(`Command ${command.name || commandId} started`, 'success');
             } else {
                 console.error('No execution ID returned from command execution');
-                UIUtils.showError('Command executed but console output may not be available');
+                UIUtils.showError('Command started but console output may not be available');
             }
             
         } catch (error) {
@@ -11,6 +11,8 @@ const ConsoleManager = {
     reconnectAttempts: 0,
     maxReconnectAttempts: 5,
     reconnectDelay: 1000, // Start with 1 second delay
+    pageSize: 500, // Messages loaded at a time; earlier output is loaded on demand
+    maxSearchResults: 1000, // Newest matches that can be navigated in a console
 
     /**
      * Setup Server-Sent Events for real-time console output
@@ -46,6 +48,16 @@ const ConsoleManager = {
                         return;
                     }
                     
+                    if (data.type === 'workflow-step') {
+                        WorkflowManager.updateStepProgress(data);
+                        return;
+                    }
+                    
+                    if (data.type === 'metrics') {
+                        ServiceManager.updateMetrics(data.samples);
+                        return;
+                    }
+                    
                     // Update console dialog if open
                     const dialog = this.consoleDialogs.get(data.processId);
                     if (dialog) {
@@ -224,7 +236,9 @@ const ConsoleManager = {
         this.consoleDialogs.set(processId, {
             dialog,
             processType,
-            isHidden: false
+            isHidden: false,
+            search: { results: [], current: -1, total: 0, truncated: false, incomplete: false, pattern: null, errorsOnly: false, timer: null },
+            input: { history: [], position: 0 }
         });
         
         // Update console manager
@@ -264,13 +278,56 @@ const ConsoleManager = {
                     </button>
                 </div>
             </div>
+            <div class="console-search">
+                <div class="field has-addons">
+                    <div class="control is-expanded">
+                        <input class="input is-small" type="text" id="search-${processId}" placeholder="Search output..."
+                            oninput="ConsoleManager.onSearchInput('${processId}')"
+                            onkeydown="ConsoleManager.handleSearchKey(event, '${processId}')">
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" id="search-regex-${processId}" title="Regular expression"
+                            onclick="ConsoleManager.toggleSearchOption('${processId}', 'regex')">.*</button>
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" id="search-case-${processId}" title="Match case"
+                            onclick="ConsoleManager.toggleSearchOption('${processId}', 'case')">Aa</button>
+                    </div>
+                    <div class="control">
+                        <span class="button is-small is-static console-search-count" id="search-count-${processId}"></span>
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" onclick="ConsoleManager.navigateSearch('${processId}', -1)" title="Previous match (Shift+Enter)">
+                            <i class="fas fa-chevron-up"></i>
+                        </button>
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" onclick="ConsoleManager.navigateSearch('${processId}', 1)" title="Next match (Enter)">
+                            <i class="fas fa-chevron-down"></i>
+                        </button>
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" id="search-errors-${processId}" title="Show only errors (stderr)"
+                            onclick="ConsoleManager.toggleErrorsOnly('${processId}')">
+                            <i class="fas fa-exclamation-triangle"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
             <div class="console-content" id="content-${processId}">
                 <div class="console-output" id="output-${processId}"></div>
             </div>
             <div class="console-footer">
                 <div class="field has-addons">
                     <div class="control is-expanded">
-                        <input class="input is-small" type="text" placeholder="Clear output..." readonly>
+                        <input class="input is-small console-input" type="text" id="input-${processId}"
+                            placeholder="Send input (Enter to send, Ctrl+D for end of input)..."
+                            onkeydown="ConsoleManager.handleInputKey(event, '${processId}')">
+                    </div>
+                    <div class="control">
+                        <button class="button is-small" onclick="ConsoleManager.sendInput('${processId}')" title="Send input (Enter)">
+                            <i class="fas fa-paper-plane"></i>
+                        </button>
                     </div>
                     <div class="control">
                         <button class="button is-small" onclick="ConsoleManager.clearConsoleOutput('${processId}')">Clear</button>
@@ -301,10 +358,11 @@ const ConsoleManager = {
 
     /**
      * Load existing console output for a process
+     * Only the newest page is loaded; earlier output is loaded on demand
      */
     async loadConsoleOutput(processId) {
         try {
-            const response = await fetch(`/api/console/${processId}`);
+            const response = await fetch(`/api/console/${processId}?limit=${this.pageSize}`);
             
             if (!response.ok) {
                 if (response.status === 404) {
@@ -319,6 +377,11 @@ const ConsoleManager = {
             const outputEl = document.getElementById(`output-${processId}`);
             const statusEl = document.getElementById(`status-${processId}`);
             
+            const dialogInfo = this.consoleDialogs.get(processId);
+            if (dialogInfo) {
+                dialogInfo.cwd = data.cwd || null;
+            }
+            
             if (outputEl) {
                 // Clear existing output
                 outputEl.innerHTML = '';
@@ -327,6 +390,7 @@ const ConsoleManager = {
                 data.output.forEach(message => {
                     this.appendConsoleOutput({ dialog: { id: `console-${processId}` } }, message);
                 });
+                this.updateLoadEarlierButton(processId, data);
                 
                 // Scroll to bottom
                 outputEl.scrollTop = outputEl.scrollHeight;
@@ -355,45 +419,393 @@ const ConsoleManager = {
     },
 
     /**
-     * Append a message to console output
+     * Load the page of output before the oldest message shown in a console
+     * Returns whether a page was loaded
      */
-    appendConsoleOutput(dialogInfo, message) {
-        const processId = dialogInfo.dialog.id.replace('console-', '');
+    async loadEarlierOutput(processId) {
         const outputEl = document.getElementById(`output-${processId}`);
+        const button = outputEl && outputEl.querySelector('.console-load-earlier');
+        if (!button || button.disabled) return false;
         
+        button.disabled = true;
+        button.textContent = 'Loading...';
+        
+        try {
+            const response = await ApiUtils.getConsoleOutput(processId, {
+                before: button.dataset.before,
+                limit: this.pageSize
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load console output');
+            }
+            
+            // Keep the lines that were in view where they are
+            const previousHeight = outputEl.scrollHeight;
+            const fragment = document.createDocumentFragment();
+            const options = this.getRenderOptions(processId);
+            data.output.forEach(message => fragment.appendChild(this.createConsoleLine(message, options)));
+            button.after(fragment);
+            this.updateLoadEarlierButton(processId, data);
+            outputEl.scrollTop += outputEl.scrollHeight - previousHeight;
+            return true;
+        } catch (error) {
+            console.error('Error loading earlier console output:', error);
+            button.disabled = false;
+            button.textContent = 'Load earlier output (failed, retry)';
+            return false;
+        }
+    },
+
+    /**
+     * Show a "Load earlier output" button above the oldest message if there is more
+     */
+    updateLoadEarlierButton(processId, data) {
+        const outputEl = document.getElementById(`output-${processId}`);
         if (!outputEl) return;
         
-        // Handle different message types
-        if (message.type === 'clear') {
-            outputEl.innerHTML = '';
+        let button = outputEl.querySelector('.console-load-earlier');
+        if (!data.hasMore || data.output.length === 0) {
+            if (button) button.remove();
             return;
         }
         
+        if (!button) {
+            button = document.createElement('button');
+            button.className = 'button is-small is-fullwidth console-load-earlier';
+            button.addEventListener('click', () => this.loadEarlierOutput(processId));
+            outputEl.prepend(button);
+        }
+        button.disabled = false;
+        button.textContent = 'Load earlier output';
+        button.dataset.before = data.output[0].seq;
+    },
+
+    /**
+     * Get how a console's output is rendered: its search highlighting and
+     * working directory (to link relative file:line locations)
+     */
+    getRenderOptions(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        return {
+            pattern: dialogInfo ? dialogInfo.search.pattern : null,
+            cwd: dialogInfo ? dialogInfo.cwd : null
+        };
+    },
+
+    /**
+     * Create the element for one console message
+     * Colors, carriage returns and links are rendered by AnsiUtils
+     */
+    createConsoleLine(message, options) {
         const messageEl = document.createElement('div');
         messageEl.className = `console-line console-${message.type}`;
+        if (message.seq !== undefined) {
+            messageEl.dataset.seq = message.seq;
+            messageEl.dataset.lastSeq = message.seq;
+        }
         
         const timestamp = new Date(message.timestamp).toLocaleTimeString();
         messageEl.innerHTML = `
             <span class="console-timestamp">[${timestamp}]</span>
-            <span class="console-message">${this.escapeHtml(message.data)}</span>
+            <span class="console-message"></span>
         `;
+        messageEl.ansiState = AnsiUtils.write(AnsiUtils.createState(), message.data);
+        messageEl.endsWithNewline = message.data.endsWith('\n');
+        this.renderConsoleLine(messageEl, options);
+        return messageEl;
+    },
+
+    /**
+     * (Re-)render the text of a console line
+     */
+    renderConsoleLine(lineEl, options) {
+        if (!lineEl.ansiState) return;
+        lineEl.querySelector('.console-message').innerHTML = AnsiUtils.render(lineEl.ansiState, options);
+    },
+
+    /**
+     * Check if a message continues the previous line of its stream instead of
+     * starting a new one: a carriage return overwriting an unfinished line, as
+     * progress bars do
+     */
+    continuesLine(lineEl, message) {
+        if (!lineEl || !lineEl.ansiState || lineEl.endsWithNewline
+            || !lineEl.classList.contains(`console-${message.type}`)) {
+            return false;
+        }
+        const { cursor, cells } = lineEl.ansiState;
+        return (cursor === 0 && cells.length > 0) || /^[^\n]*\r(?!\n)/.test(message.data);
+    },
+
+    /**
+     * Find the console line showing a message (continued lines show several)
+     */
+    findConsoleLine(outputEl, seq) {
+        return Array.from(outputEl.querySelectorAll('.console-line[data-seq]'))
+            .find(lineEl => Number(lineEl.dataset.seq) <= seq && seq <= Number(lineEl.dataset.lastSeq));
+    },
+
+    /**
+     * Debounce searching while the search text is typed
+     */
+    onSearchInput(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        if (!dialogInfo) return;
+        
+        clearTimeout(dialogInfo.search.timer);
+        dialogInfo.search.timer = setTimeout(() => this.runSearch(processId), 300);
+    },
+
+    /**
+     * Enter goes to the next match, Shift+Enter to the previous one
+     */
+    handleSearchKey(event, processId) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.navigateSearch(processId, event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            event.target.value = '';
+            this.runSearch(processId);
+        }
+    },
+
+    /**
+     * Toggle the regular expression or match case option and search again
+     */
+    toggleSearchOption(processId, option) {
+        const button = document.getElementById(`search-${option}-${processId}`);
+        if (!button) return;
         
-        outputEl.appendChild(messageEl);
+        button.classList.toggle('is-info');
+        this.runSearch(processId);
+    },
+
+    /**
+     * Show only stderr output, and only search it
+     */
+    toggleErrorsOnly(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const outputEl = document.getElementById(`output-${processId}`);
+        const button = document.getElementById(`search-errors-${processId}`);
+        if (!dialogInfo || !outputEl || !button) return;
         
-        // Auto-scroll to bottom
+        dialogInfo.search.errorsOnly = !dialogInfo.search.errorsOnly;
+        outputEl.classList.toggle('errors-only', dialogInfo.search.errorsOnly);
+        button.classList.toggle('is-danger', dialogInfo.search.errorsOnly);
         outputEl.scrollTop = outputEl.scrollHeight;
+        this.runSearch(processId);
+    },
+
+    /**
+     * Get the current search options of a console from its search bar
+     */
+    getSearchOptions(processId) {
+        const input = document.getElementById(`search-${processId}`);
+        return {
+            q: input ? input.value : '',
+            regex: document.getElementById(`search-regex-${processId}`)?.classList.contains('is-info') || false,
+            caseSensitive: document.getElementById(`search-case-${processId}`)?.classList.contains('is-info') || false
+        };
     },
 
     /**
-     * Escape HTML to prevent XSS
+     * Build the pattern used to highlight matches in the browser
+     * (the same matching the server applies)
      */
-    escapeHtml(unsafe) {
-        return unsafe
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+    buildSearchPattern({ q, regex, caseSensitive }) {
+        if (!q) return null;
+        const source = regex ? q : q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    },
+
+    /**
+     * Search all of a console's output (including output not loaded yet) on the server,
+     * highlight the matches and jump to the newest one
+     */
+    async runSearch(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const input = document.getElementById(`search-${processId}`);
+        if (!dialogInfo || !input) return;
+        
+        const search = dialogInfo.search;
+        const options = this.getSearchOptions(processId);
+        clearTimeout(search.timer);
+        search.timer = null;
+        input.classList.remove('is-danger');
+        input.title = '';
+        
+        try {
+            search.pattern = this.buildSearchPattern(options);
+        } catch (error) {
+            search.pattern = null;
+        }
+        
+        if (!options.q) {
+            Object.assign(search, { results: [], current: -1, total: 0, truncated: false, incomplete: false, pattern: null });
+            this.refreshHighlights(processId);
+            return;
+        }
+        
+        try {
+            const response = await ApiUtils.searchConsole(processId, {
+                ...options,
+                stream: search.errorsOnly ? 'stderr' : undefined,
+                limit: this.maxSearchResults
+            });
+            const found = await response.json();
+            if (!response.ok) {
+                throw new Error(found.error || 'Search failed');
+            }
+            
+            // A newer search may have finished first
+            if (JSON.stringify(this.getSearchOptions(processId)) !== JSON.stringify(options)) return;
+            
+            search.results = found.results.map(result => result.seq);
+            search.total = found.total;
+            search.truncated = found.truncated;
+            search.incomplete = found.incomplete;
+            search.current = search.results.length - 1;
+        } catch (error) {
+            Object.assign(search, { results: [], current: -1, total: 0, truncated: false, incomplete: false, pattern: null });
+            input.classList.add('is-danger');
+            input.title = error.message;
+        }
+        
+        this.refreshHighlights(processId);
+        if (search.current >= 0) {
+            await this.showMatch(processId);
+        }
+    },
+
+    /**
+     * Re-render the loaded lines of a console with the current search highlighting
+     */
+    refreshHighlights(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const outputEl = document.getElementById(`output-${processId}`);
+        if (!dialogInfo || !outputEl) return;
+        
+        const options = this.getRenderOptions(processId);
+        outputEl.querySelectorAll('.console-line').forEach(lineEl => this.renderConsoleLine(lineEl, options));
+        this.updateSearchCount(processId);
+    },
+
+    /**
+     * Show "current/total" matches in a console's search bar
+     */
+    updateSearchCount(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const countEl = document.getElementById(`search-count-${processId}`);
+        if (!dialogInfo || !countEl) return;
+        
+        const { results, current, total, truncated, incomplete, pattern } = dialogInfo.search;
+        if (!pattern) {
+            countEl.textContent = '';
+            return;
+        }
+        
+        // Only the newest matches are returned, so number them from the end of the total
+        const position = current >= 0 ? total - results.length + current + 1 : 0;
+        countEl.textContent = `${position}/${total}${incomplete ? '+' : ''}`;
+        countEl.title = [
+            truncated ? `Only the newest ${results.length} matches can be navigated` : '',
+            incomplete ? 'Only the most recent output was searched (too much to search all of it)' : ''
+        ].filter(Boolean).join('. ');
+    },
+
+    /**
+     * Go to the next (1) or previous (-1) match, wrapping around
+     */
+    async navigateSearch(processId, direction) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        if (!dialogInfo) return;
+        
+        const search = dialogInfo.search;
+        if (search.results.length === 0) {
+            // Enter in a fresh search box searches right away
+            if (search.timer || !search.pattern) await this.runSearch(processId);
+            return;
+        }
+        
+        search.current = (search.current + direction + search.results.length) % search.results.length;
+        await this.showMatch(processId);
+    },
+
+    /**
+     * Scroll to the current match, loading earlier output until its line is shown
+     */
+    async showMatch(processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const outputEl = document.getElementById(`output-${processId}`);
+        if (!dialogInfo || !outputEl) return;
+        
+        const seq = dialogInfo.search.results[dialogInfo.search.current];
+        let lineEl = this.findConsoleLine(outputEl, seq);
+        
+        while (!lineEl) {
+            const button = outputEl.querySelector('.console-load-earlier');
+            if (!button || Number(button.dataset.before) <= seq) break;
+            if (!await this.loadEarlierOutput(processId)) break;
+            lineEl = this.findConsoleLine(outputEl, seq);
+        }
+        
+        outputEl.querySelectorAll('.console-line.is-current-match').forEach(el => el.classList.remove('is-current-match'));
+        if (lineEl) {
+            lineEl.classList.add('is-current-match');
+            lineEl.scrollIntoView({ block: 'center' });
+        }
+        this.updateSearchCount(processId);
+    },
+
+    /**
+     * Append a message to console output
+     */
+    appendConsoleOutput(dialogInfo, message) {
+        const processId = dialogInfo.dialog.id.replace('console-', '');
+        const outputEl = document.getElementById(`output-${processId}`);
+        
+        if (!outputEl) return;
+        
+        const search = this.consoleDialogs.get(processId)?.search;
+        
+        // Handle different message types
+        if (message.type === 'clear') {
+            outputEl.innerHTML = '';
+            if (search) {
+                Object.assign(search, { results: [], current: -1, total: 0, truncated: false, incomplete: false });
+                this.updateSearchCount(processId);
+            }
+            return;
+        }
+        
+        const options = this.getRenderOptions(processId);
+        let lineEl = outputEl.lastElementChild;
+        
+        if (this.continuesLine(lineEl, message)) {
+            AnsiUtils.write(lineEl.ansiState, message.data);
+            lineEl.endsWithNewline = message.data.endsWith('\n');
+            if (message.seq !== undefined) {
+                lineEl.dataset.lastSeq = message.seq;
+            }
+            this.renderConsoleLine(lineEl, options);
+        } else {
+            lineEl = this.createConsoleLine(message, options);
+            outputEl.appendChild(lineEl);
+        }
+        
+        // Count live output matching the active search
+        if (search && search.pattern && lineEl.querySelector('.console-match')
+            && !(search.errorsOnly && message.type !== 'stderr')) {
+            search.results.push(message.seq);
+            search.total++;
+            this.updateSearchCount(processId);
+        }
+        
+        // Auto-scroll to bottom, unless a search match is being looked at
+        if (!search || search.current < 0) {
+            outputEl.scrollTop = outputEl.scrollHeight;
+        }
     },
 
     /**
@@ -485,6 +897,59 @@ const ConsoleManager = {
         this.updateManager();
     },
 
+    /**
+     * Enter sends the input line, Ctrl+D signals end of input,
+     * ArrowUp/ArrowDown walk through previously sent lines
+     */
+    handleInputKey(event, processId) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        if (!dialogInfo) return;
+        const { input } = dialogInfo;
+        
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.sendInput(processId);
+        } else if (event.key === 'd' && event.ctrlKey) {
+            event.preventDefault();
+            this.sendInput(processId, { eof: true });
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            const step = event.key === 'ArrowUp' ? -1 : 1;
+            input.position = Math.max(0, Math.min(input.history.length, input.position + step));
+            event.target.value = input.history[input.position] || '';
+        }
+    },
+
+    /**
+     * Send the input line to the process's stdin
+     * With eof, the line (if any) is sent without Enter, followed by end of input
+     */
+    async sendInput(processId, { eof = false } = {}) {
+        const dialogInfo = this.consoleDialogs.get(processId);
+        const inputEl = document.getElementById(`input-${processId}`);
+        if (!dialogInfo || !inputEl) return;
+        
+        const text = inputEl.value;
+        try {
+            const response = await ApiUtils.sendConsoleInput(processId, text, { newline: !eof, eof });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP ${response.status}`);
+            }
+            
+            const { input } = dialogInfo;
+            if (text && input.history[input.history.length - 1] !== text) {
+                input.history.push(text);
+            }
+            input.position = input.history.length;
+            inputEl.value = '';
+        } catch (error) {
+            console.error('Error sending console input:', error);
+            UIUtils.showNotification(`Failed to send input: ${error.message}`, 'danger');
+        }
+    },
+
     /**
      * Clear console output
      */
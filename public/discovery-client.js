@@ -0,0 +1,106 @@
+/**
+ * Experiment Browser service discovery client
+ *
+ * Include it in an experiment page to find the services the experiment is
+ * linked to (its metadata dependencies and the services its workflows start):
+ *
+ *   <script src="/discovery-client.js"></script>
+ *   const apiUrl = await ExperimentDiscovery.getServiceUrl('my-backend');
+ *   const sameOriginUrl = await ExperimentDiscovery.getProxyUrl('my-backend');
+ *
+ * The experiment folder is taken from the page URL (/experiments/<folder>/...).
+ */
+const ExperimentDiscovery = {
+    /**
+     * Get the experiment folder from the page URL, or null outside the Experiment Browser
+     */
+    getExperimentFolder() {
+        const match = window.location.pathname.match(/^\/experiments\/([^/]+)\//);
+        return match ? decodeURIComponent(match[1]) : null;
+    },
+
+    /**
+     * Get the linked services: { experiment, services: { id: { name, running, ports, urls, url, proxyUrl } } }
+     */
+    async discover(folder = this.getExperimentFolder()) {
+        if (!folder) {
+            throw new Error('Not running inside the Experiment Browser (no experiment folder in the URL)');
+        }
+
+        const response = await fetch(`/api/discovery/${encodeURIComponent(folder)}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Service discovery failed');
+        }
+        return result;
+    },
+
+    /**
+     * Get a linked service's discovery entry
+     */
+    async getService(serviceId, folder) {
+        const { services } = await this.discover(folder);
+        if (!services[serviceId]) {
+            throw new Error(`Service ${serviceId} is not linked to this experiment`);
+        }
+        return services[serviceId];
+    },
+
+    /**
+     * Get the URL of a running service (of a named port, or its first port)
+     */
+    async getServiceUrl(serviceId, portName = null, folder) {
+        const service = await this.getService(serviceId, folder);
+        const url = portName ? service.urls[portName] : service.url;
+
+        if (!service.running) {
+            throw new Error(`Service ${serviceId} is not running`);
+        }
+        if (!url) {
+            throw new Error(portName
+                ? `Service ${serviceId} has no port named "${portName}"`
+                : `Service ${serviceId} has no known URL (declare its ports in services.json)`);
+        }
+        return url;
+    },
+
+    /**
+     * Get the same-origin path a running service's HTTP port is proxied under,
+     * e.g. "/proxy/my-backend/" - no CORS needed
+     */
+    async getProxyUrl(serviceId, folder) {
+        const service = await this.getService(serviceId, folder);
+
+        if (!service.running) {
+            throw new Error(`Service ${serviceId} is not running`);
+        }
+        if (!service.proxyUrl) {
+            throw new Error(`Service ${serviceId} is not proxied (declare a port named "http" or set proxyPort)`);
+        }
+        return service.proxyUrl;
+    },
+
+    /**
+     * Wait until a service is running and reachable, then return its URL
+     * (its proxy URL with `proxy: true`)
+     * Useful while the experiment's required workflows are still starting it
+     */
+    async waitForService(serviceId, { portName = null, proxy = false, timeout = 30000, interval = 1000, folder } = {}) {
+        const deadline = Date.now() + timeout;
+
+        for (;;) {
+            try {
+                return proxy
+                    ? await this.getProxyUrl(serviceId, folder)
+                    : await this.getServiceUrl(serviceId, portName, folder);
+            } catch (error) {
+                if (Date.now() + interval > deadline) {
+                    throw error;
+                }
+            }
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    }
+};
+
+window.ExperimentDiscovery = ExperimentDiscovery;
@@ -6,10 +6,11 @@
 const ExperimentManager = {
     // State for editing experiments
     editingExperiment: null,
+    editingEtag: null, // Version of the edited experiment's metadata.json
     
     // Track required workflow completion state and last run times
     requiredWorkflowsCompleted: false,
-    workflowLastRun: new Map(), // Track when workflows were last executed
+    workflowLastRun: new Map(), // Last successful run of each workflow, loaded from the server's run history
 
     /**
      * Load experiments from the server
@@ -76,13 +77,38 @@ const ExperimentManager = {
         return item;
     },
 
+    /**
+     * Load the last successful run time of each workflow from the run history
+     */
+    async loadWorkflowLastRuns(workflowIds) {
+        await Promise.all(workflowIds.map(async (workflowId) => {
+            try {
+                const response = await ApiUtils.getHistory({ kind: 'workflow', targetId: workflowId, status: 'completed', limit: 1 });
+                if (!response.ok) return;
+                
+                const { entries } = await response.json();
+                if (entries.length > 0) {
+                    this.workflowLastRun.set(workflowId, new Date(entries[0].finishedAt));
+                } else {
+                    this.workflowLastRun.delete(workflowId);
+                }
+            } catch (error) {
+                console.error(`Error loading run history for workflow ${workflowId}:`, error);
+            }
+        }));
+    },
+
     /**
      * Select an experiment and show its details
      */
-    selectExperiment(experiment) {
+    async selectExperiment(experiment) {
         AppState.selectedExperiment = experiment;
         
         // Check if required workflows have been run for this experiment
+        await this.loadWorkflowLastRuns([
+            ...(experiment.requiredWorkflows || []),
+            ...(experiment.optionalWorkflows || [])
+        ]);
         this.checkRequiredWorkflowsStatus(experiment);
         
         // Update active state in sidebar list
@@ -364,6 +390,9 @@ const ExperimentManager = {
      * Execute a single required workflow
      */
     async executeRequiredWorkflow(workflowId, button) {
+        const params = await WorkflowManager.promptParams(workflowId);
+        if (!params) return;
+        
         button.disabled = true;
         button.classList.add('is-loading');
         
@@ -373,11 +402,10 @@ const ExperimentManager = {
         ConsoleManager.openDialog(workflowId, 'workflow');
         
         try {
-            const response = await ApiUtils.executeWorkflow(workflowId);
-            const result = await response.json();
+            const run = await ApiUtils.runWorkflow(workflowId, { params });
             
             // Record the execution time
-            this.workflowLastRun.set(workflowId, new Date());
+            this.workflowLastRun.set(workflowId, new Date(run.finishedAt));
             
             // Check if all required workflows are now completed
             this.checkRequiredWorkflowsStatus(AppState.selectedExperiment);
@@ -394,7 +422,7 @@ const ExperimentManager = {
             
         } catch (error) {
             console.error('Error executing workflow:', error);
-            UIUtils.showNotification(`Failed to execute workflow ${AppState.workflows[workflowId].name || workflowId}`, 'danger');
+            UIUtils.showNotification(`Failed to execute workflow ${AppState.workflows[workflowId].name || workflowId}: ${error.message}`, 'danger');
         } finally {
             UIUtils.hideLoadingModal();
             button.classList.remove('is-loading');
@@ -589,6 +617,14 @@ const ExperimentManager = {
         
         const requiredWorkflows = AppState.selectedExperiment.requiredWorkflows;
         
+        // Ask for every workflow's parameters up front so the run isn't interrupted
+        const paramsByWorkflow = {};
+        for (const workflowId of requiredWorkflows) {
+            const params = AppState.workflows[workflowId] ? await WorkflowManager.promptParams(workflowId) : {};
+            if (!params) return;
+            paramsByWorkflow[workflowId] = params;
+        }
+        
         try {
             // Show enhanced progress modal
             this.showWorkflowProgressModal(requiredWorkflows);
@@ -607,13 +643,12 @@ const ExperimentManager = {
                     ConsoleManager.openDialog(workflowId, 'workflow');
                     
                     // Execute the workflow
-                    const response = await ApiUtils.executeWorkflow(workflowId);
-                    const result = await response.json();
+                    const run = await ApiUtils.runWorkflow(workflowId, { params: paramsByWorkflow[workflowId] });
                     
                     console.log(`Required workflow ${workflowId} completed`);
                     
                     // Record the execution time
-                    this.workflowLastRun.set(workflowId, new Date());
+                    this.workflowLastRun.set(workflowId, new Date(run.finishedAt));
                     
                     // Update progress to completed state
                     this.updateWorkflowProgressItem(i, 'completed');
@@ -647,7 +682,7 @@ const ExperimentManager = {
             UIUtils.showNotification('All required workflows completed successfully - experiment ready to load!', 'success');
         } catch (error) {
             console.error('Error running required workflows:', error);
-            UIUtils.showError('Failed to run required workflows');
+            UIUtils.showError(`Failed to run required workflows: ${error.message}`);
             UIUtils.hideLoadingModal();
         }
     },
@@ -826,11 +861,23 @@ const ExperimentManager = {
 
     /**
      * Open the edit modal for the selected experiment
+     * The form is filled from the metadata as currently saved, and its version is
+     * kept so saving fails instead of overwriting changes made elsewhere since
      */
-    editExperiment() {
+    async editExperiment() {
         if (!AppState.selectedExperiment) return;
         
         this.editingExperiment = { ...AppState.selectedExperiment };
+        this.editingEtag = null;
+        try {
+            const response = await ApiUtils.getExperimentMetadata(this.editingExperiment.folder);
+            if (response.ok) {
+                Object.assign(this.editingExperiment, await response.json());
+                this.editingEtag = response.headers.get('ETag');
+            }
+        } catch (error) {
+            console.error('Error loading experiment metadata:', error);
+        }
         
         // Fill the form with current values
         document.getElementById('editName').value = this.editingExperiment.name;
@@ -855,6 +902,7 @@ const ExperimentManager = {
     closeEditModal() {
         AppElements.editModal.classList.remove('is-active');
         this.editingExperiment = null;
+        this.editingEtag = null;
     },
 
     /**
@@ -1096,8 +1144,14 @@ const ExperimentManager = {
             }
             
             // Save to server
-            const response = await ApiUtils.updateExperimentMetadata(this.editingExperiment.folder, metadata);
+            const response = await ApiUtils.updateExperimentMetadata(this.editingExperiment.folder, metadata, this.editingEtag);
             
+            if (response.status === 409) {
+                // Changed elsewhere since the form was opened
+                const error = await response.json();
+                UIUtils.showError(error.error);
+                return;
+            }
             if (!response.ok) {
                 throw new Error('Failed to save metadata');
             }
@@ -0,0 +1,235 @@
+/**
+ * History Module
+ * Shows the server's run history: workflow runs, command executions and service processes
+ */
+
+const HistoryManager = {
+    // Entries loaded for the current filters
+    entries: [],
+    total: 0,
+    pageSize: 50,
+
+    // Status -> Bulma color class
+    statusColors: {
+        running: 'is-info',
+        completed: 'is-success',
+        error: 'is-danger',
+        cancelled: 'is-warning',
+        skipped: 'is-light',
+        stopped: 'is-light',
+        interrupted: 'is-warning',
+        unknown: 'is-light'
+    },
+
+    // Kind -> Font Awesome icon
+    kindIcons: {
+        workflow: 'fa-project-diagram',
+        command: 'fa-terminal',
+        service: 'fa-server'
+    },
+
+    /**
+     * Load the first page of history for the current filters and render it
+     */
+    async renderHistoryPage() {
+        this.entries = [];
+        await this.loadMore();
+    },
+
+    /**
+     * Load the next page of history entries
+     */
+    async loadMore() {
+        try {
+            const response = await ApiUtils.getHistory({
+                kind: document.getElementById('historyKindFilter').value,
+                status: document.getElementById('historyStatusFilter').value,
+                limit: this.pageSize,
+                offset: this.entries.length
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load history');
+            }
+
+            const result = await response.json();
+            this.entries = this.entries.concat(result.entries);
+            this.total = result.total;
+            this.renderEntries();
+        } catch (error) {
+            console.error('Error loading history:', error);
+            UIUtils.showError('Failed to load run history');
+        }
+    },
+
+    /**
+     * Render loaded entries, applying the sidebar search
+     */
+    renderEntries() {
+        const query = AppElements.historySearch.value.toLowerCase();
+        const entries = this.entries.filter((entry) => {
+            if (!query) return true;
+            return entry.targetId.toLowerCase().includes(query) ||
+                   (entry.name && entry.name.toLowerCase().includes(query));
+        });
+
+        document.getElementById('historyTotalCount').textContent = this.total;
+        document.getElementById('historyFailedCount').textContent =
+            this.entries.filter(entry => entry.status === 'error').length;
+
+        const container = document.getElementById('historyContainer');
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            container.innerHTML = `
+                <div class="has-text-centered has-text-grey">
+                    <i class="fas fa-history" style="font-size: 2rem; margin-bottom: 1rem;"></i>
+                    <p>No runs recorded yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        entries.forEach(entry => container.appendChild(this.createEntryCard(entry)));
+
+        if (this.entries.length < this.total) {
+            const moreDiv = document.createElement('div');
+            moreDiv.className = 'has-text-centered';
+            moreDiv.innerHTML = `
+                <button class="button is-light" onclick="HistoryManager.loadMore()">
+                    <i class="fas fa-chevron-down"></i>
+                    <span>Load older runs (${this.total - this.entries.length} more)</span>
+                </button>
+            `;
+            container.appendChild(moreDiv);
+        }
+    },
+
+    /**
+     * Create a card for one history entry
+     */
+    createEntryCard(entry) {
+        const card = document.createElement('div');
+        card.className = `history-entry history-${entry.status}`;
+
+        const details = [
+            `<i class="fas fa-clock"></i> ${new Date(entry.startedAt).toLocaleString()}`,
+            entry.duration !== null ? `<i class="fas fa-hourglass-end"></i> ${this.formatDuration(entry.duration)}` : null,
+            entry.exitCode !== null ? `Exit code ${entry.exitCode}` : null,
+            entry.signal ? `Signal ${entry.signal}` : null,
+            entry.restart ? 'Automatic restart' : null
+        ].filter(Boolean);
+
+        card.innerHTML = `
+            <div class="service-card-header">
+                <div class="service-card-title">
+                    <i class="fas ${this.kindIcons[entry.kind] || 'fa-cog'}"></i>
+                    <span>${UIUtils.escapeHtml(entry.name || entry.targetId)}</span>
+                    <span class="tag is-small is-light">${entry.kind}</span>
+                </div>
+                <span class="tag ${this.statusColors[entry.status] || 'is-light'}">${entry.status}</span>
+            </div>
+            <div class="service-card-meta">
+                <small class="has-text-grey">${details.join(' &middot; ')}</small>
+            </div>
+            ${entry.failedStep ? `
+                <div class="history-failed-step">
+                    <i class="fas fa-times-circle"></i>
+                    Failed at step ${entry.failedStep.index + 1} (${UIUtils.escapeHtml(entry.failedStep.name || entry.failedStep.id)}):
+                    ${UIUtils.escapeHtml(entry.failedStep.error || '')}
+                </div>
+            ` : entry.error ? `
+                <div class="history-failed-step">${UIUtils.escapeHtml(entry.error)}</div>
+            ` : ''}
+            ${entry.steps ? this.createStepsTable(entry) : ''}
+            <div class="service-card-actions">
+                <button class="button is-small is-light" onclick="HistoryManager.showLog('${entry.id}')"
+                        ${entry.logFile || entry.status === 'running' ? '' : 'disabled'}>
+                    <i class="fas fa-file-alt"></i>
+                    <span>View Log</span>
+                </button>
+            </div>
+        `;
+
+        return card;
+    },
+
+    /**
+     * Create the step table of a workflow run
+     */
+    createStepsTable(entry) {
+        return `
+            <table class="table is-narrow is-fullwidth history-steps">
+                <tbody>
+                    ${entry.steps.map(step => `
+                        <tr>
+                            <td>${step.index + 1}</td>
+                            <td>${UIUtils.escapeHtml(step.name || step.id)}</td>
+                            <td><span class="tag is-small ${this.statusColors[step.status] || 'is-light'}">${step.status}</span></td>
+                            <td>${step.duration !== null ? this.formatDuration(step.duration) : ''}</td>
+                            <td>${step.exitCode !== null && step.exitCode !== undefined ? `exit ${step.exitCode}` : ''}</td>
+                            <td class="has-text-right">
+                                ${step.logFile ? `
+                                    <button class="button is-small is-white" title="View step log"
+                                            onclick="HistoryManager.showLog('${entry.id}', '${UIUtils.escapeHtml(step.id)}')">
+                                        <i class="fas fa-file-alt"></i>
+                                    </button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    },
+
+    /**
+     * Show the captured log of an entry (or one of its steps)
+     */
+    async showLog(entryId, stepId = null) {
+        const entry = this.entries.find(e => e.id === entryId);
+        const title = entry ? (entry.name || entry.targetId) : entryId;
+
+        document.getElementById('historyLogTitle').textContent = stepId ? `${title} - step ${stepId}` : title;
+        const content = document.getElementById('historyLogContent');
+        content.textContent = 'Loading...';
+        document.getElementById('historyLogModal').classList.add('is-active');
+
+        try {
+            const response = await ApiUtils.getHistoryLog(entryId, stepId);
+            if (!response.ok) {
+                const result = await response.json();
+                content.textContent = result.error || 'Failed to load log';
+                return;
+            }
+            const log = await response.text();
+            if (log) {
+                content.innerHTML = AnsiUtils.render(AnsiUtils.write(AnsiUtils.createState(), log));
+            } else {
+                content.textContent = '(no output)';
+            }
+        } catch (error) {
+            console.error('Error loading history log:', error);
+            content.textContent = 'Failed to load log';
+        }
+    },
+
+    /**
+     * Close the log modal
+     */
+    closeLogModal() {
+        document.getElementById('historyLogModal').classList.remove('is-active');
+    },
+
+    /**
+     * Format a duration in milliseconds
+     */
+    formatDuration(ms) {
+        if (ms < 1000) return `${ms}ms`;
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+};
@@ -0,0 +1,84 @@
+/**
+ * Profiles Module
+ * Navbar switcher for the profile (e.g. "local", "demo") layered over services.json
+ */
+
+const ProfileManager = {
+    // Profiles defined in services.json: Array<{ name, description, overrides }>
+    profiles: [],
+
+    /**
+     * Load the profiles and the active one from the server
+     */
+    async loadProfiles() {
+        try {
+            const response = await ApiUtils.getProfiles();
+            const data = await response.json();
+
+            if (!response.ok) {
+                console.error('Error loading profiles:', data.error);
+                return;
+            }
+
+            this.profiles = data.profiles;
+            AppState.activeProfile = data.active;
+            this.renderSwitcher();
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+    },
+
+    /**
+     * Render the profile switcher in the navbar (hidden if no profiles are defined)
+     */
+    renderSwitcher() {
+        const switcher = document.getElementById('profileSwitcher');
+        const select = document.getElementById('profileSelect');
+        if (!switcher || !select) return;
+
+        switcher.style.display = this.profiles.length > 0 ? '' : 'none';
+        select.innerHTML = '<option value="">Base configuration</option>' + this.profiles.map(profile => `
+            <option value="${UIUtils.escapeHtml(profile.name)}" title="${UIUtils.escapeHtml(profile.description)}">
+                ${UIUtils.escapeHtml(profile.name)}
+            </option>
+        `).join('');
+        select.value = AppState.activeProfile || '';
+    },
+
+    /**
+     * Switch to a profile ('' for the base configuration) and refresh the current page
+     */
+    async switchProfile(name) {
+        try {
+            const response = await ApiUtils.setActiveProfile(name || null);
+            const data = await response.json();
+
+            if (!response.ok) {
+                UIUtils.showError(data.error || 'Failed to switch profile');
+                this.renderSwitcher();
+                return;
+            }
+
+            AppState.activeProfile = data.active;
+            await ServiceManager.loadServicesAndWorkflows();
+            await renderCurrentPage();
+
+            if (data.restartNeeded.length > 0) {
+                // Running services keep the settings they were started with
+                UIUtils.showNotification(
+                    `${data.message}. Restart ${data.restartNeeded.join(', ')} to apply it`,
+                    'warning',
+                    10000
+                );
+            } else {
+                UIUtils.showNotification(data.message, 'success');
+            }
+        } catch (error) {
+            console.error('Error switching profile:', error);
+            UIUtils.showError('Failed to switch profile');
+            this.renderSwitcher();
+        }
+    }
+};
+
+window.switchProfile = (name) => ProfileManager.switchProfile(name);
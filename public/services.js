@@ -6,6 +6,11 @@
 const ServiceManager = {
     // State for editing services
     editingService: null,
+    editingEtag: null, // Version of services.json the edited service was loaded at
+    
+    // Recent resource metrics samples per running service (for sparklines)
+    metrics: {},
+    maxMetricsSamples: 60,
 
     /**
      * Load services, commands, and workflows configuration from server
@@ -14,9 +19,18 @@ const ServiceManager = {
         try {
             const response = await fetch('/api/services');
             const data = await response.json();
+            
+            if (!response.ok) {
+                // e.g. services.json can't be parsed or doesn't match the schema
+                UIUtils.showError(data.error || 'Failed to load services and workflows');
+                return;
+            }
+            
             AppState.services = data.services || {};
             AppState.commands = data.commands || {};
             AppState.workflows = data.workflows || {};
+            AppState.configEtag = data.configEtag || null;
+            AppState.activeProfile = data.activeProfile || null;
             
             console.log('Loaded services:', AppState.services);
             console.log('Loaded commands:', AppState.commands);
@@ -65,6 +79,8 @@ const ServiceManager = {
         document.getElementById('totalServicesCount').textContent = totalServices;
         document.getElementById('runningServicesCount').textContent = runningServices;
         
+        this.renderDependencyGraph();
+        
         // Render services
         const servicesContainer = document.getElementById('servicesContainer');
         servicesContainer.innerHTML = '';
@@ -103,6 +119,123 @@ const ServiceManager = {
         
         // Update the running services indicator
         this.updateRunningServicesIndicator();
+        
+        this.loadMetrics();
+    },
+
+    /**
+     * Load the recent metrics of running services, then keep them current from the console stream
+     */
+    async loadMetrics() {
+        const running = Object.keys(AppState.services).filter(id => AppState.services[id].isRunning);
+        
+        await Promise.all(running.map(async (serviceId) => {
+            try {
+                const response = await ApiUtils.getServiceMetrics(serviceId);
+                if (!response.ok) return;
+                const { history } = await response.json();
+                this.metrics[serviceId] = history;
+                this.renderMetrics(serviceId);
+            } catch (error) {
+                console.error(`Error loading metrics for ${serviceId}:`, error);
+            }
+        }));
+    },
+
+    /**
+     * Add metrics samples broadcast over the console stream
+     */
+    updateMetrics(samples) {
+        samples.filter(sample => sample.kind === 'service').forEach((sample) => {
+            const history = this.metrics[sample.id] || [];
+            // A restarted service starts a new history
+            if (history.length > 0 && history[history.length - 1].pid !== sample.pid) {
+                history.length = 0;
+            }
+            history.push(sample);
+            if (history.length > this.maxMetricsSamples) {
+                history.shift();
+            }
+            this.metrics[sample.id] = history;
+            this.renderMetrics(sample.id);
+        });
+    },
+
+    /**
+     * Render the metrics of a service on its card (if shown)
+     */
+    renderMetrics(serviceId) {
+        const container = document.querySelector(`.service-metrics[data-service-id="${CSS.escape(serviceId)}"]`);
+        const history = this.metrics[serviceId] || [];
+        if (!container || history.length === 0) return;
+        
+        const latest = history[history.length - 1];
+        const cpuValues = history.map(sample => sample.cpu || 0);
+        const memoryValues = history.map(sample => sample.memory);
+        
+        container.innerHTML = `
+            <span class="service-metric" title="CPU (all ${latest.processes} processes, % of one core)">
+                <i class="fas fa-microchip"></i>
+                ${latest.cpu === null ? '&ndash;' : `${latest.cpu.toFixed(1)}%`}
+                ${this.createSparkline(cpuValues, Math.max(100, ...cpuValues))}
+            </span>
+            <span class="service-metric" title="Resident memory">
+                <i class="fas fa-memory"></i>
+                ${this.formatBytes(latest.memory)}
+                ${this.createSparkline(memoryValues, Math.max(...memoryValues))}
+            </span>
+            <span class="service-metric" title="Open file descriptors">
+                <i class="fas fa-file"></i> ${latest.fds}
+            </span>
+            ${latest.uptime !== null ? `
+            <span class="service-metric" title="Uptime">
+                <i class="fas fa-clock"></i> ${this.formatUptime(latest.uptime)}
+            </span>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Create an inline SVG sparkline for a series of values
+     */
+    createSparkline(values, max, width = 60, height = 16) {
+        if (values.length < 2) {
+            return `<svg class="sparkline" width="${width}" height="${height}"></svg>`;
+        }
+        
+        const points = values.map((value, index) => {
+            const x = (index / (values.length - 1)) * width;
+            const y = height - 1 - (max > 0 ? (value / max) * (height - 2) : 0);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+        
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5"></polyline>
+        </svg>`;
+    },
+
+    /**
+     * Format a byte count, e.g. 52428800 -> "50.0 MB"
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    },
+
+    /**
+     * Format an uptime in seconds, e.g. 3725 -> "1h 2m"
+     */
+    formatUptime(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+        return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
     },
 
     /**
@@ -186,10 +319,12 @@ const ServiceManager = {
         }
         
         const statusClass = service.isRunning ? 'running' : 'stopped';
-        const statusText = service.isRunning ? 'Running' : 'Stopped';
+        const statusText = service.isStopping ? 'Stopping' : service.isRunning ? 'Running' : 'Stopped';
         const buttonText = service.isRunning ? 'Stop' : 'Start';
         const buttonIcon = service.isRunning ? 'fa-stop' : 'fa-play';
         const buttonClass = service.isRunning ? 'is-danger' : 'is-success';
+        const dependsOn = service.dependsOn || [];
+        const neededBy = this.getDirectDependents(serviceId);
         
         card.innerHTML = `
             <div class="service-card-header">
@@ -206,7 +341,34 @@ const ServiceManager = {
                 <small class="has-text-grey">
                     <i class="fas fa-folder"></i> ${service.workingDir || 'Current directory'}
                 </small>
+                ${dependsOn.length > 0 || neededBy.length > 0 ? `
+                <small class="has-text-grey service-dependencies">
+                    <i class="fas fa-sitemap"></i>
+                    ${dependsOn.length > 0 ? `Needs: ${dependsOn.map(id => UIUtils.escapeHtml(id)).join(', ')}` : ''}
+                    ${dependsOn.length > 0 && neededBy.length > 0 ? ' &middot; ' : ''}
+                    ${neededBy.length > 0 ? `Needed by: ${neededBy.map(id => UIUtils.escapeHtml(id)).join(', ')}` : ''}
+                </small>
+                ` : ''}
+                ${service.assignedPorts ? `
+                <small class="has-text-grey service-ports">
+                    <i class="fas fa-plug"></i>
+                    ${Object.entries(service.assignedPorts).map(([name, port]) => 
+                        `${UIUtils.escapeHtml(name)}: <a href="http://localhost:${port}" target="_blank">${port}</a>`).join(', ')}
+                    ${service.proxyUrl ? `&middot; <a href="${service.proxyUrl}" target="_blank" title="Proxied under this origin">${UIUtils.escapeHtml(service.proxyUrl)}</a>` : ''}
+                </small>
+                ` : service.ports ? `
+                <small class="has-text-grey service-ports">
+                    <i class="fas fa-plug"></i>
+                    Ports: ${Object.keys(service.ports).map(name => UIUtils.escapeHtml(name)).join(', ')} (assigned on start)
+                </small>
+                ` : ''}
+                ${service.restartCount > 0 ? `
+                <span class="tag is-small is-warning" title="Automatic restarts since last manual start">
+                    <i class="fas fa-redo"></i>&nbsp;${service.restartCount} restart${service.restartCount === 1 ? '' : 's'}${service.restartPending ? ' (pending)' : ''}
+                </span>
+                ` : ''}
             </div>
+            ${service.isRunning ? `<div class="service-metrics" data-service-id="${serviceId}"></div>` : ''}
             <div class="service-card-actions">
                 <div class="field has-addons">
                     <div class="control">
@@ -215,6 +377,13 @@ const ServiceManager = {
                             <span>${buttonText}</span>
                         </button>
                     </div>
+                    ${!service.isRunning && dependsOn.length > 0 ? `
+                    <div class="control">
+                        <button class="button is-success is-light" onclick="ServiceManager.startWithDependencies('${serviceId}')" title="Start with dependencies">
+                            <i class="fas fa-sitemap"></i>
+                        </button>
+                    </div>
+                    ` : ''}
                     <div class="control">
                         <button class="button is-light" onclick="ConsoleManager.openDialog('${serviceId}', 'service')" title="Open Console">
                             <i class="fas fa-terminal"></i>
@@ -237,6 +406,93 @@ const ServiceManager = {
         return card;
     },
 
+    /**
+     * Get the services that list a service in their dependsOn
+     */
+    getDirectDependents(serviceId) {
+        return Object.keys(AppState.services)
+            .filter(id => (AppState.services[id].dependsOn || []).includes(serviceId));
+    },
+
+    /**
+     * Get the running services that (transitively) depend on a service, dependents first
+     */
+    getRunningDependents(serviceId) {
+        const order = [];
+        const visited = new Set();
+        const visit = (id) => {
+            if (visited.has(id)) return;
+            visited.add(id);
+            this.getDirectDependents(id).forEach(visit);
+            if (id !== serviceId) order.push(id);
+        };
+        visit(serviceId);
+        return order.filter(id => AppState.services[id].isRunning);
+    },
+
+    /**
+     * Render the service dependency graph: services without dependencies on
+     * the left, each service one column right of the services it needs
+     */
+    renderDependencyGraph() {
+        const graph = document.getElementById('serviceDependencyGraph');
+        const services = AppState.services;
+        
+        if (!Object.values(services).some(service => (service.dependsOn || []).length > 0)) {
+            graph.style.display = 'none';
+            return;
+        }
+        
+        // Column of a service = length of its longest dependency chain
+        const levels = {};
+        const getLevel = (id, seen = []) => {
+            if (levels[id] !== undefined) return levels[id];
+            if (seen.includes(id) || !services[id]) return 0;
+            const dependsOn = services[id].dependsOn || [];
+            levels[id] = dependsOn.length === 0 ? 0 : 1 + Math.max(...dependsOn.map(dep => getLevel(dep, [...seen, id])));
+            return levels[id];
+        };
+        Object.keys(services).forEach(id => getLevel(id));
+        
+        // Only show services that take part in a dependency
+        const involved = Object.keys(services).filter(id => 
+            (services[id].dependsOn || []).length > 0 || this.getDirectDependents(id).length > 0);
+        const columns = [];
+        involved.forEach((id) => {
+            (columns[levels[id]] = columns[levels[id]] || []).push(id);
+        });
+        
+        graph.innerHTML = columns.filter(Boolean).map(ids => `
+            <div class="dependency-level">
+                ${ids.map(id => `
+                    <div class="dependency-node" onclick="ServiceManager.scrollToService('${id}')"
+                         title="${(services[id].dependsOn || []).length > 0 ? `Needs: ${UIUtils.escapeHtml(services[id].dependsOn.join(', '))}` : 'No dependencies'}">
+                        <span class="service-status-indicator ${services[id].isRunning ? 'running' : 'stopped'}"></span>
+                        ${UIUtils.escapeHtml(services[id].name || id)}
+                        ${(services[id].dependsOn || []).length > 0 ? `<small>&larr; ${UIUtils.escapeHtml(services[id].dependsOn.join(', '))}</small>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+        graph.style.display = 'flex';
+    },
+
+    /**
+     * Scroll to a service's card on the services page and highlight it
+     */
+    scrollToService(serviceId) {
+        const service = AppState.services[serviceId];
+        const serviceCard = Array.from(document.querySelectorAll('.service-card'))
+            .find(card => card.textContent.includes(service.name || serviceId));
+        if (serviceCard) {
+            serviceCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            serviceCard.style.backgroundColor = '#f0f8ff';
+            setTimeout(() => {
+                serviceCard.style.backgroundColor = '';
+            }, 2000);
+        }
+    },
+
     /**
      * Render services list in sidebar
      */
@@ -300,18 +556,7 @@ const ServiceManager = {
             </div>
         `;
         
-        item.addEventListener('click', () => {
-            // Scroll to service in main page
-            const serviceCard = Array.from(document.querySelectorAll('.service-card'))
-                .find(card => card.textContent.includes(service.name || serviceId));
-            if (serviceCard) {
-                serviceCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                serviceCard.style.backgroundColor = '#f0f8ff';
-                setTimeout(() => {
-                    serviceCard.style.backgroundColor = '';
-                }, 2000);
-            }
-        });
+        item.addEventListener('click', () => this.scrollToService(serviceId));
         
         return item;
     },
@@ -381,12 +626,48 @@ const ServiceManager = {
         AppElements.serviceModal.classList.add('is-active');
     },
 
+    /**
+     * Load a service, command or workflow as saved in services.json, for editing:
+     * without the active profile's overrides, which changes must not be saved into
+     * Returns { item, etag }, or null (after showing why) if it can't be loaded
+     */
+    async loadItemForEditing(section, itemId) {
+        try {
+            const response = await ApiUtils.getConfig();
+            const data = await response.json();
+            
+            if (!response.ok) {
+                UIUtils.showError(data.error || 'Failed to load the configuration');
+                return null;
+            }
+            if (!(data[section] || {})[itemId]) {
+                UIUtils.showError(`"${itemId}" no longer exists; refresh the page`);
+                return null;
+            }
+            
+            const profile = ProfileManager.profiles.find(p => p.name === AppState.activeProfile);
+            if (profile && profile.overrides[section].includes(itemId)) {
+                UIUtils.showNotification(`Editing the base configuration: the "${profile.name}" profile overrides some of these settings`, 'info');
+            }
+            
+            return { item: data[section][itemId], etag: response.headers.get('ETag') };
+        } catch (error) {
+            console.error('Error loading the configuration:', error);
+            UIUtils.showError('Failed to load the configuration');
+            return null;
+        }
+    },
+
     /**
      * Edit an existing service
      */
-    editService(serviceId) {
+    async editService(serviceId) {
+        const loaded = await this.loadItemForEditing('services', serviceId);
+        if (!loaded) return;
+        
         this.editingService = serviceId;
-        const service = AppState.services[serviceId];
+        this.editingEtag = loaded.etag;
+        const service = loaded.item;
         
         document.getElementById('serviceModalTitle').textContent = 'Edit Service';
         document.getElementById('serviceId').value = serviceId;
@@ -395,6 +676,9 @@ const ServiceManager = {
         document.getElementById('serviceDescription').value = service.description || '';
         document.getElementById('serviceWorkingDir').value = service.workingDir || '';
         document.getElementById('serviceCommand').value = service.command || '';
+        document.getElementById('serviceEnv').value = UIUtils.formatEnvText(service.env);
+        document.getElementById('serviceEnvFile').value = service.envFile || '';
+        document.getElementById('serviceDependsOn').value = (service.dependsOn || []).join(', ');
         
         AppElements.serviceModal.classList.add('is-active');
     },
@@ -411,10 +695,14 @@ const ServiceManager = {
             const response = await ApiUtils.deleteService(serviceId);
             
             if (response.ok) {
-                UIUtils.showNotification(`Service "${serviceId}" deleted successfully`, 'success');
-                await this.loadServicesAndWorkflows();
-                await this.renderServicesPage();
-                this.renderServicesList();
+                const { revision } = await response.json();
+                const refresh = async () => {
+                    await this.loadServicesAndWorkflows();
+                    await this.renderServicesPage();
+                    this.renderServicesList();
+                };
+                await refresh();
+                UIUtils.showUndoNotification(`Service "${serviceId}" deleted`, revision, refresh);
             } else {
                 const error = await response.json();
                 UIUtils.showError(error.error || 'Failed to delete service');
@@ -433,13 +721,20 @@ const ServiceManager = {
             name: document.getElementById('serviceName').value.trim(),
             description: document.getElementById('serviceDescription').value.trim(),
             workingDir: document.getElementById('serviceWorkingDir').value.trim(),
-            command: document.getElementById('serviceCommand').value.trim()
+            command: document.getElementById('serviceCommand').value.trim(),
+            env: UIUtils.parseEnvText(document.getElementById('serviceEnv').value),
+            envFile: document.getElementById('serviceEnvFile').value.trim()
         };
         
         const serviceId = document.getElementById('serviceId').value.trim();
         const form = document.getElementById('serviceForm');
         const isCommand = form.dataset.type === 'command';
         
+        if (!isCommand) {
+            serviceData.dependsOn = document.getElementById('serviceDependsOn').value
+                .split(',').map(id => id.trim()).filter(Boolean);
+        }
+        
         // Validation
         if (!serviceId) {
             UIUtils.showError(`${isCommand ? 'Command' : 'Service'} ID is required`);
@@ -462,7 +757,7 @@ const ServiceManager = {
             if (isCommand) {
                 // This is a command, use command API
                 if (CommandManager.editingCommand) {
-                    response = await ApiUtils.updateCommand(serviceId, serviceData);
+                    response = await ApiUtils.updateCommand(serviceId, serviceData, CommandManager.editingEtag);
                 } else {
                     response = await ApiUtils.createCommand(serviceId, serviceData);
                 }
@@ -470,7 +765,7 @@ const ServiceManager = {
             } else {
                 // This is a service, use service API
                 if (this.editingService) {
-                    response = await ApiUtils.updateService(serviceId, serviceData);
+                    response = await ApiUtils.updateService(serviceId, serviceData, this.editingEtag);
                 } else {
                     response = await ApiUtils.createService(serviceId, serviceData);
                 }
@@ -510,6 +805,9 @@ const ServiceManager = {
         document.getElementById('serviceDescription').value = '';
         document.getElementById('serviceWorkingDir').value = '';
         document.getElementById('serviceCommand').value = '';
+        document.getElementById('serviceEnv').value = '';
+        document.getElementById('serviceEnvFile').value = '';
+        document.getElementById('serviceDependsOn').value = '';
         
         // Clear form type
         const form = document.getElementById('serviceForm');
@@ -525,25 +823,91 @@ const ServiceManager = {
         CommandManager.editingCommand = null;
     },
 
+    /**
+     * Ask whether to also stop the running services that depend on a service
+     */
+    confirmStopDependents(serviceId) {
+        const dependents = this.getRunningDependents(serviceId);
+        if (dependents.length === 0) return false;
+        
+        return confirm(`${dependents.join(', ')} depend${dependents.length === 1 ? 's' : ''} on ${serviceId} and ${dependents.length === 1 ? 'is' : 'are'} running.\n\n` +
+            `OK: stop ${dependents.length === 1 ? 'it' : 'them'} first, then ${serviceId}\nCancel: stop only ${serviceId}`);
+    },
+
+    /**
+     * Update every service control button (e.g. experiment dependencies) from AppState
+     */
+    refreshControlButtons() {
+        document.querySelectorAll('.service-button[data-service-id]').forEach((button) => {
+            const service = AppState.services[button.dataset.serviceId];
+            if (service) {
+                this.updateControlButtonState(button, service);
+            }
+        });
+    },
+
+    /**
+     * Start a service after the services it depends on, in dependency order
+     */
+    async startWithDependencies(serviceId) {
+        const service = AppState.services[serviceId];
+        
+        try {
+            UIUtils.showLoadingModal(`Starting ${service.name || serviceId} and its dependencies...`);
+            ConsoleManager.openDialog(serviceId, 'service');
+            
+            const response = await ApiUtils.startService(serviceId, { withDependencies: true });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to start service');
+            }
+            
+            UIUtils.showNotification(result.message, 'success');
+        } catch (error) {
+            console.error('Error starting service with dependencies:', error);
+            UIUtils.showNotification(`Failed to start ${service.name || serviceId}: ${error.message}`, 'danger');
+        } finally {
+            // Some dependencies may have started even if a later one failed
+            await this.loadServicesAndWorkflows();
+            await this.renderServicesPage();
+            this.renderServicesList();
+            UIUtils.hideLoadingModal();
+        }
+    },
+
     /**
      * Toggle service from card (new method for page cards)
      */
     async toggleFromCard(serviceId) {
         const service = AppState.services[serviceId];
         const action = service.isRunning ? 'stop' : 'start';
+        const withDependents = action === 'stop' && this.confirmStopDependents(serviceId);
         
         try {
             if (action === 'start') {
                 UIUtils.showLoadingModal(`Starting ${service.name || serviceId}...`);
                 // Open console dialog when starting service
                 ConsoleManager.openDialog(serviceId, 'service');
+            } else {
+                // Stopping waits for the process tree to exit (up to its grace period)
+                UIUtils.showLoadingModal(`Stopping ${service.name || serviceId}...`);
             }
             
-            const response = await ApiUtils.toggleService(serviceId, action);
+            const response = action === 'start'
+                ? await ApiUtils.startService(serviceId)
+                : await ApiUtils.stopService(serviceId, { withDependents });
             const result = await response.json();
             
+            if (!response.ok) {
+                throw new Error(result.error || `Failed to ${action} service`);
+            }
+            
             // Update service state
             service.isRunning = action === 'start';
+            if (withDependents) {
+                await this.loadServicesAndWorkflows();
+            }
             
             // Re-render page and sidebar
             await this.renderServicesPage();
@@ -557,7 +921,7 @@ const ServiceManager = {
             
         } catch (error) {
             console.error(`Error ${action}ing service:`, error);
-            UIUtils.showNotification(`Failed to ${action} ${service.name || serviceId}`, 'danger');
+            UIUtils.showNotification(`Failed to ${action} ${service.name || serviceId}: ${error.message}`, 'danger');
         } finally {
             UIUtils.hideLoadingModal();
         }
@@ -569,6 +933,7 @@ const ServiceManager = {
     async toggleService(serviceId, button) {
         const service = AppState.services[serviceId];
         const action = service.isRunning ? 'stop' : 'start';
+        const withDependents = action === 'stop' && this.confirmStopDependents(serviceId);
         
         button.disabled = true;
         button.classList.add('is-loading');
@@ -577,16 +942,29 @@ const ServiceManager = {
             UIUtils.showLoadingModal(`Starting ${service.name || serviceId}...`);
             // Open console dialog when starting service
             ConsoleManager.openDialog(serviceId, 'service');
+        } else {
+            // Stopping waits for the process tree to exit (up to its grace period)
+            UIUtils.showLoadingModal(`Stopping ${service.name || serviceId}...`);
         }
         
         try {
-            const response = await ApiUtils.toggleService(serviceId, action);
+            const response = action === 'start'
+                ? await ApiUtils.startService(serviceId)
+                : await ApiUtils.stopService(serviceId, { withDependents });
             const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || `Failed to ${action} service`);
+            }
             console.log(result.message);
             
             // Update service state
             service.isRunning = action === 'start';
             this.updateControlButtonState(button, service);
+            if (withDependents) {
+                await this.loadServicesAndWorkflows();
+                this.refreshControlButtons();
+            }
             
             // Update the running services indicator
             this.updateRunningServicesIndicator();
@@ -596,7 +974,7 @@ const ServiceManager = {
             
         } catch (error) {
             console.error(`Error ${action}ing service:`, error);
-            UIUtils.showNotification(`Failed to ${action} ${service.name || serviceId}`, 'danger');
+            UIUtils.showNotification(`Failed to ${action} ${service.name || serviceId}: ${error.message}`, 'danger');
         } finally {
             UIUtils.hideLoadingModal();
             button.classList.remove('is-loading');
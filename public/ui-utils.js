@@ -29,9 +29,9 @@ const UIUtils = {
     },
 
     /**
-     * Show a notification message
+     * Show a notification message, removed after `duration` milliseconds
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', duration = 5000) {
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification is-${type} notification-toast`;
@@ -52,12 +52,51 @@ const UIUtils = {
         
         document.body.appendChild(notification);
         
-        // Auto-remove after 5 seconds
+        // Auto-remove after 5 seconds by default
         setTimeout(() => {
             if (notification.parentElement) {
                 notification.remove();
             }
-        }, 5000);
+        }, duration);
+        
+        return notification;
+    },
+
+    /**
+     * Show a success notification with an Undo button for a change to services.json
+     * revisionId: the revision the change was recorded as (see /api/config/revisions)
+     * onUndone: called after the change has been undone, e.g. to refresh the page
+     */
+    showUndoNotification(message, revisionId, onUndone) {
+        // Left up longer than other notifications, to give time to undo
+        const notification = this.showNotification(message, 'success', 10000);
+        if (!revisionId) return;
+        
+        const undoButton = document.createElement('button');
+        undoButton.className = 'button is-small is-white is-outlined notification-undo';
+        undoButton.textContent = 'Undo';
+        undoButton.addEventListener('click', async () => {
+            undoButton.disabled = true;
+            try {
+                const response = await ApiUtils.undoConfigRevision(revisionId, AppState.configEtag);
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    this.showError(data.error || 'Failed to undo the change');
+                    undoButton.disabled = false;
+                    return;
+                }
+                
+                notification.remove();
+                this.showNotification('Change undone', 'success');
+                if (onUndone) await onUndone();
+            } catch (error) {
+                console.error('Error undoing change:', error);
+                this.showError('Failed to undo the change');
+                undoButton.disabled = false;
+            }
+        });
+        notification.insertBefore(undoButton, notification.querySelector('.delete'));
     },
 
     /**
@@ -90,6 +129,32 @@ const UIUtils = {
             .replace(/'/g, "&#039;");
     },
 
+    /**
+     * Parse KEY=VALUE lines from an environment textarea into an object
+     */
+    parseEnvText(text) {
+        const env = {};
+        (text || '').split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+            
+            const separator = trimmed.indexOf('=');
+            if (separator <= 0) return;
+            
+            env[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1);
+        });
+        return env;
+    },
+
+    /**
+     * Format an environment object as KEY=VALUE lines for a textarea
+     */
+    formatEnvText(env) {
+        return Object.entries(env || {})
+            .map(([key, value]) => `${key}=${value}`)
+            .join('\n');
+    },
+
     /**
      * Add a tag to an input container
      */
@@ -1,12 +1,21 @@
 /**
  * Workflows Management Module - Refactored for Separate Pages
  * Handles workflow creation, editing, execution, and rendering
- * Now only supports existing services and commands (no custom ones)
+ * Steps run existing services and commands, or other workflows (no custom ones)
  */
 
 const WorkflowManager = {
     // State for editing workflows
     editingWorkflow: null,
+    editingEtag: null, // Version of services.json the edited workflow was loaded at
+    
+    // Workflow (and run) whose step progress modal is open
+    progressWorkflowId: null,
+    progressRunId: null,
+    
+    // Pending parameters prompt: workflow and the resolve function of promptParams()
+    paramsWorkflowId: null,
+    paramsResolve: null,
 
     /**
      * Create a workflow card for the page
@@ -179,9 +188,13 @@ const WorkflowManager = {
     /**
      * Edit an existing workflow
      */
-    editWorkflow(workflowId) {
+    async editWorkflow(workflowId) {
+        const loaded = await ServiceManager.loadItemForEditing('workflows', workflowId);
+        if (!loaded) return;
+        
         this.editingWorkflow = workflowId;
-        const workflow = AppState.workflows[workflowId];
+        this.editingEtag = loaded.etag;
+        const workflow = loaded.item;
         
         document.getElementById('workflowModalTitle').textContent = 'Edit Workflow';
         document.getElementById('workflowId').value = workflowId;
@@ -189,17 +202,24 @@ const WorkflowManager = {
         document.getElementById('workflowName').value = workflow.name || '';
         document.getElementById('workflowDescription').value = workflow.description || '';
         document.getElementById('workflowWorkingDir').value = workflow.workingDir || '';
+        document.getElementById('workflowEnv').value = UIUtils.formatEnvText(workflow.env);
+        document.getElementById('workflowEnvFile').value = workflow.envFile || '';
+        document.getElementById('workflowParams').value = workflow.params ? JSON.stringify(workflow.params, null, 2) : '';
         
         // Clear existing steps and add workflow steps
         const stepsContainer = document.getElementById('workflowSteps');
         stepsContainer.innerHTML = '';
         
-        if (workflow.steps && workflow.steps.length > 0) {
-            workflow.steps.forEach(step => {
+        const cleanupSteps = workflow.onFailure || [];
+        if ((workflow.steps && workflow.steps.length > 0) || cleanupSteps.length > 0) {
+            (workflow.steps || []).forEach(step => {
                 // Convert legacy step types to new format if needed
                 const convertedStep = this.convertLegacyStep(step);
                 this.addWorkflowStep(convertedStep);
             });
+            cleanupSteps.forEach(step => {
+                this.addWorkflowStep({ ...this.convertLegacyStep(step), cleanup: true });
+            });
         } else {
             stepsContainer.innerHTML = `
                 <div class="has-text-centered">
@@ -290,10 +310,14 @@ const WorkflowManager = {
             const response = await ApiUtils.deleteWorkflow(workflowId);
             
             if (response.ok) {
-                UIUtils.showNotification(`Workflow "${workflowId}" deleted successfully`, 'success');
-                await ServiceManager.loadServicesAndWorkflows();
-                await ServiceManager.renderWorkflowsPage();
-                this.renderWorkflowsList();
+                const { revision } = await response.json();
+                const refresh = async () => {
+                    await ServiceManager.loadServicesAndWorkflows();
+                    await ServiceManager.renderWorkflowsPage();
+                    this.renderWorkflowsList();
+                };
+                await refresh();
+                UIUtils.showUndoNotification(`Workflow "${workflowId}" deleted`, revision, refresh);
             } else {
                 const error = await response.json();
                 UIUtils.showError(error.error || 'Failed to delete workflow');
@@ -305,7 +329,7 @@ const WorkflowManager = {
     },
 
     /**
-     * Add a workflow step (now only existing services/commands)
+     * Add a workflow step (existing services/commands or a nested workflow)
      */
     addWorkflowStep(stepData = null) {
         const stepsContainer = document.getElementById('workflowSteps');
@@ -317,6 +341,10 @@ const WorkflowManager = {
             placeholder.remove();
         }
         
+        const conditions = stepData?.when ? [].concat(stepData.when) : [];
+        const firstCondition = conditions[0] || null;
+        const extraConditions = conditions.slice(1);
+        
         const stepDiv = document.createElement('div');
         stepDiv.className = 'workflow-step';
         stepDiv.innerHTML = `
@@ -353,6 +381,7 @@ const WorkflowManager = {
                                     <select class="step-type" onchange="WorkflowManager.updateStepFields(this)">
                                         <option value="existing-service" ${stepData?.type === 'existing-service' ? 'selected' : ''}>Existing Service</option>
                                         <option value="existing-command" ${stepData?.type === 'existing-command' ? 'selected' : ''}>Existing Command</option>
+                                        <option value="workflow" ${stepData?.type === 'workflow' ? 'selected' : ''}>Run Workflow</option>
                                     </select>
                                 </div>
                             </div>
@@ -360,6 +389,27 @@ const WorkflowManager = {
                     </div>
                 </div>
                 
+                <div class="columns">
+                    <div class="column is-one-third">
+                        <div class="field">
+                            <label class="label">Step ID</label>
+                            <div class="control">
+                                <input class="input step-id" type="text" placeholder="(optional) e.g., build" value="${UIUtils.escapeHtml(stepData?.id || '')}">
+                            </div>
+                            <p class="help">Referenced by other steps' "Depends On"</p>
+                        </div>
+                    </div>
+                    <div class="column">
+                        <div class="field">
+                            <label class="label">Depends On</label>
+                            <div class="control">
+                                <input class="input step-depends-on" type="text" placeholder="(previous step)" value="${UIUtils.escapeHtml(this.formatDependsOn(stepData?.dependsOn))}">
+                            </div>
+                            <p class="help">Comma-separated step IDs. Leave blank to run after the previous step, or enter "none" to start immediately</p>
+                        </div>
+                    </div>
+                </div>
+                
                 <div class="step-fields">
                     <!-- Existing Service Field -->
                     <div class="field existing-service-field" style="display: none;">
@@ -391,6 +441,37 @@ const WorkflowManager = {
                         </div>
                     </div>
                     
+                    <!-- Nested Workflow Fields -->
+                    <div class="columns workflow-field" style="display: none;">
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Select Workflow</label>
+                                <div class="control">
+                                    <div class="select is-fullwidth">
+                                        <select class="step-workflow">
+                                            <option value="">Select a workflow...</option>
+                                            ${Object.entries(AppState.workflows)
+                                                .filter(([id]) => id !== this.editingWorkflow)
+                                                .map(([id, workflow]) => 
+                                                    `<option value="${id}" ${stepData?.workflowId === id ? 'selected' : ''}>${workflow.name || id}</option>`
+                                                ).join('')}
+                                        </select>
+                                    </div>
+                                </div>
+                                <p class="help">Runs as a sub-run; its output appears indented in this workflow's console</p>
+                            </div>
+                        </div>
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Parameters</label>
+                                <div class="control">
+                                    <input class="input is-family-monospace step-workflow-params" type="text" placeholder='{ "port": "\${params.port}" }' value="${UIUtils.escapeHtml(stepData?.params ? JSON.stringify(stepData.params) : '')}">
+                                </div>
+                                <p class="help">JSON values for the workflow's parameters</p>
+                            </div>
+                        </div>
+                    </div>
+                    
                     <div class="columns">
                         <div class="column">
                             <div class="field">
@@ -412,6 +493,81 @@ const WorkflowManager = {
                         </div>
                     </div>
                     
+                    <div class="columns">
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Environment Variables</label>
+                                <div class="control">
+                                    <textarea class="textarea is-small is-family-monospace step-env" rows="2" placeholder="KEY=VALUE">${UIUtils.escapeHtml(UIUtils.formatEnvText(stepData?.env))}</textarea>
+                                </div>
+                                <p class="help">Applied after the workflow's variables, before the service's or command's own</p>
+                            </div>
+                        </div>
+                        <div class="column is-narrow">
+                            <div class="field">
+                                <label class="label">Env File</label>
+                                <div class="control">
+                                    <input class="input step-env-file" type="text" placeholder="./.env" value="${UIUtils.escapeHtml(stepData?.envFile || '')}">
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="columns">
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Run Only If</label>
+                                <div class="field has-addons">
+                                    <div class="control">
+                                        <div class="select">
+                                            <select class="step-when-type" onchange="WorkflowManager.updateWhenField(this)">
+                                                ${Object.entries(this.conditionTypes).map(([type, info]) => 
+                                                    `<option value="${type}" ${(firstCondition?.type || '') === type ? 'selected' : ''}>${info.label}</option>`
+                                                ).join('')}
+                                            </select>
+                                        </div>
+                                    </div>
+                                    <div class="control is-expanded">
+                                        <input class="input step-when-value" type="text" value="${UIUtils.escapeHtml(this.getConditionValue(firstCondition))}">
+                                    </div>
+                                </div>
+                                ${extraConditions.length > 0 ? `
+                                    <p class="help">Plus ${extraConditions.length} more condition(s) from the workflow file, kept as they are</p>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="columns">
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Retries</label>
+                                <div class="control">
+                                    <input class="input step-retries" type="number" min="0" placeholder="0" value="${stepData?.retries ?? ''}">
+                                </div>
+                                <p class="help">Extra attempts if the step fails</p>
+                            </div>
+                        </div>
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Retry Delay (ms)</label>
+                                <div class="control">
+                                    <input class="input step-retry-delay" type="number" min="0" placeholder="1000" value="${stepData?.retryDelay ?? ''}">
+                                </div>
+                                <p class="help">Doubles after each attempt</p>
+                            </div>
+                        </div>
+                        <div class="column">
+                            <div class="field">
+                                <label class="label">Timeout (ms)</label>
+                                <div class="control">
+                                    <input class="input step-timeout" type="number" min="0" placeholder="(none)" value="${stepData?.timeout ?? ''}">
+                                </div>
+                                <p class="help">Stop the step if it runs longer</p>
+                            </div>
+                        </div>
+                    </div>
+                    
                     <div class="field">
                         <div class="control">
                             <label class="checkbox">
@@ -420,11 +576,24 @@ const WorkflowManager = {
                             </label>
                         </div>
                     </div>
+                    
+                    <div class="field">
+                        <div class="control">
+                            <label class="checkbox">
+                                <input type="checkbox" class="step-cleanup" ${stepData?.cleanup ? 'checked' : ''}>
+                                Cleanup step (runs only if the workflow fails or is cancelled)
+                            </label>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
         
+        // Conditions beyond the first can't be edited here; keep them on save
+        stepDiv.dataset.extraConditions = JSON.stringify(extraConditions);
+        
         stepsContainer.appendChild(stepDiv);
+        this.updateWhenField(stepDiv.querySelector('.step-when-type'));
         
         // Show correct fields based on type
         this.updateStepFields(stepDiv.querySelector('.step-type'));
@@ -446,6 +615,70 @@ const WorkflowManager = {
         this.updateStepNumbers();
     },
 
+    /**
+     * Format a step's dependsOn list for the step editor
+     */
+    formatDependsOn(dependsOn) {
+        if (!Array.isArray(dependsOn)) return '';
+        return dependsOn.length === 0 ? 'none' : dependsOn.join(', ');
+    },
+
+    /**
+     * Parse the step editor's "Depends On" field
+     * Returns undefined (previous step), [] ("none") or a list of step IDs
+     */
+    parseDependsOn(text) {
+        const value = text.trim();
+        if (!value) return undefined;
+        if (value.toLowerCase() === 'none') return [];
+        return value.split(',').map(id => id.trim()).filter(Boolean);
+    },
+
+    // Step condition types: type -> { label, field the value is stored in, placeholder }
+    conditionTypes: {
+        '': { label: 'Always', field: null, placeholder: '' },
+        'file-exists': { label: 'File exists', field: 'path', placeholder: 'e.g., ./build/app.js' },
+        'file-missing': { label: 'File is missing', field: 'path', placeholder: 'e.g., ./node_modules' },
+        'step-succeeded': { label: 'Step succeeded', field: 'step', placeholder: 'Step ID' },
+        'step-failed': { label: 'Step failed', field: 'step', placeholder: 'Step ID' },
+        'service-running': { label: 'Service is running', field: 'serviceId', placeholder: 'Service ID' },
+        'service-not-running': { label: 'Service is not running', field: 'serviceId', placeholder: 'Service ID' }
+    },
+
+    /**
+     * Get the value (path, step or service ID) of a step condition
+     */
+    getConditionValue(condition) {
+        const info = condition && this.conditionTypes[condition.type];
+        return info && info.field ? condition[info.field] || '' : '';
+    },
+
+    /**
+     * Show the value input only for conditions that need one
+     */
+    updateWhenField(selectElement) {
+        const info = this.conditionTypes[selectElement.value] || this.conditionTypes[''];
+        const valueInput = selectElement.closest('.field').querySelector('.step-when-value');
+        valueInput.disabled = !info.field;
+        valueInput.placeholder = info.placeholder;
+    },
+
+    /**
+     * Read a step's `when` from the step editor
+     * Returns undefined (always run), a condition, or a list of conditions
+     */
+    parseWhen(stepEl) {
+        const type = stepEl.querySelector('.step-when-type').value;
+        const value = stepEl.querySelector('.step-when-value').value.trim();
+        const extraConditions = JSON.parse(stepEl.dataset.extraConditions || '[]');
+        
+        const conditions = type ? [{ type, [this.conditionTypes[type].field]: value }] : [];
+        conditions.push(...extraConditions);
+        
+        if (conditions.length === 0) return undefined;
+        return conditions.length === 1 ? conditions[0] : conditions;
+    },
+
     /**
      * Remove a workflow step
      */
@@ -487,10 +720,12 @@ const WorkflowManager = {
         const stepDiv = selectElement.closest('.workflow-step');
         const existingServiceField = stepDiv.querySelector('.existing-service-field');
         const existingCommandField = stepDiv.querySelector('.existing-command-field');
+        const workflowField = stepDiv.querySelector('.workflow-field');
         
         // Hide all fields first
         existingServiceField.style.display = 'none';
         existingCommandField.style.display = 'none';
+        workflowField.style.display = 'none';
         
         // Show appropriate field based on selection
         switch (selectElement.value) {
@@ -500,6 +735,9 @@ const WorkflowManager = {
             case 'existing-command':
                 existingCommandField.style.display = 'block';
                 break;
+            case 'workflow':
+                workflowField.style.display = 'flex';
+                break;
         }
     },
 
@@ -511,7 +749,10 @@ const WorkflowManager = {
             name: document.getElementById('workflowName').value.trim(),
             description: document.getElementById('workflowDescription').value.trim(),
             workingDir: document.getElementById('workflowWorkingDir').value.trim() || undefined,
-            steps: []
+            env: UIUtils.parseEnvText(document.getElementById('workflowEnv').value),
+            envFile: document.getElementById('workflowEnvFile').value.trim(),
+            steps: [],
+            onFailure: []
         };
         
         const workflowId = document.getElementById('workflowId').value.trim();
@@ -527,6 +768,19 @@ const WorkflowManager = {
             return;
         }
         
+        const paramsText = document.getElementById('workflowParams').value.trim();
+        if (paramsText) {
+            try {
+                workflowData.params = JSON.parse(paramsText);
+            } catch (error) {
+                UIUtils.showError(`Parameters must be valid JSON: ${error.message}`);
+                return;
+            }
+        } else if (this.editingWorkflow) {
+            // Clear parameters removed from an existing workflow
+            workflowData.params = {};
+        }
+        
         // Collect steps
         const stepElements = document.querySelectorAll('.workflow-step');
         for (let i = 0; i < stepElements.length; i++) {
@@ -537,6 +791,12 @@ const WorkflowManager = {
                 type: type
             };
             
+            const stepId = stepEl.querySelector('.step-id').value.trim();
+            if (stepId) step.id = stepId;
+            
+            const dependsOn = this.parseDependsOn(stepEl.querySelector('.step-depends-on').value);
+            if (dependsOn) step.dependsOn = dependsOn;
+            
             // Handle different step types (only existing services/commands now)
             switch (type) {
                 case 'existing-service':
@@ -553,6 +813,23 @@ const WorkflowManager = {
                         return;
                     }
                     break;
+                case 'workflow': {
+                    step.workflowId = stepEl.querySelector('.step-workflow').value;
+                    if (!step.workflowId) {
+                        UIUtils.showError(`Step ${i + 1}: Please select a workflow`);
+                        return;
+                    }
+                    const paramsText = stepEl.querySelector('.step-workflow-params').value.trim();
+                    if (paramsText) {
+                        try {
+                            step.params = JSON.parse(paramsText);
+                        } catch (error) {
+                            UIUtils.showError(`Step ${i + 1}: Parameters must be valid JSON: ${error.message}`);
+                            return;
+                        }
+                    }
+                    break;
+                }
             }
             
             const workingDir = stepEl.querySelector('.step-working-dir').value.trim();
@@ -561,16 +838,45 @@ const WorkflowManager = {
             const delay = parseInt(stepEl.querySelector('.step-delay').value);
             if (delay > 0) step.delay = delay;
             
+            const env = UIUtils.parseEnvText(stepEl.querySelector('.step-env').value);
+            if (Object.keys(env).length > 0) step.env = env;
+            
+            const envFile = stepEl.querySelector('.step-env-file').value.trim();
+            if (envFile) step.envFile = envFile;
+            
+            const when = this.parseWhen(stepEl);
+            if (when) {
+                const missingValue = [].concat(when).find(condition => !this.getConditionValue(condition));
+                if (missingValue) {
+                    UIUtils.showError(`Step ${i + 1}: Please enter a value for the "${this.conditionTypes[missingValue.type]?.label || missingValue.type}" condition`);
+                    return;
+                }
+                step.when = when;
+            }
+            
+            const retries = parseInt(stepEl.querySelector('.step-retries').value);
+            if (retries > 0) step.retries = retries;
+            
+            const retryDelay = parseInt(stepEl.querySelector('.step-retry-delay').value);
+            if (retryDelay >= 0) step.retryDelay = retryDelay;
+            
+            const timeout = parseInt(stepEl.querySelector('.step-timeout').value);
+            if (timeout > 0) step.timeout = timeout;
+            
             step.continueOnError = stepEl.querySelector('.step-continue-on-error').checked;
             
-            workflowData.steps.push(step);
+            if (stepEl.querySelector('.step-cleanup').checked) {
+                workflowData.onFailure.push(step);
+            } else {
+                workflowData.steps.push(step);
+            }
         }
         
         try {
             let response;
             if (this.editingWorkflow) {
                 // Update existing workflow
-                response = await ApiUtils.updateWorkflow(workflowId, workflowData);
+                response = await ApiUtils.updateWorkflow(workflowId, workflowData, this.editingEtag);
             } else {
                 // Create new workflow
                 response = await ApiUtils.createWorkflow(workflowId, workflowData);
@@ -601,6 +907,9 @@ const WorkflowManager = {
         document.getElementById('workflowName').value = '';
         document.getElementById('workflowDescription').value = '';
         document.getElementById('workflowWorkingDir').value = '';
+        document.getElementById('workflowEnv').value = '';
+        document.getElementById('workflowEnvFile').value = '';
+        document.getElementById('workflowParams').value = '';
         document.getElementById('workflowSteps').innerHTML = `
             <div class="has-text-centered">
                 <button type="button" class="button is-primary" onclick="WorkflowManager.addWorkflowStep()">
@@ -619,20 +928,110 @@ const WorkflowManager = {
         this.editingWorkflow = null;
     },
 
+    /**
+     * Ask for the values of a workflow's parameters before running it
+     * Resolves with the values ({} if the workflow has no parameters), or null if cancelled
+     */
+    promptParams(workflowId) {
+        const workflow = AppState.workflows[workflowId] || {};
+        const params = Object.entries(workflow.params || {});
+        if (params.length === 0) {
+            return Promise.resolve({});
+        }
+        
+        this.paramsWorkflowId = workflowId;
+        document.getElementById('workflowParamsTitle').textContent = `Run ${workflow.name || workflowId}`;
+        document.getElementById('workflowParamsForm').innerHTML = params.map(([name, definition]) => {
+            const type = definition.type || 'string';
+            const hasDefault = definition.default !== undefined;
+            const help = definition.description ? `<p class="help">${UIUtils.escapeHtml(definition.description)}</p>` : '';
+            
+            if (type === 'boolean') {
+                return `
+                    <div class="field">
+                        <label class="checkbox">
+                            <input type="checkbox" data-param="${name}" data-type="boolean" ${definition.default === true || definition.default === 'true' ? 'checked' : ''}>
+                            ${UIUtils.escapeHtml(name)}
+                        </label>
+                        ${help}
+                    </div>
+                `;
+            }
+            
+            return `
+                <div class="field">
+                    <label class="label">${UIUtils.escapeHtml(name)}${hasDefault ? '' : ' <span class="has-text-danger">*</span>'}</label>
+                    <div class="control">
+                        <input class="input" type="${type === 'number' ? 'number' : 'text'}" data-param="${name}" data-type="${type}"
+                               value="${hasDefault ? UIUtils.escapeHtml(String(definition.default)) : ''}">
+                    </div>
+                    ${help}
+                </div>
+            `;
+        }).join('') + '<button type="submit" style="display: none;"></button>';
+        
+        document.getElementById('workflowParamsModal').classList.add('is-active');
+        const firstInput = document.querySelector('#workflowParamsForm input');
+        if (firstInput) firstInput.focus();
+        
+        return new Promise((resolve) => {
+            this.paramsResolve = resolve;
+        });
+    },
+
+    /**
+     * Collect the values from the parameters modal and run the workflow
+     */
+    submitParamsModal() {
+        const definitions = (AppState.workflows[this.paramsWorkflowId] || {}).params || {};
+        const values = {};
+        
+        for (const input of document.querySelectorAll('#workflowParamsForm [data-param]')) {
+            const name = input.dataset.param;
+            if (input.dataset.type === 'boolean') {
+                values[name] = input.checked;
+            } else if (input.value.trim() !== '') {
+                values[name] = input.value.trim();
+            } else if (definitions[name] && definitions[name].default === undefined) {
+                UIUtils.showError(`Parameter "${name}" is required`);
+                input.focus();
+                return;
+            }
+        }
+        
+        this.closeParamsModal(values);
+    },
+
+    /**
+     * Close the parameters modal, resolving the pending prompt with the values (null if cancelled)
+     */
+    closeParamsModal(values) {
+        document.getElementById('workflowParamsModal').classList.remove('is-active');
+        const resolve = this.paramsResolve;
+        this.paramsResolve = null;
+        this.paramsWorkflowId = null;
+        if (resolve) resolve(values);
+    },
+
     /**
      * Execute workflow from card (new method for page cards)
      */
     async executeFromCard(workflowId) {
         const workflow = AppState.workflows[workflowId];
         
+        const params = await this.promptParams(workflowId);
+        if (!params) return;
+        
         try {
-            UIUtils.showLoadingModal(`Executing workflow: ${workflow.name || workflowId}...`);
+            this.showStepProgressModal(workflowId, workflow);
             
             // Open console dialog for workflow
             ConsoleManager.openDialog(workflowId, 'workflow');
             
-            const response = await ApiUtils.executeWorkflow(workflowId);
-            const result = await response.json();
+            await ApiUtils.runWorkflow(workflowId, {
+                params,
+                onStart: (run) => this.setProgressRun(run.runId)
+            });
             
             UIUtils.showNotification(`Workflow ${workflow.name || workflowId} executed successfully`, 'success');
             
@@ -648,12 +1047,162 @@ const WorkflowManager = {
             
         } catch (error) {
             console.error('Error executing workflow:', error);
-            UIUtils.showNotification(`Failed to execute workflow ${workflow.name || workflowId}`, 'danger');
+            UIUtils.showNotification(`Failed to execute workflow ${workflow.name || workflowId}: ${error.message}`, 'danger');
         } finally {
+            this.progressWorkflowId = null;
+            this.progressRunId = null;
             UIUtils.hideLoadingModal();
         }
     },
 
+    /**
+     * Show a progress modal listing each step of a running workflow
+     * Steps are updated live from 'workflow-step' console stream events
+     */
+    showStepProgressModal(workflowId, workflow) {
+        const steps = workflow.steps || [];
+        const messageEl = document.getElementById('loadingMessage');
+        this.progressWorkflowId = workflowId;
+        
+        messageEl.innerHTML = `
+            <div class="workflow-progress-container">
+                <div class="progress-header">
+                    <h4 class="title is-5">${UIUtils.escapeHtml(workflow.name || workflowId)}</h4>
+                    <div class="progress-bar-container">
+                        <progress class="progress is-primary" id="workflowStepProgress" value="0" max="${steps.length}"></progress>
+                        <div class="progress-text">
+                            <span id="workflowStepProgressText">Starting...</span>
+                        </div>
+                    </div>
+                    <button type="button" class="button is-small is-danger is-outlined" id="workflowCancelButton" 
+                            onclick="WorkflowManager.cancelProgressRun()" disabled>
+                        <i class="fas fa-stop"></i>
+                        <span>Cancel</span>
+                    </button>
+                </div>
+                <div class="workflow-list">
+                    ${steps.map((step, index) => {
+                        const dependsOn = Array.isArray(step.dependsOn)
+                            ? (step.dependsOn.length > 0 ? `after ${step.dependsOn.join(', ')}` : 'no dependencies')
+                            : '';
+                        return `
+                            <div class="workflow-progress-item" id="workflow-step-${index}">
+                                <div class="workflow-progress-icon">
+                                    <i class="fas fa-circle-notch fa-spin" style="display: none;"></i>
+                                    <i class="fas fa-clock" style="color: #666;"></i>
+                                    <i class="fas fa-check-circle" style="display: none; color: #48c774;"></i>
+                                    <i class="fas fa-times-circle" style="display: none; color: #f14668;"></i>
+                                    <i class="fas fa-forward" style="display: none; color: #999;"></i>
+                                </div>
+                                <div class="workflow-progress-info">
+                                    <div class="workflow-progress-name">
+                                        ${UIUtils.escapeHtml(step.name || step.id || `Step ${index + 1}`)}
+                                        ${dependsOn ? `<small class="has-text-grey">(${UIUtils.escapeHtml(dependsOn)})</small>` : ''}
+                                    </div>
+                                    <div class="workflow-progress-status">Waiting...</div>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+        
+        AppElements.loadingModal.classList.add('is-active');
+    },
+
+    /**
+     * Remember the run shown in the progress modal so it can be cancelled
+     */
+    setProgressRun(runId) {
+        this.progressRunId = runId;
+        const cancelButton = document.getElementById('workflowCancelButton');
+        if (cancelButton) {
+            cancelButton.disabled = false;
+        }
+    },
+
+    /**
+     * Cancel the run shown in the progress modal
+     */
+    async cancelProgressRun() {
+        if (!this.progressRunId) return;
+        
+        const cancelButton = document.getElementById('workflowCancelButton');
+        if (cancelButton) {
+            cancelButton.disabled = true;
+            cancelButton.classList.add('is-loading');
+        }
+        
+        try {
+            const response = await ApiUtils.cancelWorkflowRun(this.progressRunId);
+            if (!response.ok) {
+                const result = await response.json();
+                UIUtils.showError(result.error || 'Failed to cancel workflow');
+            }
+        } catch (error) {
+            console.error('Error cancelling workflow:', error);
+            UIUtils.showError('Failed to cancel workflow');
+        }
+    },
+
+    /**
+     * Update the step progress modal from a 'workflow-step' event
+     */
+    updateStepProgress(event) {
+        if (event.workflowId !== this.progressWorkflowId) return;
+        
+        const item = document.getElementById(`workflow-step-${event.index}`);
+        if (!item) return;
+        
+        const icons = item.querySelectorAll('.workflow-progress-icon i');
+        const statusEl = item.querySelector('.workflow-progress-status');
+        icons.forEach(icon => icon.style.display = 'none');
+        item.dataset.status = event.status;
+        
+        switch (event.status) {
+            case 'running':
+                icons[0].style.display = 'inline-block';
+                statusEl.textContent = 'Running...';
+                statusEl.style.color = '#3273dc';
+                break;
+            case 'completed':
+                icons[2].style.display = 'inline-block';
+                statusEl.textContent = 'Completed';
+                statusEl.style.color = '#48c774';
+                break;
+            case 'error':
+                icons[3].style.display = 'inline-block';
+                statusEl.textContent = event.message || 'Error';
+                statusEl.style.color = '#f14668';
+                break;
+            case 'skipped':
+                icons[4].style.display = 'inline-block';
+                statusEl.textContent = event.message || 'Skipped';
+                statusEl.style.color = '#999';
+                break;
+            default:
+                icons[1].style.display = 'inline-block';
+                statusEl.textContent = event.status === 'cancelled' ? 'Not run' : 'Waiting...';
+                statusEl.style.color = '#666';
+        }
+        
+        // Summarize overall progress, listing every step currently running
+        const items = Array.from(document.querySelectorAll('[id^="workflow-step-"]'));
+        const finished = items.filter(el => ['completed', 'error', 'skipped'].includes(el.dataset.status)).length;
+        const running = items.filter(el => el.dataset.status === 'running')
+            .map(el => el.querySelector('.workflow-progress-name').firstChild.textContent.trim());
+        
+        const progressBar = document.getElementById('workflowStepProgress');
+        const progressText = document.getElementById('workflowStepProgressText');
+        if (progressBar && progressText) {
+            progressBar.value = finished;
+            progressText.textContent = running.length > 0
+                ? `${finished}/${items.length} - Running: ${running.join(', ')}`
+                : `${finished}/${items.length} steps finished`;
+        }
+    },
+
     /**
      * Execute workflow from dashboard (kept for backward compatibility)
      */
@@ -665,6 +1214,9 @@ const WorkflowManager = {
      * Execute a workflow from experiment dependencies
      */
     async executeWorkflow(workflowId, button) {
+        const params = await this.promptParams(workflowId);
+        if (!params) return;
+        
         button.disabled = true;
         button.classList.add('is-loading');
         
@@ -674,15 +1226,14 @@ const WorkflowManager = {
         ConsoleManager.openDialog(workflowId, 'workflow');
         
         try {
-            const response = await ApiUtils.executeWorkflow(workflowId);
-            const result = await response.json();
-            console.log(result.message);
+            const run = await ApiUtils.runWorkflow(workflowId, { params });
+            console.log(`Workflow run ${run.runId} completed`);
             
             UIUtils.showNotification(`Workflow ${AppState.workflows[workflowId].name || workflowId} executed successfully`, 'success');
             
         } catch (error) {
             console.error('Error executing workflow:', error);
-            UIUtils.showNotification(`Failed to execute workflow ${AppState.workflows[workflowId].name || workflowId}`, 'danger');
+            UIUtils.showNotification(`Failed to execute workflow ${AppState.workflows[workflowId].name || workflowId}: ${error.message}`, 'danger');
         } finally {
             UIUtils.hideLoadingModal();
             button.classList.remove('is-loading');
@@ -0,0 +1,212 @@
+const express = require('express');
+const crypto = require('crypto');
+const {
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    lockConfigRoute,
+    checkConfigVersion
+} = require('../lib/servicesConfig');
+const { findConfigProblems } = require('../lib/configProblems');
+const bundles = require('../lib/bundles');
+
+const router = express.Router();
+
+// Uploaded bundles waiting for the user's choices: importId -> { bundle, expiresAt }
+const pendingImports = new Map();
+const PENDING_IMPORT_TTL = 30 * 60 * 1000;
+const MAX_PENDING_IMPORTS = 5;
+
+/**
+ * Drop expired uploads, and the oldest ones beyond MAX_PENDING_IMPORTS
+ */
+function prunePendingImports() {
+    const now = Date.now();
+    for (const [importId, pending] of pendingImports) {
+        if (pending.expiresAt <= now) pendingImports.delete(importId);
+    }
+    while (pendingImports.size >= MAX_PENDING_IMPORTS) {
+        pendingImports.delete(pendingImports.keys().next().value);
+    }
+}
+
+/**
+ * Read a comma-separated list of IDs from a query parameter
+ */
+function parseList(value) {
+    return typeof value === 'string' ? value.split(',').map(id => id.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Answer 500 with the problems when services.json can't be loaded
+ */
+function sendConfigError(res, error) {
+    res.status(500).json({
+        error: error.message,
+        details: error.configErrors,
+        backupPath: error.backupPath
+    });
+}
+
+/**
+ * Export experiments, with the services, commands and workflows they use, as a .tar.gz bundle
+ * Query: experiments, services, commands, workflows - comma-separated IDs (at least one)
+ * Secret env values are left out; a Warning header lists them
+ */
+router.get('/export', async (req, res) => {
+    try {
+        const selection = {
+            experiments: parseList(req.query.experiments),
+            services: parseList(req.query.services),
+            commands: parseList(req.query.commands),
+            workflows: parseList(req.query.workflows)
+        };
+        if (Object.values(selection).every(ids => ids.length === 0)) {
+            return res.status(400).json({ error: 'Invalid export: select at least one experiment, service, command or workflow' });
+        }
+
+        const { config } = await loadBaseConfigWithEtag();
+        const { archive, manifest } = await bundles.createBundle(config, selection);
+
+        const name = selection.experiments.length === 1 ? selection.experiments[0] : 'experiments';
+        const date = new Date().toISOString().slice(0, 10);
+        const redacted = Object.entries(manifest.redactedEnv).map(([item, names]) => `${item} (${names.join(', ')})`);
+        if (redacted.length > 0) {
+            // Header values must be printable ASCII, and quotes would end the warning text
+            const text = `Secret env values left out of the bundle: ${redacted.join('; ')}`.replace(/[^\x20-\x7e]|"/g, '?');
+            res.set('Warning', `199 - "${text}"`);
+        }
+        res.set({
+            'Content-Type': 'application/gzip',
+            'Content-Disposition': `attachment; filename="${name}-bundle-${date}.tar.gz"`
+        }).send(archive);
+    } catch (error) {
+        if (error.bundleErrors) {
+            return res.status(400).json({
+                error: `Invalid export: ${error.message}`,
+                details: error.bundleErrors
+            });
+        }
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error exporting bundle:', error);
+        res.status(500).json({ error: 'Failed to export bundle' });
+    }
+});
+
+/**
+ * Upload a bundle (the .tar.gz file as the request body) and preview importing it
+ * Nothing is imported yet: the response lists every item and whether it
+ * clashes with an existing one; apply the import with POST /import/:importId
+ */
+router.post('/import', express.raw({ type: () => true, limit: bundles.MAX_BUNDLE_SIZE }), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Invalid bundle: the request body must be a .tar.gz bundle' });
+        }
+
+        const bundle = await bundles.readBundle(req.body);
+        const { config } = await loadBaseConfigWithEtag();
+        const items = await bundles.previewImport(bundle, config);
+
+        prunePendingImports();
+        const importId = crypto.randomBytes(8).toString('hex');
+        const expiresAt = Date.now() + PENDING_IMPORT_TTL;
+        pendingImports.set(importId, { bundle, expiresAt });
+
+        res.json({
+            importId,
+            expiresAt: new Date(expiresAt).toISOString(),
+            items,
+            conflicts: items.filter(item => item.conflict).length
+        });
+    } catch (error) {
+        if (error.bundleErrors) {
+            return res.status(400).json({
+                error: error.message.startsWith('Invalid bundle') ? error.message : `Invalid bundle: ${error.message}`,
+                details: error.bundleErrors
+            });
+        }
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error reading bundle:', error);
+        res.status(500).json({ error: 'Failed to read bundle' });
+    }
+});
+
+/**
+ * Import an uploaded bundle
+ * Body: { resolutions: { "<type>:<id>": { action: "import"|"rename"|"skip", id } } }
+ * - `id` is the new ID (or folder) for rename; items without a resolution are
+ * imported under their own ID, which fails if it's taken
+ */
+router.post('/import/:importId', lockConfigRoute(async (req, res) => {
+    try {
+        const pending = pendingImports.get(req.params.importId);
+        if (!pending || pending.expiresAt <= Date.now()) {
+            pendingImports.delete(req.params.importId);
+            return res.status(404).json({ error: 'Import not found or expired; upload the bundle again' });
+        }
+
+        const { resolutions = {} } = req.body;
+        if (typeof resolutions !== 'object' || Array.isArray(resolutions) || resolutions === null) {
+            return res.status(400).json({ error: 'Invalid import: resolutions must be an object' });
+        }
+
+        const { config, etag } = await loadBaseConfigWithEtag();
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+
+        const plan = await bundles.planImport(pending.bundle, config, resolutions);
+
+        // Only report the problems the import adds (e.g. a reference to a skipped item that doesn't exist here)
+        const existingProblems = findConfigProblems(config);
+        const problems = findConfigProblems(plan.config).filter(problem => !existingProblems.includes(problem));
+        if (problems.length > 0) {
+            return res.status(400).json({
+                error: `Invalid import: ${problems.join('; ')}`,
+                details: problems
+            });
+        }
+
+        const written = await bundles.writeExperiments(plan.experiments);
+        let saved;
+        try {
+            const configItems = plan.imported.filter(item => item.type !== 'experiment');
+            saved = configItems.length > 0
+                ? await saveServicesConfig(plan.config, {
+                    action: 'import',
+                    summary: `Imported ${configItems.map(item => `${item.type} ${item.id}`).join(', ')} from a bundle`,
+                    client: req.ip
+                })
+                : { etag, revision: null };
+        } catch (error) {
+            await bundles.removeExperiments(written);
+            throw error;
+        }
+
+        pendingImports.delete(req.params.importId);
+        res.set('ETag', saved.etag).json({
+            message: `Imported ${plan.imported.length} item(s), skipped ${plan.skipped.length}`,
+            imported: plan.imported,
+            skipped: plan.skipped,
+            revision: saved.revision ? saved.revision.id : null
+        });
+    } catch (error) {
+        if (error.bundleErrors) {
+            return res.status(400).json({
+                error: error.message,
+                details: error.bundleErrors
+            });
+        }
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error importing bundle:', error);
+        res.status(500).json({ error: 'Failed to import bundle' });
+    }
+}));
+
+module.exports = router;
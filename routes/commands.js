@@ -1,18 +1,25 @@
 const express = require('express');
-const { loadServicesConfig, saveServicesConfig } = require('../lib/servicesConfig');
+const {
+    loadServicesConfig,
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    lockConfigRoute,
+    checkConfigVersion
+} = require('../lib/servicesConfig');
 const processManager = require('../lib/processManager');
+const configSchema = require('../lib/configSchema');
 
 const router = express.Router();
 
 /**
  * Create a new command
  */
-router.post('/', async (req, res) => {
+router.post('/', lockConfigRoute(async (req, res) => {
     try {
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         const { id, ...commandData } = req.body;
         
-        if (!id) {
+        if (typeof id !== 'string' || !id.trim()) {
             return res.status(400).json({ error: 'Command ID is required' });
         }
         
@@ -20,62 +27,100 @@ router.post('/', async (req, res) => {
             return res.status(409).json({ error: 'Command ID already exists' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
+        const { errors, warnings } = configSchema.validate(commandData, 'command', `commands.${id}`);
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid command: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
         config.commands[id] = commandData;
-        await saveServicesConfig(config);
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'create', entityType: 'command', entityId: id, client: req.ip
+        });
         
-        res.json({ message: 'Command created successfully', id });
+        res.set('ETag', savedEtag).json({ message: 'Command created successfully', id, warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error creating command:', error);
         res.status(500).json({ error: 'Failed to create command' });
     }
-});
+}));
 
 /**
  * Update an existing command
  */
-router.put('/:commandId', async (req, res) => {
+router.put('/:commandId', lockConfigRoute(async (req, res) => {
     try {
         const { commandId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.commands[commandId]) {
             return res.status(404).json({ error: 'Command not found' });
         }
         
-        config.commands[commandId] = { ...config.commands[commandId], ...req.body };
-        await saveServicesConfig(config);
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
+        const updatedCommand = { ...config.commands[commandId], ...req.body };
         
-        res.json({ message: 'Command updated successfully' });
+        const { errors, warnings } = configSchema.validate(updatedCommand, 'command', `commands.${commandId}`);
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid command: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
+        config.commands[commandId] = updatedCommand;
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'update', entityType: 'command', entityId: commandId, client: req.ip
+        });
+        
+        res.set('ETag', savedEtag).json({ message: 'Command updated successfully', warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error updating command:', error);
         res.status(500).json({ error: 'Failed to update command' });
     }
-});
+}));
 
 /**
  * Delete a command
  */
-router.delete('/:commandId', async (req, res) => {
+router.delete('/:commandId', lockConfigRoute(async (req, res) => {
     try {
         const { commandId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.commands[commandId]) {
             return res.status(404).json({ error: 'Command not found' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
         delete config.commands[commandId];
-        await saveServicesConfig(config);
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'delete', entityType: 'command', entityId: commandId, client: req.ip
+        });
         
-        res.json({ message: 'Command deleted successfully' });
+        res.set('ETag', savedEtag).json({ message: 'Command deleted successfully', revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error deleting command:', error);
         res.status(500).json({ error: 'Failed to delete command' });
     }
-});
+}));
 
 /**
  * Execute a command
+ * Responds when the command has finished, or right away (202) with ?wait=false,
+ * e.g. so its console can be opened to answer prompts while it runs
  */
 router.post('/:commandId/execute', async (req, res) => {
     try {
@@ -95,8 +140,23 @@ router.post('/:commandId/execute', async (req, res) => {
         console.log(`Working directory: ${command.workingDir || 'current directory'}`);
         
         // Execute the command - this will handle console output internally
+        const execution = processManager.executeCommand(executionId, command.command, command.workingDir, null, {
+            envLayers: [command],
+            history: { targetId: commandId, name: command.name },
+            pty: command.pty
+        });
+        
+        if (req.query.wait === 'false') {
+            // The outcome is reported in the command's console
+            execution.catch(error => console.error(`Error executing command ${commandId}:`, error.message));
+            return res.status(202).json({ 
+                message: `Command ${commandId} started`, 
+                executionId 
+            });
+        }
+        
         try {
-            const result = await processManager.executeCommand(executionId, command.command, command.workingDir);
+            const result = await execution;
             res.json({ 
                 message: `Command ${commandId} executed successfully`, 
                 executionId, 
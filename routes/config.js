@@ -0,0 +1,311 @@
+const express = require('express');
+const {
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    lockConfigRoute,
+    checkConfigVersion,
+    validateServicesConfig
+} = require('../lib/servicesConfig');
+const configHistory = require('../lib/configHistory');
+const configProfiles = require('../lib/configProfiles');
+const configSchema = require('../lib/configSchema');
+const { findConfigProblems } = require('../lib/configProblems');
+
+const router = express.Router();
+
+/**
+ * Check the config each profile produces, besides the problems the base config already has
+ * Returns { errors, warnings } with messages prefixed by the profile, e.g.
+ * `profiles.demo: services.api.ports.http: must be integer, null or object, got string`
+ */
+function findProfileProblems(config, baseErrors, baseWarnings) {
+    const errors = configProfiles.findProfileProblems(config);
+    const warnings = [];
+    
+    Object.keys(config.profiles || {}).forEach((name) => {
+        const effective = configProfiles.applyProfile(config, name);
+        const result = configSchema.validate(effective);
+        const problems = result.errors.length > 0 ? result.errors : findConfigProblems(effective);
+        problems
+            .filter(error => !baseErrors.includes(error))
+            .forEach(error => errors.push(`profiles.${name}: ${error}`));
+        result.warnings
+            .filter(warning => !baseWarnings.includes(warning))
+            .forEach(warning => warnings.push(`profiles.${name}: ${warning}`));
+    });
+    
+    return { errors, warnings };
+}
+
+/**
+ * Answer 500 with the problems when services.json can't be loaded
+ */
+function sendConfigError(res, error) {
+    res.status(500).json({
+        error: error.message,
+        details: error.configErrors,
+        backupPath: error.backupPath
+    });
+}
+
+/**
+ * Read the item a request is about from `entityType` and `entityId`
+ * (query or body); both missing means the whole file
+ * Returns { entityType, entityId } or { error }
+ */
+function parseEntity({ entityType = null, entityId = null } = {}) {
+    if (!entityType && !entityId) {
+        return { entityType: null, entityId: null };
+    }
+    if (!configHistory.SECTIONS[entityType]) {
+        return { error: `entityType must be one of ${Object.keys(configHistory.SECTIONS).join(', ')}` };
+    }
+    if (typeof entityId !== 'string' || !entityId.trim()) {
+        return { error: 'entityId is required with entityType' };
+    }
+    return { entityType, entityId };
+}
+
+/**
+ * Restore an item (or the whole file) as it was at a revision, recording the
+ * restore as a new revision
+ * The whole file can be restored even while services.json can't be loaded
+ */
+async function restoreFromRevision(req, res, revision, entityType, entityId, summary) {
+    const snapshot = await configHistory.getSnapshot(revision.id);
+    if (!snapshot) {
+        return res.status(404).json({ error: `The configuration at revision ${revision.id} is no longer available` });
+    }
+    
+    let current = null;
+    try {
+        current = await loadBaseConfigWithEtag();
+    } catch (error) {
+        if (!error.configErrors || entityType) throw error;
+    }
+    
+    if (current && !checkConfigVersion(req, res, current.etag)) {
+        return;
+    }
+    
+    if (entityType) {
+        const section = configHistory.SECTIONS[entityType];
+        if (!(snapshot[section] || {})[entityId] && !current.config[section][entityId]) {
+            return res.status(404).json({ error: `No ${entityType} "${entityId}" at revision ${revision.id} or now` });
+        }
+    }
+    
+    const restored = configHistory.applySnapshot(current ? current.config : {}, snapshot, entityType, entityId);
+    try {
+        const { etag, revision: saved } = await saveServicesConfig(restored, {
+            action: 'restore', entityType, entityId, summary, client: req.ip
+        });
+        res.set('ETag', etag).json({
+            message: summary,
+            revision: saved ? saved.id : null,
+            changes: saved ? saved.changes : []
+        });
+    } catch (error) {
+        if (!error.configErrors) throw error;
+        res.status(400).json({
+            error: `Invalid restore: ${error.configErrors.join('; ')}`,
+            details: error.configErrors
+        });
+    }
+}
+
+/**
+ * Get the contents of services.json
+ * The ETag header identifies this version; send it back as If-Match when
+ * changing services, commands or workflows to detect conflicting edits
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { config, etag } = await loadBaseConfigWithEtag();
+        res.set('ETag', etag).json(config);
+    } catch (error) {
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error loading services config:', error);
+        res.status(500).json({ error: 'Failed to load services config' });
+    }
+});
+
+/**
+ * Validate services.json without changing it
+ * Reports schema errors, broken references and unknown fields (as warnings)
+ * with the path of each field, for the base config and the config each profile produces
+ */
+router.get('/validate', async (req, res) => {
+    try {
+        const { exists, config, errors, warnings } = await validateServicesConfig();
+        
+        // Reference and profile checks need a config that matches the schema
+        const checked = config && errors.length === 0;
+        const problems = checked ? findConfigProblems(config) : [];
+        const profileProblems = checked
+            ? findProfileProblems(config, problems, warnings)
+            : { errors: [], warnings: [] };
+        const allErrors = [...errors, ...problems, ...profileProblems.errors];
+        
+        res.json({
+            valid: allErrors.length === 0,
+            exists,
+            errors: allErrors,
+            warnings: [...warnings, ...profileProblems.warnings]
+        });
+    } catch (error) {
+        console.error('Error validating services config:', error);
+        res.status(500).json({ error: 'Failed to validate services config' });
+    }
+});
+
+/**
+ * List revisions of services.json, newest first
+ * Query: entityType and entityId (only the revisions of one item), limit, offset
+ */
+router.get('/revisions', async (req, res) => {
+    try {
+        const { entityType, entityId, error } = parseEntity(req.query);
+        if (error) {
+            return res.status(400).json({ error: `Invalid filter: ${error}` });
+        }
+        
+        const { limit, offset } = req.query;
+        res.json(await configHistory.listRevisions({ entityType, entityId, limit, offset }));
+    } catch (error) {
+        console.error('Error listing config revisions:', error);
+        res.status(500).json({ error: 'Failed to list config revisions' });
+    }
+});
+
+/**
+ * Compare two revisions (or a revision and the current file)
+ * Query: from, to (defaults to the current file), entityType and entityId
+ * (only the changes to one item)
+ */
+router.get('/revisions/diff', async (req, res) => {
+    try {
+        const { entityType, entityId, error } = parseEntity(req.query);
+        if (error) {
+            return res.status(400).json({ error: `Invalid filter: ${error}` });
+        }
+        
+        const { from, to = 'current' } = req.query;
+        if (!from) {
+            return res.status(400).json({ error: 'from is required' });
+        }
+        
+        const configs = {};
+        for (const [name, id] of [['from', from], ['to', to]]) {
+            if (id === 'current') {
+                try {
+                    configs[name] = (await loadBaseConfigWithEtag()).config;
+                } catch (loadError) {
+                    if (loadError.configErrors) return sendConfigError(res, loadError);
+                    throw loadError;
+                }
+                continue;
+            }
+            if (!(await configHistory.getRevision(id))) {
+                return res.status(404).json({ error: `Revision ${id} not found` });
+            }
+            configs[name] = await configHistory.getSnapshot(id);
+            if (!configs[name]) {
+                return res.status(404).json({ error: `The configuration at revision ${id} is no longer available` });
+            }
+        }
+        
+        res.json({
+            from,
+            to,
+            changes: configHistory.diffConfigs(configs.from, configs.to, entityType, entityId)
+        });
+    } catch (error) {
+        console.error('Error comparing config revisions:', error);
+        res.status(500).json({ error: 'Failed to compare config revisions' });
+    }
+});
+
+/**
+ * Get a revision with the configuration as it was after it
+ */
+router.get('/revisions/:revisionId', async (req, res) => {
+    try {
+        const revision = await configHistory.getRevision(req.params.revisionId);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        res.json({ ...revision, config: await configHistory.getSnapshot(revision.id) });
+    } catch (error) {
+        console.error('Error getting config revision:', error);
+        res.status(500).json({ error: 'Failed to get config revision' });
+    }
+});
+
+/**
+ * Restore an item, or the whole file, as it was at a revision
+ * Body (optional): { entityType, entityId } - without them the whole file is restored
+ * An item that didn't exist at the revision is deleted
+ */
+router.post('/revisions/:revisionId/restore', lockConfigRoute(async (req, res) => {
+    try {
+        const revision = await configHistory.getRevision(req.params.revisionId);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        const { entityType, entityId, error } = parseEntity(req.body);
+        if (error) {
+            return res.status(400).json({ error: `Invalid restore: ${error}` });
+        }
+        
+        const summary = entityType
+            ? `Restored ${entityType} ${entityId} from revision ${revision.id}`
+            : `Restored services.json from revision ${revision.id}`;
+        await restoreFromRevision(req, res, revision, entityType, entityId, summary);
+    } catch (error) {
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error restoring config revision:', error);
+        res.status(500).json({ error: 'Failed to restore config revision' });
+    }
+}));
+
+/**
+ * Undo a revision: put the item it changed (or the whole file, for changes to
+ * the whole file) back the way it was before it
+ */
+router.post('/revisions/:revisionId/undo', lockConfigRoute(async (req, res) => {
+    try {
+        const revision = await configHistory.getRevision(req.params.revisionId);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        
+        const previous = await configHistory.getPreviousRevision(revision.id);
+        if (!previous) {
+            return res.status(409).json({ error: `The configuration before revision ${revision.id} is no longer available` });
+        }
+        
+        await restoreFromRevision(
+            req,
+            res,
+            previous,
+            revision.entityType,
+            revision.entityId,
+            `Undid revision ${revision.id} (${revision.summary})`
+        );
+    } catch (error) {
+        if (error.configErrors) {
+            return sendConfigError(res, error);
+        }
+        console.error('Error undoing config revision:', error);
+        res.status(500).json({ error: 'Failed to undo config revision' });
+    }
+}));
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const consoleManager = require('../lib/consoleManager');
 const processManager = require('../lib/processManager');
+const consoleSearch = require('../lib/consoleSearch');
+const terminal = require('../lib/terminal');
 
 const router = express.Router();
 
@@ -29,23 +31,105 @@ router.get('/stream', (req, res) => {
     }
 });
 
+/**
+ * Search console output of one process (/:processId/search) or all processes (/search)
+ * Query: q, regex, caseSensitive, stream, since, until, limit
+ */
+async function handleSearch(req, res) {
+    try {
+        const { processId = null } = req.params;
+        const { search, errors } = consoleSearch.parseSearchQuery(req.query);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid search: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
+        const found = await consoleManager.searchConsoleOutput(search, processId);
+        
+        if (!found) {
+            return res.status(404).json({ error: 'Process output not found' });
+        }
+        
+        res.json({
+            ...(processId ? { processId } : {}),
+            query: {
+                q: search.q,
+                regex: search.regex,
+                caseSensitive: search.caseSensitive,
+                stream: search.stream,
+                since: search.since !== null ? new Date(search.since).toISOString() : null,
+                until: search.until !== null ? new Date(search.until).toISOString() : null
+            },
+            results: found.results, // Matching messages with processId and match ranges, oldest first
+            total: found.total,
+            truncated: found.truncated,
+            incomplete: found.incomplete // Older output was left unsearched (too much to scan)
+        });
+    } catch (error) {
+        console.error('Error searching console output:', error);
+        res.status(500).json({ error: 'Failed to search console output' });
+    }
+}
+
+router.get('/search', handleSearch);
+router.get('/:processId/search', handleSearch);
+
+/**
+ * Parse the ?before= and ?limit= paging parameters, returning { paging, errors }
+ */
+function parsePaging(query) {
+    const errors = [];
+    const paging = {};
+    
+    if (query.before !== undefined) {
+        const before = Number(query.before);
+        if (!Number.isInteger(before) || before < 0) {
+            errors.push(`before must be a message sequence number, got "${query.before}"`);
+        }
+        paging.before = before;
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > consoleManager.MAX_PAGE_SIZE) {
+            errors.push(`limit must be between 1 and ${consoleManager.MAX_PAGE_SIZE}, got "${query.limit}"`);
+        }
+        paging.limit = limit;
+    }
+    return { paging, errors };
+}
+
 /**
  * Get console output for a specific process
+ * Returns the newest messages, or the ones before ?before=<seq>, up to ?limit=
  */
-router.get('/:processId', (req, res) => {
+router.get('/:processId', async (req, res) => {
     try {
         const { processId } = req.params;
-        const output = consoleManager.getProcessOutput(processId);
+        const { paging, errors } = parsePaging(req.query);
         
-        if (!output) {
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid paging parameters: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
+        const page = await consoleManager.getConsolePage(processId, paging);
+        
+        if (!page) {
             return res.status(404).json({ error: 'Process output not found' });
         }
         
         res.json({
             processId,
             type: consoleManager.getProcessType(processId),
-            status: output.status,
-            output: output.timestamps, // All messages with timestamps
+            status: page.status,
+            cwd: page.cwd, // Working directory of the process, if known
+            output: page.messages, // Messages with seq and timestamps, oldest first
+            hasMore: page.hasMore, // Older messages can be fetched with ?before=<first seq>
             isRunning: processManager.isServiceRunning(processId)
         });
     } catch (error) {
@@ -54,6 +138,57 @@ router.get('/:processId', (req, res) => {
     }
 });
 
+/**
+ * Write input to the stdin of the process running in a console
+ * Body: { input, newline = true, eof = false, echo = true }
+ * newline ends the input with Enter, eof signals end of input after it (Ctrl-D),
+ * echo adds the input to the console as a `stdin` message (a pseudo-terminal echoes it itself)
+ */
+router.post('/:processId/stdin', async (req, res) => {
+    try {
+        const { processId } = req.params;
+        const { input, newline = true, eof = false, echo = true } = req.body || {};
+        
+        const errors = [];
+        if (typeof input !== 'string') {
+            errors.push('input must be a string');
+        } else if (input.length > terminal.MAX_INPUT_LENGTH) {
+            errors.push(`input must be at most ${terminal.MAX_INPUT_LENGTH} characters`);
+        }
+        Object.entries({ newline, eof, echo }).forEach(([key, value]) => {
+            if (typeof value !== 'boolean') {
+                errors.push(`${key} must be a boolean`);
+            }
+        });
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid input: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
+        if (!consoleManager.getProcessOutput(processId)) {
+            return res.status(404).json({ error: 'Process output not found' });
+        }
+        
+        const target = processManager.getInputTarget(processId);
+        if (target.error) {
+            return res.status(target.status).json({ error: target.error });
+        }
+        
+        await terminal.writeInput(target.proc, input, { newline, eof, pty: target.pty });
+        
+        if (echo && !target.pty) {
+            consoleManager.addConsoleOutput(processId, 'stdin', `${eof && !input ? '^D' : input}\n`);
+        }
+        
+        res.json({ message: 'Input sent' });
+    } catch (error) {
+        console.error('Error writing console input:', error);
+        res.status(500).json({ error: `Failed to write input: ${error.message}` });
+    }
+});
+
 /**
  * Get list of all processes with console output
  */
@@ -0,0 +1,51 @@
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const experimentManager = require('../lib/experimentManager');
+const { loadServicesConfig } = require('../lib/servicesConfig');
+const processManager = require('../lib/processManager');
+const serviceDiscovery = require('../lib/serviceDiscovery');
+const serviceProxy = require('../lib/serviceProxy');
+
+const router = express.Router();
+
+/**
+ * Get the services linked to an experiment and where to reach them
+ * Used by experiment pages (see public/discovery-client.js)
+ */
+router.get('/:experimentFolder', async (req, res) => {
+    try {
+        const { experimentFolder } = req.params;
+        const metadataPath = path.join(experimentManager.EXPERIMENTS_DIR, experimentFolder, 'metadata.json');
+        
+        let metadata;
+        try {
+            metadata = JSON.parse(await fs.readFile(metadataPath, 'utf8'));
+        } catch (error) {
+            return res.status(404).json({ error: 'Experiment not found' });
+        }
+        
+        const config = await loadServicesConfig();
+        const services = {};
+        serviceDiscovery.getLinkedServices(metadata, config).forEach((service, serviceId) => {
+            const running = processManager.isServiceRunning(serviceId);
+            const assignedPorts = processManager.getAssignedPorts(serviceId);
+            const proxied = running && serviceProxy.getProxyPort(processManager.getRunningServiceConfig(serviceId), assignedPorts);
+            
+            services[serviceId] = serviceDiscovery.describeService(serviceId, service, {
+                running,
+                assignedPorts,
+                proxyUrl: proxied ? serviceProxy.getProxyUrl(serviceId) : null
+            }, req.hostname);
+        });
+        
+        // Ports change whenever a service restarts
+        res.set('Cache-Control', 'no-store');
+        res.json({ experiment: experimentFolder, services });
+    } catch (error) {
+        console.error('Error discovering services:', error);
+        res.status(500).json({ error: 'Failed to discover services' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const fs = require('fs').promises;
 const path = require('path');
 const experimentManager = require('../lib/experimentManager');
+const atomicFile = require('../lib/atomicFile');
 
 const router = express.Router();
 
@@ -27,7 +28,7 @@ router.get('/:folder/metadata', async (req, res) => {
         const metadataPath = path.join(experimentManager.EXPERIMENTS_DIR, folder, 'metadata.json');
         const content = await fs.readFile(metadataPath, 'utf8');
         const metadata = JSON.parse(content);
-        res.json(metadata);
+        res.set('ETag', atomicFile.getEtag(content)).json(metadata);
     } catch (error) {
         console.error('Error getting experiment metadata:', error);
         res.status(404).json({ error: 'Metadata not found' });
@@ -36,6 +37,8 @@ router.get('/:folder/metadata', async (req, res) => {
 
 /**
  * Update experiment metadata
+ * Send the ETag from GET as If-Match: if the file changed since, nothing is
+ * written and the response is 409 with the current ETag
  */
 router.put('/:folder/metadata', async (req, res) => {
     try {
@@ -48,8 +51,27 @@ router.put('/:folder/metadata', async (req, res) => {
             return res.status(400).json({ error: 'Name is required' });
         }
         
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
-        res.json({ message: 'Metadata updated successfully' });
+        await atomicFile.withFileLock(metadataPath, async () => {
+            let etag = null;
+            try {
+                etag = atomicFile.getEtag(await fs.readFile(metadataPath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            
+            if (!atomicFile.matchesEtag(req.get('If-Match'), etag)) {
+                const response = res.status(409);
+                if (etag) response.set('ETag', etag);
+                return response.json({
+                    error: 'The metadata was changed since you loaded it (e.g. in another tab); reload it and try again',
+                    etag
+                });
+            }
+            
+            const content = JSON.stringify(metadata, null, 2);
+            await atomicFile.writeFileAtomic(metadataPath, content);
+            res.set('ETag', atomicFile.getEtag(content)).json({ message: 'Metadata updated successfully' });
+        });
     } catch (error) {
         console.error('Error updating metadata:', error);
         res.status(500).json({ error: 'Failed to update metadata' });
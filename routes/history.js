@@ -0,0 +1,69 @@
+const express = require('express');
+const runHistory = require('../lib/runHistory');
+
+const router = express.Router();
+
+/**
+ * List run history, newest first
+ * Query filters: kind (workflow|command|service), targetId, status, since, until, limit, offset
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { kind, targetId, status, since, until, limit, offset } = req.query;
+        
+        if (kind && !runHistory.KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Invalid kind "${kind}" (expected ${runHistory.KINDS.join(', ')})` });
+        }
+        
+        const result = await runHistory.listEntries({ kind, targetId, status, since, until, limit, offset });
+        res.json(result);
+    } catch (error) {
+        console.error('Error listing run history:', error);
+        res.status(500).json({ error: 'Failed to list run history' });
+    }
+});
+
+/**
+ * Get a single history entry
+ */
+router.get('/:entryId', async (req, res) => {
+    try {
+        const entry = await runHistory.getEntry(req.params.entryId);
+        
+        if (!entry) {
+            return res.status(404).json({ error: 'History entry not found' });
+        }
+        
+        res.json(entry);
+    } catch (error) {
+        console.error('Error getting history entry:', error);
+        res.status(500).json({ error: 'Failed to get history entry' });
+    }
+});
+
+/**
+ * Get the captured console output of a history entry as plain text
+ * Pass ?step=<stepId> for the log of a single workflow step
+ */
+router.get('/:entryId/log', async (req, res) => {
+    try {
+        const { entryId } = req.params;
+        const entry = await runHistory.getEntry(entryId);
+        
+        if (!entry) {
+            return res.status(404).json({ error: 'History entry not found' });
+        }
+        
+        const log = await runHistory.readLog(entryId, req.query.step || null);
+        if (log === null) {
+            return res.status(404).json({ error: 'No log was captured for this entry' });
+        }
+        
+        res.type('text/plain').send(log);
+    } catch (error) {
+        console.error('Error reading history log:', error);
+        res.status(500).json({ error: 'Failed to read history log' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const { loadServicesConfig, loadBaseConfigWithEtag } = require('../lib/servicesConfig');
+const configProfiles = require('../lib/configProfiles');
+const configSchema = require('../lib/configSchema');
+const processManager = require('../lib/processManager');
+
+const router = express.Router();
+
+/**
+ * List the profiles defined in services.json and the active one
+ * Works while the active profile makes the config invalid, so it can be switched away from
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { config } = await loadBaseConfigWithEtag();
+        const active = await configProfiles.getActiveProfile();
+
+        res.json({
+            active: (config.profiles || {})[active] ? active : null,
+            profiles: configProfiles.listProfiles(config)
+        });
+    } catch (error) {
+        if (error.configErrors) {
+            return res.status(500).json({
+                error: error.message,
+                details: error.configErrors,
+                backupPath: error.backupPath
+            });
+        }
+        console.error('Error listing profiles:', error);
+        res.status(500).json({ error: 'Failed to list profiles' });
+    }
+});
+
+/**
+ * Switch the active profile
+ * Body: { profile: string|null } - null switches back to the base configuration
+ * Running services keep the config they were started with; restartNeeded
+ * lists the ones the switch changes
+ */
+router.put('/active', async (req, res) => {
+    try {
+        const { profile = null } = req.body;
+        if (profile !== null && (typeof profile !== 'string' || !profile.trim())) {
+            return res.status(400).json({ error: 'Invalid profile: must be a profile name or null' });
+        }
+
+        const { config } = await loadBaseConfigWithEtag();
+        if (profile !== null && !(config.profiles || {})[profile]) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+
+        const effective = profile ? configProfiles.applyProfile(config, profile) : config;
+        const { errors } = configSchema.validate(effective);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: `Invalid profile: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+
+        let previous = null;
+        try {
+            previous = await loadServicesConfig();
+        } catch (error) {
+            // The previous profile made the config invalid: nothing could have been started with it since
+            if (!error.configErrors) throw error;
+        }
+
+        await configProfiles.setActiveProfile(profile);
+
+        const restartNeeded = Object.keys(effective.services).filter(serviceId =>
+            processManager.isServiceRunning(serviceId) && previous &&
+            JSON.stringify(previous.services[serviceId]) !== JSON.stringify(effective.services[serviceId]));
+
+        res.json({
+            message: profile ? `Switched to profile "${profile}"` : 'Switched to the base configuration',
+            active: profile,
+            restartNeeded
+        });
+    } catch (error) {
+        if (error.configErrors) {
+            return res.status(500).json({
+                error: error.message,
+                details: error.configErrors,
+                backupPath: error.backupPath
+            });
+        }
+        console.error('Error switching profile:', error);
+        res.status(500).json({ error: 'Failed to switch profile' });
+    }
+});
+
+module.exports = router;
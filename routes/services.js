@@ -1,22 +1,62 @@
 const express = require('express');
-const { loadServicesConfig, saveServicesConfig } = require('../lib/servicesConfig');
+const {
+    loadServicesConfig,
+    loadServicesConfigWithEtag,
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    lockConfigRoute,
+    checkConfigVersion
+} = require('../lib/servicesConfig');
 const processManager = require('../lib/processManager');
+const { validateServiceDependencies } = require('../lib/serviceDependencies');
+const { validatePorts } = require('../lib/portAllocator');
+const serviceProxy = require('../lib/serviceProxy');
+const configSchema = require('../lib/configSchema');
+const processMetrics = require('../lib/processMetrics');
 
 const router = express.Router();
 
+/**
+ * Validate a service against the schema, then its ports and dependencies against all services
+ * Returns { errors, warnings }
+ */
+function validateService(services, serviceId) {
+    const { errors, warnings } = configSchema.validate(services[serviceId], 'service', `services.${serviceId}`);
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+    
+    return {
+        errors: [
+            ...validatePorts(services[serviceId].ports),
+            ...validateServiceDependencies(services, serviceId)
+        ],
+        warnings
+    };
+}
+
 /**
  * Get services, commands, and workflows configuration
  */
 router.get('/', async (req, res) => {
     try {
-        const config = await loadServicesConfig();
+        const { config, etag, profile } = await loadServicesConfigWithEtag();
         
         // Add status information for services
         const servicesWithStatus = {};
         for (const [serviceId, service] of Object.entries(config.services || {})) {
+            const assignedPorts = processManager.getAssignedPorts(serviceId);
+            const proxied = processManager.isServiceRunning(serviceId) && 
+                serviceProxy.getProxyPort(processManager.getRunningServiceConfig(serviceId), assignedPorts);
             servicesWithStatus[serviceId] = {
                 ...service,
                 isRunning: processManager.isServiceRunning(serviceId),
+                isStopping: processManager.isServiceStopping(serviceId),
+                lastExit: processManager.getLastExit(serviceId),
+                restartCount: processManager.getRestartCount(serviceId),
+                restartPending: processManager.isRestartPending(serviceId),
+                assignedPorts,
+                proxyUrl: proxied ? serviceProxy.getProxyUrl(serviceId) : null,
                 type: 'service'
             };
         }
@@ -42,7 +82,9 @@ router.get('/', async (req, res) => {
         res.json({ 
             services: servicesWithStatus,
             commands: commandsWithStatus,
-            workflows: workflowsWithStatus
+            workflows: workflowsWithStatus,
+            configEtag: etag,
+            activeProfile: profile
         });
     } catch (error) {
         console.error('Error getting services:', error);
@@ -53,12 +95,12 @@ router.get('/', async (req, res) => {
 /**
  * Create a new service
  */
-router.post('/', async (req, res) => {
+router.post('/', lockConfigRoute(async (req, res) => {
     try {
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         const { id, ...serviceData } = req.body;
         
-        if (!id) {
+        if (typeof id !== 'string' || !id.trim()) {
             return res.status(400).json({ error: 'Service ID is required' });
         }
         
@@ -66,67 +108,138 @@ router.post('/', async (req, res) => {
             return res.status(409).json({ error: 'Service ID already exists' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
         config.services[id] = serviceData;
-        await saveServicesConfig(config);
         
-        res.json({ message: 'Service created successfully', id });
+        const { errors: validationErrors, warnings } = validateService(config.services, id);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid service: ${validationErrors.join('; ')}`,
+                details: validationErrors
+            });
+        }
+        
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'create', entityType: 'service', entityId: id, client: req.ip
+        });
+        
+        res.set('ETag', savedEtag).json({ message: 'Service created successfully', id, warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error creating service:', error);
         res.status(500).json({ error: 'Failed to create service' });
     }
-});
+}));
 
 /**
  * Update an existing service
  */
-router.put('/:serviceId', async (req, res) => {
+router.put('/:serviceId', lockConfigRoute(async (req, res) => {
     try {
         const { serviceId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.services[serviceId]) {
             return res.status(404).json({ error: 'Service not found' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
         config.services[serviceId] = { ...config.services[serviceId], ...req.body };
-        await saveServicesConfig(config);
         
-        res.json({ message: 'Service updated successfully' });
+        const { errors: validationErrors, warnings } = validateService(config.services, serviceId);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid service: ${validationErrors.join('; ')}`,
+                details: validationErrors
+            });
+        }
+        
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'update', entityType: 'service', entityId: serviceId, client: req.ip
+        });
+        
+        res.set('ETag', savedEtag).json({ message: 'Service updated successfully', warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error updating service:', error);
         res.status(500).json({ error: 'Failed to update service' });
     }
-});
+}));
 
 /**
  * Delete a service
  */
-router.delete('/:serviceId', async (req, res) => {
+router.delete('/:serviceId', lockConfigRoute(async (req, res) => {
     try {
         const { serviceId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.services[serviceId]) {
             return res.status(404).json({ error: 'Service not found' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
+        const neededBy = Object.keys(config.services)
+            .filter(id => (config.services[id].dependsOn || []).includes(serviceId));
+        if (neededBy.length > 0) {
+            return res.status(409).json({ error: `Service ${serviceId} is needed by: ${neededBy.join(', ')}` });
+        }
+        
         // Stop service if running
         if (processManager.isServiceRunning(serviceId)) {
-            processManager.stopService(serviceId);
+            await processManager.stopService(serviceId);
         }
         
         delete config.services[serviceId];
-        await saveServicesConfig(config);
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'delete', entityType: 'service', entityId: serviceId, client: req.ip
+        });
         
-        res.json({ message: 'Service deleted successfully' });
+        res.set('ETag', savedEtag).json({ message: 'Service deleted successfully', revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error deleting service:', error);
         res.status(500).json({ error: 'Failed to delete service' });
     }
+}));
+
+/**
+ * Get resource metrics of a service's process tree
+ * history holds the recent samples (oldest first); current is the latest
+ */
+router.get('/:serviceId/metrics', async (req, res) => {
+    try {
+        const { serviceId } = req.params;
+        const config = await loadServicesConfig();
+        
+        if (!config.services[serviceId]) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        
+        const history = processMetrics.getHistory('service', serviceId);
+        res.json({
+            serviceId,
+            supported: processMetrics.isSupported(),
+            running: processManager.isServiceRunning(serviceId),
+            interval: processMetrics.SAMPLE_INTERVAL,
+            current: history.length > 0 ? history[history.length - 1] : null,
+            history
+        });
+    } catch (error) {
+        console.error('Error getting service metrics:', error);
+        res.status(500).json({ error: 'Failed to get service metrics' });
+    }
 });
 
 /**
- * Start a service
+ * Start a service, starting the services it depends on first
+ * ?dependencies=false starts only the service itself
  */
 router.post('/:serviceId/start', async (req, res) => {
     try {
@@ -142,8 +255,13 @@ router.post('/:serviceId/start', async (req, res) => {
             return res.json({ message: `Service ${serviceId} is already running` });
         }
         
-        const message = await processManager.startService(serviceId, service);
-        res.json({ message });
+        if (req.query.dependencies === 'false') {
+            const message = await processManager.startService(serviceId, service);
+            return res.json({ message, started: [serviceId] });
+        }
+        
+        const result = await processManager.startServiceWithDependencies(serviceId, config.services);
+        res.json(result);
     } catch (error) {
         console.error('Error starting service:', error);
         res.status(500).json({ error: error.message });
@@ -152,12 +270,25 @@ router.post('/:serviceId/start', async (req, res) => {
 
 /**
  * Stop a service
+ * Responds once the service has exited, including its final exit code/signal
+ * ?dependents=true first stops the running services that depend on it, in reverse
+ * dependency order; otherwise they are listed in runningDependents
  */
-router.post('/:serviceId/stop', (req, res) => {
+router.post('/:serviceId/stop', async (req, res) => {
     try {
         const { serviceId } = req.params;
-        const message = processManager.stopService(serviceId);
-        res.json({ message });
+        const config = await loadServicesConfig();
+        
+        if (req.query.dependents === 'true') {
+            const result = await processManager.stopServiceWithDependents(serviceId, config.services);
+            return res.json(result);
+        }
+        
+        const result = await processManager.stopService(serviceId);
+        res.json({ 
+            ...result, 
+            runningDependents: processManager.getRunningDependents(serviceId, config.services)
+        });
     } catch (error) {
         console.error('Error stopping service:', error);
         res.status(500).json({ error: error.message });
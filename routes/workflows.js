@@ -1,18 +1,49 @@
 const express = require('express');
-const { loadServicesConfig, saveServicesConfig } = require('../lib/servicesConfig');
+const {
+    loadServicesConfig,
+    loadBaseConfigWithEtag,
+    saveServicesConfig,
+    lockConfigRoute,
+    checkConfigVersion
+} = require('../lib/servicesConfig');
 const processManager = require('../lib/processManager');
+const { validateWorkflow, findWorkflowCycle } = require('../lib/workflowGraph');
+const { resolveParams } = require('../lib/workflowParams');
+const workflowRuns = require('../lib/workflowRuns');
+const configSchema = require('../lib/configSchema');
 
 const router = express.Router();
 
+/**
+ * Validate a workflow against the schema, then its steps, including that
+ * nesting it among the other workflows doesn't make any workflow run itself
+ * Returns { errors, warnings }
+ */
+function validateWorkflowInConfig(config, workflowId, workflow) {
+    const { errors, warnings } = configSchema.validate(workflow, 'workflow', `workflows.${workflowId}`);
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+    
+    errors.push(...validateWorkflow(workflow));
+    
+    const cycle = findWorkflowCycle({ ...config.workflows, [workflowId]: workflow }, workflowId);
+    if (cycle) {
+        errors.push(`Nested workflows form a cycle: ${cycle.join(' -> ')}`);
+    }
+    
+    return { errors, warnings };
+}
+
 /**
  * Create a new workflow
  */
-router.post('/', async (req, res) => {
+router.post('/', lockConfigRoute(async (req, res) => {
     try {
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         const { id, ...workflowData } = req.body;
         
-        if (!id) {
+        if (typeof id !== 'string' || !id.trim()) {
             return res.status(400).json({ error: 'Workflow ID is required' });
         }
         
@@ -20,62 +51,100 @@ router.post('/', async (req, res) => {
             return res.status(409).json({ error: 'Workflow ID already exists' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
+        const { errors: validationErrors, warnings } = validateWorkflowInConfig(config, id, workflowData);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid workflow: ${validationErrors.join('; ')}`,
+                details: validationErrors
+            });
+        }
+        
         config.workflows[id] = workflowData;
-        await saveServicesConfig(config);
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'create', entityType: 'workflow', entityId: id, client: req.ip
+        });
         
-        res.json({ message: 'Workflow created successfully', id });
+        res.set('ETag', savedEtag).json({ message: 'Workflow created successfully', id, warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error creating workflow:', error);
         res.status(500).json({ error: 'Failed to create workflow' });
     }
-});
+}));
 
 /**
  * Update an existing workflow
  */
-router.put('/:workflowId', async (req, res) => {
+router.put('/:workflowId', lockConfigRoute(async (req, res) => {
     try {
         const { workflowId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.workflows[workflowId]) {
             return res.status(404).json({ error: 'Workflow not found' });
         }
         
-        config.workflows[workflowId] = { ...config.workflows[workflowId], ...req.body };
-        await saveServicesConfig(config);
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
         
-        res.json({ message: 'Workflow updated successfully' });
+        const updatedWorkflow = { ...config.workflows[workflowId], ...req.body };
+        
+        const { errors: validationErrors, warnings } = validateWorkflowInConfig(config, workflowId, updatedWorkflow);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid workflow: ${validationErrors.join('; ')}`,
+                details: validationErrors
+            });
+        }
+        
+        config.workflows[workflowId] = updatedWorkflow;
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'update', entityType: 'workflow', entityId: workflowId, client: req.ip
+        });
+        
+        res.set('ETag', savedEtag).json({ message: 'Workflow updated successfully', warnings, revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error updating workflow:', error);
         res.status(500).json({ error: 'Failed to update workflow' });
     }
-});
+}));
 
 /**
  * Delete a workflow
  */
-router.delete('/:workflowId', async (req, res) => {
+router.delete('/:workflowId', lockConfigRoute(async (req, res) => {
     try {
         const { workflowId } = req.params;
-        const config = await loadServicesConfig();
+        const { config, etag } = await loadBaseConfigWithEtag();
         
         if (!config.workflows[workflowId]) {
             return res.status(404).json({ error: 'Workflow not found' });
         }
         
+        if (!checkConfigVersion(req, res, etag)) {
+            return;
+        }
+        
         delete config.workflows[workflowId];
-        await saveServicesConfig(config);
+        const { etag: savedEtag, revision } = await saveServicesConfig(config, {
+            action: 'delete', entityType: 'workflow', entityId: workflowId, client: req.ip
+        });
         
-        res.json({ message: 'Workflow deleted successfully' });
+        res.set('ETag', savedEtag).json({ message: 'Workflow deleted successfully', revision: revision ? revision.id : null });
     } catch (error) {
         console.error('Error deleting workflow:', error);
         res.status(500).json({ error: 'Failed to delete workflow' });
     }
-});
+}));
 
 /**
  * Execute a workflow
+ * Body: { params } - values for the workflow's parameters
+ * Returns a run ID immediately; poll GET /runs/:runId for progress
  */
 router.post('/:workflowId/execute', async (req, res) => {
     try {
@@ -87,12 +156,59 @@ router.post('/:workflowId/execute', async (req, res) => {
             return res.status(404).json({ error: 'Workflow not found' });
         }
         
-        const results = await processManager.executeWorkflow(workflowId, workflow);
-        res.json({ message: `Workflow ${workflowId} executed successfully`, results });
+        const activeRun = workflowRuns.getActiveRun(workflowId);
+        if (activeRun) {
+            return res.status(409).json({ 
+                error: `Workflow ${workflowId} is already running`,
+                runId: activeRun.runId
+            });
+        }
+        
+        const { params, errors } = resolveParams(workflow.params, (req.body && req.body.params) || {});
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: `Invalid parameters: ${errors.join('; ')}`,
+                details: errors
+            });
+        }
+        
+        const run = processManager.startWorkflowRun(workflowId, workflow, { params });
+        res.status(202).json({ message: `Workflow ${workflowId} started`, runId: run.runId, run });
     } catch (error) {
         console.error('Error executing workflow:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Get the state of a workflow run
+ */
+router.get('/runs/:runId', (req, res) => {
+    const run = workflowRuns.getRun(req.params.runId);
+    
+    if (!run) {
+        return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    res.json(run);
+});
+
+/**
+ * Cancel a workflow run in progress
+ */
+router.post('/runs/:runId/cancel', (req, res) => {
+    const { runId } = req.params;
+    const run = workflowRuns.getRun(runId);
+    
+    if (!run) {
+        return res.status(404).json({ error: 'Workflow run not found' });
+    }
+    
+    if (!processManager.cancelWorkflowRun(runId)) {
+        return res.status(409).json({ error: `Workflow run already ${run.status}` });
+    }
+    
+    res.json({ message: `Cancelling workflow run ${runId}`, run });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,23 +7,43 @@ const serviceRoutes = require('./routes/services');
 const commandRoutes = require('./routes/commands');
 const workflowRoutes = require('./routes/workflows');
 const consoleRoutes = require('./routes/console');
+const historyRoutes = require('./routes/history');
+const discoveryRoutes = require('./routes/discovery');
+const configRoutes = require('./routes/config');
+const profileRoutes = require('./routes/profiles');
+const bundleRoutes = require('./routes/bundles');
 
 // Import utility modules
 const experimentManager = require('./lib/experimentManager');
+const processManager = require('./lib/processManager');
+const serviceProxy = require('./lib/serviceProxy');
+const processMetrics = require('./lib/processMetrics');
+const consoleManager = require('./lib/consoleManager');
+const { loadServicesConfig, requireValidConfig } = require('./lib/servicesConfig');
 
 const app = express();
 const PORT = 7890;
 
+// Proxy service HTTP endpoints under /proxy/<serviceId>/ (before body parsing,
+// so request bodies are forwarded untouched)
+app.use(serviceProxy.PROXY_PREFIX, serviceProxy.proxyRequest);
+
 // Middleware to parse JSON and serve static files
 app.use(express.json());
 app.use(express.static('public'));
 
 // Mount API routes
 app.use('/api/experiments', experimentRoutes);
-app.use('/api/services', serviceRoutes);
-app.use('/api/commands', commandRoutes);
-app.use('/api/workflows', workflowRoutes);
+// Routes that use services.json report why it can't be loaded (see lib/servicesConfig.js)
+app.use('/api/services', requireValidConfig, serviceRoutes);
+app.use('/api/commands', requireValidConfig, commandRoutes);
+app.use('/api/workflows', requireValidConfig, workflowRoutes);
 app.use('/api/console', consoleRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/discovery', requireValidConfig, discoveryRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/bundles', requireValidConfig, bundleRoutes);
 
 // Serve experiment assets
 app.use('/experiments', express.static(experimentManager.EXPERIMENTS_DIR));
@@ -36,11 +56,31 @@ async function startServer() {
         // Initialize experiments directory
         await experimentManager.initializeDirectories();
         
+        // Console buffer size and log rotation limits (settings.console)
+        // An unusable services.json is reported by the API; the defaults are used until it's fixed
+        let settings = {};
+        try {
+            settings = (await loadServicesConfig()).settings || {};
+        } catch (error) {
+            if (!error.configErrors) throw error;
+            console.error(`Error loading services config: ${error.message}`);
+        }
+        consoleManager.configure(settings.console || {});
+        
+        // Re-attach to (or clean up) services left running by a previous instance
+        await processManager.restoreRunningProcesses();
+        
+        // Sample CPU, memory and file descriptors of running services and commands
+        processMetrics.startSampling(processManager.getMetricTargets);
+        
         // Start the server
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`Experiment Browser running on http://localhost:${PORT}`);
             console.log(`Experiments directory: ${path.resolve(experimentManager.EXPERIMENTS_DIR)}`);
         });
+        
+        // WebSocket connections to proxied services
+        server.on('upgrade', serviceProxy.proxyUpgrade);
     } catch (error) {
         console.error('Error starting server:', error);
         process.exit(1);